@@ -2,13 +2,19 @@ const express = require("express");
 
 const authRoutes = require("../../../modules/auth/auth.routes");
 const userRoutes = require("../../../modules/users/user.routes");
+const libraryRoutes = require("../../../modules/library/library.routes");
 const bookRoutes = require("../../../modules/books/book.routes");
 const categoryRoutes = require("../../../modules/categories/category.routes");
+const contributorRoutes = require("../../../modules/contributors/contributor.routes");
+const seriesRoutes = require("../../../modules/series/series.routes");
+const tagRoutes = require("../../../modules/tags/tag.routes");
+const collectionRoutes = require("../../../modules/collections/collection.routes");
 const cartRoutes = require("../../../modules/cart/cart.routes");
 const orderRoutes = require("../../../modules/orders/order.routes");
 const paymentRoutes = require("../../../modules/payments/payment.routes");
 const reviewRoutes = require("../../../modules/reviews/review.routes");
 const adminRoutes = require("../../../modules/admin/admin.routes");
+const catalogRoutes = require("../../../modules/catalog/catalog.routes");
 const wishlistRoutes = require("../../../modules/wishlist/wishlist.routes");
 const couponRoutes = require("../../../modules/coupons/coupon.routes");
 const searchRoutes = require("../../../modules/search/search.routes");
@@ -21,13 +27,19 @@ const router = express.Router();
 // MODULE ROUTES
 // =====================
 router.use("/auth", authRoutes);
+router.use("/users/me/library", libraryRoutes);
 router.use("/users", userRoutes);
 router.use("/books", bookRoutes);
 router.use("/categories", categoryRoutes);
+router.use("/authors", contributorRoutes);
+router.use("/series", seriesRoutes);
+router.use("/tags", tagRoutes);
+router.use("/collections", collectionRoutes);
 router.use("/cart", cartRoutes);
 router.use("/orders", orderRoutes);
 router.use("/payments", paymentRoutes);
 router.use("/reviews", reviewRoutes);
+router.use("/admin/catalog", catalogRoutes);
 router.use("/admin", adminRoutes);
 router.use("/wishlist", wishlistRoutes);
 router.use("/coupons", couponRoutes);
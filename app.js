@@ -5,6 +5,7 @@ const httpLogger = require("./shared/logger/httpLogger");
 const rateLimit = require("./middlewares/rateLimit.middleware");
 
 const errorMiddleware = require("./middlewares/error.middleware");
+const jwtKeys = require("./services/jwtKeys.service");
 
 const routes = require("./api/routes");
 
@@ -26,6 +27,12 @@ app.use(rateLimit);
 //sanitize(app);
 app.use(httpLogger);
 
+// public keys for services that verify our access tokens
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(jwtKeys.getJwks());
+});
+
 // =====================
 // API ROUTES
 // =====================
@@ -18,4 +18,7 @@ module.exports = {
     CLOUDINARY_SECRET: process.env.CLOUDINARY_SECRET,
 
     STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
+
+    // signs ebook download links (modules/library); required
+    DOWNLOAD_URL_SECRET: process.env.DOWNLOAD_URL_SECRET,
 };
\ No newline at end of file
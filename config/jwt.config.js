@@ -0,0 +1,18 @@
+require("dotenv").config();
+
+const path = require("path");
+
+/**
+ * Access tokens are signed with a private key from JWT_KEYS_DIR:
+ *
+ *   <kid>.pem      private key, can sign and verify
+ *   <kid>.pub.pem  public key only, verifies tokens from a retired key
+ *
+ * JWT_ACTIVE_KID picks the signing key (optional when there is only one).
+ * To rotate: add the new key, deploy so it shows up in the JWKS, switch
+ * JWT_ACTIVE_KID, then drop the old key once its tokens have expired.
+ */
+module.exports = {
+    keysDir: path.resolve(process.env.JWT_KEYS_DIR || "keys"),
+    activeKid: process.env.JWT_ACTIVE_KID,
+};
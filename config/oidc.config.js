@@ -0,0 +1,34 @@
+require("dotenv").config();
+
+// well-known issuers so only client credentials need configuring. Microsoft's
+// "common" issuer accepts any tenant; set OIDC_MICROSOFT_ISSUER to
+// https://login.microsoftonline.com/<tenant id>/v2.0 to allow a single one.
+const DEFAULT_ISSUERS = {
+    google: "https://accounts.google.com",
+    microsoft: "https://login.microsoftonline.com/common/v2.0",
+};
+
+/**
+ * OIDC_PROVIDERS=google,mock enables providers; each reads
+ * OIDC_<NAME>_ISSUER, _CLIENT_ID, _CLIENT_SECRET, _REDIRECT_URI and _SCOPES.
+ */
+const providers = {};
+
+(process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach((name) => {
+        const prefix = `OIDC_${name.toUpperCase()}_`;
+
+        providers[name] = {
+            name,
+            issuer: process.env[`${prefix}ISSUER`] || DEFAULT_ISSUERS[name],
+            clientId: process.env[`${prefix}CLIENT_ID`],
+            clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+            redirectUri: process.env[`${prefix}REDIRECT_URI`],
+            scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+        };
+    });
+
+module.exports = providers;
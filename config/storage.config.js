@@ -0,0 +1,11 @@
+const path = require("path");
+require("dotenv").config();
+
+// STORAGE_DRIVER picks the backend in services/storage.service.js
+module.exports = {
+    driver: process.env.STORAGE_DRIVER || "local",
+
+    local: {
+        root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, "..", "storage"),
+    },
+};
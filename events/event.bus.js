@@ -3,14 +3,18 @@ const logger = require("../shared/logger/logger");
 
 const subscribers = require("./event.subscribers");
 
-redis.subscribe("*");
+// a subscribed connection can't run other commands, so the bus gets its own
+const subscriber = redis.duplicate();
 
-redis.on("message", async(channel, message) => {
+subscriber.subscribe(...Object.keys(subscribers));
+
+subscriber.on("message", async(channel, message) => {
     const data = JSON.parse(message);
 
     logger.info(`Event received: ${channel}`);
 
     if (subscribers[channel]) {
-        await subscribers[channel].forEach((fn) => fn(data));
+        // handlers log their own failures; one failing doesn't stop the others
+        await Promise.allSettled(subscribers[channel].map((fn) => fn(data)));
     }
-});
\ No newline at end of file
+});
@@ -0,0 +1,8 @@
+const userSubscribers = require("./user.subscribers");
+const orderSubscribers = require("./order.subscribers");
+
+// event name -> handlers, see event.types
+module.exports = {
+    ...userSubscribers,
+    ...orderSubscribers,
+};
@@ -1,5 +1,6 @@
 const emailService = require("../../services/email.service");
 const logger = require("../../shared/logger/logger");
+const { buildVerificationEmail } = require("../../modules/auth/auth.utils");
 
 // ============================
 // USER EVENT SUBSCRIBERS
@@ -28,6 +29,24 @@ module.exports = {
             }
         },
 
+        /**
+         * EMAIL VERIFICATION LINK
+         */
+        async(data) => {
+            try {
+                await emailService.send(
+                    buildVerificationEmail({ email: data.email, name: data.name },
+                        data.verificationToken,
+                    ),
+                );
+
+                logger.info(`Verification email sent to ${data.email}`);
+            } catch (err) {
+                logger.error(`verification email failed: ${err.message}`);
+                throw err;
+            }
+        },
+
         /**
          * ANALYTICS TRACKING
          */
@@ -0,0 +1,27 @@
+const catalogService = require("../modules/catalog/catalog.service");
+const storage = require("../services/storage.service");
+const logger = require("../shared/logger/logger");
+
+exports.importBooksJob = async(job) => {
+    try {
+        const { importId, fileKey } = job.data;
+
+        logger.info(`Catalog import ${importId} started`);
+
+        const content = (await storage.get(fileKey)).toString("utf8");
+
+        // the upload is only needed for this one run
+        const result = await catalogService
+            .runImport(importId, content, {
+                onProgress: (processed, total) => job.updateProgress(Math.round((processed / total) * 100)),
+            })
+            .finally(() => storage.remove(fileKey));
+
+        logger.info(
+            `Catalog import ${importId} finished: ${result.createdCount} created, ${result.updatedCount} updated, ${result.failedCount} failed`,
+        );
+    } catch (error) {
+        logger.error(`Catalog import job failed: ${error.message}`);
+        throw error;
+    }
+};
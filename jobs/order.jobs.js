@@ -1,3 +1,4 @@
+const orderService = require("../modules/orders/order.service");
 const logger = require("../shared/logger/logger");
 
 exports.processOrderJob = async(job) => {
@@ -18,4 +19,16 @@ exports.processOrderJob = async(job) => {
         logger.error(`Order job failed: ${error.message}`);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+// daily: pre-orders whose books came out go into fulfilment
+exports.releasePreordersJob = async() => {
+    try {
+        const { released, held, failed } = await orderService.releasePreorders();
+
+        logger.info(`Pre-order release: ${released} released, ${held} held for stock, ${failed} failed`);
+    } catch (error) {
+        logger.error(`Pre-order release job failed: ${error.message}`);
+        throw error;
+    }
+};
@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const auth = require("./auth.middleware");
+const apiKeyRepo = require("../modules/api-keys/apiKey.repository");
+const { parseApiKey } = require("../shared/utils/apiKey.util");
+const { hash } = require("../shared/utils/crypto.util");
+const { isExpired } = require("../shared/utils/date.util");
+const { UnauthorizedError } = require("../shared/errors");
+
+const API_KEY_HEADER = "x-api-key";
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Accepts either `Authorization: Bearer <jwt>` (delegates to auth.middleware)
+ * or an `X-API-Key` header. Key requests get `req.user.apiKeyId` and
+ * `req.user.scopes` instead of a user id and role.
+ */
+module.exports = async(req, res, next) => {
+    const key = req.get(API_KEY_HEADER);
+    if (!key) return auth(req, res, next);
+
+    try {
+        const parsed = parseApiKey(key);
+        if (!parsed) throw new UnauthorizedError("Invalid API key");
+
+        const apiKey = await apiKeyRepo.findByPrefix(parsed.prefix);
+
+        const valid =
+            apiKey &&
+            crypto.timingSafeEqual(Buffer.from(apiKey.keyHash), Buffer.from(hash(key)));
+
+        if (!valid || apiKey.revokedAt) {
+            throw new UnauthorizedError("Invalid API key");
+        }
+
+        if (apiKey.expiresAt && isExpired(apiKey.expiresAt)) {
+            throw new UnauthorizedError("API key expired");
+        }
+
+        if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > TOUCH_INTERVAL_MS) {
+            await apiKeyRepo.touch(apiKey.id);
+        }
+
+        req.user = {
+            apiKeyId: apiKey.id,
+            name: apiKey.name,
+            scopes: apiKey.scopes || [],
+        };
+
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
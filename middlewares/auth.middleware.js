@@ -1,7 +1,41 @@
-const jwt = require("jsonwebtoken");
 const { UnauthorizedError } = require("../shared/errors");
+const sessionRepo = require("../modules/sessions/session.repository");
+const impersonationRepo = require("../modules/impersonations/impersonation.repository");
+const logger = require("../shared/logger/logger");
+const { verifyAccessToken } = require("../modules/auth/auth.utils");
 
-module.exports = (req, res, next) => {
+// lastSeenAt is bumped at most this often to avoid a write per request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// impersonation tokens are only valid while their audit record is open,
+// and every request made with one is written to that record
+const checkImpersonation = async(req, res, decoded) => {
+    const impersonation = await impersonationRepo.findById(decoded.sid);
+
+    if (
+        !impersonation ||
+        impersonation.endedAt ||
+        impersonation.userId !== decoded.id ||
+        impersonation.adminId !== decoded.impersonatorId
+    ) {
+        throw new UnauthorizedError("Impersonation session has ended");
+    }
+
+    res.set("X-Impersonated-By", String(decoded.impersonatorId));
+
+    res.on("finish", () => {
+        impersonationRepo
+            .logRequest({
+                impersonationId: impersonation.id,
+                method: req.method,
+                path: req.originalUrl,
+                statusCode: res.statusCode,
+            })
+            .catch((err) => logger.error(`Impersonation audit failed: ${err.message}`));
+    });
+};
+
+module.exports = async(req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
 
@@ -11,12 +45,41 @@ module.exports = (req, res, next) => {
 
         const token = authHeader.split(" ")[1];
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        let decoded;
+        try {
+            decoded = verifyAccessToken(token);
+        } catch (err) {
+            throw new UnauthorizedError("Invalid or expired token");
+        }
+
+        // challenge tokens etc. are signed with the same secret but are not access tokens
+        if (decoded.purpose || !decoded.sid) {
+            throw new UnauthorizedError("Invalid token type");
+        }
+
+        if (decoded.impersonatorId) {
+            await checkImpersonation(req, res, decoded);
+            req.user = decoded;
+            return next();
+        }
+
+        const session = await sessionRepo.findById(decoded.sid);
+
+        if (!session || session.revokedAt || session.userId !== decoded.id) {
+            throw new UnauthorizedError("Session has been revoked");
+        }
+
+        if (
+            !session.lastSeenAt ||
+            Date.now() - session.lastSeenAt > TOUCH_INTERVAL_MS
+        ) {
+            await sessionRepo.touch(session.id, { ip: req.ip });
+        }
 
         req.user = decoded;
 
         next();
     } catch (err) {
-        next(new UnauthorizedError("Invalid or expired token"));
+        next(err);
     }
-};
\ No newline at end of file
+};
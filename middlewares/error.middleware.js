@@ -5,6 +5,10 @@ module.exports = (err, req, res, next) => {
     logger.error(err.message);
 
     if (err instanceof AppError) {
+        if (err.retryAfter) {
+            res.set("Retry-After", String(err.retryAfter));
+        }
+
         return res.status(err.statusCode).json({
             success: false,
             message: err.message,
@@ -0,0 +1,10 @@
+const { ForbiddenError } = require("../shared/errors");
+
+// account-level actions stay with the real owner, even while support is signed in as them
+exports.denyImpersonation = (req, res, next) => {
+    if (req.user.impersonatorId) {
+        return next(new ForbiddenError("Not allowed while impersonating a user"));
+    }
+
+    next();
+};
@@ -0,0 +1,49 @@
+const { ForbiddenError } = require("../shared/errors");
+const roleService = require("../modules/roles/role.service");
+const settingRepo = require("../modules/settings/setting.repository");
+const { ADMIN } = require("../shared/constants/roles.constant");
+const { REQUIRE_ADMIN_2FA } = require("../shared/constants/settings.constant");
+const { scopesForPermission } = require("../shared/utils/apiKey.util");
+
+/**
+ * Allows the request when the user's role grants `permission`, e.g.
+ * requirePermission("orders:update"). Requests authenticated with an
+ * API key (see apiAuth.middleware) need one of the key scopes covering it
+ * instead, e.g. orders:write; `scopes` overrides which ones for a route.
+ */
+module.exports = (permission, { scopes = scopesForPermission(permission) } = {}) => {
+    return async(req, res, next) => {
+        try {
+            if (req.user.apiKeyId) {
+                if (!scopes.some((scope) => req.user.scopes.includes(scope))) {
+                    throw new ForbiddenError(
+                        scopes.length ?
+                        `API key lacks the ${scopes[0]} scope` :
+                        "API keys can't be used here",
+                    );
+                }
+
+                return next();
+            }
+
+            if (!(await roleService.hasPermission(req.user.role, permission))) {
+                throw new ForbiddenError("Access denied");
+            }
+
+            // admins without a second factor keep their account but lose admin powers
+            if (
+                req.user.role === ADMIN &&
+                !req.user.mfa &&
+                (await settingRepo.get(REQUIRE_ADMIN_2FA, false))
+            ) {
+                throw new ForbiddenError(
+                    "Two-factor authentication is required for admin accounts",
+                );
+            }
+
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+};
@@ -1,10 +1,34 @@
 const rateLimit = require("express-rate-limit");
 
-module.exports = rateLimit({
+const createLimiter = ({ windowMs, max, keyGenerator }) => {
+    return rateLimit({
+        windowMs,
+        max,
+        keyGenerator,
+        message: {
+            success: false,
+            message: "Too many requests, please try again later",
+        },
+    });
+};
+
+module.exports = createLimiter({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit per IP
-    message: {
-        success: false,
-        message: "Too many requests, please try again later",
-    },
-});
\ No newline at end of file
+});
+
+// stricter per-user limit for endpoints that send email
+module.exports.emailLimiter = createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3,
+    keyGenerator: (req) => `user:${req.user.id}`,
+});
+
+// per-address limit so one inbox can't be flooded with sign-in links
+module.exports.magicLinkLimiter = createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    keyGenerator: (req) => `email:${String(req.body.email).trim().toLowerCase()}`,
+});
+
+module.exports.createLimiter = createLimiter;
\ No newline at end of file
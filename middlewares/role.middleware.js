@@ -1,11 +0,0 @@
-const { ForbiddenError } = require("../shared/errors");
-
-module.exports = (...roles) => {
-    return (req, res, next) => {
-        if (!roles.includes(req.user.role)) {
-            return next(new ForbiddenError("Access denied"));
-        }
-
-        next();
-    };
-};
\ No newline at end of file
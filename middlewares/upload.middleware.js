@@ -0,0 +1,39 @@
+const path = require("path");
+const multer = require("multer");
+const { BadRequestError } = require("../shared/errors");
+
+/**
+ * Accepts one in-memory file in `field` (available as req.file), e.g.
+ * singleFile("file", { extensions: [".csv"], maxBytes: 10 * 1024 * 1024 }).
+ */
+exports.singleFile = (field, { extensions, maxBytes }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 },
+        fileFilter: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+
+            if (!extensions.includes(extension)) {
+                return cb(new BadRequestError(`Expected a ${extensions.join(" or ")} file`));
+            }
+
+            cb(null, true);
+        },
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                return next(new BadRequestError(err.message));
+            }
+
+            if (err) return next(err);
+
+            if (!req.file) {
+                return next(new BadRequestError(`Upload a file in the "${field}" field`));
+            }
+
+            next();
+        });
+    };
+};
@@ -1,4 +1,5 @@
-module.exports = (schema) => {
+// checks the body (or the query when there is none), or `source` when given, e.g. "params"
+module.exports = (schema, source) => {
     return (req, res, next) => {
         const data = {
             body: req.body,
@@ -6,7 +7,7 @@ module.exports = (schema) => {
             params: req.params,
         };
 
-        const { error } = schema.validate(data.body || data.query, {
+        const { error } = schema.validate(source ? data[source] : data.body || data.query, {
             abortEarly: false,
         });
 
@@ -0,0 +1,56 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("refresh_tokens", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      tokenHash: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false,
+      },
+
+      family: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      replacedById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("refresh_tokens", ["family"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("refresh_tokens");
+  },
+};
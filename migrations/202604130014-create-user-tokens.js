@@ -0,0 +1,49 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("user_tokens", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      tokenHash: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false,
+      },
+
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+
+      usedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("user_tokens");
+  },
+};
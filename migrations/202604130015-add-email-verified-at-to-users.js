@@ -0,0 +1,17 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("users", "emailVerifiedAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    // accounts created before verification existed are trusted as-is
+    await queryInterface.sequelize.query(
+      'UPDATE users SET "emailVerifiedAt" = "createdAt"',
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("users", "emailVerifiedAt");
+  },
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("users", "twoFactorSecret", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("users", "twoFactorEnabledAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("users", "twoFactorRecoveryCodes", {
+      type: Sequelize.JSON,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("users", "twoFactorLastStep", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("users", "twoFactorLastStep");
+    await queryInterface.removeColumn("users", "twoFactorRecoveryCodes");
+    await queryInterface.removeColumn("users", "twoFactorEnabledAt");
+    await queryInterface.removeColumn("users", "twoFactorSecret");
+  },
+};
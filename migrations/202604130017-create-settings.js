@@ -0,0 +1,29 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("settings", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      key: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false,
+      },
+
+      value: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("settings");
+  },
+};
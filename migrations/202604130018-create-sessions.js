@@ -0,0 +1,52 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("sessions", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+      },
+
+      device: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      userAgent: {
+        type: Sequelize.STRING(512),
+        allowNull: true,
+      },
+
+      ip: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      lastSeenAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("sessions");
+  },
+};
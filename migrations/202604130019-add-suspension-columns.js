@@ -0,0 +1,41 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("users", "suspendedAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("users", "suspendedUntil", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("users", "suspensionReason", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    for (const table of ["orders", "reviews"]) {
+      await queryInterface.addColumn(table, "flaggedAt", {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+
+      await queryInterface.addColumn(table, "flagReason", {
+        type: Sequelize.STRING,
+        allowNull: true,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of ["orders", "reviews"]) {
+      await queryInterface.removeColumn(table, "flagReason");
+      await queryInterface.removeColumn(table, "flaggedAt");
+    }
+
+    await queryInterface.removeColumn("users", "suspensionReason");
+    await queryInterface.removeColumn("users", "suspendedUntil");
+    await queryInterface.removeColumn("users", "suspendedAt");
+  },
+};
@@ -0,0 +1,58 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("user_identities", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      subject: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("user_identities", ["provider", "subject"], {
+      unique: true,
+    });
+
+    // accounts created through a provider have no password until they set one
+    await queryInterface.changeColumn("users", "password", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn("users", "password", {
+      type: Sequelize.STRING,
+      allowNull: false,
+    });
+
+    await queryInterface.dropTable("user_identities");
+  },
+};
@@ -0,0 +1,65 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("api_keys", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      prefix: {
+        type: Sequelize.STRING(16),
+        unique: true,
+        allowNull: false,
+      },
+
+      keyHash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      scopes: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("api_keys");
+  },
+};
@@ -0,0 +1,176 @@
+// default grants; "admin" gets every permission so existing routes behave as before
+const PERMISSIONS = {
+  "dashboard:read": "View the admin dashboard",
+  "users:read": "List and view customer accounts",
+  "users:manage": "Ban, unban, unlock and delete accounts",
+  "roles:manage": "Manage roles and role assignments",
+  "catalog:write": "Create, edit and feature books and categories",
+  "orders:read": "View all orders",
+  "orders:update": "Change order status",
+  "reviews:moderate": "Review flagged content and delete reviews",
+  "coupons:manage": "Create and list coupons",
+  "settings:manage": "Change security settings",
+  "api-keys:manage": "Issue and revoke partner API keys",
+};
+
+const ROLES = [
+  { name: "admin", description: "Full access", isSystem: true, permissions: Object.keys(PERMISSIONS) },
+  { name: "user", description: "Customer", isSystem: true, permissions: [] },
+  {
+    name: "inventory_manager",
+    description: "Maintains the catalog",
+    isSystem: false,
+    permissions: ["dashboard:read", "catalog:write", "orders:read"],
+  },
+  {
+    name: "support_agent",
+    description: "Handles customer accounts and orders",
+    isSystem: false,
+    permissions: ["users:read", "orders:read", "orders:update", "reviews:moderate"],
+  },
+  {
+    name: "content_editor",
+    description: "Edits book content and moderates reviews",
+    isSystem: false,
+    permissions: ["catalog:write", "reviews:moderate"],
+  },
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("roles", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      name: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false,
+      },
+
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      isSystem: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.createTable("permissions", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      name: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false,
+      },
+
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.createTable("role_permissions", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      roleId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "roles",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      permissionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "permissions",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("role_permissions", ["roleId", "permissionId"], {
+      unique: true,
+    });
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert(
+      "permissions",
+      Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description,
+        createdAt: now,
+        updatedAt: now,
+      })),
+    );
+
+    await queryInterface.bulkInsert(
+      "roles",
+      ROLES.map(({ name, description, isSystem }) => ({
+        name,
+        description,
+        isSystem,
+        createdAt: now,
+        updatedAt: now,
+      })),
+    );
+
+    const select = { type: Sequelize.QueryTypes.SELECT };
+    const roles = await queryInterface.sequelize.query("SELECT id, name FROM roles", select);
+    const permissions = await queryInterface.sequelize.query(
+      "SELECT id, name FROM permissions",
+      select,
+    );
+
+    const roleIds = Object.fromEntries(roles.map((r) => [r.name, r.id]));
+    const permissionIds = Object.fromEntries(permissions.map((p) => [p.name, p.id]));
+
+    const grants = ROLES.flatMap((role) =>
+      role.permissions.map((permission) => ({
+        roleId: roleIds[role.name],
+        permissionId: permissionIds[permission],
+        createdAt: now,
+        updatedAt: now,
+      })),
+    );
+
+    await queryInterface.bulkInsert("role_permissions", grants);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("role_permissions");
+    await queryInterface.dropTable("permissions");
+    await queryInterface.dropTable("roles");
+  },
+};
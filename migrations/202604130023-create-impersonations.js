@@ -0,0 +1,115 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("impersonations", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+      },
+
+      adminId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      ip: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+
+      endedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.createTable("impersonation_requests", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      impersonationId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "impersonations",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      method: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+      },
+
+      path: {
+        type: Sequelize.STRING(2048),
+        allowNull: false,
+      },
+
+      statusCode: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("impersonation_requests", ["impersonationId"]);
+
+    // only admins may impersonate; other roles can be granted it explicitly
+    const now = new Date();
+
+    await queryInterface.bulkInsert("permissions", [
+      {
+        name: "users:impersonate",
+        description: "Sign in as a customer for support",
+        createdAt: now,
+        updatedAt: now,
+      },
+    ]);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO role_permissions ("roleId", "permissionId", "createdAt", "updatedAt")
+      SELECT r.id, p.id, NOW(), NOW()
+      FROM roles r, permissions p
+      WHERE r.name = 'admin' AND p.name = 'users:impersonate'
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete("permissions", { name: "users:impersonate" });
+    await queryInterface.dropTable("impersonation_requests");
+    await queryInterface.dropTable("impersonations");
+  },
+};
@@ -0,0 +1,65 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "isbn13", {
+      type: Sequelize.STRING(13),
+      allowNull: true,
+      unique: true,
+    });
+
+    await queryInterface.addColumn("books", "isbn10", {
+      type: Sequelize.STRING(10),
+      allowNull: true,
+      unique: true,
+    });
+
+    await queryInterface.addColumn("books", "publisher", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("books", "publicationDate", {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("books", "language", {
+      type: Sequelize.STRING(8),
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("books", "pageCount", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("books", "format", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    for (const column of ["heightMm", "widthMm", "depthMm", "weightGrams"]) {
+      await queryInterface.addColumn("books", column, {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const column of [
+      "weightGrams",
+      "depthMm",
+      "widthMm",
+      "heightMm",
+      "format",
+      "pageCount",
+      "language",
+      "publicationDate",
+      "publisher",
+      "isbn10",
+      "isbn13",
+    ]) {
+      await queryInterface.removeColumn("books", column);
+    }
+  },
+};
@@ -0,0 +1,96 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("catalog_imports", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      fileName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "queued",
+      },
+
+      dryRun: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      totalRows: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      processedRows: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      createdCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      updatedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      failedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      errors: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      errorMessage: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+
+      createdById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+      },
+
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      finishedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("catalog_imports");
+  },
+};
@@ -0,0 +1,50 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "coverImageUrl", {
+      type: Sequelize.STRING(2048),
+      allowNull: true,
+    });
+
+    // which feed record last updated the book, so older feeds can't overwrite newer ones
+    await queryInterface.addColumn("books", "sourceRecordReference", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("books", "sourceUpdatedAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("catalog_imports", "format", {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "csv",
+    });
+
+    await queryInterface.addColumn("catalog_imports", "feedRelease", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("catalog_imports", "feedSender", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("catalog_imports", "feedSentAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    for (const column of ["feedSentAt", "feedSender", "feedRelease", "format"]) {
+      await queryInterface.removeColumn("catalog_imports", column);
+    }
+
+    for (const column of ["sourceUpdatedAt", "sourceRecordReference", "coverImageUrl"]) {
+      await queryInterface.removeColumn("books", column);
+    }
+  },
+};
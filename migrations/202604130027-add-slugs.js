@@ -0,0 +1,63 @@
+// existing rows get "<title>-<id>", which is unique without any lookups
+const backfill = (table, column) => `
+  UPDATE ${table}
+  SET slug = COALESCE(
+    NULLIF(TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(LEFT("${column}", 90)), '[^a-z0-9]+', '-', 'g')), ''),
+    '${table === "books" ? "book" : "category"}'
+  ) || '-' || id
+`;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, column] of [["books", "title"], ["categories", "name"]]) {
+      await queryInterface.addColumn(table, "slug", {
+        type: Sequelize.STRING,
+        allowNull: true,
+      });
+
+      await queryInterface.sequelize.query(backfill(table, column));
+
+      await queryInterface.changeColumn(table, "slug", {
+        type: Sequelize.STRING,
+        allowNull: false,
+      });
+
+      await queryInterface.addIndex(table, ["slug"], { unique: true });
+    }
+
+    // slugs an entity used before, so old links can be sent to the current one
+    await queryInterface.createTable("slug_redirects", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      entityType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      entityId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+
+      slug: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      createdAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("slug_redirects", ["entityType", "slug"], { unique: true });
+    await queryInterface.addIndex("slug_redirects", ["entityType", "entityId"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("slug_redirects");
+    await queryInterface.removeColumn("categories", "slug");
+    await queryInterface.removeColumn("books", "slug");
+  },
+};
@@ -0,0 +1,223 @@
+// columns that move from the work (books) to its editions
+const EDITION_COLUMNS = [
+  "isbn13",
+  "isbn10",
+  "publisher",
+  "publicationDate",
+  "pageCount",
+  "heightMm",
+  "widthMm",
+  "depthMm",
+  "weightGrams",
+  "sourceRecordReference",
+  "sourceUpdatedAt",
+];
+
+const quoted = (columns) => columns.map((column) => `"${column}"`).join(", ");
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("editions", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "books",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      format: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      price: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+      },
+
+      stock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      isbn13: {
+        type: Sequelize.STRING(13),
+        allowNull: true,
+        unique: true,
+      },
+
+      isbn10: {
+        type: Sequelize.STRING(10),
+        allowNull: true,
+        unique: true,
+      },
+
+      publisher: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      publicationDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      },
+
+      pageCount: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+
+      heightMm: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+
+      widthMm: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+
+      depthMm: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+
+      weightGrams: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+
+      sourceRecordReference: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      sourceUpdatedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("editions", ["bookId"]);
+
+    // every existing book becomes a work with one edition; books without a
+    // format were sold as print, so they become paperbacks
+    await queryInterface.sequelize.query(`
+      INSERT INTO editions ("bookId", format, price, stock, ${quoted(EDITION_COLUMNS)}, "createdAt", "updatedAt")
+      SELECT id, COALESCE(format, 'paperback'), COALESCE(price, 0), COALESCE(stock, 0),
+        ${quoted(EDITION_COLUMNS)}, "createdAt", "updatedAt"
+      FROM books
+    `);
+
+    // cart lines point at the edition being bought
+    await queryInterface.addColumn("cart_items", "editionId", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: "editions",
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    });
+
+    await queryInterface.sequelize.query(`
+      UPDATE cart_items SET "editionId" = e.id FROM editions e WHERE e."bookId" = cart_items."bookId"
+    `);
+
+    await queryInterface.changeColumn("cart_items", "editionId", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    });
+
+    await queryInterface.removeColumn("cart_items", "bookId");
+
+    // order lines keep the book and record the edition; removing an edition
+    // must not touch order history
+    await queryInterface.addColumn("order_items", "editionId", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: "editions",
+        key: "id",
+      },
+      onDelete: "SET NULL",
+    });
+
+    await queryInterface.sequelize.query(`
+      UPDATE order_items SET "editionId" = e.id FROM editions e WHERE e."bookId" = order_items."bookId"
+    `);
+
+    for (const column of [...EDITION_COLUMNS, "format", "price", "stock"]) {
+      await queryInterface.removeColumn("books", column);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const columns = {
+      isbn13: { type: Sequelize.STRING(13), unique: true },
+      isbn10: { type: Sequelize.STRING(10), unique: true },
+      publisher: { type: Sequelize.STRING },
+      publicationDate: { type: Sequelize.DATEONLY },
+      pageCount: { type: Sequelize.INTEGER },
+      heightMm: { type: Sequelize.INTEGER },
+      widthMm: { type: Sequelize.INTEGER },
+      depthMm: { type: Sequelize.INTEGER },
+      weightGrams: { type: Sequelize.INTEGER },
+      sourceRecordReference: { type: Sequelize.STRING },
+      sourceUpdatedAt: { type: Sequelize.DATE },
+      format: { type: Sequelize.STRING },
+      price: { type: Sequelize.FLOAT },
+      stock: { type: Sequelize.INTEGER },
+    };
+
+    for (const [column, definition] of Object.entries(columns)) {
+      await queryInterface.addColumn("books", column, { ...definition, allowNull: true });
+    }
+
+    // the first edition of each book wins
+    const moved = [...EDITION_COLUMNS, "format", "price", "stock"];
+    await queryInterface.sequelize.query(`
+      UPDATE books SET ${moved.map((column) => `"${column}" = e."${column}"`).join(", ")}
+      FROM (
+        SELECT DISTINCT ON ("bookId") * FROM editions ORDER BY "bookId", id
+      ) e
+      WHERE e."bookId" = books.id
+    `);
+
+    await queryInterface.addColumn("cart_items", "bookId", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: "books",
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    });
+
+    await queryInterface.sequelize.query(`
+      UPDATE cart_items SET "bookId" = e."bookId" FROM editions e WHERE e.id = cart_items."editionId"
+    `);
+
+    await queryInterface.changeColumn("cart_items", "bookId", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    });
+
+    await queryInterface.removeColumn("cart_items", "editionId");
+    await queryInterface.removeColumn("order_items", "editionId");
+    await queryInterface.dropTable("editions");
+  },
+};
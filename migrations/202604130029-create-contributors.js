@@ -0,0 +1,139 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("contributors", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      slug: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+
+      nameKey: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      bio: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("contributors", ["nameKey"]);
+
+    await queryInterface.createTable("book_contributors", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "books",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      contributorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "contributors",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      role: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("book_contributors", ["bookId", "contributorId", "role"], {
+      unique: true,
+    });
+    await queryInterface.addIndex("book_contributors", ["contributorId"]);
+
+    // every distinct author string becomes one contributor; spelling variants
+    // that only differ in case, spacing or punctuation are merged
+    const names = `
+      SELECT id AS "bookId", TRIM(author) AS name,
+        LOWER(REGEXP_REPLACE(author, '[^a-zA-Z0-9]', '', 'g')) AS key
+      FROM books
+      WHERE author IS NOT NULL AND REGEXP_REPLACE(author, '[^a-zA-Z0-9]', '', 'g') <> ''
+    `;
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO contributors (name, "nameKey", slug, "createdAt", "updatedAt")
+      SELECT DISTINCT ON (key) name, key, 'pending-' || key, NOW(), NOW()
+      FROM (${names}) n
+      ORDER BY key, "bookId"
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE contributors
+      SET slug = COALESCE(
+        NULLIF(TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(LEFT(name, 90)), '[^a-z0-9]+', '-', 'g')), ''),
+        'contributor'
+      ) || '-' || id
+    `);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO book_contributors ("bookId", "contributorId", role, position, "createdAt", "updatedAt")
+      SELECT n."bookId", c.id, 'author', 0, NOW(), NOW()
+      FROM (${names}) n
+      JOIN contributors c ON c."nameKey" = n.key
+    `);
+
+    await queryInterface.removeColumn("books", "author");
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "author", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.sequelize.query(`
+      UPDATE books SET author = a.names
+      FROM (
+        SELECT bc."bookId", STRING_AGG(c.name, ', ' ORDER BY bc.position) AS names
+        FROM book_contributors bc
+        JOIN contributors c ON c.id = bc."contributorId"
+        WHERE bc.role = 'author'
+        GROUP BY bc."bookId"
+      ) a
+      WHERE a."bookId" = books.id
+    `);
+
+    await queryInterface.dropTable("book_contributors");
+    await queryInterface.dropTable("contributors");
+  },
+};
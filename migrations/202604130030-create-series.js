@@ -0,0 +1,70 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("series", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.createTable("series_entries", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      seriesId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "series",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "books",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      position: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: false,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    // a book appears once per series, and two books can't share a place
+    await queryInterface.addIndex("series_entries", ["seriesId", "bookId"], { unique: true });
+    await queryInterface.addIndex("series_entries", ["seriesId", "position"], { unique: true });
+    await queryInterface.addIndex("series_entries", ["bookId"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("series_entries");
+    await queryInterface.dropTable("series");
+  },
+};
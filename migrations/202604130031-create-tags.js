@@ -0,0 +1,72 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("tags", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      slug: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+
+      // genre, theme, audience, award
+      group: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("tags", ["group", "name"], { unique: true });
+
+    await queryInterface.createTable("book_tags", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "books",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      tagId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "tags",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("book_tags", ["bookId", "tagId"], { unique: true });
+    await queryInterface.addIndex("book_tags", ["tagId"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("book_tags");
+    await queryInterface.dropTable("tags");
+  },
+};
@@ -0,0 +1,132 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("collections", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      slug: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+
+      heroTitle: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      heroText: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+
+      heroImageUrl: {
+        type: Sequelize.STRING(2048),
+        allowNull: true,
+      },
+
+      startsAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      endsAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      // manual, rule
+      membership: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "manual",
+      },
+
+      // { tags, category, minPrice, maxPrice } for rule-based collections
+      rules: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+
+      maxBooks: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.createTable("collection_books", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      collectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "collections",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "books",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("collection_books", ["collectionId", "bookId"], {
+      unique: true,
+    });
+    await queryInterface.addIndex("collection_books", ["collectionId", "position"]);
+
+    // the old single "featured" bucket becomes a regular manual collection
+    const now = new Date();
+
+    await queryInterface.bulkInsert("collections", [{
+      name: "Featured",
+      slug: "featured",
+      membership: "manual",
+      position: 0,
+      createdAt: now,
+      updatedAt: now,
+    }, ]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("collection_books");
+    await queryInterface.dropTable("collections");
+  },
+};
@@ -0,0 +1,19 @@
+// books, categories, reviews and users are soft-deleted (paranoid) from here on
+const TABLES = ["books", "categories", "reviews", "users"];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, "deletedAt", {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, "deletedAt");
+    }
+  },
+};
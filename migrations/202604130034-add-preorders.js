@@ -0,0 +1,66 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "releaseDate", {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("books", "preorderEnabled", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+
+    await queryInterface.addColumn("books", "preorderCap", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("orders", "paidAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    // order, release; null for regular orders
+    await queryInterface.addColumn("orders", "chargeAt", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("orders", "releasedAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    // card saved for orders charged at release
+    await queryInterface.addColumn("orders", "stripeCustomerId", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("orders", "stripePaymentMethodId", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex("orders", ["status"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("orders", ["status"]);
+
+    for (const column of [
+        "stripePaymentMethodId",
+        "stripeCustomerId",
+        "releasedAt",
+        "chargeAt",
+        "paidAt",
+      ]) {
+      await queryInterface.removeColumn("orders", column);
+    }
+
+    await queryInterface.removeColumn("books", "preorderCap");
+    await queryInterface.removeColumn("books", "preorderEnabled");
+    await queryInterface.removeColumn("books", "releaseDate");
+  },
+};
@@ -0,0 +1,98 @@
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("editions", "fileKey", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn("editions", "fileName", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.createTable("entitlements", {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      orderItemId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: "order_items",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+
+      editionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "editions",
+          key: "id",
+        },
+      },
+
+      // books are only ever archived, so the library keeps working
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "books",
+          key: "id",
+        },
+      },
+
+      downloadLimit: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+
+      downloadCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      lastDownloadedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: Sequelize.DATE,
+      updatedAt: Sequelize.DATE,
+    });
+
+    await queryInterface.addIndex("entitlements", ["userId"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("entitlements");
+    await queryInterface.removeColumn("editions", "fileName");
+    await queryInterface.removeColumn("editions", "fileKey");
+  },
+};
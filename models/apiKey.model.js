@@ -0,0 +1,13 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("ApiKey", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: DataTypes.STRING, allowNull: false },
+        prefix: { type: DataTypes.STRING(16), unique: true, allowNull: false },
+        keyHash: { type: DataTypes.STRING, allowNull: false },
+        scopes: { type: DataTypes.JSON, defaultValue: [] },
+        expiresAt: DataTypes.DATE,
+        lastUsedAt: DataTypes.DATE,
+        revokedAt: DataTypes.DATE,
+        createdById: DataTypes.INTEGER,
+    });
+};
@@ -2,6 +2,16 @@ module.exports = (db) => {
     const {
         User,
         Book,
+        Edition,
+        Contributor,
+        BookContributor,
+        Series,
+        SeriesEntry,
+        Tag,
+        BookTag,
+        Collection,
+        CollectionBook,
+        Entitlement,
         Category,
         Cart,
         CartItem,
@@ -12,6 +22,17 @@ module.exports = (db) => {
         Wishlist,
         Coupon,
         Notification,
+        RefreshToken,
+        UserToken,
+        Session,
+        UserIdentity,
+        ApiKey,
+        Role,
+        Permission,
+        RolePermission,
+        Impersonation,
+        ImpersonationRequest,
+        CatalogImport,
     } = db;
 
     // USER
@@ -20,17 +41,62 @@ module.exports = (db) => {
     User.hasMany(Review);
     User.hasMany(Wishlist);
     User.hasMany(Notification);
+    User.hasMany(RefreshToken);
+    User.hasMany(UserToken);
+    User.hasMany(Session);
+    User.hasMany(UserIdentity);
 
     // CATEGORY
     Category.hasMany(Book);
     Book.belongsTo(Category);
 
+    // EDITION (hardcover, paperback, ... of a book; what carts and orders hold)
+    Book.hasMany(Edition, { foreignKey: "bookId" });
+    Edition.belongsTo(Book, { foreignKey: "bookId" });
+
+    // CONTRIBUTOR (authors, translators, ...); one credit row per person and role
+    Book.hasMany(BookContributor, { foreignKey: "bookId" });
+    BookContributor.belongsTo(Book, { foreignKey: "bookId" });
+    Contributor.hasMany(BookContributor, { foreignKey: "contributorId" });
+    BookContributor.belongsTo(Contributor, { foreignKey: "contributorId" });
+
+    // SERIES (ordered; a book can sit in more than one series)
+    Series.hasMany(SeriesEntry, { foreignKey: "seriesId" });
+    SeriesEntry.belongsTo(Series, { foreignKey: "seriesId" });
+    Book.hasMany(SeriesEntry, { foreignKey: "bookId" });
+    SeriesEntry.belongsTo(Book, { foreignKey: "bookId" });
+
+    // TAG (genres, themes, ... on top of the single category)
+    Book.belongsToMany(Tag, {
+        through: BookTag,
+        foreignKey: "bookId",
+        otherKey: "tagId",
+    });
+    Tag.belongsToMany(Book, {
+        through: BookTag,
+        foreignKey: "tagId",
+        otherKey: "bookId",
+    });
+
+    // COLLECTION (merchandising lists; manual ones keep their books in order)
+    Collection.hasMany(CollectionBook, { foreignKey: "collectionId" });
+    CollectionBook.belongsTo(Collection, { foreignKey: "collectionId" });
+    Book.hasMany(CollectionBook, { foreignKey: "bookId" });
+    CollectionBook.belongsTo(Book, { foreignKey: "bookId" });
+
+    // ENTITLEMENT (ebooks a user bought; their library)
+    User.hasMany(Entitlement, { foreignKey: "userId" });
+    Entitlement.belongsTo(User, { foreignKey: "userId" });
+    Entitlement.belongsTo(Order, { foreignKey: "orderId" });
+    Entitlement.belongsTo(Edition, { foreignKey: "editionId" });
+    Entitlement.belongsTo(Book, { foreignKey: "bookId" });
+
     // CART
     Cart.belongsTo(User);
     Cart.hasMany(CartItem);
 
     CartItem.belongsTo(Cart);
-    CartItem.belongsTo(Book);
+    CartItem.belongsTo(Edition);
 
     // ORDER
     Order.belongsTo(User);
@@ -38,6 +104,7 @@ module.exports = (db) => {
 
     OrderItem.belongsTo(Order);
     OrderItem.belongsTo(Book);
+    OrderItem.belongsTo(Edition);
 
     // PAYMENT
     Payment.belongsTo(Order);
@@ -55,4 +122,42 @@ module.exports = (db) => {
 
     // NOTIFICATION
     Notification.belongsTo(User);
+
+    // REFRESH TOKEN
+    RefreshToken.belongsTo(User);
+
+    // USER TOKEN (password reset, ...)
+    UserToken.belongsTo(User);
+
+    // SESSION
+    Session.belongsTo(User);
+
+    // USER IDENTITY (social login)
+    UserIdentity.belongsTo(User);
+
+    // API KEY
+    ApiKey.belongsTo(User, { as: "createdBy", foreignKey: "createdById" });
+
+    // ROLE / PERMISSION (users reference a role by its name)
+    Role.belongsToMany(Permission, {
+        through: RolePermission,
+        foreignKey: "roleId",
+        otherKey: "permissionId",
+    });
+    Permission.belongsToMany(Role, {
+        through: RolePermission,
+        foreignKey: "permissionId",
+        otherKey: "roleId",
+    });
+
+    // IMPERSONATION (support staff acting as a customer)
+    Impersonation.belongsTo(User, { as: "admin", foreignKey: "adminId" });
+    Impersonation.belongsTo(User, { as: "user", foreignKey: "userId" });
+    Impersonation.hasMany(ImpersonationRequest, {
+        as: "requests",
+        foreignKey: "impersonationId",
+    });
+
+    // CATALOG IMPORT (CSV / ONIX)
+    CatalogImport.belongsTo(User, { as: "createdBy", foreignKey: "createdById" });
 };
\ No newline at end of file
@@ -2,9 +2,21 @@ module.exports = (sequelize, DataTypes) => {
     return sequelize.define("Book", {
         id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
         title: DataTypes.STRING,
-        author: DataTypes.STRING,
-        price: DataTypes.FLOAT,
+        // kept when the title changes; see SlugRedirect for former slugs
+        slug: { type: DataTypes.STRING, allowNull: false, unique: true },
         description: DataTypes.TEXT,
-        stock: DataTypes.INTEGER,
+
+        // the work; format, price, stock and ISBNs live on its editions,
+        // authors and other credits in BookContributor
+        language: DataTypes.STRING(8),
+        coverImageUrl: DataTypes.STRING(2048),
+
+        // announced titles can be pre-ordered until releaseDate
+        releaseDate: DataTypes.DATEONLY,
+        preorderEnabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+        preorderCap: DataTypes.INTEGER,
+    }, {
+        // archived books keep resolving in order history; see deletedAt
+        paranoid: true,
     });
-};
\ No newline at end of file
+};
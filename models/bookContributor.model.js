@@ -0,0 +1,10 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("BookContributor", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        bookId: { type: DataTypes.INTEGER, allowNull: false },
+        contributorId: { type: DataTypes.INTEGER, allowNull: false },
+        role: { type: DataTypes.STRING, allowNull: false },
+        // credit order on the cover
+        position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    });
+};
@@ -0,0 +1,9 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("BookTag", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        bookId: { type: DataTypes.INTEGER, allowNull: false },
+        tagId: { type: DataTypes.INTEGER, allowNull: false },
+    }, {
+        indexes: [{ unique: true, fields: ["bookId", "tagId"] }],
+    });
+};
@@ -0,0 +1,24 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("CatalogImport", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        fileName: DataTypes.STRING,
+        format: { type: DataTypes.STRING, defaultValue: "csv" },
+        status: { type: DataTypes.STRING, defaultValue: "queued" },
+        dryRun: { type: DataTypes.BOOLEAN, defaultValue: false },
+        totalRows: { type: DataTypes.INTEGER, defaultValue: 0 },
+        processedRows: { type: DataTypes.INTEGER, defaultValue: 0 },
+        createdCount: { type: DataTypes.INTEGER, defaultValue: 0 },
+        updatedCount: { type: DataTypes.INTEGER, defaultValue: 0 },
+        failedCount: { type: DataTypes.INTEGER, defaultValue: 0 },
+        // [{ row, message }] where row is the 1-based line in the file
+        errors: { type: DataTypes.JSON, defaultValue: [] },
+        errorMessage: DataTypes.TEXT,
+        // ONIX message header
+        feedRelease: DataTypes.STRING,
+        feedSender: DataTypes.STRING,
+        feedSentAt: DataTypes.DATE,
+        createdById: DataTypes.INTEGER,
+        startedAt: DataTypes.DATE,
+        finishedAt: DataTypes.DATE,
+    });
+};
@@ -2,5 +2,8 @@ module.exports = (sequelize, DataTypes) => {
     return sequelize.define("Category", {
         id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
         name: DataTypes.STRING,
+        slug: { type: DataTypes.STRING, allowNull: false, unique: true },
+    }, {
+        paranoid: true,
     });
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Collection", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: DataTypes.STRING, allowNull: false },
+        slug: { type: DataTypes.STRING, allowNull: false, unique: true },
+        heroTitle: DataTypes.STRING,
+        heroText: DataTypes.TEXT,
+        heroImageUrl: DataTypes.STRING(2048),
+        // shown publicly between these dates; null means open-ended
+        startsAt: DataTypes.DATE,
+        endsAt: DataTypes.DATE,
+        // "manual": hand-picked, ordered books; "rule": books matching `rules`
+        membership: { type: DataTypes.STRING, allowNull: false, defaultValue: "manual" },
+        rules: DataTypes.JSON,
+        maxBooks: DataTypes.INTEGER,
+        position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    });
+};
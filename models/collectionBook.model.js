@@ -0,0 +1,10 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("CollectionBook", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        collectionId: { type: DataTypes.INTEGER, allowNull: false },
+        bookId: { type: DataTypes.INTEGER, allowNull: false },
+        position: { type: DataTypes.INTEGER, allowNull: false },
+    }, {
+        indexes: [{ unique: true, fields: ["collectionId", "bookId"] }],
+    });
+};
@@ -0,0 +1,10 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Contributor", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: DataTypes.STRING, allowNull: false },
+        slug: { type: DataTypes.STRING, allowNull: false, unique: true },
+        // name without case, spacing or punctuation, so "J.K. Rowling" and "J. K. Rowling" match
+        nameKey: { type: DataTypes.STRING, allowNull: false },
+        bio: DataTypes.TEXT,
+    });
+};
@@ -0,0 +1,29 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Edition", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        bookId: { type: DataTypes.INTEGER, allowNull: false },
+        format: { type: DataTypes.STRING, allowNull: false },
+
+        // what the customer actually buys
+        price: { type: DataTypes.FLOAT, allowNull: false },
+        stock: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+
+        isbn13: { type: DataTypes.STRING(13), unique: true },
+        isbn10: { type: DataTypes.STRING(10), unique: true },
+        publisher: DataTypes.STRING,
+        publicationDate: DataTypes.DATEONLY,
+        pageCount: DataTypes.INTEGER,
+        heightMm: DataTypes.INTEGER,
+        widthMm: DataTypes.INTEGER,
+        depthMm: DataTypes.INTEGER,
+        weightGrams: DataTypes.INTEGER,
+
+        // last publisher feed record applied to this edition (ONIX imports)
+        sourceRecordReference: DataTypes.STRING,
+        sourceUpdatedAt: DataTypes.DATE,
+
+        // ebook file in storage (see storage.service), delivered watermarked
+        fileKey: DataTypes.STRING,
+        fileName: DataTypes.STRING,
+    });
+};
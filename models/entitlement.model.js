@@ -0,0 +1,15 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Entitlement", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        userId: { type: DataTypes.INTEGER, allowNull: false },
+        orderId: { type: DataTypes.INTEGER, allowNull: false },
+        // one entitlement per paid digital order line
+        orderItemId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+        editionId: { type: DataTypes.INTEGER, allowNull: false },
+        bookId: { type: DataTypes.INTEGER, allowNull: false },
+
+        downloadLimit: { type: DataTypes.INTEGER, allowNull: false },
+        downloadCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+        lastDownloadedAt: DataTypes.DATE,
+    });
+};
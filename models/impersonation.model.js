@@ -0,0 +1,16 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Impersonation", {
+        // doubles as the `sid` claim of the impersonation access token
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        adminId: { type: DataTypes.INTEGER, allowNull: false },
+        userId: { type: DataTypes.INTEGER, allowNull: false },
+        reason: DataTypes.STRING,
+        ip: DataTypes.STRING,
+        expiresAt: { type: DataTypes.DATE, allowNull: false },
+        endedAt: DataTypes.DATE,
+    });
+};
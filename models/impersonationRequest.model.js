@@ -0,0 +1,11 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("ImpersonationRequest", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        impersonationId: { type: DataTypes.UUID, allowNull: false },
+        method: { type: DataTypes.STRING(10), allowNull: false },
+        path: { type: DataTypes.STRING(2048), allowNull: false },
+        statusCode: DataTypes.INTEGER,
+    }, {
+        updatedAt: false,
+    });
+};
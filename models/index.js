@@ -17,6 +17,16 @@ db.sequelize = sequelize;
 // models
 db.User = require("./user.model")(sequelize, Sequelize);
 db.Book = require("./book.model")(sequelize, Sequelize);
+db.Edition = require("./edition.model")(sequelize, Sequelize);
+db.Contributor = require("./contributor.model")(sequelize, Sequelize);
+db.BookContributor = require("./bookContributor.model")(sequelize, Sequelize);
+db.Series = require("./series.model")(sequelize, Sequelize);
+db.SeriesEntry = require("./seriesEntry.model")(sequelize, Sequelize);
+db.Tag = require("./tag.model")(sequelize, Sequelize);
+db.BookTag = require("./bookTag.model")(sequelize, Sequelize);
+db.Collection = require("./collection.model")(sequelize, Sequelize);
+db.CollectionBook = require("./collectionBook.model")(sequelize, Sequelize);
+db.Entitlement = require("./entitlement.model")(sequelize, Sequelize);
 db.Category = require("./category.model")(sequelize, Sequelize);
 db.Cart = require("./cart.model")(sequelize, Sequelize);
 db.CartItem = require("./cartItem.model")(sequelize, Sequelize);
@@ -27,6 +37,19 @@ db.Review = require("./review.model")(sequelize, Sequelize);
 db.Wishlist = require("./wishlist.model")(sequelize, Sequelize);
 db.Coupon = require("./coupon.model")(sequelize, Sequelize);
 db.Notification = require("./notification.model")(sequelize, Sequelize);
+db.RefreshToken = require("./refreshToken.model")(sequelize, Sequelize);
+db.UserToken = require("./userToken.model")(sequelize, Sequelize);
+db.Setting = require("./setting.model")(sequelize, Sequelize);
+db.Session = require("./session.model")(sequelize, Sequelize);
+db.UserIdentity = require("./userIdentity.model")(sequelize, Sequelize);
+db.ApiKey = require("./apiKey.model")(sequelize, Sequelize);
+db.Role = require("./role.model")(sequelize, Sequelize);
+db.Permission = require("./permission.model")(sequelize, Sequelize);
+db.RolePermission = require("./rolePermission.model")(sequelize, Sequelize);
+db.Impersonation = require("./impersonation.model")(sequelize, Sequelize);
+db.ImpersonationRequest = require("./impersonationRequest.model")(sequelize, Sequelize);
+db.CatalogImport = require("./catalogImport.model")(sequelize, Sequelize);
+db.SlugRedirect = require("./slugRedirect.model")(sequelize, Sequelize);
 
 require("./associations")(db);
 
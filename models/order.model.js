@@ -3,5 +3,14 @@ module.exports = (sequelize, DataTypes) => {
         id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
         total: DataTypes.FLOAT,
         status: { type: DataTypes.STRING, defaultValue: "pending" },
+        flaggedAt: DataTypes.DATE,
+        flagReason: DataTypes.STRING,
+        paidAt: DataTypes.DATE,
+
+        // pre-orders only: when they are charged and when they were released
+        chargeAt: DataTypes.STRING,
+        releasedAt: DataTypes.DATE,
+        stripeCustomerId: DataTypes.STRING,
+        stripePaymentMethodId: DataTypes.STRING,
     });
 };
\ No newline at end of file
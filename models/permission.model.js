@@ -0,0 +1,7 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Permission", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: DataTypes.STRING, unique: true, allowNull: false },
+        description: DataTypes.STRING,
+    });
+};
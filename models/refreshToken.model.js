@@ -0,0 +1,12 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("RefreshToken", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        tokenHash: { type: DataTypes.STRING, unique: true, allowNull: false },
+        family: { type: DataTypes.UUID, allowNull: false },
+        expiresAt: { type: DataTypes.DATE, allowNull: false },
+        revokedAt: DataTypes.DATE,
+        replacedById: DataTypes.INTEGER,
+    }, {
+        indexes: [{ fields: ["family"] }],
+    });
+};
@@ -3,5 +3,9 @@ module.exports = (sequelize, DataTypes) => {
         id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
         rating: DataTypes.INTEGER,
         comment: DataTypes.TEXT,
+        flaggedAt: DataTypes.DATE,
+        flagReason: DataTypes.STRING,
+    }, {
+        paranoid: true,
     });
 };
\ No newline at end of file
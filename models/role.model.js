@@ -0,0 +1,8 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Role", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: DataTypes.STRING, unique: true, allowNull: false },
+        description: DataTypes.STRING,
+        isSystem: { type: DataTypes.BOOLEAN, defaultValue: false },
+    });
+};
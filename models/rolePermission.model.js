@@ -0,0 +1,9 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("RolePermission", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        roleId: { type: DataTypes.INTEGER, allowNull: false },
+        permissionId: { type: DataTypes.INTEGER, allowNull: false },
+    }, {
+        indexes: [{ unique: true, fields: ["roleId", "permissionId"] }],
+    });
+};
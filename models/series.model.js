@@ -0,0 +1,7 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Series", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: DataTypes.STRING, allowNull: false },
+        description: DataTypes.TEXT,
+    });
+};
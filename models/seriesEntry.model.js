@@ -0,0 +1,16 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("SeriesEntry", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        seriesId: { type: DataTypes.INTEGER, allowNull: false },
+        bookId: { type: DataTypes.INTEGER, allowNull: false },
+        // reading order; novellas between volumes get fractions like 2.5
+        position: { type: DataTypes.DECIMAL(6, 2), allowNull: false },
+    }, {
+        // a book appears once per series, and two books can't share a place
+        indexes: [
+            { unique: true, fields: ["seriesId", "bookId"] },
+            { unique: true, fields: ["seriesId", "position"] },
+            { fields: ["bookId"] },
+        ],
+    });
+};
@@ -0,0 +1,15 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Session", {
+        // doubles as the refresh-token family and the `sid` access-token claim
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        device: DataTypes.STRING,
+        userAgent: DataTypes.STRING(512),
+        ip: DataTypes.STRING,
+        lastSeenAt: DataTypes.DATE,
+        revokedAt: DataTypes.DATE,
+    });
+};
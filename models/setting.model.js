@@ -0,0 +1,7 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Setting", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        key: { type: DataTypes.STRING, unique: true, allowNull: false },
+        value: DataTypes.JSON,
+    });
+};
@@ -0,0 +1,12 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("SlugRedirect", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        entityType: { type: DataTypes.STRING, allowNull: false },
+        entityId: { type: DataTypes.INTEGER, allowNull: false },
+        slug: { type: DataTypes.STRING, allowNull: false },
+    }, {
+        updatedAt: false,
+        // a former slug points at one entity only
+        indexes: [{ unique: true, fields: ["entityType", "slug"] }],
+    });
+};
@@ -0,0 +1,10 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("Tag", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: DataTypes.STRING, allowNull: false },
+        slug: { type: DataTypes.STRING, allowNull: false, unique: true },
+        group: { type: DataTypes.STRING, allowNull: false },
+    }, {
+        indexes: [{ unique: true, fields: ["group", "name"] }],
+    });
+};
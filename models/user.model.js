@@ -5,5 +5,15 @@ module.exports = (sequelize, DataTypes) => {
         email: { type: DataTypes.STRING, unique: true },
         password: DataTypes.STRING,
         role: { type: DataTypes.STRING, defaultValue: "user" },
+        emailVerifiedAt: DataTypes.DATE,
+        twoFactorSecret: DataTypes.STRING,
+        twoFactorEnabledAt: DataTypes.DATE,
+        twoFactorRecoveryCodes: DataTypes.JSON,
+        twoFactorLastStep: DataTypes.INTEGER,
+        suspendedAt: DataTypes.DATE,
+        suspendedUntil: DataTypes.DATE,
+        suspensionReason: DataTypes.STRING,
+    }, {
+        paranoid: true,
     });
 };
\ No newline at end of file
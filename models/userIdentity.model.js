@@ -0,0 +1,10 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("UserIdentity", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        provider: { type: DataTypes.STRING, allowNull: false },
+        subject: { type: DataTypes.STRING, allowNull: false },
+        email: DataTypes.STRING,
+    }, {
+        indexes: [{ unique: true, fields: ["provider", "subject"] }],
+    });
+};
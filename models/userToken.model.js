@@ -0,0 +1,9 @@
+module.exports = (sequelize, DataTypes) => {
+    return sequelize.define("UserToken", {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        type: { type: DataTypes.STRING, allowNull: false },
+        tokenHash: { type: DataTypes.STRING, unique: true, allowNull: false },
+        expiresAt: { type: DataTypes.DATE, allowNull: false },
+        usedAt: DataTypes.DATE,
+    });
+};
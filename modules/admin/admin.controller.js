@@ -20,7 +20,29 @@ exports.getUsers = async(req, res, next) => {
 
 exports.banUser = async(req, res, next) => {
     try {
-        const result = await adminService.banUser(req.params.id);
+        const result = await adminService.banUser(
+            req.user.id,
+            req.params.id,
+            req.body,
+        );
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.unbanUser = async(req, res, next) => {
+    try {
+        const result = await adminService.unbanUser(req.params.id);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.unlockUser = async(req, res, next) => {
+    try {
+        const result = await adminService.unlockUser(req.params.id);
         res.json(result);
     } catch (err) {
         next(err);
@@ -36,6 +58,60 @@ exports.featureBook = async(req, res, next) => {
     }
 };
 
+exports.getCollections = async(req, res, next) => {
+    try {
+        const collections = await adminService.getCollections();
+        res.json(collections);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getCollection = async(req, res, next) => {
+    try {
+        const collection = await adminService.getCollection(req.params.id);
+        res.json(collection);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.createCollection = async(req, res, next) => {
+    try {
+        const collection = await adminService.createCollection(req.body);
+        res.status(201).json(collection);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.updateCollection = async(req, res, next) => {
+    try {
+        const collection = await adminService.updateCollection(req.params.id, req.body);
+        res.json(collection);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.deleteCollection = async(req, res, next) => {
+    try {
+        await adminService.deleteCollection(req.params.id);
+        res.json({ message: "Collection deleted" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.setCollectionBooks = async(req, res, next) => {
+    try {
+        const collection = await adminService.setCollectionBooks(req.params.id, req.body);
+        res.json(collection);
+    } catch (err) {
+        next(err);
+    }
+};
+
 exports.getAllOrders = async(req, res, next) => {
     try {
         const orders = await adminService.getAllOrders(req.query);
@@ -57,6 +133,24 @@ exports.updateOrderStatus = async(req, res, next) => {
     }
 };
 
+exports.getFlaggedOrders = async(req, res, next) => {
+    try {
+        const orders = await adminService.getFlaggedOrders();
+        res.json(orders);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getFlaggedReviews = async(req, res, next) => {
+    try {
+        const reviews = await adminService.getFlaggedReviews();
+        res.json(reviews);
+    } catch (err) {
+        next(err);
+    }
+};
+
 exports.deleteReview = async(req, res, next) => {
     try {
         await adminService.deleteReview(req.params.id);
@@ -64,4 +158,241 @@ exports.deleteReview = async(req, res, next) => {
     } catch (err) {
         next(err);
     }
-};
\ No newline at end of file
+};
+
+exports.getOrderSettings = async(req, res, next) => {
+    try {
+        const settings = await adminService.getOrderSettings();
+        res.json(settings);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.updateOrderSettings = async(req, res, next) => {
+    try {
+        const settings = await adminService.updateOrderSettings(req.body);
+        res.json(settings);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getSecuritySettings = async(req, res, next) => {
+    try {
+        const settings = await adminService.getSecuritySettings();
+        res.json(settings);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.updateSecuritySettings = async(req, res, next) => {
+    try {
+        const settings = await adminService.updateSecuritySettings(
+            req.user,
+            req.body,
+        );
+        res.json(settings);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getApiKeys = async(req, res, next) => {
+    try {
+        const keys = await adminService.getApiKeys();
+        res.json(keys);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.createApiKey = async(req, res, next) => {
+    try {
+        const key = await adminService.createApiKey(req.user.id, req.body);
+        res.status(201).json(key);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.revokeApiKey = async(req, res, next) => {
+    try {
+        await adminService.revokeApiKey(req.params.id);
+        res.json({ message: "API key revoked" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getPermissions = async(req, res, next) => {
+    try {
+        const permissions = await adminService.getPermissions();
+        res.json(permissions);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getRoles = async(req, res, next) => {
+    try {
+        const roles = await adminService.getRoles();
+        res.json(roles);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.createRole = async(req, res, next) => {
+    try {
+        const role = await adminService.createRole(req.body);
+        res.status(201).json(role);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.updateRole = async(req, res, next) => {
+    try {
+        const role = await adminService.updateRole(req.params.id, req.body);
+        res.json(role);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.deleteRole = async(req, res, next) => {
+    try {
+        await adminService.deleteRole(req.params.id);
+        res.json({ message: "Role deleted" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.assignRole = async(req, res, next) => {
+    try {
+        const user = await adminService.assignRole(
+            req.user.id,
+            req.params.id,
+            req.body.role,
+        );
+        res.json(user);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.impersonateUser = async(req, res, next) => {
+    try {
+        const result = await adminService.impersonateUser(
+            req.user.id,
+            req.params.id,
+            req.body,
+            { ip: req.ip },
+        );
+        res.status(201).json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getImpersonations = async(req, res, next) => {
+    try {
+        const impersonations = await adminService.getImpersonations(req.query);
+        res.json(impersonations);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getImpersonation = async(req, res, next) => {
+    try {
+        const impersonation = await adminService.getImpersonation(req.params.id);
+        res.json(impersonation);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.endImpersonation = async(req, res, next) => {
+    try {
+        await adminService.endImpersonation(req.params.id);
+        res.json({ message: "Impersonation ended" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getArchivedBooks = async(req, res, next) => {
+    try {
+        const result = await adminService.getArchivedBooks(req.query);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.restoreBook = async(req, res, next) => {
+    try {
+        const result = await adminService.restoreBook(req.params.id);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getArchivedCategories = async(req, res, next) => {
+    try {
+        const result = await adminService.getArchivedCategories(req.query);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.restoreCategory = async(req, res, next) => {
+    try {
+        const result = await adminService.restoreCategory(req.params.id);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getArchivedReviews = async(req, res, next) => {
+    try {
+        const result = await adminService.getArchivedReviews(req.query);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.restoreReview = async(req, res, next) => {
+    try {
+        const result = await adminService.restoreReview(req.params.id);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getArchivedUsers = async(req, res, next) => {
+    try {
+        const result = await adminService.getArchivedUsers(req.query);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.restoreUser = async(req, res, next) => {
+    try {
+        const result = await adminService.restoreUser(req.params.id);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
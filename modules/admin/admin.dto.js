@@ -3,4 +3,52 @@ exports.dashboardDTO = (data) => ({
     books: data.booksCount,
     orders: data.ordersCount,
     revenue: data.revenue,
+});
+
+exports.apiKeyDTO = (apiKey) => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt,
+});
+
+exports.roleDTO = (role) => ({
+    id: role.id,
+    name: role.name,
+    description: role.description,
+    isSystem: role.isSystem,
+    permissions: (role.Permissions || []).map((p) => p.name),
+});
+
+exports.permissionDTO = (permission) => ({
+    id: permission.id,
+    name: permission.name,
+    description: permission.description,
+});
+
+const personDTO = (user) => user && {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+};
+
+exports.impersonationDTO = (impersonation) => ({
+    id: impersonation.id,
+    admin: personDTO(impersonation.admin),
+    user: personDTO(impersonation.user),
+    reason: impersonation.reason,
+    ip: impersonation.ip,
+    startedAt: impersonation.createdAt,
+    expiresAt: impersonation.expiresAt,
+    endedAt: impersonation.endedAt,
+    requests: impersonation.requests && impersonation.requests.map((r) => ({
+        method: r.method,
+        path: r.path,
+        statusCode: r.statusCode,
+        at: r.createdAt,
+    })),
 });
\ No newline at end of file
@@ -1,28 +1,278 @@
 const express = require("express");
 const controller = require("./admin.controller");
 const auth = require("../../middlewares/auth.middleware");
-const role = require("../../middlewares/role.middleware");
+const validate = require("../../middlewares/validate.middleware");
+const apiAuth = require("../../middlewares/apiAuth.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const PERMISSIONS = require("../../shared/constants/permissions.constant");
+
+const {
+    securitySettingsSchema,
+    orderSettingsSchema,
+    banUserSchema,
+    createApiKeySchema,
+    createRoleSchema,
+    updateRoleSchema,
+    assignRoleSchema,
+    impersonateSchema,
+} = require("./admin.validators");
+const {
+    createCollectionSchema,
+    updateCollectionSchema,
+    collectionBooksSchema,
+} = require("../collections/collection.validators");
 
 const router = express.Router();
 
+// orders management (also open to partner API keys)
+router.get(
+    "/orders",
+    apiAuth,
+    requirePermission(PERMISSIONS.ORDERS_READ),
+    controller.getAllOrders,
+);
+router.patch(
+    "/orders/:id/status",
+    apiAuth,
+    requirePermission(PERMISSIONS.ORDERS_UPDATE),
+    controller.updateOrderStatus,
+);
+
 router.use(auth);
-router.use(role("admin"));
 
 // dashboard
-router.get("/dashboard", controller.getDashboard);
+router.get(
+    "/dashboard",
+    requirePermission(PERMISSIONS.DASHBOARD_READ),
+    controller.getDashboard,
+);
 
 // users management
-router.get("/users", controller.getUsers);
-router.patch("/users/:id/ban", controller.banUser);
+router.get(
+    "/users",
+    requirePermission(PERMISSIONS.USERS_READ),
+    controller.getUsers,
+);
+router.patch(
+    "/users/:id/ban",
+    requirePermission(PERMISSIONS.USERS_MANAGE),
+    validate(banUserSchema),
+    controller.banUser,
+);
+router.patch(
+    "/users/:id/unban",
+    requirePermission(PERMISSIONS.USERS_MANAGE),
+    controller.unbanUser,
+);
+router.post(
+    "/users/:id/unlock",
+    requirePermission(PERMISSIONS.USERS_MANAGE),
+    controller.unlockUser,
+);
+router.patch(
+    "/users/:id/role",
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    validate(assignRoleSchema),
+    controller.assignRole,
+);
+
+// support impersonation
+router.post(
+    "/users/:id/impersonate",
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    validate(impersonateSchema),
+    controller.impersonateUser,
+);
+router.get(
+    "/impersonations",
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    controller.getImpersonations,
+);
+router.get(
+    "/impersonations/:id",
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    controller.getImpersonation,
+);
+router.post(
+    "/impersonations/:id/end",
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    controller.endImpersonation,
+);
+
+// roles & permissions
+router.get(
+    "/permissions",
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    controller.getPermissions,
+);
+router.get(
+    "/roles",
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    controller.getRoles,
+);
+router.post(
+    "/roles",
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    validate(createRoleSchema),
+    controller.createRole,
+);
+router.put(
+    "/roles/:id",
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    validate(updateRoleSchema),
+    controller.updateRole,
+);
+router.delete(
+    "/roles/:id",
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    controller.deleteRole,
+);
 
 // books management
-router.post("/books/:id/feature", controller.featureBook);
+router.post(
+    "/books/:id/feature",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    controller.featureBook,
+);
+
+// curated collections
+router.get(
+    "/collections",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    controller.getCollections,
+);
+router.get(
+    "/collections/:id",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    controller.getCollection,
+);
+router.post(
+    "/collections",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    validate(createCollectionSchema),
+    controller.createCollection,
+);
+router.put(
+    "/collections/:id",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    validate(updateCollectionSchema),
+    controller.updateCollection,
+);
+router.delete(
+    "/collections/:id",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    controller.deleteCollection,
+);
+router.put(
+    "/collections/:id/books",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    validate(collectionBooksSchema),
+    controller.setCollectionBooks,
+);
 
-// orders management
-router.get("/orders", controller.getAllOrders);
-router.patch("/orders/:id/status", controller.updateOrderStatus);
+// orders moderation
+router.get(
+    "/orders/flagged",
+    requirePermission(PERMISSIONS.ORDERS_READ),
+    controller.getFlaggedOrders,
+);
 
 // reviews moderation
-router.delete("/reviews/:id", controller.deleteReview);
+router.get(
+    "/reviews/flagged",
+    requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+    controller.getFlaggedReviews,
+);
+router.delete(
+    "/reviews/:id",
+    requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+    controller.deleteReview,
+);
+
+// archive: list and restore soft-deleted rows
+router.get(
+    "/archive/books",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    controller.getArchivedBooks,
+);
+router.post(
+    "/archive/books/:id/restore",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    controller.restoreBook,
+);
+router.get(
+    "/archive/categories",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    controller.getArchivedCategories,
+);
+router.post(
+    "/archive/categories/:id/restore",
+    requirePermission(PERMISSIONS.CATALOG_WRITE),
+    controller.restoreCategory,
+);
+router.get(
+    "/archive/reviews",
+    requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+    controller.getArchivedReviews,
+);
+router.post(
+    "/archive/reviews/:id/restore",
+    requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+    controller.restoreReview,
+);
+router.get(
+    "/archive/users",
+    requirePermission(PERMISSIONS.USERS_MANAGE),
+    controller.getArchivedUsers,
+);
+router.post(
+    "/archive/users/:id/restore",
+    requirePermission(PERMISSIONS.USERS_MANAGE),
+    controller.restoreUser,
+);
+
+// order settings (when pre-orders are charged)
+router.get(
+    "/settings/orders",
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    controller.getOrderSettings,
+);
+router.put(
+    "/settings/orders",
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    validate(orderSettingsSchema),
+    controller.updateOrderSettings,
+);
+
+// security settings
+router.get(
+    "/settings/security",
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    controller.getSecuritySettings,
+);
+router.put(
+    "/settings/security",
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    validate(securitySettingsSchema),
+    controller.updateSecuritySettings,
+);
+
+// partner API keys
+router.get(
+    "/api-keys",
+    requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+    controller.getApiKeys,
+);
+router.post(
+    "/api-keys",
+    requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+    validate(createApiKeySchema),
+    controller.createApiKey,
+);
+router.delete(
+    "/api-keys/:id",
+    requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+    controller.revokeApiKey,
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -2,8 +2,50 @@ const userRepo = require("../users/user.repository");
 const bookRepo = require("../books/book.repository");
 const orderRepo = require("../orders/order.repository");
 const reviewRepo = require("../reviews/review.repository");
+const settingRepo = require("../settings/setting.repository");
+const sessionRepo = require("../sessions/session.repository");
+const apiKeyRepo = require("../api-keys/apiKey.repository");
+const roleRepo = require("../roles/role.repository");
+const roleService = require("../roles/role.service");
+const impersonationRepo = require("../impersonations/impersonation.repository");
+const collectionService = require("../collections/collection.service");
+const categoryRepo = require("../categories/category.repository");
+const attemptStore = require("../../shared/cache/attempt.store");
+const { CACHE_KEYS } = require("../../shared/cache/cache.keys");
+const {
+    normalizeLoginKey,
+    generateImpersonationToken,
+    IMPERSONATION_TTL_MINUTES,
+} = require("../auth/auth.utils");
 
-const { NotFoundError, BadRequestError } = require("../../shared/errors");
+const {
+    NotFoundError,
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+} = require("../../shared/errors");
+const {
+    REQUIRE_ADMIN_2FA,
+    PREORDER_CHARGE,
+} = require("../../shared/constants/settings.constant");
+const { AT_ORDER } = require("../../shared/constants/preorderCharge.constant");
+const { userDTO } = require("../users/user.dto");
+const {
+    apiKeyDTO,
+    roleDTO,
+    permissionDTO,
+    impersonationDTO,
+} = require("./admin.dto");
+const { generateApiKey } = require("../../shared/utils/apiKey.util");
+const { hash } = require("../../shared/utils/crypto.util");
+const { addMinutes } = require("../../shared/utils/date.util");
+const { getPagination } = require("../../shared/utils/pagination.util");
+const logger = require("../../shared/logger/logger");
+const { orderDTO } = require("../orders/order.dto");
+const { reviewDTO } = require("../reviews/review.dto");
+const { bookDTO } = require("../books/book.dto");
+const { categoryDTO } = require("../categories/category.dto");
+const { FEATURED_COLLECTION_SLUG } = require("../collections/collection.utils");
 
 exports.getDashboard = async() => {
     const usersCount = await userRepo.count();
@@ -24,18 +66,92 @@ exports.getUsers = async(query) => {
     return userRepo.findAll(query);
 };
 
-exports.banUser = async(userId) => {
+exports.banUser = async(adminId, userId, { reason, until }) => {
     const user = await userRepo.findById(userId);
     if (!user) throw new NotFoundError("User not found");
 
-    return userRepo.update(userId, { banned: true });
+    if (user.id === adminId) {
+        throw new BadRequestError("You can't suspend your own account");
+    }
+
+    const updated = await userRepo.update(userId, {
+        suspendedAt: new Date(),
+        suspendedUntil: until || null,
+        suspensionReason: reason,
+    });
+
+    // kills every refresh token and makes existing access tokens fail
+    await sessionRepo.revokeAllForUser(user.id);
+    await impersonationRepo.endAllForUser(user.id);
+
+    const flagReason = `User suspended: ${reason}`;
+    await orderRepo.flagPendingByUser(user.id, flagReason);
+    await reviewRepo.flagByUser(user.id, flagReason);
+
+    return userDTO(updated);
+};
+
+exports.unbanUser = async(userId) => {
+    const user = await userRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    const updated = await userRepo.update(userId, {
+        suspendedAt: null,
+        suspendedUntil: null,
+        suspensionReason: null,
+    });
+
+    return userDTO(updated);
+};
+
+exports.unlockUser = async(userId) => {
+    const user = await userRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    const key = normalizeLoginKey(user.email);
+
+    await attemptStore.del(
+        CACHE_KEYS.LOGIN_LOCK(key),
+        CACHE_KEYS.LOGIN_FAILURES_ACCOUNT(key),
+        CACHE_KEYS.LOGIN_DELAY(key),
+    );
+
+    return { message: "User unlocked" };
 };
 
+// kept for existing clients: adds the book to the "featured" collection
 exports.featureBook = async(bookId) => {
     const book = await bookRepo.findById(bookId);
     if (!book) throw new NotFoundError("Book not found");
 
-    return bookRepo.update(bookId, { featured: true });
+    return collectionService.addBook(FEATURED_COLLECTION_SLUG, book.id);
+};
+
+// =====================
+// COLLECTIONS
+// =====================
+exports.getCollections = async() => {
+    return collectionService.getAll();
+};
+
+exports.getCollection = async(id) => {
+    return collectionService.getById(id);
+};
+
+exports.createCollection = async(data) => {
+    return collectionService.create(data);
+};
+
+exports.updateCollection = async(id, data) => {
+    return collectionService.update(id, data);
+};
+
+exports.deleteCollection = async(id) => {
+    return collectionService.delete(id);
+};
+
+exports.setCollectionBooks = async(id, data) => {
+    return collectionService.setBooks(id, data);
 };
 
 exports.getAllOrders = async(query) => {
@@ -55,9 +171,320 @@ exports.updateOrderStatus = async(orderId, status) => {
     return order.update({ status });
 };
 
+exports.getFlaggedOrders = async() => {
+    const orders = await orderRepo.findFlagged();
+
+    return orders.map((order) => ({
+        ...orderDTO(order),
+        userId: order.userId,
+        flaggedAt: order.flaggedAt,
+        flagReason: order.flagReason,
+    }));
+};
+
+exports.getFlaggedReviews = async() => {
+    const reviews = await reviewRepo.findFlagged();
+
+    return reviews.map((review) => ({
+        ...reviewDTO(review),
+        bookId: review.bookId,
+        flaggedAt: review.flaggedAt,
+        flagReason: review.flagReason,
+    }));
+};
+
 exports.deleteReview = async(reviewId) => {
     const review = await reviewRepo.findById(reviewId);
     if (!review) throw new NotFoundError("Review not found");
 
     return reviewRepo.delete(reviewId);
-};
\ No newline at end of file
+};
+
+exports.getSecuritySettings = async() => {
+    return {
+        requireAdminTwoFactor: await settingRepo.get(REQUIRE_ADMIN_2FA, false),
+    };
+};
+
+exports.updateSecuritySettings = async(admin, { requireAdminTwoFactor }) => {
+    // don't let an admin lock themselves out of the dashboard
+    if (requireAdminTwoFactor && !admin.mfa) {
+        throw new BadRequestError(
+            "Sign in with two-factor authentication before requiring it for admins",
+        );
+    }
+
+    await settingRepo.set(REQUIRE_ADMIN_2FA, requireAdminTwoFactor);
+
+    return exports.getSecuritySettings();
+};
+
+// applies to pre-orders placed from now on; existing ones keep their setting
+exports.getOrderSettings = async() => {
+    return {
+        preorderCharge: await settingRepo.get(PREORDER_CHARGE, AT_ORDER),
+    };
+};
+
+exports.updateOrderSettings = async({ preorderCharge }) => {
+    await settingRepo.set(PREORDER_CHARGE, preorderCharge);
+
+    return exports.getOrderSettings();
+};
+
+exports.getApiKeys = async() => {
+    const keys = await apiKeyRepo.findAll();
+    return keys.map(apiKeyDTO);
+};
+
+exports.createApiKey = async(adminId, { name, scopes, expiresAt }) => {
+    const { key, prefix } = generateApiKey();
+
+    const apiKey = await apiKeyRepo.create({
+        name,
+        prefix,
+        keyHash: hash(key),
+        scopes,
+        expiresAt: expiresAt || null,
+        createdById: adminId,
+    });
+
+    // the full key is only ever returned here
+    return {
+        ...apiKeyDTO(apiKey),
+        key,
+    };
+};
+
+exports.revokeApiKey = async(id) => {
+    const apiKey = await apiKeyRepo.findById(id);
+    if (!apiKey) throw new NotFoundError("API key not found");
+
+    await apiKeyRepo.revoke(id);
+};
+
+// =====================
+// ROLES & PERMISSIONS
+// =====================
+const resolvePermissions = async(names) => {
+    const permissions = await roleRepo.findPermissionsByNames(names);
+
+    if (permissions.length !== names.length) {
+        throw new BadRequestError("Unknown permission");
+    }
+
+    return permissions;
+};
+
+exports.getPermissions = async() => {
+    const permissions = await roleRepo.findAllPermissions();
+    return permissions.map(permissionDTO);
+};
+
+exports.getRoles = async() => {
+    const roles = await roleRepo.findAll();
+    return roles.map(roleDTO);
+};
+
+exports.createRole = async({ name, description, permissions }) => {
+    if (await roleRepo.findByName(name)) {
+        throw new ConflictError("Role already exists");
+    }
+
+    const grants = await resolvePermissions(permissions);
+
+    const role = await roleRepo.create({ name, description });
+    await roleRepo.setPermissions(role, grants);
+
+    roleService.clearCache();
+
+    return roleDTO(await roleRepo.findById(role.id));
+};
+
+exports.updateRole = async(roleId, { description, permissions }) => {
+    const role = await roleRepo.findById(roleId);
+    if (!role) throw new NotFoundError("Role not found");
+
+    // "admin" and "user" back the built-in behavior and must stay as seeded
+    if (role.isSystem) {
+        throw new BadRequestError("Built-in roles can't be changed");
+    }
+
+    if (description !== undefined) {
+        await roleRepo.update(roleId, { description });
+    }
+
+    if (permissions) {
+        await roleRepo.setPermissions(role, await resolvePermissions(permissions));
+        roleService.clearCache();
+    }
+
+    return roleDTO(await roleRepo.findById(roleId));
+};
+
+exports.deleteRole = async(roleId) => {
+    const role = await roleRepo.findById(roleId);
+    if (!role) throw new NotFoundError("Role not found");
+
+    if (role.isSystem) {
+        throw new BadRequestError("Built-in roles can't be deleted");
+    }
+
+    if (await userRepo.countByRole(role.name)) {
+        throw new ConflictError("Role is still assigned to users");
+    }
+
+    await roleRepo.delete(roleId);
+    roleService.clearCache();
+};
+
+exports.assignRole = async(adminId, userId, roleName) => {
+    const user = await userRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (user.id === adminId) {
+        throw new BadRequestError("You can't change your own role");
+    }
+
+    const role = await roleRepo.findByName(roleName);
+    if (!role) throw new BadRequestError("Unknown role");
+
+    const updated = await userRepo.update(userId, { role: role.name });
+
+    // access tokens carry the role, so make the user sign in again
+    await sessionRepo.revokeAllForUser(user.id);
+
+    return userDTO(updated);
+};
+
+// =====================
+// IMPERSONATION
+// =====================
+exports.impersonateUser = async(adminId, userId, { reason } = {}, client = {}) => {
+    const user = await userRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (user.id === adminId) {
+        throw new BadRequestError("You can't impersonate yourself");
+    }
+
+    // acting as another staff member would be a privilege escalation
+    const permissions = await roleService.getPermissions(user.role);
+    if (permissions.length) {
+        throw new ForbiddenError("Staff accounts can't be impersonated");
+    }
+
+    const impersonation = await impersonationRepo.create({
+        adminId,
+        userId: user.id,
+        reason,
+        ip: client.ip,
+        expiresAt: addMinutes(new Date(), IMPERSONATION_TTL_MINUTES),
+    });
+
+    logger.info(`Admin ${adminId} started impersonating user ${user.id} (${impersonation.id})`);
+
+    return {
+        impersonationId: impersonation.id,
+        accessToken: generateImpersonationToken(user, {
+            impersonationId: impersonation.id,
+            impersonatorId: adminId,
+        }),
+        expiresAt: impersonation.expiresAt,
+        user: userDTO(user),
+    };
+};
+
+exports.getImpersonations = async({ page, limit }) => {
+    const impersonations = await impersonationRepo.findAll(
+        getPagination(page, limit),
+    );
+
+    return impersonations.map(impersonationDTO);
+};
+
+exports.getImpersonation = async(id) => {
+    const impersonation = await impersonationRepo.findByIdWithRequests(id);
+    if (!impersonation) throw new NotFoundError("Impersonation not found");
+
+    return impersonationDTO(impersonation);
+};
+
+exports.endImpersonation = async(id) => {
+    const impersonation = await impersonationRepo.findById(id);
+    if (!impersonation) throw new NotFoundError("Impersonation not found");
+
+    await impersonationRepo.end(id);
+};
+
+// =====================
+// ARCHIVE (soft-deleted rows)
+// =====================
+exports.getArchivedBooks = async({ page, limit }) => {
+    const books = await bookRepo.findArchived(getPagination(page, limit));
+
+    return books.map((book) => ({...bookDTO(book), archivedAt: book.deletedAt }));
+};
+
+exports.restoreBook = async(id) => {
+    const book = await bookRepo.findArchivedById(id);
+    if (!book) throw new NotFoundError("Archived book not found");
+
+    await bookRepo.restore(id);
+    return bookDTO(await bookRepo.findById(id));
+};
+
+exports.getArchivedCategories = async({ page, limit }) => {
+    const categories = await categoryRepo.findArchived(getPagination(page, limit));
+
+    return categories.map((category) => ({
+        ...categoryDTO(category),
+        archivedAt: category.deletedAt,
+    }));
+};
+
+exports.restoreCategory = async(id) => {
+    const category = await categoryRepo.findArchivedById(id);
+    if (!category) throw new NotFoundError("Archived category not found");
+
+    await categoryRepo.restore(id);
+    return categoryDTO(await categoryRepo.findById(id));
+};
+
+exports.getArchivedReviews = async({ page, limit }) => {
+    const reviews = await reviewRepo.findArchived(getPagination(page, limit));
+
+    return reviews.map((review) => ({
+        ...reviewDTO(review),
+        bookId: review.bookId,
+        archivedAt: review.deletedAt,
+    }));
+};
+
+exports.restoreReview = async(id) => {
+    const review = await reviewRepo.findArchivedById(id);
+    if (!review) throw new NotFoundError("Archived review not found");
+
+    // one review per user and book
+    if (await reviewRepo.findByUserAndBook(review.userId, review.bookId)) {
+        throw new ConflictError("The user has reviewed this book again since");
+    }
+
+    await reviewRepo.restore(id);
+    return reviewDTO(await reviewRepo.findById(id));
+};
+
+exports.getArchivedUsers = async({ page, limit }) => {
+    const users = await userRepo.findArchived(getPagination(page, limit));
+
+    return users.map((user) => ({...userDTO(user), archivedAt: user.deletedAt }));
+};
+
+// the user signs in again; sessions were revoked on delete
+exports.restoreUser = async(id) => {
+    const user = await userRepo.findArchivedById(id);
+    if (!user) throw new NotFoundError("Archived user not found");
+
+    await userRepo.restore(id);
+    return userDTO(await userRepo.findById(id));
+};
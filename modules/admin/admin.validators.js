@@ -0,0 +1,55 @@
+const Joi = require("joi");
+const API_SCOPES = require("../../shared/constants/apiScopes.constant");
+const PERMISSIONS = require("../../shared/constants/permissions.constant");
+const PREORDER_CHARGE = require("../../shared/constants/preorderCharge.constant");
+
+const permissionList = Joi.array()
+    .items(Joi.string().valid(...Object.values(PERMISSIONS)))
+    .unique();
+
+exports.securitySettingsSchema = Joi.object({
+    requireAdminTwoFactor: Joi.boolean().required(),
+});
+
+exports.orderSettingsSchema = Joi.object({
+    preorderCharge: Joi.string()
+        .valid(...Object.values(PREORDER_CHARGE))
+        .required(),
+});
+
+exports.banUserSchema = Joi.object({
+    reason: Joi.string().max(255).required(),
+    until: Joi.date().greater("now").optional(),
+});
+
+exports.createApiKeySchema = Joi.object({
+    name: Joi.string().max(100).required(),
+    scopes: Joi.array()
+        .items(Joi.string().valid(...Object.values(API_SCOPES)))
+        .min(1)
+        .unique()
+        .required(),
+    expiresAt: Joi.date().greater("now").optional(),
+});
+
+exports.createRoleSchema = Joi.object({
+    name: Joi.string()
+        .pattern(/^[a-z][a-z0-9_]*$/)
+        .max(50)
+        .required(),
+    description: Joi.string().max(255).optional(),
+    permissions: permissionList.required(),
+});
+
+exports.updateRoleSchema = Joi.object({
+    description: Joi.string().max(255).optional(),
+    permissions: permissionList.optional(),
+}).min(1);
+
+exports.assignRoleSchema = Joi.object({
+    role: Joi.string().required(),
+});
+
+exports.impersonateSchema = Joi.object({
+    reason: Joi.string().max(255).optional(),
+});
\ No newline at end of file
@@ -0,0 +1,29 @@
+const { ApiKey } = require("../../models");
+
+exports.create = (data) => {
+    return ApiKey.create(data);
+};
+
+exports.findAll = () => {
+    return ApiKey.findAll({
+        order: [
+            ["createdAt", "DESC"]
+        ],
+    });
+};
+
+exports.findById = (id) => {
+    return ApiKey.findByPk(id);
+};
+
+exports.findByPrefix = (prefix) => {
+    return ApiKey.findOne({ where: { prefix } });
+};
+
+exports.touch = (id) => {
+    return ApiKey.update({ lastUsedAt: new Date() }, { where: { id } });
+};
+
+exports.revoke = (id) => {
+    return ApiKey.update({ revokedAt: new Date() }, { where: { id, revokedAt: null } });
+};
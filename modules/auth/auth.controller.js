@@ -1,8 +1,14 @@
 const authService = require("./auth.service");
 
+// request details recorded on the session
+const clientInfo = (req) => ({
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+});
+
 exports.register = async(req, res, next) => {
     try {
-        const result = await authService.register(req.body);
+        const result = await authService.register(req.body, clientInfo(req));
         res.status(201).json(result);
     } catch (err) {
         next(err);
@@ -11,7 +17,7 @@ exports.register = async(req, res, next) => {
 
 exports.login = async(req, res, next) => {
     try {
-        const result = await authService.login(req.body);
+        const result = await authService.login(req.body, clientInfo(req));
         res.json(result);
     } catch (err) {
         next(err);
@@ -20,7 +26,10 @@ exports.login = async(req, res, next) => {
 
 exports.refreshToken = async(req, res, next) => {
     try {
-        const result = await authService.refreshToken(req.body.refreshToken);
+        const result = await authService.refreshToken(
+            req.body.refreshToken,
+            clientInfo(req),
+        );
         res.json(result);
     } catch (err) {
         next(err);
@@ -29,9 +38,149 @@ exports.refreshToken = async(req, res, next) => {
 
 exports.logout = async(req, res, next) => {
     try {
-        await authService.logout(req.user.id);
+        await authService.logout(req.user);
         res.json({ message: "Logged out successfully" });
     } catch (err) {
         next(err);
     }
+};
+
+exports.forgotPassword = async(req, res, next) => {
+    try {
+        await authService.forgotPassword(req.body.email);
+        res.json({
+            message: "If an account exists for this email, a reset link has been sent",
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.requestMagicLink = async(req, res, next) => {
+    try {
+        await authService.requestMagicLink(req.body.email);
+        res.json({
+            message: "If an account exists for this email, a sign-in link has been sent",
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.loginWithMagicLink = async(req, res, next) => {
+    try {
+        const result = await authService.loginWithMagicLink(
+            req.body.token,
+            clientInfo(req),
+        );
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.resetPassword = async(req, res, next) => {
+    try {
+        await authService.resetPassword(req.body);
+        res.json({ message: "Password has been reset" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.verifyEmail = async(req, res, next) => {
+    try {
+        const token = req.body?.token || req.query.token;
+        await authService.verifyEmail(token);
+        res.json({ message: "Email verified" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.resendVerification = async(req, res, next) => {
+    try {
+        await authService.resendVerification(req.user.id);
+        res.json({ message: "Verification email sent" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.verifyTwoFactorLogin = async(req, res, next) => {
+    try {
+        const result = await authService.verifyTwoFactorLogin(
+            req.body,
+            clientInfo(req),
+        );
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.setupTwoFactor = async(req, res, next) => {
+    try {
+        const result = await authService.setupTwoFactor(req.user.id);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.confirmTwoFactor = async(req, res, next) => {
+    try {
+        const result = await authService.confirmTwoFactor(
+            req.user.id,
+            req.body.code,
+        );
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.regenerateRecoveryCodes = async(req, res, next) => {
+    try {
+        const result = await authService.regenerateRecoveryCodes(
+            req.user.id,
+            req.body.code,
+        );
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.disableTwoFactor = async(req, res, next) => {
+    try {
+        await authService.disableTwoFactor(req.user.id, req.body);
+        res.json({ message: "Two-factor authentication disabled" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.oidcAuthorize = async(req, res, next) => {
+    try {
+        const result = await authService.getOidcAuthorizationUrl(
+            req.params.provider,
+        );
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.oidcCallback = async(req, res, next) => {
+    try {
+        const result = await authService.handleOidcCallback(
+            req.params.provider,
+            req.query,
+            clientInfo(req),
+        );
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
 };
\ No newline at end of file
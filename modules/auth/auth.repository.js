@@ -1,7 +1,13 @@
-const { User } = require("../../models");
+const {
+    User,
+    RefreshToken,
+    UserToken,
+    UserIdentity,
+} = require("../../models");
 
-exports.findByEmail = (email) => {
-    return User.findOne({ where: { email } });
+// `withDeleted` also finds deleted accounts, which keep their email
+exports.findByEmail = (email, { withDeleted = false } = {}) => {
+    return User.findOne({ where: { email }, paranoid: !withDeleted });
 };
 
 exports.findById = (id) => {
@@ -10,4 +16,81 @@ exports.findById = (id) => {
 
 exports.createUser = (data) => {
     return User.create(data);
+};
+
+exports.updatePassword = (id, password) => {
+    return User.update({ password }, { where: { id } });
+};
+
+exports.updateTwoFactor = (id, data) => {
+    return User.update(data, { where: { id } });
+};
+
+exports.markEmailVerified = (id) => {
+    return User.update({ emailVerifiedAt: new Date() }, { where: { id } });
+};
+
+// =====================
+// REFRESH TOKENS
+// =====================
+exports.createRefreshToken = (data) => {
+    return RefreshToken.create(data);
+};
+
+exports.findRefreshTokenByHash = (tokenHash) => {
+    return RefreshToken.findOne({ where: { tokenHash } });
+};
+
+/**
+ * Marks a token as rotated. Resolves to false when another request
+ * already rotated it, so concurrent refreshes can't both succeed.
+ */
+exports.markRefreshTokenRotated = async(id, replacedById) => {
+    const [affected] = await RefreshToken.update({ revokedAt: new Date(), replacedById }, { where: { id, revokedAt: null } }, );
+
+    return affected === 1;
+};
+
+// =====================
+// ONE-TIME USER TOKENS
+// =====================
+exports.createUserToken = (data) => {
+    return UserToken.create(data);
+};
+
+exports.findUserTokenByHash = (type, tokenHash) => {
+    return UserToken.findOne({ where: { type, tokenHash } });
+};
+
+/**
+ * Consumes a token. Resolves to false when it was already used,
+ * so a link can only ever be redeemed once.
+ */
+exports.consumeUserToken = async(id) => {
+    const [affected] = await UserToken.update({ usedAt: new Date() }, { where: { id, usedAt: null } }, );
+
+    return affected === 1;
+};
+
+exports.consumeAllUserTokens = (userId, type) => {
+    return UserToken.update({ usedAt: new Date() }, { where: { userId, type, usedAt: null } }, );
+};
+
+// =====================
+// LINKED IDENTITIES
+// =====================
+exports.findIdentity = (provider, subject) => {
+    return UserIdentity.findOne({ where: { provider, subject } });
+};
+
+exports.findIdentitiesByUser = (userId) => {
+    return UserIdentity.findAll({ where: { userId } });
+};
+
+exports.createIdentity = (data) => {
+    return UserIdentity.create(data);
+};
+
+exports.deleteIdentity = (userId, provider) => {
+    return UserIdentity.destroy({ where: { userId, provider } });
 };
\ No newline at end of file
@@ -1,14 +1,115 @@
 const express = require("express");
 const controller = require("./auth.controller");
 const validate = require("../../middlewares/validate.middleware");
+const auth = require("../../middlewares/auth.middleware");
+const { denyImpersonation } = require("../../middlewares/impersonation.middleware");
+const {
+    emailLimiter,
+    magicLinkLimiter,
+} = require("../../middlewares/rateLimit.middleware");
 
-const { registerSchema, loginSchema } = require("./auth.validators");
+const {
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    magicLinkSchema,
+    magicLinkLoginSchema,
+    twoFactorLoginSchema,
+    twoFactorCodeSchema,
+    disableTwoFactorSchema,
+    oidcCallbackSchema,
+} = require("./auth.validators");
 
 const router = express.Router();
 
 router.post("/register", validate(registerSchema), controller.register);
 router.post("/login", validate(loginSchema), controller.login);
-router.post("/refresh-token", controller.refreshToken);
-router.post("/logout", controller.logout);
+router.post(
+    "/refresh-token",
+    validate(refreshTokenSchema),
+    controller.refreshToken,
+);
+router.post("/logout", auth, controller.logout);
+router.post(
+    "/forgot-password",
+    validate(forgotPasswordSchema),
+    controller.forgotPassword,
+);
+router.post(
+    "/reset-password",
+    validate(resetPasswordSchema),
+    controller.resetPassword,
+);
+
+router.get("/verify-email", validate(verifyEmailSchema), controller.verifyEmail);
+router.post(
+    "/verify-email",
+    validate(verifyEmailSchema),
+    controller.verifyEmail,
+);
+router.post(
+    "/verify-email/resend",
+    auth,
+    emailLimiter,
+    controller.resendVerification,
+);
+
+// passwordless sign-in
+router.post(
+    "/magic-link",
+    validate(magicLinkSchema),
+    magicLinkLimiter,
+    controller.requestMagicLink,
+);
+router.post(
+    "/magic-link/verify",
+    validate(magicLinkLoginSchema),
+    controller.loginWithMagicLink,
+);
+
+// two-factor auth
+router.post(
+    "/2fa/verify",
+    validate(twoFactorLoginSchema),
+    controller.verifyTwoFactorLogin,
+);
+router.post(
+    "/2fa/setup",
+    auth,
+    denyImpersonation,
+    controller.setupTwoFactor,
+);
+router.post(
+    "/2fa/confirm",
+    auth,
+    denyImpersonation,
+    validate(twoFactorCodeSchema),
+    controller.confirmTwoFactor,
+);
+router.post(
+    "/2fa/recovery-codes",
+    auth,
+    denyImpersonation,
+    validate(twoFactorCodeSchema),
+    controller.regenerateRecoveryCodes,
+);
+router.post(
+    "/2fa/disable",
+    auth,
+    denyImpersonation,
+    validate(disableTwoFactorSchema),
+    controller.disableTwoFactor,
+);
+
+// social login (OpenID Connect)
+router.get("/oidc/:provider/authorize", controller.oidcAuthorize);
+router.get(
+    "/oidc/:provider/callback",
+    validate(oidcCallbackSchema),
+    controller.oidcCallback,
+);
 
 module.exports = router;
@@ -1,14 +1,258 @@
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 
 const authRepo = require("./auth.repository");
-const { generateTokens, verifyRefreshToken } = require("./auth.utils");
-const { UnauthorizedError } = require("../../shared/errors");
+const {
+    generateTokens,
+    verifyRefreshToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+    normalizeLoginKey,
+    buildLockoutEmail,
+    LOGIN_LIMITS,
+    buildPasswordResetEmail,
+    buildVerificationEmail,
+    buildMagicLinkEmail,
+    OIDC_STATE_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_DAYS,
+    PASSWORD_RESET_TTL_MINUTES,
+    EMAIL_VERIFICATION_TTL_DAYS,
+    MAGIC_LINK_TTL_MINUTES,
+} = require("./auth.utils");
+const settingRepo = require("../settings/setting.repository");
+const sessionRepo = require("../sessions/session.repository");
+const impersonationRepo = require("../impersonations/impersonation.repository");
+const attemptStore = require("../../shared/cache/attempt.store");
+const { CACHE_KEYS } = require("../../shared/cache/cache.keys");
+const queueService = require("../../shared/queues/queue.service");
+const totp = require("../../shared/utils/totp.util");
+const { describeDevice } = require("../../shared/utils/userAgent.util");
+const { isSuspended } = require("../users/user.utils");
+const { userDTO } = require("../users/user.dto");
+const oidcService = require("../../services/oidc.service");
+const oidcProviders = require("../../config/oidc.config");
+const logger = require("../../shared/logger/logger");
+const eventPublisher = require("../../events/event.publisher");
+const { USER_REGISTERED } = require("../../events/event.types");
+const { hash, generateRandomToken } = require("../../shared/utils/crypto.util");
+const {
+    addDays,
+    addMinutes,
+    isExpired,
+} = require("../../shared/utils/date.util");
+const {
+    PASSWORD_RESET,
+    EMAIL_VERIFICATION,
+    MAGIC_LINK,
+} = require("../../shared/constants/userToken.constant");
+const { REQUIRE_ADMIN_2FA } = require("../../shared/constants/settings.constant");
+const {
+    UnauthorizedError,
+    BadRequestError,
+    NotFoundError,
+    ForbiddenError,
+    TooManyRequestsError,
+} = require("../../shared/errors");
 
-exports.register = async(data) => {
+// helper: sign a token pair and persist the hashed refresh token.
+// Without a family a new session is opened for the client.
+const issueTokens = async(user, { family, mfa, client = {} } = {}) => {
+    let sessionId = family;
+
+    if (!sessionId) {
+        const session = await sessionRepo.create({
+            userId: user.id,
+            device: describeDevice(client.userAgent),
+            userAgent: client.userAgent,
+            ip: client.ip,
+            lastSeenAt: new Date(),
+        });
+
+        sessionId = session.id;
+    }
+
+    const { accessToken, refreshToken } = generateTokens(user, {
+        family: sessionId,
+        mfa,
+    });
+
+    const stored = await authRepo.createRefreshToken({
+        userId: user.id,
+        tokenHash: hash(refreshToken),
+        family: sessionId,
+        expiresAt: addDays(new Date(), REFRESH_TOKEN_TTL_DAYS),
+    });
+
+    return { accessToken, refreshToken, stored };
+};
+
+// helper: replace any pending verification link with a fresh one
+const createVerificationToken = async(user) => {
+    await authRepo.consumeAllUserTokens(user.id, EMAIL_VERIFICATION);
+
+    const token = generateRandomToken();
+
+    await authRepo.createUserToken({
+        userId: user.id,
+        type: EMAIL_VERIFICATION,
+        tokenHash: hash(token),
+        expiresAt: addDays(new Date(), EMAIL_VERIFICATION_TTL_DAYS),
+    });
+
+    return token;
+};
+
+// helper: suspended accounts can't obtain new tokens
+const assertNotSuspended = (user) => {
+    if (!isSuspended(user)) return;
+
+    const until = user.suspendedUntil ?
+        ` until ${new Date(user.suspendedUntil).toISOString()}` :
+        "";
+
+    throw new ForbiddenError(`Account suspended${until}`);
+};
+
+// helper: final step shared by every first-factor sign-in method
+const completeLogin = async(user, client) => {
+    assertNotSuspended(user);
+
+    if (user.twoFactorEnabledAt) {
+        return {
+            twoFactorRequired: true,
+            challengeToken: generateChallengeToken(user),
+        };
+    }
+
+    const { accessToken, refreshToken } = await issueTokens(user, { client });
+
+    return {
+        user: userDTO(user),
+        accessToken,
+        refreshToken,
+    };
+};
+
+// helper: refuse sign-in while the account or IP is throttled
+const assertLoginAllowed = async(email, ip) => {
+    const key = normalizeLoginKey(email);
+
+    const lockedFor = await attemptStore.ttl(CACHE_KEYS.LOGIN_LOCK(key));
+    if (lockedFor > 0) {
+        throw new TooManyRequestsError(
+            `Account temporarily locked. Try again in ${Math.ceil(lockedFor / 60)} minutes`,
+            lockedFor,
+        );
+    }
+
+    if (ip) {
+        const ipFailures = await attemptStore.get(CACHE_KEYS.LOGIN_FAILURES_IP(ip));
+
+        if (ipFailures >= LOGIN_LIMITS.ipThreshold) {
+            const retryAfter = await attemptStore.ttl(CACHE_KEYS.LOGIN_FAILURES_IP(ip));
+            throw new TooManyRequestsError(
+                "Too many failed sign-in attempts from this network",
+                retryAfter,
+            );
+        }
+    }
+
+    const delay = await attemptStore.ttl(CACHE_KEYS.LOGIN_DELAY(key));
+    if (delay > 0) {
+        throw new TooManyRequestsError(
+            `Too many failed attempts. Try again in ${delay} seconds`,
+            delay,
+        );
+    }
+};
+
+// helper: count a failure; back off exponentially, then lock the account
+const recordLoginFailure = async(email, ip, user) => {
+    const key = normalizeLoginKey(email);
+
+    if (ip) {
+        await attemptStore.increment(
+            CACHE_KEYS.LOGIN_FAILURES_IP(ip),
+            LOGIN_LIMITS.ipWindowSeconds,
+        );
+    }
+
+    const failures = await attemptStore.increment(
+        CACHE_KEYS.LOGIN_FAILURES_ACCOUNT(key),
+        LOGIN_LIMITS.accountWindowSeconds,
+    );
+
+    if (failures >= LOGIN_LIMITS.lockoutThreshold) {
+        await attemptStore.set(
+            CACHE_KEYS.LOGIN_LOCK(key),
+            1,
+            LOGIN_LIMITS.lockoutSeconds,
+        );
+        await attemptStore.del(
+            CACHE_KEYS.LOGIN_FAILURES_ACCOUNT(key),
+            CACHE_KEYS.LOGIN_DELAY(key),
+        );
+
+        if (user) {
+            await queueService.addEmailJob(
+                buildLockoutEmail(user, LOGIN_LIMITS.lockoutSeconds / 60),
+            );
+        }
+
+        return;
+    }
+
+    if (failures > LOGIN_LIMITS.freeAttempts) {
+        const delay = Math.min(
+            2 ** (failures - LOGIN_LIMITS.freeAttempts - 1),
+            LOGIN_LIMITS.maxDelaySeconds,
+        );
+
+        await attemptStore.set(CACHE_KEYS.LOGIN_DELAY(key), 1, delay);
+    }
+};
+
+const clearLoginFailures = async(email) => {
+    const key = normalizeLoginKey(email);
+
+    await attemptStore.del(
+        CACHE_KEYS.LOGIN_FAILURES_ACCOUNT(key),
+        CACHE_KEYS.LOGIN_DELAY(key),
+    );
+};
+
+// helper: accepts either a TOTP code or an unused recovery code
+const verifySecondFactor = async(user, { code, recoveryCode }) => {
+    if (code) {
+        const step = totp.verifyCode(user.twoFactorSecret, code);
+
+        // a code may only be used once, even inside its 30s window
+        if (step === null || step <= (user.twoFactorLastStep || 0)) return false;
+
+        await authRepo.updateTwoFactor(user.id, { twoFactorLastStep: step });
+        return true;
+    }
+
+    if (recoveryCode) {
+        const codeHash = hash(normalizeRecoveryCode(recoveryCode));
+        const remaining = user.twoFactorRecoveryCodes || [];
+
+        if (!remaining.includes(codeHash)) return false;
+
+        await authRepo.updateTwoFactor(user.id, {
+            twoFactorRecoveryCodes: remaining.filter((h) => h !== codeHash),
+        });
+        return true;
+    }
+
+    return false;
+};
+
+exports.register = async(data, client = {}) => {
     const { email, password, name } = data;
 
-    const existing = await authRepo.findByEmail(email);
+    const existing = await authRepo.findByEmail(email, { withDeleted: true });
     if (existing) {
         throw new Error("Email already exists");
     }
@@ -21,39 +265,483 @@ exports.register = async(data) => {
         name,
     });
 
-    const tokens = generateTokens(user);
+    const verificationToken = await createVerificationToken(user);
+
+    await eventPublisher.publish(USER_REGISTERED, {
+        userId: user.id,
+        email: user.email,
+        name: user.name,
+        verificationToken,
+    });
+
+    const { accessToken, refreshToken } = await issueTokens(user, { client });
 
     return {
-        user,
-        ...tokens,
+        user: userDTO(user),
+        accessToken,
+        refreshToken,
     };
 };
 
-exports.login = async({ email, password }) => {
+exports.login = async({ email, password }, client = {}) => {
+    const { ip } = client;
+
+    await assertLoginAllowed(email, ip);
+
     const user = await authRepo.findByEmail(email);
-    if (!user) throw new UnauthorizedError("Invalid credentials");
+    const match =
+        user && user.password && (await bcrypt.compare(password, user.password));
 
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) throw new UnauthorizedError("Invalid credentials");
+    if (!match) {
+        await recordLoginFailure(email, ip, user);
+        throw new UnauthorizedError("Invalid credentials");
+    }
 
-    const tokens = generateTokens(user);
+    await clearLoginFailures(email);
 
-    return {
-        user,
-        ...tokens,
-    };
+    return completeLogin(user, client);
 };
 
-exports.refreshToken = async(refreshToken) => {
-    const payload = verifyRefreshToken(refreshToken);
+exports.refreshToken = async(refreshToken, client = {}) => {
+    let payload;
+    try {
+        payload = verifyRefreshToken(refreshToken);
+    } catch (err) {
+        throw new UnauthorizedError("Invalid or expired refresh token");
+    }
+
+    const stored = await authRepo.findRefreshTokenByHash(hash(refreshToken));
+    if (!stored || stored.userId !== payload.id) {
+        throw new UnauthorizedError("Invalid or expired refresh token");
+    }
+
+    // a rotated token being presented again means it was stolen:
+    // kill the whole family so neither party can keep using it
+    if (stored.revokedAt) {
+        if (stored.replacedById) {
+            await sessionRepo.revoke(stored.family);
+            throw new UnauthorizedError("Refresh token reuse detected");
+        }
+
+        throw new UnauthorizedError("Refresh token revoked");
+    }
+
+    if (isExpired(stored.expiresAt)) {
+        throw new UnauthorizedError("Invalid or expired refresh token");
+    }
 
     const user = await authRepo.findById(payload.id);
     if (!user) throw new UnauthorizedError("User not found");
 
-    return generateTokens(user);
+    if (isSuspended(user)) {
+        await sessionRepo.revoke(stored.family);
+    }
+    assertNotSuspended(user);
+
+    const tokens = await issueTokens(user, {
+        family: stored.family,
+        mfa: payload.mfa,
+    });
+
+    const rotated = await authRepo.markRefreshTokenRotated(
+        stored.id,
+        tokens.stored.id,
+    );
+
+    if (!rotated) {
+        await sessionRepo.revoke(stored.family);
+        throw new UnauthorizedError("Refresh token reuse detected");
+    }
+
+    await sessionRepo.touch(stored.family, { ip: client.ip });
+
+    return {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+    };
 };
 
-exports.logout = async(userId) => {
-    // optional: blacklist tokens / remove refresh tokens from DB
+exports.logout = async(user) => {
+    if (user.impersonatorId) {
+        await impersonationRepo.end(user.sid);
+    } else if (user.sid) {
+        await sessionRepo.revoke(user.sid);
+    }
+
     return true;
+};
+
+exports.forgotPassword = async(email) => {
+    const user = await authRepo.findByEmail(email);
+
+    // don't reveal whether the account exists
+    if (!user) return;
+
+    // only the most recent link stays valid
+    await authRepo.consumeAllUserTokens(user.id, PASSWORD_RESET);
+
+    const token = generateRandomToken();
+
+    await authRepo.createUserToken({
+        userId: user.id,
+        type: PASSWORD_RESET,
+        tokenHash: hash(token),
+        expiresAt: addMinutes(new Date(), PASSWORD_RESET_TTL_MINUTES),
+    });
+
+    await queueService.addEmailJob(buildPasswordResetEmail(user, token));
+};
+
+exports.resetPassword = async({ token, password }) => {
+    const stored = await authRepo.findUserTokenByHash(
+        PASSWORD_RESET,
+        hash(token),
+    );
+
+    if (!stored || stored.usedAt || isExpired(stored.expiresAt)) {
+        throw new BadRequestError("Invalid or expired reset token");
+    }
+
+    const consumed = await authRepo.consumeUserToken(stored.id);
+    if (!consumed) throw new BadRequestError("Invalid or expired reset token");
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await authRepo.updatePassword(stored.userId, hashedPassword);
+
+    // sign out every device that knew the old password
+    await sessionRepo.revokeAllForUser(stored.userId);
+};
+
+// =====================
+// MAGIC LINK
+// =====================
+exports.requestMagicLink = async(email) => {
+    const user = await authRepo.findByEmail(email);
+
+    // don't reveal whether the account exists
+    if (!user) return;
+
+    // only the most recent link stays valid
+    await authRepo.consumeAllUserTokens(user.id, MAGIC_LINK);
+
+    const token = generateRandomToken();
+
+    await authRepo.createUserToken({
+        userId: user.id,
+        type: MAGIC_LINK,
+        tokenHash: hash(token),
+        expiresAt: addMinutes(new Date(), MAGIC_LINK_TTL_MINUTES),
+    });
+
+    await queueService.addEmailJob(buildMagicLinkEmail(user, token));
+};
+
+exports.loginWithMagicLink = async(token, client = {}) => {
+    const stored = await authRepo.findUserTokenByHash(MAGIC_LINK, hash(token));
+
+    if (!stored || stored.usedAt || isExpired(stored.expiresAt)) {
+        throw new UnauthorizedError("Invalid or expired sign-in link");
+    }
+
+    const consumed = await authRepo.consumeUserToken(stored.id);
+    if (!consumed) throw new UnauthorizedError("Invalid or expired sign-in link");
+
+    const user = await authRepo.findById(stored.userId);
+    if (!user) throw new UnauthorizedError("Invalid or expired sign-in link");
+
+    // opening the link proves the user controls the address
+    if (!user.emailVerifiedAt) {
+        await authRepo.markEmailVerified(user.id);
+    }
+
+    return completeLogin(user, client);
+};
+
+exports.verifyEmail = async(token) => {
+    const stored = await authRepo.findUserTokenByHash(
+        EMAIL_VERIFICATION,
+        hash(token),
+    );
+
+    if (!stored || stored.usedAt || isExpired(stored.expiresAt)) {
+        throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    const consumed = await authRepo.consumeUserToken(stored.id);
+    if (!consumed) {
+        throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    await authRepo.markEmailVerified(stored.userId);
+};
+
+exports.resendVerification = async(userId) => {
+    const user = await authRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (user.emailVerifiedAt) {
+        throw new BadRequestError("Email is already verified");
+    }
+
+    const token = await createVerificationToken(user);
+
+    await queueService.addEmailJob(buildVerificationEmail(user, token));
+};
+
+// =====================
+// TWO-FACTOR AUTH
+// =====================
+exports.verifyTwoFactorLogin = async(
+    { challengeToken, code, recoveryCode }, client = {},
+) => {
+    const { ip } = client;
+
+    let payload;
+    try {
+        payload = verifyChallengeToken(challengeToken);
+    } catch (err) {
+        throw new UnauthorizedError("Invalid or expired challenge");
+    }
+
+    const user = await authRepo.findById(payload.id);
+    if (!user || !user.twoFactorEnabledAt) {
+        throw new UnauthorizedError("Invalid or expired challenge");
+    }
+
+    await assertLoginAllowed(user.email, ip);
+
+    const valid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!valid) {
+        await recordLoginFailure(user.email, ip, user);
+        throw new UnauthorizedError("Invalid two-factor code");
+    }
+
+    await clearLoginFailures(user.email);
+
+    assertNotSuspended(user);
+
+    const { accessToken, refreshToken } = await issueTokens(user, {
+        mfa: true,
+        client,
+    });
+
+    return {
+        user: userDTO(user),
+        accessToken,
+        refreshToken,
+    };
+};
+
+exports.setupTwoFactor = async(userId) => {
+    const user = await authRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (user.twoFactorEnabledAt) {
+        throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+
+    const secret = totp.generateSecret();
+
+    // stays pending until the user proves their app generates valid codes
+    await authRepo.updateTwoFactor(user.id, { twoFactorSecret: secret });
+
+    return {
+        secret,
+        otpauthUrl: totp.buildOtpauthUrl({
+            secret,
+            label: user.email,
+            issuer: process.env.APP_NAME || "Readify",
+        }),
+    };
+};
+
+exports.confirmTwoFactor = async(userId, code) => {
+    const user = await authRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (user.twoFactorEnabledAt) {
+        throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+
+    if (!user.twoFactorSecret) {
+        throw new BadRequestError("Start two-factor setup first");
+    }
+
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+    if (step === null) throw new BadRequestError("Invalid two-factor code");
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await authRepo.updateTwoFactor(user.id, {
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map((c) =>
+            hash(normalizeRecoveryCode(c)),
+        ),
+    });
+
+    // shown once; only hashes are kept
+    return { recoveryCodes };
+};
+
+exports.regenerateRecoveryCodes = async(userId, code) => {
+    const user = await authRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (!user.twoFactorEnabledAt) {
+        throw new BadRequestError("Two-factor authentication is not enabled");
+    }
+
+    const valid = await verifySecondFactor(user, { code });
+    if (!valid) throw new BadRequestError("Invalid two-factor code");
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await authRepo.updateTwoFactor(user.id, {
+        twoFactorRecoveryCodes: recoveryCodes.map((c) =>
+            hash(normalizeRecoveryCode(c)),
+        ),
+    });
+
+    return { recoveryCodes };
+};
+
+exports.disableTwoFactor = async(userId, { password, code, recoveryCode }) => {
+    const user = await authRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (!user.twoFactorEnabledAt) {
+        throw new BadRequestError("Two-factor authentication is not enabled");
+    }
+
+    const match =
+        user.password && (await bcrypt.compare(password, user.password));
+    if (!match) throw new UnauthorizedError("Invalid credentials");
+
+    const valid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!valid) throw new BadRequestError("Invalid two-factor code");
+
+    if (user.role === "admin" && (await settingRepo.get(REQUIRE_ADMIN_2FA, false))) {
+        throw new BadRequestError("Two-factor authentication is required for admins");
+    }
+
+    await authRepo.updateTwoFactor(user.id, {
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorRecoveryCodes: null,
+        twoFactorLastStep: null,
+    });
+};
+
+// =====================
+// SOCIAL LOGIN (OIDC)
+// =====================
+const getProvider = (name) => {
+    const provider = oidcProviders[name];
+    if (!provider || !provider.clientId) {
+        throw new NotFoundError("Unknown login provider");
+    }
+
+    return provider;
+};
+
+exports.getOidcAuthorizationUrl = async(providerName) => {
+    const provider = getProvider(providerName);
+
+    const state = generateRandomToken(16);
+    const nonce = generateRandomToken(16);
+    const { codeVerifier, codeChallenge } = oidcService.createPkcePair();
+
+    // the verifier never leaves the server; only its hash goes to the provider
+    const pending = { provider: provider.name, nonce, codeVerifier };
+
+    await attemptStore.setJSON(
+        CACHE_KEYS.OIDC_STATE(state),
+        pending,
+        OIDC_STATE_TTL_SECONDS,
+    );
+
+    const authorizationUrl = await oidcService.buildAuthorizationUrl(provider, {
+        state,
+        nonce,
+        codeChallenge,
+    });
+
+    return { authorizationUrl };
+};
+
+// finds the account for a provider identity, linking or creating one by verified email
+const resolveOidcUser = async(provider, claims) => {
+    const identity = await authRepo.findIdentity(provider.name, claims.sub);
+
+    if (identity) {
+        // linked to an account that has since been deleted
+        const linked = await authRepo.findById(identity.userId);
+        if (!linked) throw new ForbiddenError("This account has been deleted");
+
+        return linked;
+    }
+
+    const emailVerified =
+        claims.email_verified === true || claims.email_verified === "true";
+
+    if (!claims.email || !emailVerified) {
+        throw new BadRequestError("Your provider account has no verified email address");
+    }
+
+    let user = await authRepo.findByEmail(claims.email, { withDeleted: true });
+
+    if (user && user.deletedAt) {
+        throw new ForbiddenError("This account has been deleted");
+    }
+
+    if (!user) {
+        user = await authRepo.createUser({
+            email: claims.email,
+            name: claims.name || claims.email.split("@")[0],
+            password: null,
+            emailVerifiedAt: new Date(),
+        });
+    } else if (!user.emailVerifiedAt) {
+        // the provider just proved ownership of the address
+        await authRepo.markEmailVerified(user.id);
+    }
+
+    await authRepo.createIdentity({
+        userId: user.id,
+        provider: provider.name,
+        subject: claims.sub,
+        email: claims.email,
+    });
+
+    return user;
+};
+
+exports.handleOidcCallback = async(providerName, { code, state }, client = {}) => {
+    const provider = getProvider(providerName);
+
+    const pending = await attemptStore.take(CACHE_KEYS.OIDC_STATE(state));
+    if (!pending || pending.provider !== provider.name) {
+        throw new BadRequestError("Invalid or expired login state");
+    }
+
+    let claims;
+    try {
+        const tokens = await oidcService.exchangeCode(provider, {
+            code,
+            codeVerifier: pending.codeVerifier,
+        });
+
+        claims = await oidcService.verifyIdToken(provider, tokens.id_token, {
+            nonce: pending.nonce,
+        });
+    } catch (err) {
+        logger.error(`OIDC login with ${provider.name} failed: ${err.message}`);
+        throw new UnauthorizedError("Could not sign in with this provider");
+    }
+
+    const user = await resolveOidcUser(provider, claims);
+
+    return completeLogin(user, client);
 };
\ No newline at end of file
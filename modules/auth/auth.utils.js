@@ -1,17 +1,169 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 
-exports.generateTokens = (user) => {
-    const accessToken = jwt.sign({ id: user.id, role: user.role },
-        process.env.JWT_SECRET, { expiresIn: "15m" },
+const jwtKeys = require("../../services/jwtKeys.service");
+
+exports.REFRESH_TOKEN_TTL_DAYS = 7;
+exports.PASSWORD_RESET_TTL_MINUTES = 60;
+exports.EMAIL_VERIFICATION_TTL_DAYS = 1;
+exports.MAGIC_LINK_TTL_MINUTES = 15;
+exports.TWO_FACTOR_CHALLENGE_PURPOSE = "2fa_challenge";
+exports.RECOVERY_CODE_COUNT = 10;
+exports.OIDC_STATE_TTL_SECONDS = 10 * 60;
+exports.IMPERSONATION_TTL_MINUTES = 15;
+
+// failed-login throttling
+exports.LOGIN_LIMITS = {
+    accountWindowSeconds: 15 * 60,
+    freeAttempts: 3, // failures before delays kick in
+    maxDelaySeconds: 60,
+    lockoutThreshold: 10,
+    lockoutSeconds: 15 * 60,
+    ipWindowSeconds: 15 * 60,
+    ipThreshold: 50,
+};
+
+// tokens other services may verify are signed with the active private key;
+// the `kid` header tells verifiers which published key to use
+const signWithActiveKey = (payload, expiresIn) => {
+    const { kid, privateKey, algorithm } = jwtKeys.getSigningKey();
+
+    return jwt.sign(payload, privateKey, { algorithm, keyid: kid, expiresIn });
+};
+
+exports.verifyAccessToken = (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && jwtKeys.getVerificationKey(decoded.header.kid);
+
+    if (!key) throw new Error("Unknown signing key");
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+};
+
+/**
+ * Signs an access/refresh pair. Both carry the session family so the
+ * refresh token can be rotated and the whole family revoked on logout.
+ * `mfa` records whether the session passed a second factor. The refresh
+ * token never leaves this service, so it stays on a shared secret.
+ */
+exports.generateTokens = (user, { family = crypto.randomUUID(), mfa = false } = {}) => {
+    const accessToken = signWithActiveKey({ id: user.id, role: user.role, sid: family, mfa },
+        "15m",
     );
 
-    const refreshToken = jwt.sign({ id: user.id },
-        process.env.JWT_REFRESH_SECRET, { expiresIn: "7d" },
+    const refreshToken = jwt.sign({ id: user.id, family, mfa, jti: crypto.randomUUID() },
+        process.env.JWT_REFRESH_SECRET, { expiresIn: `${exports.REFRESH_TOKEN_TTL_DAYS}d` },
     );
 
-    return { accessToken, refreshToken };
+    return { accessToken, refreshToken, family };
+};
+
+/**
+ * Access token for support staff acting as `user`. There is no refresh
+ * token; `impersonatorId` marks the token and `sid` points at the
+ * Impersonation record that audits it.
+ */
+exports.generateImpersonationToken = (user, { impersonationId, impersonatorId }) => {
+    return signWithActiveKey({ id: user.id, role: user.role, sid: impersonationId, mfa: false, impersonatorId },
+        `${exports.IMPERSONATION_TTL_MINUTES}m`,
+    );
 };
 
 exports.verifyRefreshToken = (token) => {
     return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
-};
\ No newline at end of file
+};
+
+// short-lived proof that the password step of a 2FA login succeeded. It is
+// signed with a server-only secret: the access-token key is published in the
+// JWKS, and other services must never accept a challenge as an access token.
+exports.generateChallengeToken = (user) => {
+    return jwt.sign({ id: user.id, purpose: exports.TWO_FACTOR_CHALLENGE_PURPOSE },
+        process.env.JWT_REFRESH_SECRET, { audience: exports.TWO_FACTOR_CHALLENGE_PURPOSE, expiresIn: "5m" },
+    );
+};
+
+exports.verifyChallengeToken = (token) => {
+    const payload = jwt.verify(token, process.env.JWT_REFRESH_SECRET, {
+        audience: exports.TWO_FACTOR_CHALLENGE_PURPOSE,
+    });
+
+    if (payload.purpose !== exports.TWO_FACTOR_CHALLENGE_PURPOSE) {
+        throw new Error("Not a challenge token");
+    }
+
+    return payload;
+};
+
+exports.generateRecoveryCodes = () => {
+    return Array.from({ length: exports.RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+};
+
+exports.normalizeRecoveryCode = (code) => {
+    return code.trim().toLowerCase().replace(/[^a-f0-9]/g, "");
+};
+
+exports.buildPasswordResetEmail = (user, token) => {
+    const link = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+
+    return {
+        to: user.email,
+        subject: "Reset your password",
+        html: `
+            <h3>Reset Password</h3>
+            <p>Hi ${user.name}, use the link below to choose a new password.</p>
+            <p><a href="${link}">Reset password</a></p>
+            <p>This link expires in ${exports.PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.</p>
+        `,
+    };
+};
+
+exports.buildVerificationEmail = (user, token) => {
+    const link = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+
+    return {
+        to: user.email,
+        subject: "Confirm your email address",
+        html: `
+            <h3>Confirm your email</h3>
+            <p>Hi ${user.name}, please confirm this is your email address.</p>
+            <p><a href="${link}">Verify email</a></p>
+            <p>This link expires in ${exports.EMAIL_VERIFICATION_TTL_DAYS * 24} hours.</p>
+        `,
+    };
+};
+
+exports.buildMagicLinkEmail = (user, token) => {
+    const link = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
+
+    return {
+        to: user.email,
+        subject: "Your sign-in link",
+        html: `
+            <h3>Sign in</h3>
+            <p>Hi ${user.name}, use the link below to sign in without a password.</p>
+            <p><a href="${link}">Sign in</a></p>
+            <p>This link expires in ${exports.MAGIC_LINK_TTL_MINUTES} minutes and can only be used once.</p>
+            <p>If you didn't ask for it, you can ignore this email.</p>
+        `,
+    };
+};
+
+// counters are keyed by the submitted email so unknown accounts are throttled too
+exports.normalizeLoginKey = (email) => {
+    return String(email).trim().toLowerCase();
+};
+
+exports.buildLockoutEmail = (user, minutes) => {
+    return {
+        to: user.email,
+        subject: "Your account has been temporarily locked",
+        html: `
+            <h3>Account locked</h3>
+            <p>Hi ${user.name}, we blocked sign-ins to your account for ${minutes} minutes after too many failed attempts.</p>
+            <p>If this wasn't you, we recommend resetting your password.</p>
+        `,
+    };
+};
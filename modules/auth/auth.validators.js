@@ -9,4 +9,52 @@ exports.registerSchema = Joi.object({
 exports.loginSchema = Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().required(),
-});
\ No newline at end of file
+});
+
+exports.refreshTokenSchema = Joi.object({
+    refreshToken: Joi.string().required(),
+});
+
+exports.forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().required(),
+});
+
+exports.resetPasswordSchema = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required(),
+});
+
+exports.magicLinkSchema = Joi.object({
+    email: Joi.string().email().required(),
+});
+
+exports.magicLinkLoginSchema = Joi.object({
+    token: Joi.string().required(),
+});
+
+exports.verifyEmailSchema = Joi.object({
+    token: Joi.string().required(),
+});
+
+const totpCode = Joi.string().pattern(/^\d{6}$/);
+
+exports.twoFactorLoginSchema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: totpCode,
+    recoveryCode: Joi.string(),
+}).xor("code", "recoveryCode");
+
+exports.twoFactorCodeSchema = Joi.object({
+    code: totpCode.required(),
+});
+
+exports.disableTwoFactorSchema = Joi.object({
+    password: Joi.string().required(),
+    code: totpCode,
+    recoveryCode: Joi.string(),
+}).xor("code", "recoveryCode");
+
+exports.oidcCallbackSchema = Joi.object({
+    code: Joi.string().required(),
+    state: Joi.string().required(),
+}).unknown(true);
\ No newline at end of file
@@ -18,6 +18,24 @@ exports.getBookById = async(req, res, next) => {
     }
 };
 
+exports.getBookByIsbn = async(req, res, next) => {
+    try {
+        const book = await bookService.getByIsbn(req.params.isbn);
+        res.json(book);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getBookBySlug = async(req, res, next) => {
+    try {
+        const book = await bookService.getBySlug(req.params.slug);
+        res.json(book);
+    } catch (err) {
+        next(err);
+    }
+};
+
 exports.createBook = async(req, res, next) => {
     try {
         const book = await bookService.create(req.body);
@@ -39,7 +57,51 @@ exports.updateBook = async(req, res, next) => {
 exports.deleteBook = async(req, res, next) => {
     try {
         await bookService.delete(req.params.id);
-        res.json({ message: "Book deleted" });
+        res.json({ message: "Book archived" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.addEdition = async(req, res, next) => {
+    try {
+        const edition = await bookService.addEdition(req.params.id, req.body);
+        res.status(201).json(edition);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.updateEdition = async(req, res, next) => {
+    try {
+        const edition = await bookService.updateEdition(
+            req.params.id,
+            req.params.editionId,
+            req.body,
+        );
+        res.json(edition);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.uploadEditionFile = async(req, res, next) => {
+    try {
+        const edition = await bookService.uploadEditionFile(
+            req.params.id,
+            req.params.editionId,
+            req.file,
+        );
+        res.json(edition);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.deleteEdition = async(req, res, next) => {
+    try {
+        await bookService.deleteEdition(req.params.id, req.params.editionId);
+        res.json({ message: "Edition deleted" });
     } catch (err) {
         next(err);
     }
@@ -1,14 +1,49 @@
+const { hasStock, lowestPrice, isPreorderable, isPurchasable } = require("./book.utils");
+const { creditDTO } = require("../contributors/contributor.dto");
+const { byline } = require("../contributors/contributor.utils");
+const { tagDTO } = require("../tags/tag.dto");
+
+exports.editionDTO = (edition) => ({
+    id: edition.id,
+    bookId: edition.bookId,
+    format: edition.format,
+    price: edition.price,
+    stock: edition.stock,
+    available: isPurchasable(edition) && hasStock(edition),
+    isbn13: edition.isbn13,
+    isbn10: edition.isbn10,
+    publisher: edition.publisher,
+    publicationDate: edition.publicationDate,
+    pageCount: edition.pageCount,
+    dimensions: {
+        heightMm: edition.heightMm,
+        widthMm: edition.widthMm,
+        depthMm: edition.depthMm,
+    },
+    weightGrams: edition.weightGrams,
+    // ebooks only: whether buyers can download it yet
+    hasFile: Boolean(edition.fileKey),
+});
+
 exports.bookDTO = (book) => ({
     id: book.id,
     title: book.title,
-    author: book.author,
-    price: book.price,
-    stock: book.stock,
+    slug: book.slug,
+    author: byline(book.BookContributors),
+    contributors: (book.BookContributors || []).map(creditDTO),
+    language: book.language,
+    coverImageUrl: book.coverImageUrl,
+    releaseDate: book.releaseDate,
+    preorder: isPreorderable(book),
+    priceFrom: lowestPrice(book.Editions),
+    editions: (book.Editions || []).map(exports.editionDTO),
     category: book.Category ?
         {
             id: book.Category.id,
             name: book.Category.name,
+            slug: book.Category.slug,
         } :
         null,
+    tags: (book.Tags || []).map(tagDTO),
     createdAt: book.createdAt,
-});
\ No newline at end of file
+});
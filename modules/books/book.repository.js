@@ -1,13 +1,34 @@
 const { Op } = require("sequelize");
-const { Book, Category } = require("../../models");
+const {
+    Book,
+    Edition,
+    Category,
+    BookContributor,
+    Contributor,
+    SeriesEntry,
+    Tag,
+} = require("../../models");
+const contributorRepo = require("../contributors/contributor.repository");
+const tagRepo = require("../tags/tag.repository");
 
-exports.findAll = async({
-    limit,
-    offset,
+const editionOrder = [Edition, "id", "ASC"];
+const creditOrder = [BookContributor, "position", "ASC"];
+const credits = { model: BookContributor, include: [Contributor] };
+const tags = { model: Tag, through: { attributes: [] } };
+
+/**
+ * Where + filtering includes for a book listing, shared by the catalog,
+ * search and rule-based collections. `search` matches titles and
+ * contributor names, and descriptions too with `inDescription`.
+ */
+exports.buildFilters = ({
     search,
+    inDescription = false,
     category,
+    series,
     minPrice,
     maxPrice,
+    tagSlugs = [],
 }) => {
     const where = {};
 
@@ -15,48 +36,188 @@ exports.findAll = async({
         where[Op.or] = [
             { title: {
                     [Op.iLike]: `%${search}%` } },
-            { author: {
-                    [Op.iLike]: `%${search}%` } },
+            { id: {
+                    [Op.in]: contributorRepo.bookIdsByContributorName(search) } },
+            ...(inDescription ? [{ description: {
+                    [Op.iLike]: `%${search}%` } }] : []),
         ];
     }
 
+    // every requested tag must be on the book
+    if (tagSlugs.length) {
+        where[Op.and] = [{ id: {
+                [Op.in]: tagRepo.bookIdsWithAllTags(tagSlugs) } }];
+    }
+
+    // a book matches when one of its editions is in the price range
+    const editionWhere = {};
+
     if (minPrice || maxPrice) {
-        where.price = {};
-        if (minPrice) where.price[Op.gte] = minPrice;
-        if (maxPrice) where.price[Op.lte] = maxPrice;
+        editionWhere.price = {};
+        if (minPrice) editionWhere.price[Op.gte] = minPrice;
+        if (maxPrice) editionWhere.price[Op.lte] = maxPrice;
     }
 
+    return {
+        where,
+        include: [
+            category ? { model: Category, where: { name: category } } : { model: Category },
+            { model: Edition, where: editionWhere, required: Boolean(minPrice || maxPrice) },
+            ...(series ? [{ model: SeriesEntry, where: { seriesId: series } }] : []),
+        ],
+    };
+};
+
+// helper: only the joins that narrow the books down, without their columns
+const filteringOnly = (include) => {
+    return include
+        .filter((i) => i.where && i.required !== false)
+        .map((i) => ({...i, attributes: [] }));
+};
+
+exports.findAll = async({ limit, offset, ...filters }) => {
+    const { where, include } = exports.buildFilters(filters);
+
     return Book.findAndCountAll({
         where,
-        include: category ?
-            [{
-                model: Category,
-                where: { name: category },
-            }, ] :
-            [{ model: Category }],
+        include: [...include, credits, tags],
+        distinct: true,
         limit,
         offset,
         order: [
-            ["createdAt", "DESC"]
+            ["createdAt", "DESC"], editionOrder, creditOrder,
         ],
     });
 };
 
-exports.findById = (id) => {
+// how many books match the filters, across all pages
+exports.count = (filters) => {
+    const { where, include } = exports.buildFilters(filters);
+
+    return Book.count({ where, include: filteringOnly(include), distinct: true, col: "id" });
+};
+
+// per-tag counts over every book matching the filters
+exports.countTags = (filters) => {
+    const { where, include } = exports.buildFilters(filters);
+
+    return tagRepo.countByBooks({ where, include: filteringOnly(include) });
+};
+
+exports.findById = (id, transaction) => {
     return Book.findByPk(id, {
-        include: [{ model: Category }],
+        include: [{ model: Category }, { model: Edition }, credits, tags],
+        order: [editionOrder, creditOrder],
+        transaction,
+    });
+};
+
+// full books for a list of ids, in no particular order
+exports.findByIds = (ids) => {
+    return Book.findAll({
+        where: { id: {
+                [Op.in]: ids } },
+        include: [{ model: Category }, { model: Edition }, credits, tags],
+        order: [editionOrder, creditOrder],
+    });
+};
+
+exports.findBySlug = (slug) => {
+    return Book.findOne({
+        where: { slug },
+        include: [{ model: Category }, { model: Edition }, credits, tags],
+        order: [editionOrder, creditOrder],
     });
 };
 
-exports.create = (data) => {
-    return Book.create(data);
+exports.create = (data, transaction) => {
+    return Book.create(data, { transaction });
 };
 
-exports.update = async(id, data) => {
-    await Book.update(data, { where: { id } });
-    return this.findById(id);
+exports.update = async(id, data, transaction) => {
+    await Book.update(data, { where: { id }, transaction });
+    return this.findById(id, transaction);
 };
 
+// archives; the row stays for order history and can be restored
 exports.delete = (id) => {
     return Book.destroy({ where: { id } });
-};
\ No newline at end of file
+};
+
+exports.findArchived = ({ limit, offset }) => {
+    return Book.findAll({
+        where: { deletedAt: {
+                [Op.ne]: null } },
+        include: [{ model: Category, paranoid: false }, { model: Edition }, credits],
+        paranoid: false,
+        limit,
+        offset,
+        order: [
+            ["deletedAt", "DESC"]
+        ],
+    });
+};
+
+exports.findArchivedById = (id) => {
+    return Book.findOne({
+        where: {
+            id,
+            deletedAt: {
+                [Op.ne]: null },
+        },
+        paranoid: false,
+    });
+};
+
+exports.restore = (id) => {
+    return Book.restore({ where: { id } });
+};
+
+// =====================
+// EDITIONS
+// =====================
+exports.findEditionById = (id, transaction) => {
+    return Edition.findByPk(id, { include: [{ model: Book }], transaction });
+};
+
+// row-locked until `transaction` ends, for a stock check followed by a write
+exports.findEditionForUpdate = (id, transaction) => {
+    return Edition.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+};
+
+// serializes work on a book's pre-orders until `transaction` ends
+exports.lockBook = (id, transaction) => {
+    return Book.findByPk(id, { attributes: ["id"], transaction, lock: transaction.LOCK.UPDATE });
+};
+
+exports.findEditionByIsbn13 = (isbn13) => {
+    return Edition.findOne({
+        where: { isbn13 },
+        include: [{ model: Book }],
+    });
+};
+
+// editions matching any of the given ISBN-13s, e.g. other formats named in a feed
+exports.findEditionsByIsbn13 = (isbns) => {
+    return Edition.findAll({
+        where: { isbn13: {
+                [Op.in]: isbns } },
+    });
+};
+
+exports.countEditions = (bookId) => {
+    return Edition.count({ where: { bookId } });
+};
+
+exports.createEdition = (data, transaction) => {
+    return Edition.create(data, { transaction });
+};
+
+exports.updateEdition = async(id, data, transaction) => {
+    await Edition.update(data, { where: { id }, transaction });
+    return this.findEditionById(id, transaction);
+};
+
+exports.deleteEdition = (id) => {
+    return Edition.destroy({ where: { id } });
+};
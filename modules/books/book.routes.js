@@ -1,32 +1,72 @@
 const express = require("express");
 const controller = require("./book.controller");
 const validate = require("../../middlewares/validate.middleware");
-const auth = require("../../middlewares/auth.middleware");
-const role = require("../../middlewares/role.middleware");
+const apiAuth = require("../../middlewares/apiAuth.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const { singleFile } = require("../../middlewares/upload.middleware");
+const { CATALOG_WRITE } = require("../../shared/constants/permissions.constant");
+const { EBOOK_FILE_EXTENSIONS, MAX_EBOOK_BYTES } = require("./book.utils");
 
-const { createBookSchema, updateBookSchema } = require("./book.validators");
+const {
+    createBookSchema,
+    updateBookSchema,
+    createEditionSchema,
+    updateEditionSchema,
+} = require("./book.validators");
 
 const router = express.Router();
 
 // public
 router.get("/", controller.getAllBooks);
+router.get("/isbn/:isbn", controller.getBookByIsbn);
+router.get("/slug/:slug", controller.getBookBySlug);
 router.get("/:id", controller.getBookById);
 
-// admin
+// staff
 router.post(
     "/",
-    auth,
-    role("admin"),
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
     validate(createBookSchema),
     controller.createBook,
 );
 router.put(
     "/:id",
-    auth,
-    role("admin"),
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
     validate(updateBookSchema),
     controller.updateBook,
 );
-router.delete("/:id", auth, role("admin"), controller.deleteBook);
+router.delete("/:id", apiAuth, requirePermission(CATALOG_WRITE), controller.deleteBook);
+
+// staff: editions (formats) of a book
+router.post(
+    "/:id/editions",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    validate(createEditionSchema),
+    controller.addEdition,
+);
+router.put(
+    "/:id/editions/:editionId",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    validate(updateEditionSchema),
+    controller.updateEdition,
+);
+// staff: the file delivered to ebook buyers (multipart: file)
+router.put(
+    "/:id/editions/:editionId/file",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    singleFile("file", { extensions: EBOOK_FILE_EXTENSIONS, maxBytes: MAX_EBOOK_BYTES }),
+    controller.uploadEditionFile,
+);
+router.delete(
+    "/:id/editions/:editionId",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    controller.deleteEdition,
+);
 
 module.exports = router;
\ No newline at end of file
@@ -1,20 +1,66 @@
+const path = require("path");
+const { sequelize } = require("../../models");
 const bookRepo = require("./book.repository");
-const { NotFoundError } = require("../../shared/errors");
-const { bookDTO } = require("./book.dto");
+const libraryRepo = require("../library/library.repository");
+const storage = require("../../services/storage.service");
+const slugService = require("../slugs/slug.service");
+const contributorService = require("../contributors/contributor.service");
+const seriesService = require("../series/series.service");
+const tagService = require("../tags/tag.service");
+const {
+    NotFoundError,
+    BadRequestError,
+    ConflictError,
+} = require("../../shared/errors");
+const { bookDTO, editionDTO } = require("./book.dto");
+const { withNormalizedIsbn } = require("./book.utils");
+const { parseTagFilter } = require("../tags/tag.utils");
+const { normalizeIsbn } = require("../../shared/utils/isbn.util");
+const { assertWatermarkable } = require("../../shared/utils/watermark.util");
+const { EBOOK } = require("../../shared/constants/bookFormat.constant");
+const { BOOK } = require("../../shared/constants/slugEntity.constant");
+
+// helper: one edition per ISBN
+const assertIsbnAvailable = async(isbn13, editionId) => {
+    if (!isbn13) return;
+
+    const existing = await bookRepo.findEditionByIsbn13(isbn13);
+    if (existing && existing.id !== Number(editionId)) {
+        throw new ConflictError(`ISBN ${isbn13} is already used by book ${existing.bookId}`);
+    }
+};
+
+// helper: the edition, checked to belong to the book in the URL
+const findEdition = async(bookId, editionId) => {
+    const edition = await bookRepo.findEditionById(editionId);
+
+    if (!edition || edition.bookId !== Number(bookId)) {
+        throw new NotFoundError("Edition not found");
+    }
+
+    return edition;
+};
+
+// helper: detail responses also show where the book sits in its series
+const bookDetail = async(book) => ({
+    ...bookDTO(book),
+    series: await seriesService.getBookSeries(book.id),
+});
 
 exports.getAll = async(query) => {
     const { page = 1, limit = 10, search, category, minPrice, maxPrice } = query;
 
     const offset = (page - 1) * limit;
-
-    const { rows, count } = await bookRepo.findAll({
-        limit,
-        offset,
+    const filters = {
         search,
         category,
         minPrice,
         maxPrice,
-    });
+        tagSlugs: parseTagFilter(query.tags),
+    };
+
+    const { rows, count } = await bookRepo.findAll({...filters, limit, offset });
+    const tagCounts = await bookRepo.countTags(filters);
 
     return {
         data: rows.map(bookDTO),
@@ -23,31 +69,179 @@ exports.getAll = async(query) => {
             page: Number(page),
             pages: Math.ceil(count / limit),
         },
+        facets: {
+            tags: await tagService.toFacets(tagCounts),
+        },
     };
 };
 
 exports.getById = async(id) => {
     const book = await bookRepo.findById(id);
     if (!book) throw new NotFoundError("Book not found");
-    return bookDTO(book);
+    return bookDetail(book);
 };
 
-exports.create = async(data) => {
-    const book = await bookRepo.create(data);
-    return bookDTO(book);
+// any edition's ISBN leads to the book with all of its editions
+exports.getByIsbn = async(isbn) => {
+    const normalized = normalizeIsbn(isbn);
+    if (!normalized) throw new BadRequestError("Invalid ISBN");
+
+    const edition = await bookRepo.findEditionByIsbn13(normalized.isbn13);
+    if (!edition) throw new NotFoundError("Book not found");
+
+    return exports.getById(edition.bookId);
 };
 
-exports.update = async(id, data) => {
+/**
+ * Looks a book up by its current or a former slug. For a former slug the
+ * response carries `redirectTo` (the current slug) so the storefront can
+ * answer with a 301.
+ */
+exports.getBySlug = async(slug) => {
+    let book = await bookRepo.findBySlug(slug);
+
+    if (!book) {
+        const bookId = await slugService.resolveRedirect(BOOK, slug);
+        book = bookId && (await bookRepo.findById(bookId));
+    }
+
+    if (!book) throw new NotFoundError("Book not found");
+
+    const detail = await bookDetail(book);
+
+    return book.slug === slug ? detail : {...detail, redirectTo: book.slug };
+};
+
+exports.create = async({ editions, contributors, tagIds, ...data }) => {
+    const values = {...data };
+
+    const editionValues = editions.map(withNormalizedIsbn);
+    const isbns = editionValues.map((edition) => edition.isbn13).filter(Boolean);
+
+    if (new Set(isbns).size !== isbns.length) {
+        throw new BadRequestError("Each edition needs its own ISBN");
+    }
+
+    for (const isbn13 of isbns) {
+        await assertIsbnAvailable(isbn13);
+    }
+
+    if (values.slug) {
+        await slugService.assertAvailable(BOOK, values.slug);
+    } else {
+        values.slug = await slugService.generate(BOOK, values.title);
+    }
+
+    const book = await sequelize.transaction(async(t) => {
+        const created = await bookRepo.create(values, t);
+
+        for (const edition of editionValues) {
+            await bookRepo.createEdition({...edition, bookId: created.id }, t);
+        }
+
+        await contributorService.setBookCredits(created.id, contributors, { transaction: t });
+        if (tagIds) await tagService.setBookTags(created.id, tagIds, { transaction: t });
+
+        return created;
+    });
+
+    return exports.getById(book.id);
+};
+
+exports.update = async(id, { contributors, tagIds, ...data }) => {
     const existing = await bookRepo.findById(id);
     if (!existing) throw new NotFoundError("Book not found");
 
+    // renaming keeps the slug; only an explicit new slug moves the book
+    if (data.slug) await slugService.change(BOOK, existing, data.slug);
+
+    // a submitted list replaces all credits
+    if (contributors) await contributorService.setBookCredits(existing.id, contributors);
+    if (tagIds) await tagService.setBookTags(existing.id, tagIds);
+
     const updated = await bookRepo.update(id, data);
     return bookDTO(updated);
 };
 
+// archives the book; its slug and redirects stay reserved for a restore
 exports.delete = async(id) => {
     const book = await bookRepo.findById(id);
     if (!book) throw new NotFoundError("Book not found");
 
     await bookRepo.delete(id);
-};
\ No newline at end of file
+};
+
+// =====================
+// EDITIONS
+// =====================
+exports.addEdition = async(bookId, data) => {
+    const book = await bookRepo.findById(bookId);
+    if (!book) throw new NotFoundError("Book not found");
+
+    const values = withNormalizedIsbn(data);
+    await assertIsbnAvailable(values.isbn13);
+
+    const edition = await bookRepo.createEdition({...values, bookId: book.id });
+    return editionDTO(edition);
+};
+
+exports.updateEdition = async(bookId, editionId, data) => {
+    const edition = await findEdition(bookId, editionId);
+
+    const values = withNormalizedIsbn(data);
+    await assertIsbnAvailable(values.isbn13, edition.id);
+
+    const updated = await bookRepo.updateEdition(edition.id, values);
+    return editionDTO(updated);
+};
+
+// order lines keep their book when an edition goes away; carts lose it
+exports.deleteEdition = async(bookId, editionId) => {
+    const edition = await findEdition(bookId, editionId);
+
+    if ((await bookRepo.countEditions(edition.bookId)) === 1) {
+        throw new BadRequestError("A book needs at least one edition; delete the book instead");
+    }
+
+    // customers keep downloading what they bought
+    if (await libraryRepo.countByEdition(edition.id)) {
+        throw new ConflictError("Customers own this edition; it can't be deleted");
+    }
+
+    await bookRepo.deleteEdition(edition.id);
+    if (edition.fileKey) await storage.remove(edition.fileKey);
+};
+
+/**
+ * Stores the file delivered to buyers of an ebook edition, replacing any
+ * earlier upload.
+ */
+exports.uploadEditionFile = async(bookId, editionId, file) => {
+    const edition = await findEdition(bookId, editionId);
+
+    if (edition.format !== EBOOK) {
+        throw new BadRequestError("Only ebook editions have a downloadable file");
+    }
+
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    try {
+        assertWatermarkable(file.buffer, extension);
+    } catch (err) {
+        throw new BadRequestError(`Unreadable ${extension} file: ${err.message}`);
+    }
+
+    const fileKey = `ebooks/${edition.bookId}/${edition.id}${extension}`;
+    await storage.put(fileKey, file.buffer);
+
+    if (edition.fileKey && edition.fileKey !== fileKey) {
+        await storage.remove(edition.fileKey);
+    }
+
+    const updated = await bookRepo.updateEdition(edition.id, {
+        fileKey,
+        fileName: path.basename(file.originalname),
+    });
+
+    return editionDTO(updated);
+};
@@ -1,4 +1,76 @@
+const { normalizeIsbn } = require("../../shared/utils/isbn.util");
+const { EBOOK, AUDIOBOOK } = require("../../shared/constants/bookFormat.constant");
+const { toDateOnly } = require("../../shared/utils/date.util");
+
+// digital editions are never out of stock and don't track inventory
+const DIGITAL_FORMATS = [EBOOK, AUDIOBOOK];
+
+// digital formats buyers can actually receive (the library only serves ebook files)
+const DELIVERABLE_DIGITAL_FORMATS = [EBOOK];
+
+// ebook files staff can upload for delivery (see library.service)
+exports.EBOOK_FILE_EXTENSIONS = [".epub", ".pdf"];
+exports.MAX_EBOOK_BYTES = 100 * 1024 * 1024;
+
+exports.BOOK_FIELDS = ["title", "description", "categoryId", "language", "coverImageUrl"];
+
+exports.EDITION_FIELDS = [
+    "format",
+    "price",
+    "stock",
+    "isbn13",
+    "isbn10",
+    "publisher",
+    "publicationDate",
+    "pageCount",
+    "heightMm",
+    "widthMm",
+    "depthMm",
+    "weightGrams",
+];
+
 exports.calculateDiscountPrice = (price, discount) => {
     if (!discount) return price;
     return price - (price * discount) / 100;
-};
\ No newline at end of file
+};
+
+// replaces the submitted `isbn` with the stored isbn13/isbn10 pair
+exports.withNormalizedIsbn = (data) => {
+    if (data.isbn === undefined) return data;
+
+    const { isbn, ...rest } = data;
+    const normalized = isbn === null ? { isbn13: null, isbn10: null } : normalizeIsbn(isbn);
+
+    return {...rest, ...normalized };
+};
+
+// the subset of `data` whose keys are in `fields`
+exports.pick = (data, fields) => {
+    return Object.fromEntries(
+        Object.entries(data).filter(([key]) => fields.includes(key)),
+    );
+};
+
+exports.isDigital = (edition) => {
+    return DIGITAL_FORMATS.includes(edition.format);
+};
+
+// audiobooks are listed but can't be sold until there is a way to deliver them
+exports.isPurchasable = (edition) => {
+    return !exports.isDigital(edition) || DELIVERABLE_DIGITAL_FORMATS.includes(edition.format);
+};
+
+exports.hasStock = (edition, quantity = 1) => {
+    return exports.isDigital(edition) || edition.stock >= quantity;
+};
+
+// announced and not yet out; pre-orders ignore stock
+exports.isPreorderable = (book, today = toDateOnly()) => {
+    return Boolean(book.preorderEnabled && book.releaseDate && book.releaseDate > today);
+};
+
+// "from $x" price shown for a book in listings
+exports.lowestPrice = (editions = []) => {
+    if (!editions.length) return null;
+    return Math.min(...editions.map((edition) => edition.price));
+};
@@ -1,19 +1,83 @@
 const Joi = require("joi");
+const BOOK_FORMATS = require("../../shared/constants/bookFormat.constant");
+const { normalizeIsbn } = require("../../shared/utils/isbn.util");
+const { SLUG_PATTERN } = require("../../shared/utils/slug.util");
+const { creditSchema } = require("../contributors/contributor.validators");
+
+const isbn = Joi.string().custom((value, helpers) => {
+    if (!normalizeIsbn(value)) {
+        return helpers.message("isbn must be a valid ISBN-10 or ISBN-13");
+    }
+
+    return value;
+});
+
+const format = Joi.string().valid(...Object.values(BOOK_FORMATS));
+
+// describe the work; shared by create, update and catalog imports
+const bookMetadata = {
+    language: Joi.string()
+        .pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/)
+        .allow(null)
+        .optional(),
+    coverImageUrl: Joi.string().uri().max(2048).allow(null).optional(),
+};
+
+// describe one edition; none of these are required
+const editionMetadata = {
+    isbn: isbn.allow(null).optional(),
+    publisher: Joi.string().max(255).allow(null).optional(),
+    publicationDate: Joi.date().iso().allow(null).optional(),
+    pageCount: Joi.number().integer().min(1).allow(null).optional(),
+    heightMm: Joi.number().integer().min(1).allow(null).optional(),
+    widthMm: Joi.number().integer().min(1).allow(null).optional(),
+    depthMm: Joi.number().integer().min(1).allow(null).optional(),
+    weightGrams: Joi.number().integer().min(1).allow(null).optional(),
+};
+
+// announced titles; pre-orders are taken until releaseDate
+const preorderFields = {
+    releaseDate: Joi.date().iso().allow(null).optional(),
+    preorderEnabled: Joi.boolean().optional(),
+    preorderCap: Joi.number().integer().min(1).allow(null).optional(),
+};
+
+exports.createEditionSchema = Joi.object({
+    format: format.required(),
+    price: Joi.number().min(0).required(),
+    stock: Joi.number().integer().min(0).default(0),
+    ...editionMetadata,
+});
+
+exports.updateEditionSchema = Joi.object({
+    format: format.optional(),
+    price: Joi.number().min(0).optional(),
+    stock: Joi.number().integer().min(0).optional(),
+    ...editionMetadata,
+});
 
 exports.createBookSchema = Joi.object({
     title: Joi.string().required(),
-    author: Joi.string().required(),
-    price: Joi.number().required(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
+    contributors: Joi.array().items(creditSchema).min(1).required(),
     description: Joi.string().optional(),
     categoryId: Joi.number().required(),
-    stock: Joi.number().default(0),
+    tagIds: Joi.array().items(Joi.number().integer()).optional(),
+    ...bookMetadata,
+    ...preorderFields,
+    editions: Joi.array().items(exports.createEditionSchema).min(1).required(),
 });
 
 exports.updateBookSchema = Joi.object({
     title: Joi.string().optional(),
-    author: Joi.string().optional(),
-    price: Joi.number().optional(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
+    contributors: Joi.array().items(creditSchema).min(1).optional(),
     description: Joi.string().optional(),
     categoryId: Joi.number().optional(),
-    stock: Joi.number().optional(),
-});
\ No newline at end of file
+    tagIds: Joi.array().items(Joi.number().integer()).optional(),
+    ...bookMetadata,
+    ...preorderFields,
+});
+
+// catalog import rows carry the work and one edition side by side
+exports.bookMetadataFields = {...bookMetadata, ...editionMetadata, format };
@@ -1,12 +1,19 @@
+const { isPreorderable } = require("../books/book.utils");
+
 exports.cartDTO = (cart) => ({
     id: cart.id,
     items: cart.CartItems ?.map((item) => ({
         id: item.id,
-        bookId: item.bookId,
-        title: item.Book.title,
-        price: item.price,
+        bookId: item.Edition.bookId,
+        editionId: item.editionId,
+        title: item.Edition.Book.title,
+        available: !item.Edition.Book.deletedAt,
+        preorder: isPreorderable(item.Edition.Book),
+        releaseDate: item.Edition.Book.releaseDate,
+        format: item.Edition.format,
+        price: item.Edition.price,
         quantity: item.quantity,
-        subtotal: item.price * item.quantity,
+        subtotal: item.Edition.price * item.quantity,
     })) || [],
     total: cart.total || 0,
 });
\ No newline at end of file
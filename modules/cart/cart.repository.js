@@ -1,9 +1,13 @@
-const { Cart, CartItem, Book } = require("../../models");
+const { Cart, CartItem, Edition, Book } = require("../../models");
 
 exports.getOrCreateCart = async(userId) => {
     let cart = await Cart.findOne({
         where: { userId },
-        include: [{ model: CartItem, include: [Book] }],
+        include: [{
+            model: CartItem,
+            // archived books stay visible in the cart, marked unavailable
+            include: [{ model: Edition, include: [{ model: Book, paranoid: false }] }],
+        }, ],
     });
 
     if (!cart) {
@@ -13,11 +17,11 @@ exports.getOrCreateCart = async(userId) => {
     return cart;
 };
 
-exports.addOrUpdateItem = async(userId, bookId, quantity, price) => {
+exports.addOrUpdateItem = async(userId, editionId, quantity) => {
     const cart = await this.getOrCreateCart(userId);
 
     const existing = await CartItem.findOne({
-        where: { cartId: cart.id, bookId },
+        where: { cartId: cart.id, editionId },
     });
 
     if (existing) {
@@ -28,9 +32,8 @@ exports.addOrUpdateItem = async(userId, bookId, quantity, price) => {
 
     return CartItem.create({
         cartId: cart.id,
-        bookId,
+        editionId,
         quantity,
-        price,
     });
 };
 
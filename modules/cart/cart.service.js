@@ -1,23 +1,48 @@
 const cartRepo = require("./cart.repository");
 const bookRepo = require("../books/book.repository");
+const orderService = require("../orders/order.service");
 const { NotFoundError, BadRequestError } = require("../../shared/errors");
 const { cartDTO } = require("./cart.dto");
-const { calculateTotals } = require("./cart.utils");
+const { calculateTotals, holdsPreorders } = require("./cart.utils");
+const { hasStock, isPreorderable, isPurchasable } = require("../books/book.utils");
+
+// helper: announced books are limited by the pre-order cap instead of stock
+const assertAvailable = async(edition, quantity) => {
+    if (!isPurchasable(edition)) {
+        throw new BadRequestError(`${edition.format} editions can't be bought yet`);
+    }
+
+    if (isPreorderable(edition.Book)) {
+        await orderService.assertPreorderCap(edition.Book, quantity);
+    } else if (!hasStock(edition, quantity)) {
+        throw new BadRequestError("Not enough stock");
+    }
+};
 
 exports.getCart = async(userId) => {
     const cart = await cartRepo.getOrCreateCart(userId);
     return cartDTO(cart);
 };
 
-exports.addToCart = async(userId, { bookId, quantity }) => {
-    const book = await bookRepo.findById(bookId);
-    if (!book) throw new NotFoundError("Book not found");
+exports.addToCart = async(userId, { editionId, quantity }) => {
+    const edition = await bookRepo.findEditionById(editionId);
 
-    if (book.stock < quantity) {
-        throw new BadRequestError("Not enough stock");
+    // editions of archived books come back without their book
+    if (!edition || !edition.Book) throw new NotFoundError("Edition not found");
+
+    const current = await cartRepo.getOrCreateCart(userId);
+
+    if (current.CartItems ?.length && holdsPreorders(current) !== isPreorderable(edition.Book)) {
+        throw new BadRequestError("Pre-orders have to be checked out separately from other books");
     }
 
-    await cartRepo.addOrUpdateItem(userId, bookId, quantity, book.price);
+    const inCart = (current.CartItems || [])
+        .filter((item) => item.editionId === edition.id)
+        .reduce((sum, item) => sum + item.quantity, 0);
+
+    await assertAvailable(edition, inCart + quantity);
+
+    await cartRepo.addOrUpdateItem(userId, editionId, quantity);
 
     const cart = await cartRepo.getOrCreateCart(userId);
     return cartDTO(calculateTotals(cart));
@@ -27,11 +52,10 @@ exports.updateItem = async(userId, itemId, { quantity }) => {
     const item = await cartRepo.findItem(itemId);
     if (!item) throw new NotFoundError("Cart item not found");
 
-    const book = await bookRepo.findById(item.bookId);
+    const edition = await bookRepo.findEditionById(item.editionId);
+    if (!edition || !edition.Book) throw new NotFoundError("Edition not found");
 
-    if (book.stock < quantity) {
-        throw new BadRequestError("Not enough stock");
-    }
+    await assertAvailable(edition, quantity);
 
     await cartRepo.updateItem(itemId, quantity);
 
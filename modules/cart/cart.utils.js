@@ -1,11 +1,18 @@
+const { isPreorderable } = require("../books/book.utils");
+
 exports.calculateTotals = (cart) => {
     let total = 0;
 
     cart.CartItems.forEach((item) => {
-        total += item.price * item.quantity;
+        total += item.Edition.price * item.quantity;
     });
 
     cart.total = total;
 
     return cart;
-};
\ No newline at end of file
+};
+
+// pre-orders are checked out on their own, never together with books in stock
+exports.holdsPreorders = (cart) => {
+    return (cart.CartItems || []).some((item) => isPreorderable(item.Edition.Book));
+};
@@ -1,7 +1,7 @@
 const Joi = require("joi");
 
 exports.addToCartSchema = Joi.object({
-    bookId: Joi.number().required(),
+    editionId: Joi.number().required(),
     quantity: Joi.number().min(1).required(),
 });
 
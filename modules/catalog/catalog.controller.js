@@ -0,0 +1,57 @@
+const { once } = require("events");
+const catalogService = require("./catalog.service");
+const { CSV, ONIX } = require("../../shared/constants/importFormat.constant");
+
+exports.importCatalog = async(req, res, next) => {
+    try {
+        const catalogImport = await catalogService.startImport(req.user, req.file, {
+            format: CSV,
+            dryRun: String(req.body.dryRun) === "true",
+        });
+        res.status(202).json(catalogImport);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.importOnix = async(req, res, next) => {
+    try {
+        const catalogImport = await catalogService.startImport(req.user, req.file, {
+            format: ONIX,
+            dryRun: String(req.body.dryRun) === "true",
+        });
+        res.status(202).json(catalogImport);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getImport = async(req, res, next) => {
+    try {
+        const catalogImport = await catalogService.getImport(req.params.id);
+        res.json(catalogImport);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.exportCatalog = async(req, res, next) => {
+    try {
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.set({
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="catalog-${date}.csv"`,
+        });
+
+        for await (const chunk of catalogService.exportCsv()) {
+            if (!res.write(chunk)) await once(res, "drain");
+        }
+
+        res.end();
+    } catch (err) {
+        // once streaming has started the status line is gone; just cut the response
+        if (res.headersSent) return res.destroy(err);
+        next(err);
+    }
+};
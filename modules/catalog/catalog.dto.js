@@ -0,0 +1,26 @@
+exports.importDTO = (catalogImport) => ({
+    id: catalogImport.id,
+    fileName: catalogImport.fileName,
+    format: catalogImport.format,
+    status: catalogImport.status,
+    dryRun: catalogImport.dryRun,
+    progress: {
+        processed: catalogImport.processedRows,
+        total: catalogImport.totalRows,
+    },
+    created: catalogImport.createdCount,
+    updated: catalogImport.updatedCount,
+    failed: catalogImport.failedCount,
+    errors: catalogImport.errors,
+    errorMessage: catalogImport.errorMessage,
+    feed: catalogImport.feedRelease ?
+        {
+            release: catalogImport.feedRelease,
+            sender: catalogImport.feedSender,
+            sentAt: catalogImport.feedSentAt,
+        } :
+        null,
+    startedAt: catalogImport.startedAt,
+    finishedAt: catalogImport.finishedAt,
+    createdAt: catalogImport.createdAt,
+});
@@ -0,0 +1,316 @@
+const xml = require("../../shared/utils/xml.util");
+const { BadRequestError } = require("../../shared/errors");
+const BOOK_FORMATS = require("../../shared/constants/bookFormat.constant");
+const CONTRIBUTOR_ROLES = require("../../shared/constants/contributorRole.constant");
+const { normalizeIsbn } = require("../../shared/utils/isbn.util");
+
+// codes from the EDItEUR ONIX code lists (https://www.editeur.org/14/Code-Lists/)
+const ISBN_ID_TYPES = ["15", "03", "02"]; // ISBN-13, GTIN-13, ISBN-10, in order of preference
+const DELETE_NOTIFICATION = "05";
+const ALTERNATIVE_FORMAT_RELATIONS = ["06", "13"]; // alternative format, epublication based on
+const CONTRIBUTOR_ROLE_CODES = {
+    A01: CONTRIBUTOR_ROLES.AUTHOR,
+    B06: CONTRIBUTOR_ROLES.TRANSLATOR,
+    A12: CONTRIBUTOR_ROLES.ILLUSTRATOR,
+    E07: CONTRIBUTOR_ROLES.NARRATOR, // "read by"
+    B01: CONTRIBUTOR_ROLES.EDITOR,
+};
+const DISTINCTIVE_TITLE = "01";
+const DESCRIPTION_TEXT_TYPES = ["03", "02"]; // description, short description
+const MAIN_PUBLISHER_ROLE = "01";
+const PUBLICATION_DATE_ROLE = "01";
+const PRIMARY_LANGUAGE_ROLE = "01";
+const PAGE_EXTENT_TYPES = ["00", "11"]; // main content, content page count
+const PAGES_UNIT = "03";
+const FRONT_COVER_RESOURCE = "01";
+const MEASURE_FIELDS = { "01": "heightMm", "02": "widthMm", "03": "depthMm", "08": "weightGrams" };
+const MEASURE_FACTORS = { mm: 1, cm: 10, in: 25.4, gr: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+
+exports.PRICE_CURRENCY = "USD";
+
+const { child, children, text, pathText, findError } = xml;
+
+// "20260410" / "202604" / "2026" -> ISO date
+const parseOnixDate = (value) => {
+    const match = value && value.match(/^(\d{4})(\d{2})?(\d{2})?$/);
+    if (!match) return undefined;
+
+    return `${match[1]}-${match[2] || "01"}-${match[3] || "01"}`;
+};
+
+// "20260410T1530+0100" and friends -> Date
+const parseOnixDateTime = (value) => {
+    const match = value && value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?)?(Z|[+-]\d{4})?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour = "00", minute = "00", second = "00", zone = "Z"] = match;
+    const offset = zone === "Z" ? "Z" : `${zone.slice(0, 3)}:${zone.slice(3)}`;
+
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+};
+
+const findByCode = (nodes, field, codes) => {
+    for (const code of codes) {
+        const match = nodes.find((node) => pathText(node, field) === code);
+        if (match) return match;
+    }
+
+    return undefined;
+};
+
+const mapIsbn = (product) => {
+    const identifiers = children(product, "ProductIdentifier");
+    const identifier = findByCode(identifiers, "ProductIDType", ISBN_ID_TYPES);
+
+    return identifier && pathText(identifier, "IDValue");
+};
+
+// ISBN-13s of the same title in other formats, used to group editions
+const mapRelatedIsbns = (product) => {
+    const related = children(child(product, "RelatedMaterial"), "RelatedProduct").filter(
+        (node) => children(node, "ProductRelationCode").some(
+            (code) => ALTERNATIVE_FORMAT_RELATIONS.includes(text(code)),
+        ),
+    );
+
+    return related
+        .map((node) => findByCode(children(node, "ProductIdentifier"), "ProductIDType", ISBN_ID_TYPES))
+        .map((identifier) => normalizeIsbn(pathText(identifier, "IDValue") || ""))
+        .filter(Boolean)
+        .map((isbn) => isbn.isbn13);
+};
+
+const mapTitle = (descriptive) => {
+    const detail =
+        findByCode(children(descriptive, "TitleDetail"), "TitleType", [DISTINCTIVE_TITLE]) ||
+        child(descriptive, "TitleDetail");
+    const element = child(detail, "TitleElement");
+
+    if (!element) return undefined;
+
+    return (
+        pathText(element, "TitleText") ||
+        [pathText(element, "TitlePrefix"), pathText(element, "TitleWithoutPrefix")]
+        .filter(Boolean)
+        .join(" ") ||
+        undefined
+    );
+};
+
+const contributorName = (contributor) => {
+    return (
+        pathText(contributor, "PersonName") ||
+        [pathText(contributor, "NamesBeforeKey"), pathText(contributor, "KeyNames")]
+        .filter(Boolean)
+        .join(" ") ||
+        pathText(contributor, "CorporateName")
+    );
+};
+
+// one credit per person and role we keep; other roles (foreword by, ...) are skipped
+const mapContributors = (descriptive) => {
+    const credits = children(descriptive, "Contributor")
+        .sort((a, b) => Number(pathText(a, "SequenceNumber") || 0) - Number(pathText(b, "SequenceNumber") || 0))
+        .flatMap((contributor) => {
+            const name = contributorName(contributor);
+            if (!name) return [];
+
+            return children(contributor, "ContributorRole")
+                .map((role) => CONTRIBUTOR_ROLE_CODES[text(role)])
+                .filter(Boolean)
+                .map((role) => ({ name, role }));
+        });
+
+    return credits.length ? credits : undefined;
+};
+
+const mapFormat = (productForm = "") => {
+    if (productForm === "BB") return BOOK_FORMATS.HARDCOVER;
+    if (productForm === "BC") return BOOK_FORMATS.PAPERBACK;
+    if (productForm.startsWith("E")) return BOOK_FORMATS.EBOOK;
+    if (productForm.startsWith("A")) return BOOK_FORMATS.AUDIOBOOK;
+
+    return undefined;
+};
+
+// the main subject's heading becomes the category
+const mapCategory = (descriptive) => {
+    const subjects = children(descriptive, "Subject");
+    const main = subjects.find((s) => child(s, "MainSubject")) || subjects[0];
+
+    return pathText(main, "SubjectHeadingText") || undefined;
+};
+
+const mapMeasures = (descriptive) => {
+    const measures = {};
+
+    for (const measure of children(descriptive, "Measure")) {
+        const field = MEASURE_FIELDS[pathText(measure, "MeasureType")];
+        const factor = MEASURE_FACTORS[pathText(measure, "MeasureUnitCode")];
+        const value = Number(pathText(measure, "Measurement"));
+
+        if (field && factor && value > 0) {
+            measures[field] = Math.round(value * factor);
+        }
+    }
+
+    return measures;
+};
+
+const mapPageCount = (descriptive) => {
+    const extent = findByCode(children(descriptive, "Extent"), "ExtentType", PAGE_EXTENT_TYPES);
+
+    if (!extent || pathText(extent, "ExtentUnit") !== PAGES_UNIT) return undefined;
+
+    return pathText(extent, "ExtentValue");
+};
+
+const mapCollateral = (collateral) => {
+    const textContent = findByCode(
+        children(collateral, "TextContent"),
+        "TextType",
+        DESCRIPTION_TEXT_TYPES,
+    );
+
+    const cover = findByCode(
+        children(collateral, "SupportingResource"),
+        "ResourceContentType", [FRONT_COVER_RESOURCE],
+    );
+
+    return {
+        description: pathText(textContent, "Text") || undefined,
+        coverImageUrl: pathText(cover, "ResourceVersion", "ResourceLink") || undefined,
+    };
+};
+
+const mapPublishing = (publishing) => {
+    const publisher =
+        findByCode(children(publishing, "Publisher"), "PublishingRole", [MAIN_PUBLISHER_ROLE]) ||
+        child(publishing, "Publisher");
+
+    const date = findByCode(
+        children(publishing, "PublishingDate"),
+        "PublishingDateRole", [PUBLICATION_DATE_ROLE],
+    );
+
+    return {
+        publisher: pathText(publisher, "PublisherName") || undefined,
+        publicationDate: parseOnixDate(pathText(date, "Date")),
+    };
+};
+
+// price in the store currency and stock from the first supply detail
+const mapSupply = (product, defaultCurrency) => {
+    const supply = child(child(product, "ProductSupply"), "SupplyDetail");
+    if (!supply) return {};
+
+    const price = children(supply, "Price").find(
+        (p) => (pathText(p, "CurrencyCode") || defaultCurrency) === exports.PRICE_CURRENCY,
+    );
+
+    const availability = Number(pathText(supply, "ProductAvailability"));
+    const onHand = pathText(supply, "Stock", "OnHand");
+
+    // 30-49: not yet available / no longer available
+    const unavailable = availability >= 30 && availability < 50;
+
+    return {
+        price: pathText(price, "PriceAmount") || undefined,
+        stock: onHand || (unavailable ? "0" : undefined),
+    };
+};
+
+const mapProduct = (product, defaultCurrency) => {
+    const invalid = findError(product);
+    if (invalid) throw new BadRequestError(invalid);
+
+    if (pathText(product, "NotificationType") === DELETE_NOTIFICATION) {
+        throw new BadRequestError("Deletion notices are not applied");
+    }
+
+    const isbn = mapIsbn(product);
+    if (!isbn) throw new BadRequestError("Product has no ISBN identifier");
+
+    const descriptive = child(product, "DescriptiveDetail");
+    const language = findByCode(
+        children(descriptive, "Language"),
+        "LanguageRole", [PRIMARY_LANGUAGE_ROLE],
+    );
+
+    const data = {
+        isbn,
+        title: mapTitle(descriptive),
+        contributors: mapContributors(descriptive),
+        format: mapFormat(pathText(descriptive, "ProductForm")),
+        category: mapCategory(descriptive),
+        language: pathText(language, "LanguageCode") || undefined,
+        pageCount: mapPageCount(descriptive),
+        ...mapMeasures(descriptive),
+        ...mapCollateral(child(product, "CollateralDetail")),
+        ...mapPublishing(child(product, "PublishingDetail")),
+        ...mapSupply(product, defaultCurrency),
+    };
+
+    // undefined means "not in the feed", so existing values are kept
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Parses a reference-tag ONIX 3.0 message into feed details and one
+ * record per <Product>. Products that can't be mapped carry an `error`
+ * instead of `data` so they show up in the import report.
+ */
+exports.parseOnixMessage = (content) => {
+    let message;
+    try {
+        message = xml.parse(content);
+    } catch (err) {
+        throw new BadRequestError(err.message);
+    }
+
+    if (message.name === "ONIXmessage") {
+        throw new BadRequestError("Short-tag ONIX is not supported; send reference tags");
+    }
+
+    if (message.name !== "ONIXMessage") {
+        throw new BadRequestError("Not an ONIX message");
+    }
+
+    const release = message.attributes.release;
+    if (!release || !release.startsWith("3.")) {
+        throw new BadRequestError(`Unsupported ONIX release ${release || "(none)"}; expected 3.0`);
+    }
+
+    const header = child(message, "Header");
+
+    // a bad product only fails its own record, a bad header fails the message
+    const invalid = message.error || findError(header);
+    if (invalid) throw new BadRequestError(`Invalid ONIX header: ${invalid}`);
+
+    const defaultCurrency = pathText(header, "DefaultCurrencyCode");
+
+    const feed = {
+        feedRelease: release,
+        feedSender: pathText(header, "Sender", "SenderName") || null,
+        feedSentAt: parseOnixDateTime(pathText(header, "SentDateTime")),
+    };
+
+    const records = children(message, "Product").map((product, index) => {
+        const record = {
+            row: index + 1,
+            reference: pathText(product, "RecordReference"),
+        };
+
+        try {
+            return {
+                ...record,
+                data: mapProduct(product, defaultCurrency),
+                relatedIsbns: mapRelatedIsbns(product),
+            };
+        } catch (err) {
+            return {...record, error: err.message };
+        }
+    });
+
+    return { feed, records };
+};
@@ -0,0 +1,48 @@
+const { Op } = require("sequelize");
+const {
+    CatalogImport,
+    Book,
+    Edition,
+    Category,
+    BookContributor,
+    Contributor,
+} = require("../../models");
+
+exports.createImport = (data) => {
+    return CatalogImport.create(data);
+};
+
+exports.findImportById = (id) => {
+    return CatalogImport.findByPk(id);
+};
+
+exports.updateImport = (id, data) => {
+    return CatalogImport.update(data, { where: { id } });
+};
+
+// keyset pagination keeps export batches cheap on large catalogs
+exports.findEditionsAfter = (lastId, limit) => {
+    return Edition.findAll({
+        where: { id: {
+                [Op.gt]: lastId } },
+        include: [{
+            model: Book,
+            required: true,
+            include: [
+                Category,
+                {
+                    model: BookContributor,
+                    include: [Contributor],
+                    separate: true,
+                    order: [
+                        ["position", "ASC"]
+                    ],
+                },
+            ],
+        }, ],
+        order: [
+            ["id", "ASC"]
+        ],
+        limit,
+    });
+};
@@ -0,0 +1,42 @@
+const express = require("express");
+const controller = require("./catalog.controller");
+const validate = require("../../middlewares/validate.middleware");
+const apiAuth = require("../../middlewares/apiAuth.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const { singleFile } = require("../../middlewares/upload.middleware");
+const { CATALOG_WRITE } = require("../../shared/constants/permissions.constant");
+const API_SCOPES = require("../../shared/constants/apiScopes.constant");
+const { MAX_IMPORT_BYTES, MAX_ONIX_BYTES } = require("./catalog.utils");
+
+const { importCatalogSchema } = require("./catalog.validators");
+
+const router = express.Router();
+
+// staff need catalog:write either way; partner keys can read with catalog:read
+const canRead = requirePermission(CATALOG_WRITE, {
+    scopes: [API_SCOPES.CATALOG_READ, API_SCOPES.CATALOG_WRITE],
+});
+
+router.use(apiAuth);
+
+// bulk imports (multipart: file + optional dryRun), CSV or ONIX 3.0
+router.post(
+    "/import",
+    requirePermission(CATALOG_WRITE),
+    singleFile("file", { extensions: [".csv"], maxBytes: MAX_IMPORT_BYTES }),
+    validate(importCatalogSchema),
+    controller.importCatalog,
+);
+router.post(
+    "/import/onix",
+    requirePermission(CATALOG_WRITE),
+    singleFile("file", { extensions: [".xml", ".onx"], maxBytes: MAX_ONIX_BYTES }),
+    validate(importCatalogSchema),
+    controller.importOnix,
+);
+router.get("/imports/:id", canRead, controller.getImport);
+
+// full catalog as CSV, streamed
+router.get("/export", canRead, controller.exportCatalog);
+
+module.exports = router;
@@ -0,0 +1,343 @@
+const path = require("path");
+const { sequelize } = require("../../models");
+const catalogRepo = require("./catalog.repository");
+const bookRepo = require("../books/book.repository");
+const categoryRepo = require("../categories/category.repository");
+const slugService = require("../slugs/slug.service");
+const contributorService = require("../contributors/contributor.service");
+const queueService = require("../../shared/queues/queue.service");
+const storage = require("../../services/storage.service");
+const csv = require("../../shared/utils/csv.util");
+const { importDTO } = require("./catalog.dto");
+const { importRowSchema } = require("./catalog.validators");
+const {
+    BOOK_FIELDS,
+    EDITION_FIELDS,
+    withNormalizedIsbn,
+    pick,
+} = require("../books/book.utils");
+const { parseOnixMessage } = require("./catalog.onix");
+const {
+    CSV_COLUMNS,
+    MAX_REPORTED_ERRORS,
+    PROGRESS_INTERVAL,
+    EXPORT_BATCH_SIZE,
+    rowsToRecords,
+    editionToCsvValues,
+} = require("./catalog.utils");
+const {
+    QUEUED,
+    RUNNING,
+    COMPLETED,
+    FAILED,
+} = require("../../shared/constants/importStatus.constant");
+const { CSV, ONIX } = require("../../shared/constants/importFormat.constant");
+const { BOOK, CATEGORY } = require("../../shared/constants/slugEntity.constant");
+const { AUTHOR } = require("../../shared/constants/contributorRole.constant");
+const { splitNames } = require("../contributors/contributor.utils");
+const {
+    NotFoundError,
+    BadRequestError,
+    ConflictError,
+} = require("../../shared/errors");
+
+const REQUIRED_FOR_NEW_BOOK = ["title", "author", "category"];
+const REQUIRED_FOR_NEW_EDITION = ["format", "price"];
+
+exports.createImport = (user, { fileName, format, dryRun }) => {
+    return catalogRepo.createImport({
+        fileName,
+        format,
+        status: QUEUED,
+        dryRun,
+        createdById: (user && user.id) || null,
+    });
+};
+
+exports.startImport = async(user, file, { format = CSV, dryRun }) => {
+    const catalogImport = await exports.createImport(user, {
+        fileName: file.originalname,
+        format,
+        dryRun,
+    });
+
+    // the worker reads the file from storage; job payloads stay small
+    const fileKey = `imports/${catalogImport.id}${path.extname(file.originalname).toLowerCase()}`;
+    await storage.put(fileKey, file.buffer);
+
+    await queueService.addCatalogImportJob({
+        importId: catalogImport.id,
+        fileKey,
+    });
+
+    return importDTO(catalogImport);
+};
+
+exports.getImport = async(id) => {
+    const catalogImport = await catalogRepo.findImportById(id);
+    if (!catalogImport) throw new NotFoundError("Import not found");
+
+    return importDTO(catalogImport);
+};
+
+/**
+ * Creates or updates one edition (and its book); returns "created" or
+ * "updated". The edition is found by `editionId` or ISBN; otherwise the row
+ * adds an edition to book `id`, to the book of a related ISBN, or to a new
+ * book. A row with an `id` and no edition columns only updates the book.
+ * In a dry run every check still happens but nothing is written.
+ */
+const importRecord = async({ row, data: record, source, relatedIsbns = [] }, options) => {
+    const { dryRun, categories, seenIsbns, createMissingCategories } = options;
+
+    const { value, error } = importRowSchema.validate(record, { abortEarly: false });
+    if (error) {
+        throw new BadRequestError(error.details.map((d) => d.message).join("; "));
+    }
+
+    const { id, editionId, category, author, contributors, ...fields } = value;
+
+    // a CSV author cell only knows authors, so it leaves other credits alone
+    const credits = contributors || (author && splitNames(author).map((name) => ({ name, role: AUTHOR })));
+    const creditRoles = contributors ? undefined : [AUTHOR];
+
+    const data = withNormalizedIsbn(fields);
+    const bookData = pick(data, BOOK_FIELDS);
+    const editionData = pick(data, EDITION_FIELDS);
+    const hasEditionColumns = Object.keys(editionData).length > 0;
+
+    const categoryKey = category && category.toLowerCase();
+    const newCategory = category && !categories.has(categoryKey);
+
+    if (newCategory && !createMissingCategories) {
+        throw new BadRequestError(`Unknown category "${category}"`);
+    }
+
+    if (data.isbn13) {
+        if (seenIsbns.has(data.isbn13)) {
+            throw new ConflictError(`ISBN ${data.isbn13} also appears on row ${seenIsbns.get(data.isbn13)}`);
+        }
+        seenIsbns.set(data.isbn13, row);
+    }
+
+    const byIsbn = data.isbn13 ? await bookRepo.findEditionByIsbn13(data.isbn13) : null;
+
+    let edition = byIsbn;
+
+    if (editionId) {
+        edition = await bookRepo.findEditionById(editionId);
+        if (!edition) throw new NotFoundError(`Edition ${editionId} not found`);
+
+        if (byIsbn && byIsbn.id !== edition.id) {
+            throw new ConflictError(`ISBN ${data.isbn13} belongs to edition ${byIsbn.id}`);
+        }
+    }
+
+    let book = edition && edition.Book;
+
+    if (id) {
+        if (edition && edition.bookId !== id) {
+            throw new ConflictError(`Edition ${edition.id} belongs to book ${edition.bookId}`);
+        }
+
+        book = book || (await bookRepo.findById(id));
+        if (!book) throw new NotFoundError(`Book ${id} not found`);
+    }
+
+    // feeds list the other formats of a title, so new formats join their book
+    if (!book && relatedIsbns.length) {
+        const [related] = await bookRepo.findEditionsByIsbn13(relatedIsbns);
+        book = related && (await bookRepo.findById(related.bookId));
+    }
+
+    if (source) {
+        if (edition && edition.sourceUpdatedAt && source.sentAt && edition.sourceUpdatedAt > source.sentAt) {
+            throw new ConflictError("A newer feed has already updated this edition");
+        }
+
+        editionData.sourceRecordReference = source.reference;
+        editionData.sourceUpdatedAt = source.sentAt;
+    }
+
+    const addsEdition = !edition && (!book || hasEditionColumns);
+
+    const required = [
+        ...(book ? [] : REQUIRED_FOR_NEW_BOOK),
+        ...(addsEdition ? REQUIRED_FOR_NEW_EDITION : []),
+    ];
+
+    const provided = {...value, author: credits && credits.length ? credits : undefined };
+    const missing = required.filter((field) => provided[field] === undefined);
+    if (missing.length) {
+        throw new BadRequestError(`New ${book ? "editions" : "books"} need ${missing.join(", ")}`);
+    }
+
+    const created = !book || addsEdition;
+
+    if (dryRun) return created ? "created" : "updated";
+
+    // one transaction per row: a rejected edition must not leave its new book (or category) behind
+    const categoryId = await sequelize.transaction(async(t) => {
+        let rowCategoryId = category && categories.get(categoryKey);
+
+        if (newCategory) {
+            const createdCategory = await categoryRepo.create({
+                name: category,
+                slug: await slugService.generate(CATEGORY, category),
+            }, t);
+            rowCategoryId = createdCategory.id;
+        }
+
+        if (category) bookData.categoryId = rowCategoryId;
+
+        if (!book) {
+            book = await bookRepo.create({
+                ...bookData,
+                slug: await slugService.generate(BOOK, bookData.title),
+            }, t);
+        } else if (Object.keys(bookData).length) {
+            await bookRepo.update(book.id, bookData, t);
+        }
+
+        if (credits) {
+            await contributorService.setBookCredits(book.id, credits, { roles: creditRoles, transaction: t });
+        }
+
+        if (edition) {
+            await bookRepo.updateEdition(edition.id, editionData, t);
+        } else if (addsEdition) {
+            await bookRepo.createEdition({ stock: 0, ...editionData, bookId: book.id }, t);
+        }
+
+        return rowCategoryId;
+    });
+
+    // later rows only reuse categories that were committed
+    if (newCategory) categories.set(categoryKey, categoryId);
+
+    return created ? "created" : "updated";
+};
+
+// helper: turns the uploaded file into records plus format-specific options
+const parseImport = async(catalogImport, content) => {
+    if (catalogImport.format === ONIX) {
+        const { feed, records } = parseOnixMessage(content);
+
+        await catalogRepo.updateImport(catalogImport.id, feed);
+
+        return {
+            records: records.map((record) => ({
+                ...record,
+                source: { reference: record.reference, sentAt: feed.feedSentAt },
+            })),
+            // publishers classify with their own subject headings
+            createMissingCategories: true,
+        };
+    }
+
+    return {
+        records: rowsToRecords(csv.parse(content)),
+        createMissingCategories: false,
+    };
+};
+
+/**
+ * Runs a queued import (from the catalog worker or the ONIX CLI). Progress
+ * and counters are saved every PROGRESS_INTERVAL rows so clients can poll.
+ */
+exports.runImport = async(importId, content, { onProgress } = {}) => {
+    const catalogImport = await catalogRepo.findImportById(importId);
+    if (!catalogImport) throw new NotFoundError("Import not found");
+
+    await catalogRepo.updateImport(importId, { status: RUNNING, startedAt: new Date() });
+
+    try {
+        const { records, createMissingCategories } = await parseImport(
+            catalogImport,
+            content,
+        );
+
+        const categories = new Map(
+            (await categoryRepo.findAll()).map((c) => [c.name.toLowerCase(), c.id]),
+        );
+
+        const options = {
+            dryRun: catalogImport.dryRun,
+            categories,
+            seenIsbns: new Map(),
+            createMissingCategories,
+        };
+
+        const result = {
+            totalRows: records.length,
+            processedRows: 0,
+            createdCount: 0,
+            updatedCount: 0,
+            failedCount: 0,
+            errors: [],
+        };
+
+        await catalogRepo.updateImport(importId, { totalRows: records.length });
+
+        for (const record of records) {
+            try {
+                if (record.error) throw new BadRequestError(record.error);
+
+                const action = await importRecord(record, options);
+                result[`${action}Count`]++;
+            } catch (err) {
+                result.failedCount++;
+
+                if (result.errors.length < MAX_REPORTED_ERRORS) {
+                    result.errors.push({
+                        row: record.row,
+                        reference: record.reference,
+                        message: err.message,
+                    });
+                }
+            }
+
+            result.processedRows++;
+
+            if (result.processedRows % PROGRESS_INTERVAL === 0) {
+                await catalogRepo.updateImport(importId, result);
+                if (onProgress) await onProgress(result.processedRows, result.totalRows);
+            }
+        }
+
+        await catalogRepo.updateImport(importId, {
+            ...result,
+            status: COMPLETED,
+            finishedAt: new Date(),
+        });
+
+        return result;
+    } catch (err) {
+        await catalogRepo.updateImport(importId, {
+            status: FAILED,
+            errorMessage: err.message,
+            finishedAt: new Date(),
+        });
+
+        throw err;
+    }
+};
+
+/**
+ * Yields the whole catalog as CSV text, one edition per line and one batch
+ * at a time, so the export never holds every book in memory.
+ */
+exports.exportCsv = async function*() {
+    yield csv.toLine(CSV_COLUMNS);
+
+    let lastId = 0;
+
+    while (true) {
+        const editions = await catalogRepo.findEditionsAfter(lastId, EXPORT_BATCH_SIZE);
+        if (!editions.length) return;
+
+        yield editions.map((edition) => csv.toLine(editionToCsvValues(edition))).join("");
+
+        lastId = editions[editions.length - 1].id;
+    }
+};
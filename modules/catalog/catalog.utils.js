@@ -0,0 +1,80 @@
+const { BadRequestError } = require("../../shared/errors");
+const { AUTHOR } = require("../../shared/constants/contributorRole.constant");
+
+// export column order; imports accept any subset of these, in any order
+exports.CSV_COLUMNS = [
+    "id",
+    "editionId",
+    "isbn",
+    "title",
+    "author",
+    "price",
+    "stock",
+    "category",
+    "description",
+    "publisher",
+    "publicationDate",
+    "language",
+    "pageCount",
+    "format",
+    "heightMm",
+    "widthMm",
+    "depthMm",
+    "weightGrams",
+    "coverImageUrl",
+];
+
+exports.MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+exports.MAX_ONIX_BYTES = 50 * 1024 * 1024;
+exports.MAX_REPORTED_ERRORS = 1000;
+exports.PROGRESS_INTERVAL = 50;
+exports.EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Turns parsed CSV rows into [{ row, data }] using the header line.
+ * Empty cells are left out so they don't overwrite existing values.
+ */
+exports.rowsToRecords = ([header = [], ...rows]) => {
+    const columns = header.map((name) => name.trim());
+
+    const unknown = columns.filter((name) => !exports.CSV_COLUMNS.includes(name));
+    if (unknown.length) {
+        throw new BadRequestError(`Unknown columns: ${unknown.join(", ")}`);
+    }
+
+    if (!["id", "editionId", "isbn"].some((name) => columns.includes(name))) {
+        throw new BadRequestError("The file needs an id, editionId or isbn column");
+    }
+
+    return rows.map((values, index) => {
+        const data = {};
+
+        columns.forEach((name, i) => {
+            const value = (values[i] || "").trim();
+            if (value !== "") data[name] = value;
+        });
+
+        // header is row 1
+        return { row: index + 2, data };
+    });
+};
+
+// one line per edition; `id` is the book it belongs to
+exports.editionToCsvValues = (edition) => {
+    const { Book: book } = edition;
+
+    const values = {
+        ...book.get({ plain: true }),
+        ...edition.get({ plain: true }),
+        id: book.id,
+        editionId: edition.id,
+        isbn: edition.isbn13 || edition.isbn10,
+        author: book.BookContributors
+            .filter((credit) => credit.role === AUTHOR)
+            .map((credit) => credit.Contributor.name)
+            .join("; "),
+        category: book.Category ? book.Category.name : null,
+    };
+
+    return exports.CSV_COLUMNS.map((column) => values[column]);
+};
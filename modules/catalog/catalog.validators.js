@@ -0,0 +1,21 @@
+const Joi = require("joi");
+const { bookMetadataFields } = require("../books/book.validators");
+const { creditSchema } = require("../contributors/contributor.validators");
+
+exports.importCatalogSchema = Joi.object({
+    dryRun: Joi.boolean().default(false),
+});
+
+// one CSV row; all cells arrive as strings and are converted here
+exports.importRowSchema = Joi.object({
+    id: Joi.number().integer().min(1),
+    editionId: Joi.number().integer().min(1),
+    title: Joi.string().max(255),
+    author: Joi.string(), // CSV: names separated by semicolons
+    contributors: Joi.array().items(creditSchema).min(1), // ONIX: credits with roles
+    price: Joi.number().min(0),
+    stock: Joi.number().integer().min(0),
+    category: Joi.string().max(255),
+    description: Joi.string(),
+    ...bookMetadataFields,
+});
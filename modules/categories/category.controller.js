@@ -18,6 +18,15 @@ exports.getById = async(req, res, next) => {
     }
 };
 
+exports.getBySlug = async(req, res, next) => {
+    try {
+        const data = await categoryService.getBySlug(req.params.slug);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
 exports.create = async(req, res, next) => {
     try {
         const data = await categoryService.create(req.body);
@@ -39,7 +48,7 @@ exports.update = async(req, res, next) => {
 exports.delete = async(req, res, next) => {
     try {
         await categoryService.delete(req.params.id);
-        res.json({ message: "Category deleted" });
+        res.json({ message: "Category archived" });
     } catch (err) {
         next(err);
     }
@@ -1,6 +1,7 @@
 exports.categoryDTO = (cat) => ({
     id: cat.id,
     name: cat.name,
+    slug: cat.slug,
     parentId: cat.parentId,
 });
 
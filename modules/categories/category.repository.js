@@ -1,3 +1,4 @@
+const { Op } = require("sequelize");
 const { Category } = require("../../models");
 
 exports.findAll = () => {
@@ -12,8 +13,12 @@ exports.findById = (id) => {
     return Category.findByPk(id);
 };
 
-exports.create = (data) => {
-    return Category.create(data);
+exports.findBySlug = (slug) => {
+    return Category.findOne({ where: { slug } });
+};
+
+exports.create = (data, transaction) => {
+    return Category.create(data, { transaction });
 };
 
 exports.update = async(id, data) => {
@@ -21,6 +26,35 @@ exports.update = async(id, data) => {
     return this.findById(id);
 };
 
+// archives; books keep their categoryId while it is archived
 exports.delete = (id) => {
     return Category.destroy({ where: { id } });
+};
+
+exports.findArchived = ({ limit, offset }) => {
+    return Category.findAll({
+        where: { deletedAt: {
+                [Op.ne]: null } },
+        paranoid: false,
+        limit,
+        offset,
+        order: [
+            ["deletedAt", "DESC"]
+        ],
+    });
+};
+
+exports.findArchivedById = (id) => {
+    return Category.findOne({
+        where: {
+            id,
+            deletedAt: {
+                [Op.ne]: null },
+        },
+        paranoid: false,
+    });
+};
+
+exports.restore = (id) => {
+    return Category.restore({ where: { id } });
 };
\ No newline at end of file
@@ -1,8 +1,9 @@
 const express = require("express");
 const controller = require("./category.controller");
 const validate = require("../../middlewares/validate.middleware");
-const auth = require("../../middlewares/auth.middleware");
-const role = require("../../middlewares/role.middleware");
+const apiAuth = require("../../middlewares/apiAuth.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const { CATALOG_WRITE } = require("../../shared/constants/permissions.constant");
 
 const {
     createCategorySchema,
@@ -13,23 +14,24 @@ const router = express.Router();
 
 // public
 router.get("/", controller.getAll);
+router.get("/slug/:slug", controller.getBySlug);
 router.get("/:id", controller.getById);
 
-// admin
+// staff
 router.post(
     "/",
-    auth,
-    role("admin"),
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
     validate(createCategorySchema),
     controller.create,
 );
 router.put(
     "/:id",
-    auth,
-    role("admin"),
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
     validate(updateCategorySchema),
     controller.update,
 );
-router.delete("/:id", auth, role("admin"), controller.delete);
+router.delete("/:id", apiAuth, requirePermission(CATALOG_WRITE), controller.delete);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 const categoryRepo = require("./category.repository");
+const slugService = require("../slugs/slug.service");
 const { NotFoundError } = require("../../shared/errors");
 const { categoryDTO, buildTree } = require("./category.dto");
+const { CATEGORY } = require("../../shared/constants/slugEntity.constant");
 
 exports.getAll = async() => {
     const categories = await categoryRepo.findAll();
@@ -18,8 +20,32 @@ exports.getById = async(id) => {
     return categoryDTO(category);
 };
 
+// former slugs resolve too; the response then carries `redirectTo`
+exports.getBySlug = async(slug) => {
+    let category = await categoryRepo.findBySlug(slug);
+
+    if (!category) {
+        const categoryId = await slugService.resolveRedirect(CATEGORY, slug);
+        category = categoryId && (await categoryRepo.findById(categoryId));
+    }
+
+    if (!category) throw new NotFoundError("Category not found");
+
+    return category.slug === slug ?
+        categoryDTO(category) :
+        {...categoryDTO(category), redirectTo: category.slug };
+};
+
 exports.create = async(data) => {
-    const category = await categoryRepo.create(data);
+    const values = {...data };
+
+    if (values.slug) {
+        await slugService.assertAvailable(CATEGORY, values.slug);
+    } else {
+        values.slug = await slugService.generate(CATEGORY, values.name);
+    }
+
+    const category = await categoryRepo.create(values);
     return categoryDTO(category);
 };
 
@@ -27,10 +53,13 @@ exports.update = async(id, data) => {
     const existing = await categoryRepo.findById(id);
     if (!existing) throw new NotFoundError("Category not found");
 
+    if (data.slug) await slugService.change(CATEGORY, existing, data.slug);
+
     const updated = await categoryRepo.update(id, data);
     return categoryDTO(updated);
 };
 
+// archives the category; its slug and redirects stay reserved for a restore
 exports.delete = async(id) => {
     const existing = await categoryRepo.findById(id);
     if (!existing) throw new NotFoundError("Category not found");
@@ -1,11 +1,14 @@
 const Joi = require("joi");
+const { SLUG_PATTERN } = require("../../shared/utils/slug.util");
 
 exports.createCategorySchema = Joi.object({
     name: Joi.string().required(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
     parentId: Joi.number().allow(null),
 });
 
 exports.updateCategorySchema = Joi.object({
     name: Joi.string().optional(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
     parentId: Joi.number().allow(null),
 });
\ No newline at end of file
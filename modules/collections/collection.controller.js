@@ -0,0 +1,19 @@
+const collectionService = require("./collection.service");
+
+exports.getActive = async(req, res, next) => {
+    try {
+        const data = await collectionService.getActive();
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getBySlug = async(req, res, next) => {
+    try {
+        const data = await collectionService.getBySlug(req.params.slug, req.query);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,25 @@
+const { statusOf } = require("./collection.utils");
+
+exports.collectionDTO = (collection) => ({
+    id: collection.id,
+    name: collection.name,
+    slug: collection.slug,
+    heroTitle: collection.heroTitle,
+    heroText: collection.heroText,
+    heroImageUrl: collection.heroImageUrl,
+    endsAt: collection.endsAt,
+});
+
+// what merchandisers see, including scheduled and ended collections
+exports.collectionAdminDTO = (collection) => ({
+    ...exports.collectionDTO(collection),
+    startsAt: collection.startsAt,
+    status: statusOf(collection),
+    membership: collection.membership,
+    rules: collection.rules,
+    maxBooks: collection.maxBooks,
+    position: collection.position,
+    ...(collection.CollectionBooks ? {
+        bookIds: collection.CollectionBooks.map((entry) => entry.bookId),
+    } : {}),
+});
@@ -0,0 +1,100 @@
+const { Op } = require("sequelize");
+const { Collection, CollectionBook, Book } = require("../../models");
+
+const listOrder = [
+    ["position", "ASC"],
+    ["name", "ASC"],
+];
+
+exports.findAll = () => {
+    return Collection.findAll({ order: listOrder });
+};
+
+// collections whose start and end dates include `now`
+exports.findActive = (now) => {
+    return Collection.findAll({
+        where: {
+            [Op.and]: [{
+                    [Op.or]: [{ startsAt: null }, { startsAt: {
+                            [Op.lte]: now } }] },
+                {
+                    [Op.or]: [{ endsAt: null }, { endsAt: {
+                            [Op.gt]: now } }] },
+            ],
+        },
+        order: listOrder,
+    });
+};
+
+exports.findById = (id) => {
+    return Collection.findByPk(id);
+};
+
+// with the ids of hand-picked books, in order
+exports.findByIdWithBooks = (id) => {
+    return Collection.findByPk(id, {
+        include: [{ model: CollectionBook, attributes: ["bookId", "position"] }],
+        order: [
+            [CollectionBook, "position", "ASC"]
+        ],
+    });
+};
+
+exports.findBySlug = (slug) => {
+    return Collection.findOne({ where: { slug } });
+};
+
+exports.create = (data) => {
+    return Collection.create(data);
+};
+
+exports.update = async(id, data) => {
+    await Collection.update(data, { where: { id } });
+    return this.findByIdWithBooks(id);
+};
+
+exports.delete = (id) => {
+    return Collection.destroy({ where: { id } });
+};
+
+// =====================
+// COLLECTION BOOKS
+// =====================
+exports.findBookIds = ({ collectionId, limit, offset }) => {
+    return CollectionBook.findAndCountAll({
+        where: { collectionId },
+        attributes: ["bookId"],
+        // skips archived books
+        include: [{ model: Book, attributes: [], required: true }],
+        order: [
+            ["position", "ASC"]
+        ],
+        limit,
+        offset,
+    });
+};
+
+exports.findEntry = (collectionId, bookId) => {
+    return CollectionBook.findOne({ where: { collectionId, bookId } });
+};
+
+exports.maxPosition = async(collectionId) => {
+    const max = await CollectionBook.max("position", { where: { collectionId } });
+    return max || 0;
+};
+
+exports.createEntry = (data) => {
+    return CollectionBook.create(data);
+};
+
+exports.replaceBooks = async(collectionId, bookIds, transaction) => {
+    await CollectionBook.destroy({ where: { collectionId }, transaction });
+
+    return CollectionBook.bulkCreate(
+        bookIds.map((bookId, index) => ({ collectionId, bookId, position: index + 1 })), { transaction },
+    );
+};
+
+exports.deleteBooks = (collectionId) => {
+    return CollectionBook.destroy({ where: { collectionId } });
+};
@@ -0,0 +1,10 @@
+const express = require("express");
+const controller = require("./collection.controller");
+
+const router = express.Router();
+
+// public; managed under /admin/collections
+router.get("/", controller.getActive);
+router.get("/:slug", controller.getBySlug);
+
+module.exports = router;
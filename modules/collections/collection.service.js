@@ -0,0 +1,208 @@
+const { sequelize } = require("../../models");
+const collectionRepo = require("./collection.repository");
+const bookRepo = require("../books/book.repository");
+const slugService = require("../slugs/slug.service");
+const { NotFoundError, BadRequestError } = require("../../shared/errors");
+const { collectionDTO, collectionAdminDTO } = require("./collection.dto");
+const { bookDTO } = require("../books/book.dto");
+const { isActive, rulesToFilters } = require("./collection.utils");
+const { RULE } = require("../../shared/constants/collectionMembership.constant");
+const { COLLECTION } = require("../../shared/constants/slugEntity.constant");
+
+// helper
+const findCollection = async(id) => {
+    const collection = await collectionRepo.findById(id);
+    if (!collection) throw new NotFoundError("Collection not found");
+
+    return collection;
+};
+
+// helper: the dates are validated together, so check an update against what is stored
+const assertDates = ({ startsAt, endsAt }) => {
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+        throw new BadRequestError("endsAt must be after startsAt");
+    }
+};
+
+// helper: a manual collection's books, in the order they were picked
+const manualBooks = async(collection, { limit, offset }) => {
+    const { rows, count } = await collectionRepo.findBookIds({
+        collectionId: collection.id,
+        limit,
+        offset,
+    });
+
+    const ids = rows.map((row) => row.bookId);
+    const books = await bookRepo.findByIds(ids);
+    const byId = new Map(books.map((book) => [book.id, book]));
+
+    return { books: ids.map((id) => byId.get(id)).filter(Boolean), count };
+};
+
+// helper: books matching a rule-based collection, newest first, capped at maxBooks
+const ruleBooks = async(collection, { limit, offset }) => {
+    const cap = collection.maxBooks;
+    const pageSize = cap ? Math.min(limit, cap - offset) : limit;
+
+    if (pageSize <= 0) {
+        const total = await bookRepo.count(rulesToFilters(collection.rules));
+        return { books: [], count: Math.min(total, cap) };
+    }
+
+    const { rows, count } = await bookRepo.findAll({
+        ...rulesToFilters(collection.rules),
+        limit: pageSize,
+        offset,
+    });
+
+    return { books: rows, count: cap ? Math.min(count, cap) : count };
+};
+
+// =====================
+// PUBLIC
+// =====================
+exports.getActive = async() => {
+    const collections = await collectionRepo.findActive(new Date());
+    return collections.map(collectionDTO);
+};
+
+/**
+ * A live collection and a page of its books. Scheduled and ended
+ * collections are hidden; a former slug answers with `redirectTo`.
+ */
+exports.getBySlug = async(slug, query) => {
+    const { page = 1, limit = 10 } = query;
+
+    let collection = await collectionRepo.findBySlug(slug);
+
+    if (!collection) {
+        const collectionId = await slugService.resolveRedirect(COLLECTION, slug);
+        collection = collectionId && (await collectionRepo.findById(collectionId));
+    }
+
+    if (!collection || !isActive(collection)) {
+        throw new NotFoundError("Collection not found");
+    }
+
+    const pagination = { limit: Number(limit), offset: (page - 1) * limit };
+
+    const { books, count } = collection.membership === RULE ?
+        await ruleBooks(collection, pagination) :
+        await manualBooks(collection, pagination);
+
+    return {
+        collection: collectionDTO(collection),
+        ...(collection.slug === slug ? {} : { redirectTo: collection.slug }),
+        data: books.map(bookDTO),
+        meta: {
+            total: count,
+            page: Number(page),
+            pages: Math.ceil(count / limit),
+        },
+    };
+};
+
+// =====================
+// ADMIN
+// =====================
+exports.getAll = async() => {
+    const collections = await collectionRepo.findAll();
+    return collections.map(collectionAdminDTO);
+};
+
+exports.getById = async(id) => {
+    const collection = await collectionRepo.findByIdWithBooks(id);
+    if (!collection) throw new NotFoundError("Collection not found");
+
+    return collectionAdminDTO(collection);
+};
+
+exports.create = async(data) => {
+    const values = {...data };
+
+    assertDates(values);
+
+    if (values.slug) {
+        await slugService.assertAvailable(COLLECTION, values.slug);
+    } else {
+        values.slug = await slugService.generate(COLLECTION, values.name);
+    }
+
+    const collection = await collectionRepo.create(values);
+    return exports.getById(collection.id);
+};
+
+exports.update = async(id, data) => {
+    const existing = await findCollection(id);
+
+    const membership = data.membership || existing.membership;
+    const rules = data.rules !== undefined ? data.rules : existing.rules;
+
+    if (membership === RULE && !rules) {
+        throw new BadRequestError("A rule-based collection needs rules");
+    }
+
+    assertDates({
+        startsAt: data.startsAt !== undefined ? data.startsAt : existing.startsAt,
+        endsAt: data.endsAt !== undefined ? data.endsAt : existing.endsAt,
+    });
+
+    if (data.slug) await slugService.change(COLLECTION, existing, data.slug);
+
+    // hand-picked books don't apply once the rules decide
+    if (membership === RULE) await collectionRepo.deleteBooks(existing.id);
+
+    const updated = await collectionRepo.update(id, membership === RULE ? data : {...data, rules: null });
+    return collectionAdminDTO(updated);
+};
+
+exports.delete = async(id) => {
+    const existing = await findCollection(id);
+
+    await collectionRepo.delete(id);
+    await slugService.removeRedirects(COLLECTION, existing.id);
+};
+
+/**
+ * Replaces the books of a manual collection; the order of `bookIds` is
+ * the order they are shown in.
+ */
+exports.setBooks = async(id, { bookIds }) => {
+    const collection = await findCollection(id);
+
+    if (collection.membership === RULE) {
+        throw new BadRequestError("Books of a rule-based collection follow its rules");
+    }
+
+    const ids = [...new Set(bookIds)];
+    const found = new Set((await bookRepo.findByIds(ids)).map((book) => book.id));
+
+    const missing = ids.filter((bookId) => !found.has(bookId));
+    if (missing.length) {
+        throw new BadRequestError(`Unknown book ${missing.join(", ")}`);
+    }
+
+    await sequelize.transaction((t) => collectionRepo.replaceBooks(collection.id, ids, t));
+
+    return exports.getById(collection.id);
+};
+
+// appends a book to a manual collection, found by slug; no-op if it's already there
+exports.addBook = async(slug, bookId) => {
+    const collection = await collectionRepo.findBySlug(slug);
+    if (!collection) throw new NotFoundError("Collection not found");
+
+    if (collection.membership === RULE) {
+        throw new BadRequestError("Books of a rule-based collection follow its rules");
+    }
+
+    if (!(await collectionRepo.findEntry(collection.id, bookId))) {
+        await collectionRepo.createEntry({
+            collectionId: collection.id,
+            bookId,
+            position: (await collectionRepo.maxPosition(collection.id)) + 1,
+        });
+    }
+
+    return exports.getById(collection.id);
+};
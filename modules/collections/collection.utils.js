@@ -0,0 +1,20 @@
+// the collection the old "feature this book" action adds to
+exports.FEATURED_COLLECTION_SLUG = "featured";
+
+exports.statusOf = (collection, now = new Date()) => {
+    if (collection.startsAt && new Date(collection.startsAt) > now) return "scheduled";
+    if (collection.endsAt && new Date(collection.endsAt) <= now) return "ended";
+    return "active";
+};
+
+exports.isActive = (collection, now = new Date()) => {
+    return exports.statusOf(collection, now) === "active";
+};
+
+// stored rules -> the filters the book listing understands
+exports.rulesToFilters = (rules = {}) => ({
+    category: rules.category,
+    minPrice: rules.minPrice,
+    maxPrice: rules.maxPrice,
+    tagSlugs: rules.tags || [],
+});
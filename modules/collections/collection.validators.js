@@ -0,0 +1,45 @@
+const Joi = require("joi");
+const MEMBERSHIP = require("../../shared/constants/collectionMembership.constant");
+const { SLUG_PATTERN } = require("../../shared/utils/slug.util");
+
+// "Under $10" is { maxPrice: 10 }; every given condition must hold
+const rules = Joi.object({
+    tags: Joi.array().items(Joi.string().pattern(SLUG_PATTERN)).min(1).optional(),
+    category: Joi.string().optional(),
+    minPrice: Joi.number().min(0).optional(),
+    maxPrice: Joi.number().min(0).optional(),
+}).min(1);
+
+const details = {
+    heroTitle: Joi.string().max(255).allow(null, "").optional(),
+    heroText: Joi.string().allow(null, "").optional(),
+    heroImageUrl: Joi.string().uri().max(2048).allow(null).optional(),
+    startsAt: Joi.date().iso().allow(null).optional(),
+    endsAt: Joi.date().iso().allow(null).optional(),
+    maxBooks: Joi.number().integer().min(1).allow(null).optional(),
+    position: Joi.number().integer().optional(),
+};
+
+exports.createCollectionSchema = Joi.object({
+    name: Joi.string().trim().max(255).required(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
+    ...details,
+    membership: Joi.string().valid(...Object.values(MEMBERSHIP)).required(),
+    rules: rules.when("membership", {
+        is: MEMBERSHIP.RULE,
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+    }),
+});
+
+exports.updateCollectionSchema = Joi.object({
+    name: Joi.string().trim().max(255).optional(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
+    ...details,
+    membership: Joi.string().valid(...Object.values(MEMBERSHIP)).optional(),
+    rules: rules.allow(null).optional(),
+});
+
+exports.collectionBooksSchema = Joi.object({
+    bookIds: Joi.array().items(Joi.number().integer()).required(),
+});
@@ -0,0 +1,19 @@
+const contributorService = require("./contributor.service");
+
+exports.getAuthor = async(req, res, next) => {
+    try {
+        const data = await contributorService.getAuthor(req.params.idOrSlug, req.query);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.update = async(req, res, next) => {
+    try {
+        const data = await contributorService.update(req.params.id, req.body);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,14 @@
+exports.contributorDTO = (contributor) => ({
+    id: contributor.id,
+    name: contributor.name,
+    slug: contributor.slug,
+    bio: contributor.bio,
+});
+
+// one BookContributor row, as shown on a book
+exports.creditDTO = (credit) => ({
+    id: credit.Contributor.id,
+    name: credit.Contributor.name,
+    slug: credit.Contributor.slug,
+    role: credit.role,
+});
@@ -0,0 +1,98 @@
+const { Op, literal } = require("sequelize");
+const {
+    sequelize,
+    Contributor,
+    BookContributor,
+    Book,
+    Edition,
+    Category,
+} = require("../../models");
+
+exports.findById = (id) => {
+    return Contributor.findByPk(id);
+};
+
+exports.findBySlug = (slug) => {
+    return Contributor.findOne({ where: { slug } });
+};
+
+exports.findByIds = (ids) => {
+    return Contributor.findAll({ where: { id: {
+                [Op.in]: ids } } });
+};
+
+// oldest first, so the same person keeps getting the same record
+exports.findByNameKey = (nameKey, transaction) => {
+    return Contributor.findOne({
+        where: { nameKey },
+        order: [
+            ["id", "ASC"]
+        ],
+        transaction,
+    });
+};
+
+exports.create = (data, transaction) => {
+    return Contributor.create(data, { transaction });
+};
+
+exports.update = async(id, data) => {
+    await Contributor.update(data, { where: { id } });
+    return this.findById(id);
+};
+
+// =====================
+// CREDITS
+// =====================
+
+/**
+ * Replaces a book's credits. With `roles`, only credits in those roles are
+ * replaced, so a file that only knows the authors keeps the translators.
+ */
+exports.replaceCredits = async(bookId, credits, { roles, transaction } = {}) => {
+    const where = roles ? { bookId, role: {
+            [Op.in]: roles } } : { bookId };
+
+    await BookContributor.destroy({ where, transaction });
+
+    return BookContributor.bulkCreate(
+        credits.map((credit) => ({...credit, bookId })), { transaction },
+    );
+};
+
+exports.findCreditsByContributor = (contributorId) => {
+    return BookContributor.findAll({
+        where: { contributorId },
+        attributes: ["bookId", "role"],
+    });
+};
+
+exports.findBooks = (ids, { limit, offset }) => {
+    return Book.findAndCountAll({
+        where: { id: {
+                [Op.in]: ids } },
+        include: [
+            { model: Category },
+            { model: Edition },
+            { model: BookContributor, include: [Contributor] },
+        ],
+        distinct: true,
+        limit,
+        offset,
+        order: [
+            ["createdAt", "DESC"],
+            [BookContributor, "position", "ASC"],
+        ],
+    });
+};
+
+// subquery of ids of books credited to someone whose name contains `term`
+exports.bookIdsByContributorName = (term) => {
+    const { queryGenerator } = sequelize.getQueryInterface();
+
+    return literal(`(
+        SELECT bc."bookId" FROM ${queryGenerator.quoteTable(BookContributor.getTableName())} bc
+        JOIN ${queryGenerator.quoteTable(Contributor.getTableName())} c ON c.id = bc."contributorId"
+        WHERE c.name ILIKE ${sequelize.escape(`%${term}%`)}
+    )`);
+};
@@ -0,0 +1,24 @@
+const express = require("express");
+const controller = require("./contributor.controller");
+const validate = require("../../middlewares/validate.middleware");
+const apiAuth = require("../../middlewares/apiAuth.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const { CATALOG_WRITE } = require("../../shared/constants/permissions.constant");
+
+const { updateContributorSchema } = require("./contributor.validators");
+
+const router = express.Router();
+
+// public: /authors/42 or /authors/j-k-rowling
+router.get("/:idOrSlug", controller.getAuthor);
+
+// staff
+router.put(
+    "/:id",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    validate(updateContributorSchema),
+    controller.update,
+);
+
+module.exports = router;
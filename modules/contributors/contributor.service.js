@@ -0,0 +1,116 @@
+const contributorRepo = require("./contributor.repository");
+const slugService = require("../slugs/slug.service");
+const { NotFoundError, BadRequestError } = require("../../shared/errors");
+const { contributorDTO } = require("./contributor.dto");
+const { toNameKey } = require("./contributor.utils");
+const { bookDTO } = require("../books/book.dto");
+const { CONTRIBUTOR } = require("../../shared/constants/slugEntity.constant");
+
+// helper: contributor by numeric id or by current / former slug
+const findContributor = async(idOrSlug) => {
+    if (/^\d+$/.test(idOrSlug)) return contributorRepo.findById(idOrSlug);
+
+    const contributor = await contributorRepo.findBySlug(idOrSlug);
+    if (contributor) return contributor;
+
+    const contributorId = await slugService.resolveRedirect(CONTRIBUTOR, idOrSlug);
+    return contributorId && contributorRepo.findById(contributorId);
+};
+
+/**
+ * Author page: the contributor plus every book they are credited on, with
+ * their roles on it. Reached through a former slug, the response carries
+ * `redirectTo` like book and category lookups do.
+ */
+exports.getAuthor = async(idOrSlug, query) => {
+    const contributor = await findContributor(idOrSlug);
+    if (!contributor) throw new NotFoundError("Author not found");
+
+    const { page = 1, limit = 10 } = query;
+    const offset = (page - 1) * limit;
+
+    const roles = new Map();
+    for (const credit of await contributorRepo.findCreditsByContributor(contributor.id)) {
+        roles.set(credit.bookId, [...(roles.get(credit.bookId) || []), credit.role]);
+    }
+
+    const { rows, count } = await contributorRepo.findBooks([...roles.keys()], {
+        limit,
+        offset,
+    });
+
+    const isSlug = !/^\d+$/.test(idOrSlug);
+
+    return {
+        author: contributorDTO(contributor),
+        ...(isSlug && contributor.slug !== idOrSlug ? { redirectTo: contributor.slug } : {}),
+        data: rows.map((book) => ({...bookDTO(book), roles: roles.get(book.id) })),
+        meta: {
+            total: count,
+            page: Number(page),
+            pages: Math.ceil(count / limit),
+        },
+    };
+};
+
+exports.update = async(id, data) => {
+    const existing = await contributorRepo.findById(id);
+    if (!existing) throw new NotFoundError("Author not found");
+
+    const values = {...data };
+
+    // like books, a rename keeps the slug
+    if (values.name) values.nameKey = toNameKey(values.name);
+    if (values.slug) await slugService.change(CONTRIBUTOR, existing, values.slug);
+
+    const updated = await contributorRepo.update(id, values);
+    return contributorDTO(updated);
+};
+
+/**
+ * Turns submitted credits ({ contributorId } or { name }, plus role) into
+ * rows for the book. Names are matched on their normalized form and
+ * unknown people are created.
+ */
+const resolveCredits = async(credits, transaction) => {
+    const ids = credits.filter((c) => c.contributorId).map((c) => c.contributorId);
+    const known = new Set((await contributorRepo.findByIds(ids)).map((c) => c.id));
+
+    const missing = ids.filter((id) => !known.has(id));
+    if (missing.length) {
+        throw new NotFoundError(`Unknown contributor ${missing.join(", ")}`);
+    }
+
+    const rows = [];
+
+    for (const [position, credit] of credits.entries()) {
+        let contributorId = credit.contributorId;
+
+        if (!contributorId) {
+            const nameKey = toNameKey(credit.name);
+            if (!nameKey) throw new BadRequestError(`"${credit.name}" is not a name`);
+
+            const contributor =
+                (await contributorRepo.findByNameKey(nameKey, transaction)) ||
+                (await contributorRepo.create({
+                    name: credit.name,
+                    nameKey,
+                    slug: await slugService.generate(CONTRIBUTOR, credit.name),
+                }, transaction));
+
+            contributorId = contributor.id;
+        }
+
+        // the same person twice in the same role is one credit
+        if (!rows.some((r) => r.contributorId === contributorId && r.role === credit.role)) {
+            rows.push({ contributorId, role: credit.role, position });
+        }
+    }
+
+    return rows;
+};
+
+exports.setBookCredits = async(bookId, credits, { roles, transaction } = {}) => {
+    const rows = await resolveCredits(credits, transaction);
+    await contributorRepo.replaceCredits(bookId, rows, { roles, transaction });
+};
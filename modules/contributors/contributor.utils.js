@@ -0,0 +1,26 @@
+const { AUTHOR } = require("../../shared/constants/contributorRole.constant");
+
+// "J. K. Rowling", "J.K. Rowling" and "jk rowling" share one key
+exports.toNameKey = (name) => {
+    return String(name)
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "");
+};
+
+// catalog files list several authors in one cell, separated by semicolons
+exports.splitNames = (value) => {
+    return String(value)
+        .split(";")
+        .map((name) => name.trim())
+        .filter(Boolean);
+};
+
+// "Ann Author, Bob Author" from a book's credits
+exports.byline = (credits = []) => {
+    const authors = credits.filter((credit) => credit.role === AUTHOR);
+    if (!authors.length) return null;
+
+    return authors.map((credit) => credit.Contributor.name).join(", ");
+};
@@ -0,0 +1,18 @@
+const Joi = require("joi");
+const CONTRIBUTOR_ROLES = require("../../shared/constants/contributorRole.constant");
+const { SLUG_PATTERN } = require("../../shared/utils/slug.util");
+
+// a credit names an existing contributor by id, or a person by name
+exports.creditSchema = Joi.object({
+    contributorId: Joi.number().integer().min(1),
+    name: Joi.string().trim().max(255),
+    role: Joi.string()
+        .valid(...Object.values(CONTRIBUTOR_ROLES))
+        .required(),
+}).xor("contributorId", "name");
+
+exports.updateContributorSchema = Joi.object({
+    name: Joi.string().trim().max(255).optional(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
+    bio: Joi.string().allow(null, "").optional(),
+});
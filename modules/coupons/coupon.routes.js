@@ -1,7 +1,8 @@
 const express = require("express");
 const controller = require("./coupon.controller");
 const auth = require("../../middlewares/auth.middleware");
-const role = require("../../middlewares/role.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const { COUPONS_MANAGE } = require("../../shared/constants/permissions.constant");
 const validate = require("../../middlewares/validate.middleware");
 
 const {
@@ -11,15 +12,15 @@ const {
 
 const router = express.Router();
 
-// admin only
+// staff
 router.post(
     "/",
     auth,
-    role("admin"),
+    requirePermission(COUPONS_MANAGE),
     validate(createCouponSchema),
     controller.create,
 );
-router.get("/", auth, role("admin"), controller.getAll);
+router.get("/", auth, requirePermission(COUPONS_MANAGE), controller.getAll);
 
 // user
 router.post("/apply", auth, validate(applyCouponSchema), controller.apply);
@@ -0,0 +1,53 @@
+const { Op } = require("sequelize");
+const { Impersonation, ImpersonationRequest, User } = require("../../models");
+
+const people = [
+    { model: User, as: "admin", attributes: ["id", "name", "email"] },
+    { model: User, as: "user", attributes: ["id", "name", "email"] },
+];
+
+exports.create = (data) => {
+    return Impersonation.create(data);
+};
+
+exports.findById = (id) => {
+    return Impersonation.findByPk(id);
+};
+
+exports.findAll = ({ limit, offset }) => {
+    return Impersonation.findAll({
+        include: people,
+        limit,
+        offset,
+        order: [
+            ["createdAt", "DESC"]
+        ],
+    });
+};
+
+exports.findByIdWithRequests = (id) => {
+    return Impersonation.findByPk(id, {
+        include: [...people, { model: ImpersonationRequest, as: "requests" }],
+        order: [
+            [{ model: ImpersonationRequest, as: "requests" }, "createdAt", "ASC"]
+        ],
+    });
+};
+
+exports.end = (id) => {
+    return Impersonation.update({ endedAt: new Date() }, { where: { id, endedAt: null } });
+};
+
+// ends every open session the user is impersonated in or is impersonating from
+exports.endAllForUser = (userId) => {
+    return Impersonation.update({ endedAt: new Date() }, {
+        where: {
+            endedAt: null,
+            [Op.or]: [{ userId }, { adminId: userId }],
+        },
+    });
+};
+
+exports.logRequest = (data) => {
+    return ImpersonationRequest.create(data);
+};
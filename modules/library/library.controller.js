@@ -0,0 +1,31 @@
+const libraryService = require("./library.service");
+
+exports.getLibrary = async(req, res, next) => {
+    try {
+        const data = await libraryService.getLibrary(req.user.id);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.createDownloadLink = async(req, res, next) => {
+    try {
+        const link = await libraryService.createDownloadLink(req.user.id, req.params.id);
+        res.status(201).json(link);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.download = async(req, res, next) => {
+    try {
+        const { fileName, body } = await libraryService.download(req.params.id, req.query);
+
+        res.attachment(fileName);
+        res.set("Cache-Control", "private, no-store");
+        res.send(body);
+    } catch (err) {
+        next(err);
+    }
+};
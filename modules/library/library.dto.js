@@ -0,0 +1,30 @@
+const { byline } = require("../contributors/contributor.utils");
+const { downloadsLeft } = require("./library.utils");
+
+exports.libraryItemDTO = (entitlement) => ({
+    id: entitlement.id,
+    orderId: entitlement.orderId,
+    book: entitlement.Book ?
+        {
+            id: entitlement.Book.id,
+            title: entitlement.Book.title,
+            slug: entitlement.Book.slug,
+            author: byline(entitlement.Book.BookContributors),
+            coverImageUrl: entitlement.Book.coverImageUrl,
+            archived: Boolean(entitlement.Book.deletedAt),
+        } :
+        null,
+    edition: entitlement.Edition ?
+        {
+            id: entitlement.Edition.id,
+            format: entitlement.Edition.format,
+            isbn13: entitlement.Edition.isbn13,
+        } :
+        null,
+    downloadLimit: entitlement.downloadLimit,
+    downloadsLeft: downloadsLeft(entitlement),
+    // false until staff upload the file
+    fileAvailable: Boolean(entitlement.Edition && entitlement.Edition.fileKey),
+    lastDownloadedAt: entitlement.lastDownloadedAt,
+    purchasedAt: entitlement.createdAt,
+});
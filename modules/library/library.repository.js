@@ -0,0 +1,67 @@
+const { Op, literal } = require("sequelize");
+const {
+    Entitlement,
+    Order,
+    OrderItem,
+    User,
+    Book,
+    Edition,
+    BookContributor,
+    Contributor,
+} = require("../../models");
+
+// bought books stay in the library after they are archived
+const book = {
+    model: Book,
+    attributes: ["id", "title", "slug", "coverImageUrl", "deletedAt"],
+    paranoid: false,
+    include: [{ model: BookContributor, include: [Contributor] }],
+};
+
+exports.findByUser = (userId) => {
+    return Entitlement.findAll({
+        where: { userId },
+        include: [book, Edition],
+        order: [
+            ["createdAt", "DESC"]
+        ],
+    });
+};
+
+exports.findById = (id) => {
+    return Entitlement.findByPk(id, {
+        include: [Edition, Order, User],
+    });
+};
+
+exports.countByEdition = (editionId) => {
+    return Entitlement.count({ where: { editionId } });
+};
+
+// =====================
+// GRANTS
+// =====================
+exports.findOrderItems = (orderId) => {
+    return OrderItem.findAll({
+        where: { orderId },
+        include: [Edition],
+    });
+};
+
+// one entitlement per order line, so granting twice is harmless
+exports.createMany = (entitlements) => {
+    return Entitlement.bulkCreate(entitlements, { ignoreDuplicates: true });
+};
+
+/**
+ * Counts one download. Resolves to false when the purchase has none
+ * left, so concurrent requests can't go over the limit.
+ */
+exports.consumeDownload = async(id) => {
+    const [affected] = await Entitlement.update({
+        downloadCount: literal("\"downloadCount\" + 1"),
+        lastDownloadedAt: new Date(),
+    }, { where: { id, [Op.and]: literal("\"downloadCount\" < \"downloadLimit\"") } }, );
+
+    return affected === 1;
+};
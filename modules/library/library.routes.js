@@ -0,0 +1,15 @@
+const express = require("express");
+const controller = require("./library.controller");
+const auth = require("../../middlewares/auth.middleware");
+const { denyImpersonation } = require("../../middlewares/impersonation.middleware");
+
+const router = express.Router();
+
+router.get("/", auth, controller.getLibrary);
+// support staff can see the library but not spend the customer's downloads
+router.post("/:id/download-link", auth, denyImpersonation, controller.createDownloadLink);
+
+// the signed link is the credential, so it works from any browser or e-reader
+router.get("/:id/download", controller.download);
+
+module.exports = router;
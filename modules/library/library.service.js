@@ -0,0 +1,108 @@
+const path = require("path");
+const libraryRepo = require("./library.repository");
+const storage = require("../../services/storage.service");
+const { watermark } = require("../../shared/utils/watermark.util");
+const { NotFoundError, ForbiddenError } = require("../../shared/errors");
+const { EBOOK } = require("../../shared/constants/bookFormat.constant");
+const { libraryItemDTO } = require("./library.dto");
+const {
+    DOWNLOADS_PER_PURCHASE,
+    buildDownloadLink,
+    isValidSignature,
+    isExpired,
+    downloadsLeft,
+} = require("./library.utils");
+
+/**
+ * Adds the ebooks of a paid order to the buyer's library. Safe to call
+ * more than once for the same order.
+ */
+exports.grantForOrder = async(order) => {
+    const items = await libraryRepo.findOrderItems(order.id);
+
+    const entitlements = items
+        .filter((item) => item.Edition && item.Edition.format === EBOOK)
+        .map((item) => ({
+            userId: order.userId,
+            orderId: order.id,
+            orderItemId: item.id,
+            editionId: item.Edition.id,
+            bookId: item.Edition.bookId,
+            downloadLimit: DOWNLOADS_PER_PURCHASE * item.quantity,
+        }));
+
+    if (entitlements.length) await libraryRepo.createMany(entitlements);
+
+    return entitlements.length;
+};
+
+exports.getLibrary = async(userId) => {
+    const entitlements = await libraryRepo.findByUser(userId);
+    return entitlements.map(libraryItemDTO);
+};
+
+// helper: the file has been uploaded and the purchase has downloads left
+const assertDownloadable = (entitlement) => {
+    if (!entitlement.Edition || !entitlement.Edition.fileKey) {
+        throw new NotFoundError("This ebook isn't available for download yet");
+    }
+
+    if (!downloadsLeft(entitlement)) {
+        throw new ForbiddenError("Download limit reached for this purchase");
+    }
+};
+
+exports.createDownloadLink = async(userId, id) => {
+    const entitlement = await libraryRepo.findById(id);
+
+    if (!entitlement || entitlement.userId !== userId) {
+        throw new NotFoundError("Library item not found");
+    }
+
+    assertDownloadable(entitlement);
+
+    return {
+        ...buildDownloadLink(entitlement.id),
+        downloadsLeft: downloadsLeft(entitlement),
+    };
+};
+
+/**
+ * Serves a signed download link: counts the download and returns the
+ * file watermarked with the buyer and order it was sold under.
+ */
+exports.download = async(id, { expires, signature }) => {
+    if (!isValidSignature(id, expires, signature)) {
+        throw new ForbiddenError("Invalid download link");
+    }
+
+    if (isExpired(expires)) {
+        throw new ForbiddenError("Download link has expired");
+    }
+
+    // deleted accounts lose their library
+    const entitlement = await libraryRepo.findById(id);
+    if (!entitlement || !entitlement.User) throw new NotFoundError("Library item not found");
+
+    assertDownloadable(entitlement);
+
+    const { Edition: edition, Order: order, User: user } = entitlement;
+    const file = await storage.get(edition.fileKey);
+
+    if (!(await libraryRepo.consumeDownload(entitlement.id))) {
+        throw new ForbiddenError("Download limit reached for this purchase");
+    }
+
+    const extension = path.extname(edition.fileKey).toLowerCase();
+
+    return {
+        fileName: edition.fileName || `${edition.bookId}${extension}`,
+        body: watermark(file, extension, {
+            name: user.name,
+            email: user.email,
+            orderId: order.id,
+            licenseId: entitlement.id,
+            purchasedAt: order.paidAt || order.createdAt,
+        }),
+    };
+};
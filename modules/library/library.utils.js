@@ -0,0 +1,46 @@
+const crypto = require("crypto");
+const env = require("../../config/env.config");
+
+// each purchased copy can be downloaded this many times
+exports.DOWNLOADS_PER_PURCHASE = 5;
+exports.DOWNLOAD_LINK_TTL_MINUTES = 15;
+
+const sign = (entitlementId, expires) => {
+    return crypto
+        .createHmac("sha256", env.DOWNLOAD_URL_SECRET)
+        .update(`${entitlementId}.${expires}`)
+        .digest("hex");
+};
+
+/**
+ * Signed link to one library entry. It works without a session (so it can
+ * be handed to a browser or e-reader) until `expires`, a unix timestamp.
+ */
+exports.buildDownloadLink = (entitlementId, now = Date.now()) => {
+    const expires = Math.floor(now / 1000) + exports.DOWNLOAD_LINK_TTL_MINUTES * 60;
+    const params = new URLSearchParams({ expires, signature: sign(entitlementId, expires) });
+
+    return {
+        url: `/api/v1/users/me/library/${entitlementId}/download?${params}`,
+        expiresAt: new Date(expires * 1000),
+    };
+};
+
+exports.isValidSignature = (entitlementId, expires, signature) => {
+    if (!/^\d+$/.test(String(expires)) || !/^[a-f0-9]{64}$/.test(String(signature))) {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(
+        Buffer.from(sign(entitlementId, expires), "hex"),
+        Buffer.from(signature, "hex"),
+    );
+};
+
+exports.isExpired = (expires, now = Date.now()) => {
+    return Number(expires) * 1000 < now;
+};
+
+exports.downloadsLeft = (entitlement) => {
+    return Math.max(entitlement.downloadLimit - entitlement.downloadCount, 0);
+};
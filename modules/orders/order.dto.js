@@ -2,9 +2,20 @@ exports.orderDTO = (order) => ({
     id: order.id,
     total: order.total,
     status: order.status,
+    paid: Boolean(order.paidAt),
+    ...(order.chargeAt ? { preorder: { chargeAt: order.chargeAt, releasedAt: order.releasedAt } } : {}),
     items: order.OrderItems.map((item) => ({
         bookId: item.bookId,
+        editionId: item.editionId,
         title: item.title, // snapshot
+        book: item.Book ?
+            {
+                id: item.Book.id,
+                title: item.Book.title,
+                slug: item.Book.slug,
+                archived: Boolean(item.Book.deletedAt),
+            } :
+            null,
         price: item.price,
         quantity: item.quantity,
         subtotal: item.price * item.quantity,
@@ -1,4 +1,12 @@
-const { Order, OrderItem } = require("../../models");
+const { Op } = require("sequelize");
+const { Order, OrderItem, Book, Edition } = require("../../models");
+const { PREORDERED } = require("../../shared/constants/orderStatus.constant");
+
+// archived books still resolve in order history
+const items = {
+    model: OrderItem,
+    include: [{ model: Book, attributes: ["id", "title", "slug", "deletedAt"], paranoid: false }],
+};
 
 exports.create = (data, transaction) => {
     return Order.create(data, { transaction });
@@ -16,7 +24,7 @@ exports.bulkCreateItems = (orderId, items, transaction) => {
 exports.findByUser = (userId) => {
     return Order.findAll({
         where: { userId },
-        include: [OrderItem],
+        include: [items],
         order: [
             ["createdAt", "DESC"]
         ],
@@ -25,6 +33,58 @@ exports.findByUser = (userId) => {
 
 exports.findById = (id) => {
     return Order.findByPk(id, {
-        include: [OrderItem],
+        include: [items],
     });
-};
\ No newline at end of file
+};
+
+exports.flagPendingByUser = (userId, reason) => {
+    return Order.update({ flaggedAt: new Date(), flagReason: reason }, { where: { userId, status: "pending" } }, );
+};
+
+exports.findFlagged = () => {
+    return Order.findAll({
+        where: {
+            flaggedAt: {
+                [Op.ne]: null },
+        },
+        include: [items],
+        order: [
+            ["flaggedAt", "DESC"]
+        ],
+    });
+};
+
+// =====================
+// PRE-ORDERS
+// =====================
+// copies of the book already promised to pre-order customers
+exports.countPreordered = async(bookId, transaction) => {
+    const total = await OrderItem.sum("quantity", {
+        where: { bookId },
+        include: [{ model: Order, where: { status: PREORDERED }, attributes: [] }],
+        transaction,
+    });
+
+    return total || 0;
+};
+
+// pre-orders whose books are all out by `today`; release dates can move after ordering
+exports.findReleasablePreorders = async(today) => {
+    const orders = await Order.findAll({
+        where: { status: PREORDERED },
+        include: [{
+            model: OrderItem,
+            include: [
+                Edition,
+                { model: Book, attributes: ["id", "releaseDate"], paranoid: false },
+            ],
+        }],
+        order: [
+            ["createdAt", "ASC"]
+        ],
+    });
+
+    return orders.filter((order) =>
+        order.OrderItems.every((item) => !item.Book || !item.Book.releaseDate || item.Book.releaseDate <= today),
+    );
+};
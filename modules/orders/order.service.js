@@ -2,12 +2,48 @@ const { sequelize } = require("../../models");
 const orderRepo = require("./order.repository");
 const cartRepo = require("../cart/cart.repository");
 const bookRepo = require("../books/book.repository");
+const userRepo = require("../users/user.repository");
+const libraryService = require("../library/library.service");
+const settingRepo = require("../settings/setting.repository");
+const paymentService = require("../../services/payment.service");
+const queueService = require("../../shared/queues/queue.service");
+const logger = require("../../shared/logger/logger");
+const { isSuspended } = require("../users/user.utils");
+const {
+    hasStock,
+    isDigital,
+    isPreorderable,
+    isPurchasable,
+} = require("../books/book.utils");
+const { holdsPreorders } = require("../cart/cart.utils");
+const { buildPreorderPaymentEmail } = require("./order.utils");
+const { toDateOnly } = require("../../shared/utils/date.util");
+const { PREORDER_CHARGE } = require("../../shared/constants/settings.constant");
+const { AT_ORDER, AT_RELEASE } = require("../../shared/constants/preorderCharge.constant");
+const {
+    PENDING,
+    PAID,
+    PREORDERED,
+} = require("../../shared/constants/orderStatus.constant");
 
-const { NotFoundError, BadRequestError } = require("../../shared/errors");
+const {
+    NotFoundError,
+    BadRequestError,
+    ForbiddenError,
+} = require("../../shared/errors");
 
 const { orderDTO } = require("./order.dto");
 
 exports.createOrder = async(userId) => {
+    const user = await userRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (isSuspended(user)) throw new ForbiddenError("Account suspended");
+
+    if (!user.emailVerifiedAt) {
+        throw new ForbiddenError("Please verify your email before checking out");
+    }
+
     return sequelize.transaction(async(t) => {
         // 1. get cart
         const cart = await cartRepo.getOrCreateCart(userId);
@@ -18,26 +54,53 @@ exports.createOrder = async(userId) => {
 
         let total = 0;
         const orderItemsData = [];
+        const preorder = holdsPreorders(cart);
 
-        // 2. validate stock + prepare snapshot
+        // 2. validate stock (or pre-order cap) + prepare snapshot
         for (const item of cart.CartItems) {
-            const book = await bookRepo.findById(item.bookId);
+            const edition = await bookRepo.findEditionById(item.editionId);
 
-            if (!book) throw new NotFoundError("Book not found");
+            if (!edition) throw new NotFoundError("Edition not found");
+
+            const book = edition.Book;
+
+            if (!book) {
+                throw new BadRequestError("A book in your cart is no longer available");
+            }
 
-            if (book.stock < item.quantity) {
-                throw new BadRequestError(`Not enough stock for ${book.title}`);
+            // e.g. an audiobook added before delivery was limited to ebooks
+            if (!isPurchasable(edition)) {
+                throw new BadRequestError(`${book.title} (${edition.format}) can't be bought yet`);
             }
 
-            // reduce stock
-            await book.update({ stock: book.stock - item.quantity }, { transaction: t }, );
+            if (preorder) {
+                // released since it went into the cart
+                if (!isPreorderable(book)) {
+                    throw new BadRequestError(
+                        `${book.title} is out now; check it out separately from your pre-orders`,
+                    );
+                }
 
-            const price = book.price;
+                await exports.assertPreorderCap(book, item.quantity, t);
+            } else if (!isDigital(edition)) {
+                // reduce stock (digital editions don't keep any; pre-orders wait for release).
+                // The row stays locked until commit so concurrent checkouts can't oversell.
+                const locked = await bookRepo.findEditionForUpdate(edition.id, t);
+
+                if (!hasStock(locked, item.quantity)) {
+                    throw new BadRequestError(`Not enough stock for ${book.title} (${edition.format})`);
+                }
+
+                await locked.decrement("stock", { by: item.quantity, transaction: t });
+            }
+
+            const price = edition.price;
 
             total += price * item.quantity;
 
             orderItemsData.push({
                 bookId: book.id,
+                editionId: edition.id,
                 title: book.title, // snapshot 🔥
                 price,
                 quantity: item.quantity,
@@ -48,7 +111,8 @@ exports.createOrder = async(userId) => {
         const order = await orderRepo.create({
                 userId,
                 total,
-                status: "pending",
+                status: preorder ? PREORDERED : PENDING,
+                chargeAt: preorder ? await settingRepo.get(PREORDER_CHARGE, AT_ORDER) : null,
             },
             t,
         );
@@ -76,4 +140,117 @@ exports.getById = async(userId, orderId) => {
     }
 
     return orderDTO(order);
-};
\ No newline at end of file
+};
+
+// =====================
+// PRE-ORDERS
+// =====================
+exports.assertPreorderCap = async(book, quantity, transaction) => {
+    if (!book.preorderCap) return;
+
+    // at checkout, concurrent orders for the book wait here so the count stays accurate
+    if (transaction) await bookRepo.lockBook(book.id, transaction);
+
+    const taken = await orderRepo.countPreordered(book.id, transaction);
+
+    if (taken + quantity > book.preorderCap) {
+        throw new BadRequestError(
+            `Only ${Math.max(book.preorderCap - taken, 0)} pre-orders left for ${book.title}`,
+        );
+    }
+};
+
+// helper: charges the card saved at checkout; false when the customer has to pay themselves
+const chargeOnRelease = async(order) => {
+    if (order.chargeAt !== AT_RELEASE || !order.stripePaymentMethodId) return false;
+
+    try {
+        const intent = await paymentService.chargeSavedCard({
+            amount: order.total,
+            customer: order.stripeCustomerId,
+            paymentMethod: order.stripePaymentMethodId,
+            metadata: { orderId: order.id, userId: order.userId },
+        });
+
+        if (intent.status !== "succeeded") return false;
+
+        await order.update({ status: PAID, paidAt: new Date() });
+        return true;
+    } catch (err) {
+        // e.g. the bank wants the customer to authenticate
+        logger.warn(`Release charge for order ${order.id} failed: ${err.message}`);
+        return false;
+    }
+};
+
+/**
+ * Moves one released pre-order into fulfilment: stock is taken now, paid
+ * orders become "paid" (and their ebooks go to the library) and unpaid
+ * ones "pending" after an attempt to charge the saved card. Resolves to
+ * false when there isn't enough stock yet; the order then stays
+ * pre-ordered and the next daily run tries again.
+ */
+const releasePreorder = async(order) => {
+    // one entry per physical edition, locked in id order so concurrent releases can't deadlock
+    const quantities = new Map();
+    for (const item of order.OrderItems) {
+        if (!item.Edition || isDigital(item.Edition)) continue;
+
+        quantities.set(item.Edition.id, (quantities.get(item.Edition.id) || 0) + item.quantity);
+    }
+
+    const editionIds = [...quantities.keys()].sort((a, b) => a - b);
+
+    const released = await sequelize.transaction(async(t) => {
+        const locked = [];
+
+        for (const id of editionIds) {
+            const edition = await bookRepo.findEditionForUpdate(id, t);
+
+            if (!hasStock(edition, quantities.get(id))) {
+                logger.warn(`Holding pre-order ${order.id}: edition ${id} has ${edition.stock} in stock, needs ${quantities.get(id)}`);
+                return false;
+            }
+
+            locked.push(edition);
+        }
+
+        for (const edition of locked) {
+            await edition.decrement("stock", { by: quantities.get(edition.id), transaction: t });
+        }
+
+        await order.update({ status: order.paidAt ? PAID : PENDING, releasedAt: new Date() }, { transaction: t }, );
+
+        return true;
+    });
+
+    if (!released) return false;
+
+    if (order.paidAt || (await chargeOnRelease(order))) {
+        await libraryService.grantForOrder(order);
+        return true;
+    }
+
+    const user = await userRepo.findById(order.userId);
+    if (user) await queueService.addEmailJob(buildPreorderPaymentEmail(user, order));
+
+    return true;
+};
+
+// run by the releasePreorders job on publication day
+exports.releasePreorders = async(today = toDateOnly()) => {
+    const orders = await orderRepo.findReleasablePreorders(today);
+    let released = 0;
+    let held = 0;
+
+    for (const order of orders) {
+        try {
+            if (await releasePreorder(order)) released++;
+            else held++;
+        } catch (err) {
+            logger.error(`Releasing pre-order ${order.id} failed: ${err.message}`);
+        }
+    }
+
+    return { released, held, failed: orders.length - released - held };
+};
@@ -1,3 +1,17 @@
 exports.calculateOrderTotal = (items) => {
     return items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-};
\ No newline at end of file
+};
+
+exports.buildPreorderPaymentEmail = (user, order) => {
+    const link = `${process.env.FRONTEND_URL}/orders/${order.id}/pay`;
+
+    return {
+        to: user.email,
+        subject: "Your pre-order is out now",
+        html: `
+            <h3>It's release day</h3>
+            <p>Hi ${user.name}, the books you pre-ordered (order #${order.id}) are out.</p>
+            <p><a href="${link}">Complete your payment</a> and we'll send them on their way.</p>
+        `,
+    };
+};
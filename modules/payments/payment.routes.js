@@ -1,10 +1,16 @@
 const express = require("express");
 const controller = require("./payment.controller");
 const auth = require("../../middlewares/auth.middleware");
+const { denyImpersonation } = require("../../middlewares/impersonation.middleware");
 
 const router = express.Router();
 
-router.post("/create-intent", auth, controller.createPaymentIntent);
+router.post(
+    "/create-intent",
+    auth,
+    denyImpersonation,
+    controller.createPaymentIntent,
+);
 
 // webhook (NO auth, raw body needed)
 router.post("/webhook", controller.handleWebhook);
@@ -1,7 +1,45 @@
 const stripe = require("../../config/stripe.config");
 const orderRepo = require("../orders/order.repository");
+const userRepo = require("../users/user.repository");
+const libraryService = require("../library/library.service");
 
 const { NotFoundError, BadRequestError } = require("../../shared/errors");
+const { PENDING, PAID, PREORDERED } = require("../../shared/constants/orderStatus.constant");
+const { AT_ORDER, AT_RELEASE } = require("../../shared/constants/preorderCharge.constant");
+
+// helper: pre-orders charged at release only save a card now
+const createSetupIntent = async(userId, order) => {
+    if (order.stripePaymentMethodId) {
+        throw new BadRequestError("A card is already saved for this pre-order");
+    }
+
+    let customerId = order.stripeCustomerId;
+
+    if (!customerId) {
+        const user = await userRepo.findById(userId);
+        const customer = await stripe.customers.create({
+            email: user.email,
+            metadata: { userId },
+        });
+
+        customerId = customer.id;
+        await order.update({ stripeCustomerId: customerId });
+    }
+
+    const setupIntent = await stripe.setupIntents.create({
+        customer: customerId,
+        usage: "off_session",
+        metadata: {
+            orderId: order.id,
+            userId,
+        },
+    });
+
+    return {
+        clientSecret: setupIntent.client_secret,
+        intentType: "setup",
+    };
+};
 
 exports.createPaymentIntent = async(userId, orderId) => {
     const order = await orderRepo.findById(orderId);
@@ -10,7 +48,15 @@ exports.createPaymentIntent = async(userId, orderId) => {
         throw new NotFoundError("Order not found");
     }
 
-    if (order.status !== "pending") {
+    if (order.status === PREORDERED && order.chargeAt === AT_RELEASE) {
+        return createSetupIntent(userId, order);
+    }
+
+    const payable =
+        order.status === PENDING ||
+        (order.status === PREORDERED && order.chargeAt === AT_ORDER && !order.paidAt);
+
+    if (!payable) {
         throw new BadRequestError("Order already paid or invalid");
     }
 
@@ -25,6 +71,7 @@ exports.createPaymentIntent = async(userId, orderId) => {
 
     return {
         clientSecret: paymentIntent.client_secret,
+        intentType: "payment",
     };
 };
 
@@ -46,9 +93,25 @@ exports.handleWebhook = async(req) => {
         if (!order) throw new NotFoundError("Order not found");
 
         // idempotency safety
-        if (order.status === "paid") return;
+        if (order.status === PAID || order.paidAt) return;
+
+        // paid pre-orders wait for release before they are fulfilled
+        await order.update({
+            status: order.status === PREORDERED ? PREORDERED : PAID,
+            paidAt: new Date(),
+        });
 
-        await order.update({ status: "paid" });
+        if (order.status === PAID) await libraryService.grantForOrder(order);
+    }
+
+    // card saved for a pre-order charged at release
+    if (event.type === "setup_intent.succeeded") {
+        const intent = event.data.object;
+
+        const order = await orderRepo.findById(intent.metadata.orderId);
+        if (!order) throw new NotFoundError("Order not found");
+
+        await order.update({ stripePaymentMethodId: intent.payment_method });
     }
 
     if (event.type === "payment_intent.payment_failed") {
@@ -56,7 +119,9 @@ exports.handleWebhook = async(req) => {
         const orderId = intent.metadata.orderId;
 
         const order = await orderRepo.findById(orderId);
-        if (!order) return;
+
+        // a pre-order stays reserved; the customer can try again
+        if (!order || order.status === PREORDERED) return;
 
         await order.update({ status: "failed" });
     }
@@ -1,5 +1,5 @@
 const { Review, User } = require("../../models");
-const { fn, col } = require("sequelize");
+const { fn, col, Op } = require("sequelize");
 
 exports.findByBook = (bookId, { limit, offset }) => {
     return Review.findAndCountAll({
@@ -34,6 +34,35 @@ exports.delete = (id) => {
     return Review.destroy({ where: { id } });
 };
 
+exports.findArchived = ({ limit, offset }) => {
+    return Review.findAll({
+        where: { deletedAt: {
+                [Op.ne]: null } },
+        include: [{ model: User, attributes: ["id", "name"], paranoid: false }],
+        paranoid: false,
+        limit,
+        offset,
+        order: [
+            ["deletedAt", "DESC"]
+        ],
+    });
+};
+
+exports.findArchivedById = (id) => {
+    return Review.findOne({
+        where: {
+            id,
+            deletedAt: {
+                [Op.ne]: null },
+        },
+        paranoid: false,
+    });
+};
+
+exports.restore = (id) => {
+    return Review.restore({ where: { id } });
+};
+
 exports.getBookRatingStats = async(bookId) => {
     const result = await Review.findOne({
         where: { bookId },
@@ -48,4 +77,21 @@ exports.getBookRatingStats = async(bookId) => {
         avg: parseFloat(result.avg),
         count: parseInt(result.count),
     };
+};
+
+exports.flagByUser = (userId, reason) => {
+    return Review.update({ flaggedAt: new Date(), flagReason: reason }, { where: { userId } }, );
+};
+
+exports.findFlagged = () => {
+    return Review.findAll({
+        where: {
+            flaggedAt: {
+                [Op.ne]: null },
+        },
+        include: [{ model: User, attributes: ["id", "name"] }],
+        order: [
+            ["flaggedAt", "DESC"]
+        ],
+    });
 };
\ No newline at end of file
@@ -1,7 +1,12 @@
 const reviewRepo = require("./review.repository");
 const bookRepo = require("../books/book.repository");
+const userRepo = require("../users/user.repository");
 
-const { NotFoundError, BadRequestError } = require("../../shared/errors");
+const {
+    NotFoundError,
+    BadRequestError,
+    ForbiddenError,
+} = require("../../shared/errors");
 
 const { reviewDTO } = require("./review.dto");
 
@@ -25,6 +30,13 @@ exports.getByBook = async(bookId, query) => {
 };
 
 exports.create = async(userId, { bookId, rating, comment }) => {
+    const user = await userRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (!user.emailVerifiedAt) {
+        throw new ForbiddenError("Please verify your email before writing a review");
+    }
+
     const book = await bookRepo.findById(bookId);
     if (!book) throw new NotFoundError("Book not found");
 
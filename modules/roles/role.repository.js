@@ -0,0 +1,53 @@
+const { Role, Permission } = require("../../models");
+
+const withPermissions = {
+    include: [{ model: Permission, attributes: ["id", "name"], through: { attributes: [] } }],
+};
+
+exports.findAll = () => {
+    return Role.findAll({
+        ...withPermissions,
+        order: [
+            ["name", "ASC"]
+        ],
+    });
+};
+
+exports.findById = (id) => {
+    return Role.findByPk(id, withPermissions);
+};
+
+exports.findByName = (name) => {
+    return Role.findOne({ where: { name }, ...withPermissions });
+};
+
+exports.create = (data) => {
+    return Role.create(data);
+};
+
+exports.update = (id, data) => {
+    return Role.update(data, { where: { id } });
+};
+
+exports.delete = (id) => {
+    return Role.destroy({ where: { id } });
+};
+
+exports.setPermissions = (role, permissions) => {
+    return role.setPermissions(permissions);
+};
+
+// =====================
+// PERMISSIONS
+// =====================
+exports.findAllPermissions = () => {
+    return Permission.findAll({
+        order: [
+            ["name", "ASC"]
+        ],
+    });
+};
+
+exports.findPermissionsByNames = (names) => {
+    return Permission.findAll({ where: { name: names } });
+};
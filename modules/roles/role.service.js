@@ -0,0 +1,35 @@
+const roleRepo = require("./role.repository");
+
+// role grants change rarely, so they are cached per process for a short while;
+// edits made on another instance show up here within CACHE_TTL_MS
+const CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * Returns the permission names granted to a role, or an empty list
+ * for an unknown role.
+ */
+exports.getPermissions = async(roleName) => {
+    const cached = cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+    const role = await roleRepo.findByName(roleName);
+    const permissions = role ? role.Permissions.map((p) => p.name) : [];
+
+    cache.set(roleName, {
+        permissions,
+        expiresAt: Date.now() + CACHE_TTL_MS,
+    });
+
+    return permissions;
+};
+
+exports.hasPermission = async(roleName, permission) => {
+    const permissions = await exports.getPermissions(roleName);
+    return permissions.includes(permission);
+};
+
+exports.clearCache = () => {
+    cache.clear();
+};
@@ -1,7 +1,14 @@
+const { lowestPrice } = require("../books/book.utils");
+const { creditDTO } = require("../contributors/contributor.dto");
+const { byline } = require("../contributors/contributor.utils");
+const { tagDTO } = require("../tags/tag.dto");
+
 exports.searchDTO = (book) => ({
     id: book.id,
     title: book.title,
-    author: book.author,
-    price: book.price,
+    author: byline(book.BookContributors),
+    contributors: (book.BookContributors || []).map(creditDTO),
+    priceFrom: lowestPrice(book.Editions),
+    tags: (book.Tags || []).map(tagDTO),
     category: book.Category ?.name,
 });
\ No newline at end of file
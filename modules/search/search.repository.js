@@ -1,37 +1,30 @@
-const { Op } = require("sequelize");
-const { Book, Category } = require("../../models");
+const { Book, BookContributor, Contributor, Tag } = require("../../models");
+const bookRepo = require("../books/book.repository");
 
-exports.searchBooks = ({ q, category, minPrice, maxPrice, limit, offset }) => {
-    const where = {};
+// helper: the catalog filters, with the query also matching descriptions
+const toBookFilters = ({ q, ...filters }) => ({...filters, search: q, inDescription: true });
 
-    // TEXT SEARCH 🔥
-    if (q) {
-        where[Op.or] = [
-            { title: {
-                    [Op.iLike]: `%${q}%` } },
-            { author: {
-                    [Op.iLike]: `%${q}%` } },
-            { description: {
-                    [Op.iLike]: `%${q}%` } },
-        ];
-    }
-
-    // PRICE FILTER
-    if (minPrice || maxPrice) {
-        where.price = {};
-        if (minPrice) where.price[Op.gte] = minPrice;
-        if (maxPrice) where.price[Op.lte] = maxPrice;
-    }
+exports.searchBooks = ({ limit, offset, ...filters }) => {
+    const { where, include } = bookRepo.buildFilters(toBookFilters(filters));
 
     return Book.findAndCountAll({
         where,
-        include: category ?
-            [{ model: Category, where: { name: category } }] :
-            [{ model: Category }],
+        include: [
+            ...include,
+            { model: BookContributor, include: [Contributor] },
+            { model: Tag, through: { attributes: [] } },
+        ],
+        distinct: true,
         limit,
         offset,
         order: [
-            ["createdAt", "DESC"]
+            ["createdAt", "DESC"],
+            [BookContributor, "position", "ASC"],
         ],
     });
-};
\ No newline at end of file
+};
+
+// per-tag counts over every matching book
+exports.countTags = (filters) => {
+    return bookRepo.countTags(toBookFilters(filters));
+};
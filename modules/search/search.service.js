@@ -1,19 +1,23 @@
 const searchRepo = require("./search.repository");
+const tagService = require("../tags/tag.service");
 const { searchDTO } = require("./search.dto");
+const { parseTagFilter } = require("../tags/tag.utils");
 
 exports.search = async(query) => {
-    const { q, category, minPrice, maxPrice, page = 1, limit = 10 } = query;
+    const { q, category, series, minPrice, maxPrice, page = 1, limit = 10 } = query;
 
     const offset = (page - 1) * limit;
-
-    const { rows, count } = await searchRepo.searchBooks({
+    const filters = {
         q,
         category,
+        series,
+        tagSlugs: parseTagFilter(query.tags),
         minPrice,
         maxPrice,
-        limit,
-        offset,
-    });
+    };
+
+    const { rows, count } = await searchRepo.searchBooks({...filters, limit, offset });
+    const tagCounts = await searchRepo.countTags(filters);
 
     return {
         data: rows.map(searchDTO),
@@ -22,5 +26,8 @@ exports.search = async(query) => {
             page: Number(page),
             pages: Math.ceil(count / limit),
         },
+        facets: {
+            tags: await tagService.toFacets(tagCounts),
+        },
     };
 };
\ No newline at end of file
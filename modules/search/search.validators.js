@@ -3,6 +3,9 @@ const Joi = require("joi");
 exports.searchSchema = Joi.object({
     q: Joi.string().allow("").optional(),
     category: Joi.string().optional(),
+    series: Joi.number().integer().min(1).optional(),
+    // comma-separated tag slugs; books must carry all of them
+    tags: Joi.string().optional(),
     minPrice: Joi.number().optional(),
     maxPrice: Joi.number().optional(),
     page: Joi.number().min(1).default(1),
@@ -0,0 +1,55 @@
+const seriesService = require("./series.service");
+
+exports.getById = async(req, res, next) => {
+    try {
+        const data = await seriesService.getById(req.params.id);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.create = async(req, res, next) => {
+    try {
+        const data = await seriesService.create(req.body);
+        res.status(201).json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.update = async(req, res, next) => {
+    try {
+        const data = await seriesService.update(req.params.id, req.body);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.delete = async(req, res, next) => {
+    try {
+        await seriesService.delete(req.params.id);
+        res.json({ message: "Series deleted" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.setBook = async(req, res, next) => {
+    try {
+        const data = await seriesService.setBook(req.params.id, req.params.bookId, req.body);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.removeBook = async(req, res, next) => {
+    try {
+        await seriesService.removeBook(req.params.id, req.params.bookId);
+        res.json({ message: "Book removed from series" });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,31 @@
+const { byline } = require("../contributors/contributor.utils");
+
+// DECIMAL columns come back from Postgres as strings
+const toPosition = (value) => Number(value);
+
+exports.entryDTO = (entry) => ({
+    position: toPosition(entry.position),
+    book: {
+        id: entry.Book.id,
+        title: entry.Book.title,
+        slug: entry.Book.slug,
+        coverImageUrl: entry.Book.coverImageUrl,
+        ...(entry.Book.BookContributors ? { author: byline(entry.Book.BookContributors) } : {}),
+    },
+});
+
+exports.seriesDTO = (series) => ({
+    id: series.id,
+    name: series.name,
+    description: series.description,
+    ...(series.SeriesEntries ? { books: series.SeriesEntries.map(exports.entryDTO) } : {}),
+});
+
+// a book's place in one series, with the titles either side of it
+exports.bookSeriesDTO = (entry, { previous, next }) => ({
+    id: entry.Series.id,
+    name: entry.Series.name,
+    position: toPosition(entry.position),
+    previous: previous ? exports.entryDTO(previous) : null,
+    next: next ? exports.entryDTO(next) : null,
+});
@@ -0,0 +1,99 @@
+const { Op } = require("sequelize");
+const {
+    Series,
+    SeriesEntry,
+    Book,
+    BookContributor,
+    Contributor,
+} = require("../../models");
+
+// archived books drop out of the reading order
+const entryBook = {
+    model: Book,
+    attributes: ["id", "title", "slug", "coverImageUrl"],
+    required: true,
+};
+
+exports.findById = (id) => {
+    return Series.findByPk(id);
+};
+
+// the series with its books in reading order
+exports.findWithEntries = (id) => {
+    return Series.findByPk(id, {
+        include: [{
+            model: SeriesEntry,
+            include: [{
+                ...entryBook,
+                include: [{ model: BookContributor, include: [Contributor] }],
+            }, ],
+        }, ],
+        order: [
+            [SeriesEntry, "position", "ASC"],
+            [SeriesEntry, Book, BookContributor, "position", "ASC"],
+        ],
+    });
+};
+
+exports.create = (data) => {
+    return Series.create(data);
+};
+
+exports.update = async(id, data) => {
+    await Series.update(data, { where: { id } });
+    return this.findById(id);
+};
+
+exports.delete = (id) => {
+    return Series.destroy({ where: { id } });
+};
+
+// =====================
+// ENTRIES
+// =====================
+exports.findEntry = (seriesId, bookId) => {
+    return SeriesEntry.findOne({ where: { seriesId, bookId } });
+};
+
+exports.findEntryAt = (seriesId, position) => {
+    return SeriesEntry.findOne({ where: { seriesId, position } });
+};
+
+exports.findEntriesByBook = (bookId) => {
+    return SeriesEntry.findAll({
+        where: { bookId },
+        include: [{ model: Series }],
+        order: [
+            ["createdAt", "ASC"]
+        ],
+    });
+};
+
+exports.createEntry = (data) => {
+    return SeriesEntry.create(data);
+};
+
+exports.updateEntry = (id, data) => {
+    return SeriesEntry.update(data, { where: { id } });
+};
+
+exports.deleteEntry = (seriesId, bookId) => {
+    return SeriesEntry.destroy({ where: { seriesId, bookId } });
+};
+
+// closest entry before (or after) `position` in the series
+exports.findAdjacentEntry = (seriesId, position, direction) => {
+    const before = direction === "previous";
+
+    return SeriesEntry.findOne({
+        where: {
+            seriesId,
+            position: {
+                [before ? Op.lt : Op.gt]: position },
+        },
+        include: [entryBook],
+        order: [
+            ["position", before ? "DESC" : "ASC"]
+        ],
+    });
+};
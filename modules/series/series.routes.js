@@ -0,0 +1,51 @@
+const express = require("express");
+const controller = require("./series.controller");
+const validate = require("../../middlewares/validate.middleware");
+const apiAuth = require("../../middlewares/apiAuth.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const { CATALOG_WRITE } = require("../../shared/constants/permissions.constant");
+
+const {
+    createSeriesSchema,
+    updateSeriesSchema,
+    seriesEntrySchema,
+} = require("./series.validators");
+
+const router = express.Router();
+
+// public
+router.get("/:id", controller.getById);
+
+// staff
+router.post(
+    "/",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    validate(createSeriesSchema),
+    controller.create,
+);
+router.put(
+    "/:id",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    validate(updateSeriesSchema),
+    controller.update,
+);
+router.delete("/:id", apiAuth, requirePermission(CATALOG_WRITE), controller.delete);
+
+// staff: membership and reading order
+router.put(
+    "/:id/books/:bookId",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    validate(seriesEntrySchema),
+    controller.setBook,
+);
+router.delete(
+    "/:id/books/:bookId",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    controller.removeBook,
+);
+
+module.exports = router;
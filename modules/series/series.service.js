@@ -0,0 +1,95 @@
+const { UniqueConstraintError } = require("sequelize");
+const seriesRepo = require("./series.repository");
+const bookRepo = require("../books/book.repository");
+const { NotFoundError, ConflictError } = require("../../shared/errors");
+const { seriesDTO, bookSeriesDTO } = require("./series.dto");
+
+// helper
+const findSeries = async(id) => {
+    const series = await seriesRepo.findById(id);
+    if (!series) throw new NotFoundError("Series not found");
+
+    return series;
+};
+
+exports.getById = async(id) => {
+    const series = await seriesRepo.findWithEntries(id);
+    if (!series) throw new NotFoundError("Series not found");
+
+    return seriesDTO(series);
+};
+
+exports.create = async(data) => {
+    const series = await seriesRepo.create(data);
+    return seriesDTO(series);
+};
+
+exports.update = async(id, data) => {
+    await findSeries(id);
+
+    const updated = await seriesRepo.update(id, data);
+    return seriesDTO(updated);
+};
+
+exports.delete = async(id) => {
+    await findSeries(id);
+    await seriesRepo.delete(id);
+};
+
+/**
+ * Puts a book at `position` in the series, or moves it there if it is
+ * already part of it.
+ */
+exports.setBook = async(seriesId, bookId, { position }) => {
+    await findSeries(seriesId);
+
+    const book = await bookRepo.findById(bookId);
+    if (!book) throw new NotFoundError("Book not found");
+
+    const taken = await seriesRepo.findEntryAt(seriesId, position);
+    if (taken && taken.bookId !== book.id) {
+        throw new ConflictError(`Position ${position} is already taken by book ${taken.bookId}`);
+    }
+
+    const existing = await seriesRepo.findEntry(seriesId, book.id);
+
+    try {
+        if (existing) {
+            await seriesRepo.updateEntry(existing.id, { position });
+        } else {
+            await seriesRepo.createEntry({ seriesId: Number(seriesId), bookId: book.id, position });
+        }
+    } catch (err) {
+        // a concurrent request got there between the checks above and this write
+        if (err instanceof UniqueConstraintError) {
+            throw new ConflictError(
+                err.fields && "position" in err.fields ?
+                `Position ${position} is already taken` :
+                "The book is already part of this series",
+            );
+        }
+
+        throw err;
+    }
+
+    return exports.getById(seriesId);
+};
+
+exports.removeBook = async(seriesId, bookId) => {
+    const entry = await seriesRepo.findEntry(seriesId, bookId);
+    if (!entry) throw new NotFoundError("Book is not part of this series");
+
+    await seriesRepo.deleteEntry(seriesId, bookId);
+};
+
+// every series the book belongs to, with the previous and next titles
+exports.getBookSeries = async(bookId) => {
+    const entries = await seriesRepo.findEntriesByBook(bookId);
+
+    return Promise.all(
+        entries.map(async(entry) => bookSeriesDTO(entry, {
+            previous: await seriesRepo.findAdjacentEntry(entry.seriesId, entry.position, "previous"),
+            next: await seriesRepo.findAdjacentEntry(entry.seriesId, entry.position, "next"),
+        })),
+    );
+};
@@ -0,0 +1,16 @@
+const Joi = require("joi");
+
+exports.createSeriesSchema = Joi.object({
+    name: Joi.string().trim().max(255).required(),
+    description: Joi.string().allow(null, "").optional(),
+});
+
+exports.updateSeriesSchema = Joi.object({
+    name: Joi.string().trim().max(255).optional(),
+    description: Joi.string().allow(null, "").optional(),
+});
+
+// 1, 2, 2.5 (a novella between 2 and 3), ...
+exports.seriesEntrySchema = Joi.object({
+    position: Joi.number().min(0).max(9999).precision(2).required(),
+});
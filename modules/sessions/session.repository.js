@@ -0,0 +1,49 @@
+const { Op } = require("sequelize");
+const { Session, RefreshToken } = require("../../models");
+
+exports.create = (data) => {
+    return Session.create(data);
+};
+
+exports.findById = (id) => {
+    return Session.findByPk(id);
+};
+
+exports.findActiveByUser = (userId) => {
+    return Session.findAll({
+        where: { userId, revokedAt: null },
+        order: [
+            ["lastSeenAt", "DESC"]
+        ],
+    });
+};
+
+exports.touch = (id, data = {}) => {
+    return Session.update({...data, lastSeenAt: new Date() }, { where: { id } });
+};
+
+// revoking a session also kills every refresh token issued for it
+exports.revoke = async(id) => {
+    const now = new Date();
+
+    await Session.update({ revokedAt: now }, { where: { id, revokedAt: null } });
+    await RefreshToken.update({ revokedAt: now }, { where: { family: id, revokedAt: null } }, );
+};
+
+exports.revokeAllForUser = async(userId, { exceptId } = {}) => {
+    const now = new Date();
+
+    const where = { userId, revokedAt: null };
+    if (exceptId) where.id = {
+        [Op.ne]: exceptId };
+
+    const sessions = await Session.findAll({ where, attributes: ["id"] });
+    const ids = sessions.map((s) => s.id);
+
+    if (!ids.length) return 0;
+
+    await Session.update({ revokedAt: now }, { where: { id: ids } });
+    await RefreshToken.update({ revokedAt: now }, { where: { family: ids, revokedAt: null } }, );
+
+    return ids.length;
+};
@@ -0,0 +1,11 @@
+const { Setting } = require("../../models");
+
+exports.get = async(key, defaultValue = null) => {
+    const setting = await Setting.findOne({ where: { key } });
+    return setting ? setting.value : defaultValue;
+};
+
+exports.set = async(key, value) => {
+    await Setting.upsert({ key, value }, { conflictFields: ["key"] });
+    return value;
+};
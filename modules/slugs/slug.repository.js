@@ -0,0 +1,48 @@
+const {
+    Book,
+    Category,
+    Contributor,
+    Tag,
+    Collection,
+    SlugRedirect,
+} = require("../../models");
+const {
+    BOOK,
+    CATEGORY,
+    CONTRIBUTOR,
+    TAG,
+    COLLECTION,
+} = require("../../shared/constants/slugEntity.constant");
+
+const MODELS = {
+    [BOOK]: Book,
+    [CATEGORY]: Category,
+    [CONTRIBUTOR]: Contributor,
+    [TAG]: Tag,
+    [COLLECTION]: Collection,
+};
+
+// archived books and categories keep their slug so they can be restored
+exports.findEntityBySlug = (entityType, slug) => {
+    return MODELS[entityType].findOne({
+        where: { slug },
+        attributes: ["id", "slug"],
+        paranoid: false,
+    });
+};
+
+exports.findRedirect = (entityType, slug) => {
+    return SlugRedirect.findOne({ where: { entityType, slug } });
+};
+
+exports.createRedirect = (data) => {
+    return SlugRedirect.create(data);
+};
+
+exports.deleteRedirect = (entityType, slug) => {
+    return SlugRedirect.destroy({ where: { entityType, slug } });
+};
+
+exports.deleteRedirectsFor = (entityType, entityId) => {
+    return SlugRedirect.destroy({ where: { entityType, entityId } });
+};
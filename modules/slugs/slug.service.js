@@ -0,0 +1,56 @@
+const slugRepo = require("./slug.repository");
+const { ConflictError } = require("../../shared/errors");
+const { toSlug, withSuffix } = require("../../shared/utils/slug.util");
+
+// helper: id of the entity that uses (or used to use) a slug
+const ownerOf = async(entityType, slug) => {
+    const entity = await slugRepo.findEntityBySlug(entityType, slug);
+    if (entity) return entity.id;
+
+    const redirect = await slugRepo.findRedirect(entityType, slug);
+    return redirect ? redirect.entityId : null;
+};
+
+/**
+ * Builds a free slug from a title or name, adding -2, -3, ... on clashes.
+ * Retired slugs count as taken so they keep redirecting to their owner.
+ */
+exports.generate = async(entityType, text) => {
+    const base = toSlug(text) || entityType;
+
+    for (let n = 1;; n++) {
+        const candidate = n === 1 ? base : withSuffix(base, n);
+        if (!(await ownerOf(entityType, candidate))) return candidate;
+    }
+};
+
+exports.assertAvailable = async(entityType, slug, entityId) => {
+    const owner = await ownerOf(entityType, slug);
+
+    if (owner && owner !== Number(entityId)) {
+        throw new ConflictError("This slug is already in use");
+    }
+};
+
+/**
+ * Records the move of `entity` to a new slug. The current slug becomes a
+ * redirect; taking back one of the entity's former slugs drops its redirect.
+ */
+exports.change = async(entityType, entity, slug) => {
+    if (slug === entity.slug) return;
+
+    await exports.assertAvailable(entityType, slug, entity.id);
+
+    await slugRepo.deleteRedirect(entityType, slug);
+    await slugRepo.createRedirect({ entityType, entityId: entity.id, slug: entity.slug });
+};
+
+// id of the entity a retired slug now points at, or null
+exports.resolveRedirect = async(entityType, slug) => {
+    const redirect = await slugRepo.findRedirect(entityType, slug);
+    return redirect ? redirect.entityId : null;
+};
+
+exports.removeRedirects = (entityType, entityId) => {
+    return slugRepo.deleteRedirectsFor(entityType, entityId);
+};
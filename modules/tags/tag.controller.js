@@ -0,0 +1,37 @@
+const tagService = require("./tag.service");
+
+exports.getAll = async(req, res, next) => {
+    try {
+        const data = await tagService.getAll(req.query);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.create = async(req, res, next) => {
+    try {
+        const data = await tagService.create(req.body);
+        res.status(201).json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.update = async(req, res, next) => {
+    try {
+        const data = await tagService.update(req.params.id, req.body);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.delete = async(req, res, next) => {
+    try {
+        await tagService.delete(req.params.id);
+        res.json({ message: "Tag deleted" });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,6 @@
+exports.tagDTO = (tag) => ({
+    id: tag.id,
+    name: tag.name,
+    slug: tag.slug,
+    group: tag.group,
+});
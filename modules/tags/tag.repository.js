@@ -0,0 +1,81 @@
+const { Op, fn, col, literal } = require("sequelize");
+const { sequelize, Book, Tag, BookTag } = require("../../models");
+
+exports.findAll = ({ group } = {}) => {
+    return Tag.findAll({
+        where: group ? { group } : {},
+        order: [
+            ["group", "ASC"],
+            ["name", "ASC"],
+        ],
+    });
+};
+
+exports.findById = (id) => {
+    return Tag.findByPk(id);
+};
+
+exports.findByIds = (ids) => {
+    return Tag.findAll({ where: { id: {
+                [Op.in]: ids } } });
+};
+
+exports.findByGroupAndName = (group, name) => {
+    return Tag.findOne({ where: { group, name } });
+};
+
+exports.create = (data) => {
+    return Tag.create(data);
+};
+
+exports.update = async(id, data) => {
+    await Tag.update(data, { where: { id } });
+    return this.findById(id);
+};
+
+exports.delete = (id) => {
+    return Tag.destroy({ where: { id } });
+};
+
+// =====================
+// BOOK TAGS
+// =====================
+exports.replaceBookTags = async(bookId, tagIds, transaction) => {
+    await BookTag.destroy({ where: { bookId }, transaction });
+
+    return BookTag.bulkCreate(tagIds.map((tagId) => ({ bookId, tagId })), { transaction });
+};
+
+// subquery of ids of books that carry every one of the given tag slugs
+exports.bookIdsWithAllTags = (slugs) => {
+    const list = slugs.map((slug) => sequelize.escape(slug)).join(", ");
+    const { queryGenerator } = sequelize.getQueryInterface();
+
+    return literal(`(
+        SELECT bt."bookId" FROM ${queryGenerator.quoteTable(BookTag.getTableName())} bt
+        JOIN ${queryGenerator.quoteTable(Tag.getTableName())} t ON t.id = bt."tagId"
+        WHERE t.slug IN (${list})
+        GROUP BY bt."bookId"
+        HAVING COUNT(DISTINCT t.id) = ${slugs.length}
+    )`);
+};
+
+// how many books matching a book listing's filters carry each tag, counted in one grouped join
+exports.countByBooks = ({ where, include }) => {
+    return Tag.findAll({
+        attributes: [
+            ["id", "tagId"],
+            [fn("COUNT", fn("DISTINCT", col("Books.id"))), "count"],
+        ],
+        include: [{
+            model: Book,
+            attributes: [],
+            through: { attributes: [] },
+            where,
+            include,
+            required: true,
+        }],
+        group: ["Tag.id"],
+        raw: true,
+    });
+};
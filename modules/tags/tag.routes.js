@@ -0,0 +1,32 @@
+const express = require("express");
+const controller = require("./tag.controller");
+const validate = require("../../middlewares/validate.middleware");
+const apiAuth = require("../../middlewares/apiAuth.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const { CATALOG_WRITE } = require("../../shared/constants/permissions.constant");
+
+const { createTagSchema, updateTagSchema } = require("./tag.validators");
+
+const router = express.Router();
+
+// public (?group=genre)
+router.get("/", controller.getAll);
+
+// staff
+router.post(
+    "/",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    validate(createTagSchema),
+    controller.create,
+);
+router.put(
+    "/:id",
+    apiAuth,
+    requirePermission(CATALOG_WRITE),
+    validate(updateTagSchema),
+    controller.update,
+);
+router.delete("/:id", apiAuth, requirePermission(CATALOG_WRITE), controller.delete);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const tagRepo = require("./tag.repository");
+const slugService = require("../slugs/slug.service");
+const {
+    NotFoundError,
+    BadRequestError,
+    ConflictError,
+} = require("../../shared/errors");
+const { tagDTO } = require("./tag.dto");
+const { TAG } = require("../../shared/constants/slugEntity.constant");
+
+// helper: names are unique within a group ("Fantasy" genre vs "Fantasy" award)
+const assertNameAvailable = async(group, name, tagId) => {
+    const existing = await tagRepo.findByGroupAndName(group, name);
+
+    if (existing && existing.id !== Number(tagId)) {
+        throw new ConflictError(`There is already a ${group} tag called "${name}"`);
+    }
+};
+
+exports.getAll = async(query) => {
+    const tags = await tagRepo.findAll({ group: query.group });
+    return tags.map(tagDTO);
+};
+
+exports.create = async(data) => {
+    const values = {...data };
+
+    await assertNameAvailable(values.group, values.name);
+
+    if (values.slug) {
+        await slugService.assertAvailable(TAG, values.slug);
+    } else {
+        values.slug = await slugService.generate(TAG, values.name);
+    }
+
+    const tag = await tagRepo.create(values);
+    return tagDTO(tag);
+};
+
+exports.update = async(id, data) => {
+    const existing = await tagRepo.findById(id);
+    if (!existing) throw new NotFoundError("Tag not found");
+
+    await assertNameAvailable(data.group || existing.group, data.name || existing.name, existing.id);
+
+    if (data.slug) await slugService.change(TAG, existing, data.slug);
+
+    const updated = await tagRepo.update(id, data);
+    return tagDTO(updated);
+};
+
+exports.delete = async(id) => {
+    const existing = await tagRepo.findById(id);
+    if (!existing) throw new NotFoundError("Tag not found");
+
+    await tagRepo.delete(id);
+    await slugService.removeRedirects(TAG, existing.id);
+};
+
+// replaces every tag on the book
+exports.setBookTags = async(bookId, tagIds, { transaction } = {}) => {
+    const ids = [...new Set(tagIds)];
+    const found = new Set((await tagRepo.findByIds(ids)).map((tag) => tag.id));
+
+    const missing = ids.filter((id) => !found.has(id));
+    if (missing.length) {
+        throw new BadRequestError(`Unknown tag ${missing.join(", ")}`);
+    }
+
+    await tagRepo.replaceBookTags(bookId, ids, transaction);
+};
+
+/**
+ * Turns per-tag counts over every book that matched a listing (not just
+ * the current page) into facets, most common first, so filters can show
+ * "Fantasy (12)".
+ */
+exports.toFacets = async(counts) => {
+    if (!counts.length) return [];
+
+    const tags = await tagRepo.findByIds(counts.map((c) => c.tagId));
+
+    const byId = new Map(tags.map((tag) => [tag.id, tag]));
+
+    return counts
+        .map((c) => ({...tagDTO(byId.get(c.tagId)), count: Number(c.count) }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
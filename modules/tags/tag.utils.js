@@ -0,0 +1,8 @@
+// "?tags=fantasy,young-adult" -> ["fantasy", "young-adult"]
+exports.parseTagFilter = (value) => {
+    if (!value) return [];
+
+    const list = Array.isArray(value) ? value : String(value).split(",");
+
+    return [...new Set(list.map((slug) => slug.trim().toLowerCase()).filter(Boolean))];
+};
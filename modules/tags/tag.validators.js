@@ -0,0 +1,17 @@
+const Joi = require("joi");
+const TAG_GROUPS = require("../../shared/constants/tagGroup.constant");
+const { SLUG_PATTERN } = require("../../shared/utils/slug.util");
+
+const group = Joi.string().valid(...Object.values(TAG_GROUPS));
+
+exports.createTagSchema = Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    group: group.required(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
+});
+
+exports.updateTagSchema = Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    group: group.optional(),
+    slug: Joi.string().max(100).pattern(SLUG_PATTERN).optional(),
+});
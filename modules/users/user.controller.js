@@ -11,13 +11,63 @@ exports.getMe = async(req, res, next) => {
 
 exports.updateMe = async(req, res, next) => {
     try {
-        const user = await userService.update(req.user.id, req.body);
+        const user = await userService.update(req.user.id, req.body, {
+            currentSessionId: req.user.sid,
+        });
         res.json(user);
     } catch (err) {
         next(err);
     }
 };
 
+exports.getMySessions = async(req, res, next) => {
+    try {
+        const sessions = await userService.getSessions(req.user.id, req.user.sid);
+        res.json(sessions);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.revokeMySession = async(req, res, next) => {
+    try {
+        await userService.revokeSession(req.user.id, req.params.id);
+        res.json({ message: "Session revoked" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.revokeOtherSessions = async(req, res, next) => {
+    try {
+        const result = await userService.revokeOtherSessions(
+            req.user.id,
+            req.user.sid,
+        );
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getMyIdentities = async(req, res, next) => {
+    try {
+        const identities = await userService.getIdentities(req.user.id);
+        res.json(identities);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.unlinkMyIdentity = async(req, res, next) => {
+    try {
+        await userService.unlinkIdentity(req.user.id, req.params.provider);
+        res.json({ message: "Provider unlinked" });
+    } catch (err) {
+        next(err);
+    }
+};
+
 exports.getAllUsers = async(req, res, next) => {
     try {
         const users = await userService.getAll(req.query);
@@ -1,7 +1,29 @@
+const { isSuspended } = require("./user.utils");
+
 exports.userDTO = (user) => ({
     id: user.id,
     name: user.name,
     email: user.email,
     role: user.role,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    twoFactorEnabled: Boolean(user.twoFactorEnabledAt),
+    suspended: isSuspended(user),
+    suspendedUntil: user.suspendedUntil,
     createdAt: user.createdAt,
+});
+
+exports.sessionDTO = (session, currentSessionId) => ({
+    id: session.id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    lastSeenAt: session.lastSeenAt,
+    createdAt: session.createdAt,
+    current: session.id === currentSessionId,
+});
+
+exports.identityDTO = (identity) => ({
+    provider: identity.provider,
+    email: identity.email,
+    linkedAt: identity.createdAt,
 });
\ No newline at end of file
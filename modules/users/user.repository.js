@@ -1,3 +1,4 @@
+const { Op } = require("sequelize");
 const { User } = require("../../models");
 
 exports.findById = (id) => {
@@ -21,4 +22,36 @@ exports.update = async(id, data) => {
 
 exports.delete = (id) => {
     return User.destroy({ where: { id } });
+};
+
+exports.findArchived = ({ limit, offset }) => {
+    return User.findAll({
+        where: { deletedAt: {
+                [Op.ne]: null } },
+        paranoid: false,
+        limit,
+        offset,
+        order: [
+            ["deletedAt", "DESC"]
+        ],
+    });
+};
+
+exports.findArchivedById = (id) => {
+    return User.findOne({
+        where: {
+            id,
+            deletedAt: {
+                [Op.ne]: null },
+        },
+        paranoid: false,
+    });
+};
+
+exports.restore = (id) => {
+    return User.restore({ where: { id } });
+};
+
+exports.countByRole = (role) => {
+    return User.count({ where: { role } });
 };
\ No newline at end of file
@@ -2,19 +2,58 @@ const express = require("express");
 const controller = require("./user.controller");
 const validate = require("../../middlewares/validate.middleware");
 const auth = require("../../middlewares/auth.middleware");
-const role = require("../../middlewares/role.middleware");
+const { denyImpersonation } = require("../../middlewares/impersonation.middleware");
+const requirePermission = require("../../middlewares/permission.middleware");
+const { USERS_READ, USERS_MANAGE } = require("../../shared/constants/permissions.constant");
 
-const { updateUserSchema } = require("./user.validators");
+const { updateUserSchema, sessionParamsSchema } = require("./user.validators");
 
 const router = express.Router();
 
 // current user
 router.get("/me", auth, controller.getMe);
-router.put("/me", auth, validate(updateUserSchema), controller.updateMe);
+router.put(
+    "/me",
+    auth,
+    denyImpersonation,
+    validate(updateUserSchema),
+    controller.updateMe,
+);
+
+// current user's sessions / devices
+router.get("/me/sessions", auth, controller.getMySessions);
+router.post(
+    "/me/sessions/revoke-others",
+    auth,
+    denyImpersonation,
+    controller.revokeOtherSessions,
+);
+router.delete(
+    "/me/sessions/:id",
+    auth,
+    denyImpersonation,
+    validate(sessionParamsSchema, "params"),
+    controller.revokeMySession,
+);
+
+// linked social login providers
+router.get("/me/identities", auth, controller.getMyIdentities);
+router.delete(
+    "/me/identities/:provider",
+    auth,
+    denyImpersonation,
+    controller.unlinkMyIdentity,
+);
 
 // admin
-router.get("/", auth, role("admin"), controller.getAllUsers);
-router.get("/:id", auth, role("admin"), controller.getUserById);
-router.delete("/:id", auth, role("admin"), controller.deleteUser);
+router.get("/", auth, requirePermission(USERS_READ), controller.getAllUsers);
+router.get("/:id", auth, requirePermission(USERS_READ), controller.getUserById);
+router.delete(
+    "/:id",
+    auth,
+    denyImpersonation,
+    requirePermission(USERS_MANAGE),
+    controller.deleteUser,
+);
 
 module.exports = router;
\ No newline at end of file
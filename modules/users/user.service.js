@@ -1,7 +1,10 @@
 const bcrypt = require("bcrypt");
 const userRepo = require("./user.repository");
-const { NotFoundError } = require("../../shared/errors");
-const { userDTO } = require("./user.dto");
+const sessionRepo = require("../sessions/session.repository");
+const authRepo = require("../auth/auth.repository");
+const authService = require("../auth/auth.service");
+const { NotFoundError, BadRequestError } = require("../../shared/errors");
+const { userDTO, sessionDTO, identityDTO } = require("./user.dto");
 
 exports.getById = async(id) => {
     const user = await userRepo.findById(id);
@@ -19,7 +22,7 @@ exports.getAll = async(query) => {
     return users.map(userDTO);
 };
 
-exports.update = async(id, data) => {
+exports.update = async(id, data, { currentSessionId } = {}) => {
     const user = await userRepo.findById(id);
     if (!user) throw new NotFoundError("User not found");
 
@@ -27,8 +30,21 @@ exports.update = async(id, data) => {
         data.password = await bcrypt.hash(data.password, 10);
     }
 
+    // a new address has to be verified again
+    if (data.email && data.email !== user.email) {
+        data.emailVerifiedAt = null;
+    }
+
     const updated = await userRepo.update(id, data);
 
+    // ... so it gets a fresh link
+    if (data.emailVerifiedAt === null) await authService.resendVerification(updated.id);
+
+    // a new password signs out every other device
+    if (data.password) {
+        await sessionRepo.revokeAllForUser(updated.id, { exceptId: currentSessionId });
+    }
+
     return userDTO(updated);
 };
 
@@ -37,4 +53,54 @@ exports.delete = async(id) => {
     if (!user) throw new NotFoundError("User not found");
 
     await userRepo.delete(id);
+
+    // the account is gone, so are its sessions
+    await sessionRepo.revokeAllForUser(user.id);
+};
+
+exports.getSessions = async(userId, currentSessionId) => {
+    const sessions = await sessionRepo.findActiveByUser(userId);
+    return sessions.map((s) => sessionDTO(s, currentSessionId));
+};
+
+exports.revokeSession = async(userId, sessionId) => {
+    const session = await sessionRepo.findById(sessionId);
+
+    if (!session || session.userId !== userId || session.revokedAt) {
+        throw new NotFoundError("Session not found");
+    }
+
+    await sessionRepo.revoke(sessionId);
+};
+
+exports.revokeOtherSessions = async(userId, currentSessionId) => {
+    const revoked = await sessionRepo.revokeAllForUser(userId, {
+        exceptId: currentSessionId,
+    });
+
+    return { revoked };
+};
+
+exports.getIdentities = async(userId) => {
+    const identities = await authRepo.findIdentitiesByUser(userId);
+    return identities.map(identityDTO);
+};
+
+exports.unlinkIdentity = async(userId, provider) => {
+    const user = await userRepo.findById(userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    const identities = await authRepo.findIdentitiesByUser(userId);
+    if (!identities.some((i) => i.provider === provider)) {
+        throw new NotFoundError("Linked account not found");
+    }
+
+    // never strand an account without any way to sign in
+    if (!user.password && identities.length === 1) {
+        throw new BadRequestError(
+            "Set a password before unlinking your last sign-in provider",
+        );
+    }
+
+    await authRepo.deleteIdentity(userId, provider);
 };
\ No newline at end of file
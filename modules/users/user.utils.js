@@ -2,4 +2,12 @@ exports.sanitizeUser = (user) => {
     const obj = user.toJSON();
     delete obj.password;
     return obj;
+};
+
+// a suspension without an end date lasts until an admin lifts it
+exports.isSuspended = (user) => {
+    if (!user.suspendedAt) return false;
+    if (!user.suspendedUntil) return true;
+
+    return new Date(user.suspendedUntil) > new Date();
 };
\ No newline at end of file
@@ -4,4 +4,9 @@ exports.updateUserSchema = Joi.object({
     name: Joi.string().min(2).optional(),
     email: Joi.string().email().optional(),
     password: Joi.string().min(6).optional(),
-});
\ No newline at end of file
+});
+
+// session ids are UUIDs; anything else can't name a session
+exports.sessionParamsSchema = Joi.object({
+    id: Joi.string().guid().required(),
+});
@@ -1,10 +1,13 @@
+const { lowestPrice } = require("../books/book.utils");
+
+// wishlists hold books, not a particular edition
 exports.wishlistDTO = (item) => ({
     id: item.id,
     book: item.Book ?
         {
             id: item.Book.id,
             title: item.Book.title,
-            price: item.Book.price,
+            priceFrom: lowestPrice(item.Book.Editions),
         } :
         null,
     createdAt: item.createdAt,
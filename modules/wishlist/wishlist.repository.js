@@ -1,9 +1,10 @@
-const { Wishlist, Book } = require("../../models");
+const { Wishlist, Book, Edition } = require("../../models");
 
 exports.findByUser = (userId) => {
     return Wishlist.findAll({
         where: { userId },
-        include: [{ model: Book }],
+        // archived books drop out until they are restored
+        include: [{ model: Book, required: true, include: [Edition] }],
         order: [
             ["createdAt", "DESC"]
         ],
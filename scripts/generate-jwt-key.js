@@ -0,0 +1,29 @@
+/**
+ * Writes a new RSA signing key to JWT_KEYS_DIR as <kid>.pem.
+ *
+ *   npm run jwt:keygen            # kid defaults to today's date
+ *   npm run jwt:keygen -- 2026-q3
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const jwtConfig = require("../config/jwt.config");
+
+const kid = process.argv[2] || new Date().toISOString().slice(0, 10);
+const file = path.join(jwtConfig.keysDir, `${kid}.pem`);
+
+if (fs.existsSync(file)) {
+    console.error(`Key ${kid} already exists at ${file}`);
+    process.exit(1);
+}
+
+const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+fs.mkdirSync(jwtConfig.keysDir, { recursive: true });
+fs.writeFileSync(file, privateKey.export({ type: "pkcs8", format: "pem" }), {
+    mode: 0o600,
+});
+
+console.log(`Wrote ${file}`);
+console.log(`Set JWT_ACTIVE_KID=${kid} once the key is published in the JWKS`);
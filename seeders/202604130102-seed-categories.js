@@ -5,21 +5,25 @@ module.exports = {
     await queryInterface.bulkInsert("categories", [
       {
         name: "Fiction",
+        slug: "fiction",
         createdAt: new Date(),
         updatedAt: new Date(),
       },
       {
         name: "Science",
+        slug: "science",
         createdAt: new Date(),
         updatedAt: new Date(),
       },
       {
         name: "Technology",
+        slug: "technology",
         createdAt: new Date(),
         updatedAt: new Date(),
       },
       {
         name: "History",
+        slug: "history",
         createdAt: new Date(),
         updatedAt: new Date(),
       },
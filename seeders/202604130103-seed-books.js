@@ -17,31 +17,106 @@ module.exports = {
       throw new Error("Required categories missing (Fiction / Science)");
     }
 
-    await queryInterface.bulkInsert("books", [
+    const now = new Date();
+
+    const books = await queryInterface.bulkInsert(
+      "books",
+      [
+        {
+          title: "Clean Code",
+          slug: "clean-code",
+          description: "Software craftsmanship",
+          categoryId: science.id,
+          createdAt: now,
+          updatedAt: now,
+        },
+        {
+          title: "Atomic Habits",
+          slug: "atomic-habits",
+          description: "Self improvement",
+          categoryId: fiction.id,
+          createdAt: now,
+          updatedAt: now,
+        },
+      ],
+      { returning: ["id", "slug"] },
+    );
+
+    const bookId = (slug) => books.find((b) => b.slug === slug).id;
+
+    await queryInterface.bulkInsert("editions", [
       {
-        title: "Clean Code",
-        author: "Robert C. Martin",
+        bookId: bookId("clean-code"),
+        format: "paperback",
         price: 30,
-        description: "Software craftsmanship",
         stock: 50,
-        categoryId: science.id,
-        createdAt: new Date(),
-        updatedAt: new Date(),
+        createdAt: now,
+        updatedAt: now,
       },
       {
-        title: "Atomic Habits",
-        author: "James Clear",
+        bookId: bookId("clean-code"),
+        format: "ebook",
+        price: 18,
+        stock: 0,
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        bookId: bookId("atomic-habits"),
+        format: "hardcover",
         price: 20,
-        description: "Self improvement",
         stock: 40,
-        categoryId: fiction.id,
-        createdAt: new Date(),
-        updatedAt: new Date(),
+        createdAt: now,
+        updatedAt: now,
+      },
+    ]);
+
+    const contributors = await queryInterface.bulkInsert(
+      "contributors",
+      [
+        {
+          name: "Robert C. Martin",
+          nameKey: "robertcmartin",
+          slug: "robert-c-martin",
+          createdAt: now,
+          updatedAt: now,
+        },
+        {
+          name: "James Clear",
+          nameKey: "jamesclear",
+          slug: "james-clear",
+          createdAt: now,
+          updatedAt: now,
+        },
+      ],
+      { returning: ["id", "slug"] },
+    );
+
+    const contributorId = (slug) => contributors.find((c) => c.slug === slug).id;
+
+    await queryInterface.bulkInsert("book_contributors", [
+      {
+        bookId: bookId("clean-code"),
+        contributorId: contributorId("robert-c-martin"),
+        role: "author",
+        position: 0,
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        bookId: bookId("atomic-habits"),
+        contributorId: contributorId("james-clear"),
+        role: "author",
+        position: 0,
+        createdAt: now,
+        updatedAt: now,
       },
     ]);
   },
 
   async down(queryInterface) {
+    // editions and credits go with their books (ON DELETE CASCADE)
     await queryInterface.bulkDelete("books", null, {});
+    await queryInterface.bulkDelete("contributors", null, {});
   },
 };
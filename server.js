@@ -1,21 +1,41 @@
 const app = require("./app");
 const db = require("./models");
 const logger = require("./shared/logger/logger");
+const env = require("./config/env.config");
 const { sequelize } = db;
 
 const PORT = process.env.PORT || 5000;
 
+// secrets without a safe default; refuse to start rather than fail per request
+const REQUIRED_ENV = ["DOWNLOAD_URL_SECRET"];
+
 // =====================
 // DATABASE CONNECTION
 // =====================
 const startServer = async() => {
     try {
+        const missing = REQUIRED_ENV.filter((name) => !env[name]);
+        if (missing.length) {
+            throw new Error(`Missing environment variables: ${missing.join(", ")}`);
+        }
+
         await sequelize.authenticate();
         logger.info("Database connected successfully");
 
         // optional in dev
         await sequelize.sync({ alter: false });
 
+        // =====================
+        // BACKGROUND WORKERS
+        // =====================
+        // email, catalog import and order jobs (incl. the daily pre-order release)
+        require("./shared/queues/queue.jobs");
+        logger.info("Queue workers started");
+
+        // user.registered (verification email), order.created, ...
+        require("./events/event.bus");
+        logger.info("Event subscribers started");
+
         // =====================
         // START SERVER
         // =====================
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const jwtConfig = require("../config/jwt.config");
+const logger = require("../shared/logger/logger");
+
+let keyRing = null;
+
+// jsonwebtoken 9 has no EdDSA support, so RSA and EC keys only
+const algorithmFor = (key) => {
+    const type = key.asymmetricKeyType;
+
+    if (type === "rsa") return "RS256";
+
+    if (type === "ec") {
+        const curves = { "P-256": "ES256", "P-384": "ES384", "P-521": "ES512" };
+        const algorithm = curves[key.export({ format: "jwk" }).crv];
+        if (algorithm) return algorithm;
+    }
+
+    throw new Error(`Unsupported JWT key type: ${type}`);
+};
+
+const readKeys = () => {
+    const keys = new Map();
+
+    if (!fs.existsSync(jwtConfig.keysDir)) return keys;
+
+    for (const file of fs.readdirSync(jwtConfig.keysDir).sort()) {
+        const match = file.match(/^(.+?)(\.pub)?\.pem$/);
+        if (!match) continue;
+
+        const [, kid, publicOnly] = match;
+        const pem = fs.readFileSync(path.join(jwtConfig.keysDir, file));
+
+        const privateKey = publicOnly ? null : crypto.createPrivateKey(pem);
+        const publicKey = crypto.createPublicKey(privateKey || pem);
+
+        keys.set(kid, {
+            kid,
+            privateKey,
+            publicKey,
+            algorithm: algorithmFor(publicKey),
+        });
+    }
+
+    return keys;
+};
+
+// outside production a throwaway key keeps local setups working without keygen
+const ephemeralKey = () => {
+    if (process.env.NODE_ENV === "production") {
+        throw new Error(
+            `No JWT signing key in ${jwtConfig.keysDir}; run \`npm run jwt:keygen\``,
+        );
+    }
+
+    logger.warn("No JWT keys configured, using an ephemeral key for this process");
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+    });
+
+    return { kid: "ephemeral", privateKey, publicKey, algorithm: "RS256" };
+};
+
+const load = () => {
+    if (keyRing) return keyRing;
+
+    const keys = readKeys();
+    const signers = [...keys.values()].filter((key) => key.privateKey);
+
+    let active;
+
+    if (jwtConfig.activeKid) {
+        active = keys.get(jwtConfig.activeKid);
+
+        if (!active || !active.privateKey) {
+            throw new Error(`JWT_ACTIVE_KID ${jwtConfig.activeKid} has no private key`);
+        }
+    } else if (signers.length === 1) {
+        active = signers[0];
+    } else if (signers.length > 1) {
+        throw new Error("Several JWT signing keys found; set JWT_ACTIVE_KID");
+    } else {
+        active = ephemeralKey();
+        keys.set(active.kid, active);
+    }
+
+    keyRing = { keys, active };
+
+    return keyRing;
+};
+
+exports.getSigningKey = () => {
+    return load().active;
+};
+
+// returns undefined for unknown kids so callers can reject the token
+exports.getVerificationKey = (kid) => {
+    return load().keys.get(kid);
+};
+
+/**
+ * Public half of every configured key, for /.well-known/jwks.json.
+ */
+exports.getJwks = () => {
+    const keys = [...load().keys.values()].map((key) => ({
+        ...key.publicKey.export({ format: "jwk" }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: "sig",
+    }));
+
+    return { keys };
+};
+
+// drops cached keys so a rotated key directory is picked up
+exports.reload = () => {
+    keyRing = null;
+};
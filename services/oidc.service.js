@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// asymmetric algorithms only: an HS256 id_token would be signed with our client secret
+const ALLOWED_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+// multi-tenant issuers (Microsoft's /common endpoint) publish "https://.../{tenantid}/v2.0"
+const TENANT_PLACEHOLDER = "{tenantid}";
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => {
+    return buffer
+        .toString("base64")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+};
+
+// exact match, or `issuer` fills the template's tenant with a single path segment
+const matchesIssuer = (template, issuer) => {
+    if (!template.includes(TENANT_PLACEHOLDER)) return template === issuer;
+
+    const [prefix, suffix] = template.split(TENANT_PLACEHOLDER);
+    const tenant = issuer.slice(prefix.length, issuer.length - suffix.length);
+
+    return issuer.startsWith(prefix) && issuer.endsWith(suffix) && /^[\w-]+$/.test(tenant);
+};
+
+const fetchJson = async(url, options) => {
+    const response = await fetch(url, options);
+
+    if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`OIDC request to ${url} failed (${response.status}): ${body}`);
+    }
+
+    return response.json();
+};
+
+/**
+ * Loads and caches the provider's /.well-known/openid-configuration.
+ */
+exports.discover = async(issuer) => {
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+    const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+    const metadata = await fetchJson(url);
+
+    if (!matchesIssuer(metadata.issuer, issuer)) {
+        throw new Error(`OIDC issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+    }
+
+    discoveryCache.set(issuer, {
+        metadata,
+        expiresAt: Date.now() + DISCOVERY_TTL_MS,
+    });
+
+    return metadata;
+};
+
+exports.createPkcePair = () => {
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(
+        crypto.createHash("sha256").update(codeVerifier).digest(),
+    );
+
+    return { codeVerifier, codeChallenge };
+};
+
+exports.buildAuthorizationUrl = async(provider, { state, nonce, codeChallenge }) => {
+    const metadata = await exports.discover(provider.issuer);
+
+    const params = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+    });
+
+    return `${metadata.authorization_endpoint}?${params}`;
+};
+
+exports.exchangeCode = async(provider, { code, codeVerifier }) => {
+    const metadata = await exports.discover(provider.issuer);
+
+    const body = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: provider.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier,
+    });
+
+    if (provider.clientSecret) {
+        body.set("client_secret", provider.clientSecret);
+    }
+
+    return fetchJson(metadata.token_endpoint, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            Accept: "application/json",
+        },
+        body,
+    });
+};
+
+// resolves a signing key by kid, refetching once in case the provider rotated keys
+const getSigningKey = async(jwksUri, kid) => {
+    let keys = jwksCache.get(jwksUri);
+
+    if (!keys || !keys.has(kid)) {
+        const { keys: jwks = [] } = await fetchJson(jwksUri);
+
+        keys = new Map(
+            jwks
+            .filter((jwk) => !jwk.use || jwk.use === "sig")
+            .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })]),
+        );
+
+        jwksCache.set(jwksUri, keys);
+    }
+
+    const key = keys.get(kid);
+    if (!key) throw new Error(`No OIDC signing key found for kid ${kid}`);
+
+    return key;
+};
+
+/**
+ * Validates signature, issuer, audience, expiry and nonce of an ID token
+ * and returns its claims. For a multi-tenant provider the issuer is the
+ * one of the token's `tid`.
+ */
+exports.verifyIdToken = async(provider, idToken, { nonce }) => {
+    const metadata = await exports.discover(provider.issuer);
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error("Malformed ID token");
+
+    const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+    // a multi-tenant token must come from the tenant it names
+    const issuer = metadata.issuer.includes(TENANT_PLACEHOLDER) ?
+        metadata.issuer.replace(TENANT_PLACEHOLDER, decoded.payload.tid) :
+        provider.issuer;
+
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ALLOWED_ALGORITHMS,
+        issuer,
+        audience: provider.clientId,
+        clockTolerance: 60,
+    });
+
+    if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+        throw new Error("ID token authorized party mismatch");
+    }
+
+    return claims;
+};
@@ -9,4 +9,17 @@ exports.createPaymentIntent = async({ amount, currency = "usd" }) => {
 
 exports.verifyPayment = async(paymentIntentId) => {
     return await stripe.paymentIntents.retrieve(paymentIntentId);
-};
\ No newline at end of file
+};
+
+// charges a card saved with a SetupIntent while the customer is away (pre-order release)
+exports.chargeSavedCard = async({ amount, customer, paymentMethod, metadata, currency = "usd" }) => {
+    return await stripe.paymentIntents.create({
+        amount: Math.round(amount * 100), // cents
+        currency,
+        customer,
+        payment_method: paymentMethod,
+        off_session: true,
+        confirm: true,
+        metadata,
+    });
+};
@@ -0,0 +1,28 @@
+const storageConfig = require("../config/storage.config");
+
+// every driver implements put(key, body), get(key) -> Buffer, exists(key), remove(key)
+const DRIVERS = {
+    local: () => require("./storage/local.driver")(storageConfig.local),
+};
+
+if (!DRIVERS[storageConfig.driver]) {
+    throw new Error(`Unknown storage driver "${storageConfig.driver}"`);
+}
+
+const driver = DRIVERS[storageConfig.driver]();
+
+exports.put = (key, body) => {
+    return driver.put(key, body);
+};
+
+exports.get = (key) => {
+    return driver.get(key);
+};
+
+exports.exists = (key) => {
+    return driver.exists(key);
+};
+
+exports.remove = (key) => {
+    return driver.remove(key);
+};
@@ -0,0 +1,43 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Keeps files under `root` on the local disk. Meant for development and
+ * tests; keys are relative paths like "ebooks/12/9780000000000.epub".
+ */
+module.exports = ({ root }) => {
+    const base = path.resolve(root);
+
+    // keys come from our own code, but never let one escape the root
+    const resolve = (key) => {
+        const file = path.resolve(base, key);
+
+        if (!file.startsWith(base + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+
+        return file;
+    };
+
+    return {
+        put: async(key, body) => {
+            const file = resolve(key);
+
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+        },
+
+        get: (key) => fs.readFile(resolve(key)),
+
+        exists: async(key) => {
+            try {
+                await fs.access(resolve(key));
+                return true;
+            } catch {
+                return false;
+            }
+        },
+
+        remove: (key) => fs.rm(resolve(key), { force: true }),
+    };
+};
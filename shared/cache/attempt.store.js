@@ -0,0 +1,132 @@
+/**
+ * Short-lived keyed state: throttling counters (failed logins etc.) and
+ * one-time handshake data (OAuth state). Redis in production so it holds
+ * across instances; in-memory for tests.
+ */
+
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+
+        return entry;
+    };
+
+    return {
+        async increment(key, ttlSeconds) {
+            const entry = read(key);
+
+            if (entry) {
+                entry.value += 1;
+                return entry.value;
+            }
+
+            entries.set(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 });
+            return 1;
+        },
+
+        async get(key) {
+            const entry = read(key);
+            return entry ? entry.value : null;
+        },
+
+        async set(key, value, ttlSeconds) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+        },
+
+        async setJSON(key, value, ttlSeconds) {
+            entries.set(key, {
+                value: JSON.stringify(value),
+                expiresAt: Date.now() + ttlSeconds * 1000,
+            });
+        },
+
+        // reads and deletes in one go, so the value can only be used once
+        async take(key) {
+            const entry = read(key);
+            entries.delete(key);
+
+            return entry ? JSON.parse(entry.value) : null;
+        },
+
+        async ttl(key) {
+            const entry = read(key);
+            return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+        },
+
+        async del(...keys) {
+            keys.forEach((key) => entries.delete(key));
+        },
+
+        async clear() {
+            entries.clear();
+        },
+    };
+};
+
+const createRedisStore = (redis) => {
+    return {
+        async increment(key, ttlSeconds) {
+            // the window starts at the first failure, it isn't extended by later
+            // ones; one MULTI, so a crash can't leave a counter without expiry
+            const [, [, value]] = await redis
+                .multi()
+                .set(key, 0, "EX", ttlSeconds, "NX")
+                .incr(key)
+                .exec();
+
+            return value;
+        },
+
+        async get(key) {
+            const value = await redis.get(key);
+            return value === null ? null : Number(value);
+        },
+
+        async set(key, value, ttlSeconds) {
+            await redis.set(key, value, "EX", ttlSeconds);
+        },
+
+        async setJSON(key, value, ttlSeconds) {
+            await redis.set(key, JSON.stringify(value), "EX", ttlSeconds);
+        },
+
+        async take(key) {
+            const [
+                [, value]
+            ] = await redis.multi().get(key).del(key).exec();
+
+            return value ? JSON.parse(value) : null;
+        },
+
+        async ttl(key) {
+            const seconds = await redis.ttl(key);
+            return Math.max(seconds, 0);
+        },
+
+        async del(...keys) {
+            if (keys.length) {
+                await redis.del(keys);
+            }
+        },
+    };
+};
+
+const createStore = () => {
+    if (process.env.NODE_ENV === "test") {
+        return createMemoryStore();
+    }
+
+    return createRedisStore(require("../../config/redis.config"));
+};
+
+module.exports = createStore();
+module.exports.createMemoryStore = createMemoryStore;
+module.exports.createRedisStore = createRedisStore;
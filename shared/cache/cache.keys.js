@@ -4,4 +4,9 @@ exports.CACHE_KEYS = {
     USER: (id) => `user:${id}`,
     WISHLIST: (userId) => `wishlist:${userId}`,
     SEARCH: (query) => `search:${query}`,
+    LOGIN_FAILURES_ACCOUNT: (email) => `login:fail:account:${email}`,
+    LOGIN_FAILURES_IP: (ip) => `login:fail:ip:${ip}`,
+    LOGIN_DELAY: (email) => `login:delay:${email}`,
+    LOGIN_LOCK: (email) => `login:lock:${email}`,
+    OIDC_STATE: (state) => `oidc:state:${state}`,
 };
\ No newline at end of file
@@ -0,0 +1,7 @@
+// what partner API keys can be granted; see apiKey.util for the permissions each covers
+module.exports = {
+    CATALOG_READ: "catalog:read",
+    CATALOG_WRITE: "catalog:write",
+    ORDERS_READ: "orders:read",
+    ORDERS_WRITE: "orders:write",
+};
@@ -0,0 +1,6 @@
+module.exports = {
+    HARDCOVER: "hardcover",
+    PAPERBACK: "paperback",
+    EBOOK: "ebook",
+    AUDIOBOOK: "audiobook",
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    MANUAL: "manual",
+    RULE: "rule",
+};
@@ -0,0 +1,7 @@
+module.exports = {
+    AUTHOR: "author",
+    TRANSLATOR: "translator",
+    ILLUSTRATOR: "illustrator",
+    NARRATOR: "narrator",
+    EDITOR: "editor",
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    CSV: "csv",
+    ONIX: "onix",
+};
@@ -0,0 +1,6 @@
+module.exports = {
+    QUEUED: "queued",
+    RUNNING: "running",
+    COMPLETED: "completed",
+    FAILED: "failed",
+};
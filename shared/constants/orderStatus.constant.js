@@ -1,5 +1,7 @@
 module.exports = {
     PENDING: "pending",
+    // waiting for the book's release; see the releasePreorders job
+    PREORDERED: "preordered",
     PAID: "paid",
     SHIPPED: "shipped",
     CANCELLED: "cancelled",
@@ -0,0 +1,14 @@
+module.exports = {
+    DASHBOARD_READ: "dashboard:read",
+    USERS_READ: "users:read",
+    USERS_MANAGE: "users:manage",
+    USERS_IMPERSONATE: "users:impersonate",
+    ROLES_MANAGE: "roles:manage",
+    CATALOG_WRITE: "catalog:write",
+    ORDERS_READ: "orders:read",
+    ORDERS_UPDATE: "orders:update",
+    REVIEWS_MODERATE: "reviews:moderate",
+    COUPONS_MANAGE: "coupons:manage",
+    SETTINGS_MANAGE: "settings:manage",
+    API_KEYS_MANAGE: "api-keys:manage",
+};
@@ -0,0 +1,5 @@
+// when a pre-order is paid for; configured in admin settings
+module.exports = {
+    AT_ORDER: "order",
+    AT_RELEASE: "release",
+};
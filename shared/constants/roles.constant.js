@@ -1,4 +1,7 @@
 module.exports = {
     ADMIN: "admin",
     USER: "user",
-};
\ No newline at end of file
+    INVENTORY_MANAGER: "inventory_manager",
+    SUPPORT_AGENT: "support_agent",
+    CONTENT_EDITOR: "content_editor",
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    REQUIRE_ADMIN_2FA: "security.requireAdmin2fa",
+    PREORDER_CHARGE: "orders.preorderCharge",
+};
@@ -0,0 +1,7 @@
+module.exports = {
+    BOOK: "book",
+    CATEGORY: "category",
+    CONTRIBUTOR: "contributor",
+    TAG: "tag",
+    COLLECTION: "collection",
+};
@@ -0,0 +1,6 @@
+module.exports = {
+    GENRE: "genre",
+    THEME: "theme",
+    AUDIENCE: "audience",
+    AWARD: "award",
+};
@@ -0,0 +1,5 @@
+module.exports = {
+    PASSWORD_RESET: "password_reset",
+    EMAIL_VERIFICATION: "email_verification",
+    MAGIC_LINK: "magic_link",
+};
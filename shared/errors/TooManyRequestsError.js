@@ -0,0 +1,11 @@
+const AppError = require("./AppError");
+
+class TooManyRequestsError extends AppError {
+    constructor(message = "Too Many Requests", retryAfter = null) {
+        super(message, 429);
+
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = TooManyRequestsError;
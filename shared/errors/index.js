@@ -5,4 +5,5 @@ module.exports = {
   UnauthorizedError: require("./UnauthorizedError"),
   ForbiddenError: require("./ForbiddenError"),
   ConflictError: require("./ConflictError"),
+  TooManyRequestsError: require("./TooManyRequestsError"),
 };
@@ -1,13 +1,18 @@
 const { Queue } = require("bullmq");
-const redis = require("../../config/redis.config");
 
 const connection = {
     host: process.env.REDIS_HOST,
     port: process.env.REDIS_PORT,
 };
 
-exports.queues = {
-    emailQueue: new Queue("email", { connection }),
-    notificationQueue: new Queue("notification", { connection }),
-    orderQueue: new Queue("order", { connection }),
-};
\ No newline at end of file
+const queues = {};
+
+// queues connect on first use, so loading a service (or a CLI script) doesn't open Redis
+exports.getQueue = (name) => {
+    if (!queues[name]) queues[name] = new Queue(name, { connection });
+    return queues[name];
+};
+
+exports.closeQueues = () => {
+    return Promise.all(Object.values(queues).map((queue) => queue.close()));
+};
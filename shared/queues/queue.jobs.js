@@ -1,7 +1,10 @@
 const { Worker } = require("bullmq");
-const redis = require("../../config/redis.config");
 
 const emailService = require("../../services/email.service");
+const catalogJobs = require("../../jobs/catalog.jobs");
+const orderJobs = require("../../jobs/order.jobs");
+const queueService = require("./queue.service");
+const logger = require("../logger/logger");
 
 const connection = {
     host: process.env.REDIS_HOST,
@@ -30,6 +33,26 @@ new Worker(
 new Worker(
     "order",
     async(job) => {
+        if (job.name === "releasePreorders") {
+            await orderJobs.releasePreordersJob(job);
+            return;
+        }
+
         console.log("Processing order:", job.data);
     }, { connection },
+);
+
+// repeatable; adding it again on restart keeps a single schedule
+queueService.schedulePreorderRelease().catch((err) => {
+    logger.error(`Scheduling pre-order release failed: ${err.message}`);
+});
+
+// CATALOG WORKER (bulk imports)
+new Worker(
+    "catalog",
+    async(job) => {
+        if (job.name === "importBooks") {
+            await catalogJobs.importBooksJob(job);
+        }
+    }, { connection, concurrency: 1 },
 );
\ No newline at end of file
@@ -1,13 +1,30 @@
-const { queues } = require("./queue.config");
+const { getQueue } = require("./queue.config");
 
 exports.addEmailJob = async(data) => {
-    await queues.emailQueue.add("sendEmail", data);
+    await getQueue("email").add("sendEmail", data);
 };
 
 exports.addNotificationJob = async(data) => {
-    await queues.notificationQueue.add("sendNotification", data);
+    await getQueue("notification").add("sendNotification", data);
 };
 
 exports.addOrderJob = async(data) => {
-    await queues.orderQueue.add("processOrder", data);
-};
\ No newline at end of file
+    await getQueue("order").add("processOrder", data);
+};
+
+exports.addCatalogImportJob = async(data) => {
+    await getQueue("catalog").add("importBooks", data, {
+        removeOnComplete: true,
+    });
+};
+
+// early every morning (server time), so orders go out on publication day
+exports.schedulePreorderRelease = async() => {
+    await getQueue("order").add(
+        "releasePreorders", {}, {
+            repeat: { pattern: "5 0 * * *" },
+            jobId: "releasePreorders",
+            removeOnComplete: true,
+        },
+    );
+};
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const PERMISSIONS = require("../constants/permissions.constant");
+const API_SCOPES = require("../constants/apiScopes.constant");
+
+const KEY_PREFIX = "rk";
+
+// a write scope also covers the matching reads
+const SCOPES_FOR_PERMISSION = {
+    [PERMISSIONS.CATALOG_WRITE]: [API_SCOPES.CATALOG_WRITE],
+    [PERMISSIONS.ORDERS_READ]: [API_SCOPES.ORDERS_READ, API_SCOPES.ORDERS_WRITE],
+    [PERMISSIONS.ORDERS_UPDATE]: [API_SCOPES.ORDERS_WRITE],
+};
+
+/**
+ * Keys look like rk_<prefix>_<secret>. The prefix is stored in clear so a
+ * key can be identified in logs and the admin UI; only a hash of the full
+ * key is kept.
+ */
+exports.generateApiKey = () => {
+    const prefix = crypto.randomBytes(4).toString("hex");
+    const secret = crypto.randomBytes(32).toString("base64url");
+
+    return {
+        prefix,
+        key: `${KEY_PREFIX}_${prefix}_${secret}`,
+    };
+};
+
+exports.parseApiKey = (key) => {
+    const match = /^rk_([a-f0-9]{8})_[A-Za-z0-9_-]{43}$/.exec(key || "");
+    return match ? { prefix: match[1] } : null;
+};
+
+// the key scopes that grant a permission; none for permissions keys can't hold
+exports.scopesForPermission = (permission) => {
+    return SCOPES_FOR_PERMISSION[permission] || [];
+};
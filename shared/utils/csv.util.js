@@ -0,0 +1,62 @@
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and
+ * newlines inside quotes. Returns an array of rows (arrays of strings);
+ * blank lines are skipped.
+ */
+exports.parse = (text) => {
+    const input = text.replace(/^\uFEFF/, "");
+    const rows = [];
+
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+
+            row.push(field);
+            if (row.length > 1 || row[0] !== "") rows.push(row);
+
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) throw new Error("Unterminated quoted field");
+
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+
+    return rows;
+};
+
+const escape = (value) => {
+    if (value === null || value === undefined) return "";
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+exports.toLine = (values) => {
+    return `${values.map(escape).join(",")}\r\n`;
+};
@@ -6,4 +6,16 @@ exports.addDays = (date, days) => {
     const result = new Date(date);
     result.setDate(result.getDate() + days);
     return result;
-};
\ No newline at end of file
+};
+
+exports.addMinutes = (date, minutes) => {
+    return new Date(new Date(date).getTime() + minutes * 60 * 1000);
+};
+
+// "YYYY-MM-DD" in server time, comparable with DATEONLY columns
+exports.toDateOnly = (date = new Date()) => {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, "0");
+
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
@@ -0,0 +1,69 @@
+// strips hyphens/spaces; a trailing "x" is a valid ISBN-10 check digit
+const clean = (value) => {
+    return String(value).replace(/[\s-]/g, "").toUpperCase();
+};
+
+const isbn10CheckDigit = (first9) => {
+    const sum = [...first9].reduce((acc, digit, i) => acc + Number(digit) * (10 - i), 0);
+    const check = (11 - (sum % 11)) % 11;
+
+    return check === 10 ? "X" : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+    const sum = [...first12].reduce(
+        (acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 1 : 3),
+        0,
+    );
+
+    return String((10 - (sum % 10)) % 10);
+};
+
+exports.isValidIsbn10 = (value) => {
+    const isbn = clean(value);
+    if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+    return isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+};
+
+exports.isValidIsbn13 = (value) => {
+    const isbn = clean(value);
+    if (!/^97[89]\d{10}$/.test(isbn)) return false;
+
+    return isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+exports.toIsbn13 = (isbn10) => {
+    const body = `978${clean(isbn10).slice(0, 9)}`;
+    return body + isbn13CheckDigit(body);
+};
+
+// only 978-prefixed ISBN-13s have an ISBN-10 equivalent
+exports.toIsbn10 = (isbn13) => {
+    const isbn = clean(isbn13);
+    if (!isbn.startsWith("978")) return null;
+
+    const body = isbn.slice(3, 12);
+    return body + isbn10CheckDigit(body);
+};
+
+/**
+ * Accepts an ISBN-10 or ISBN-13 in any common notation and returns both
+ * canonical forms ({ isbn13, isbn10 }), or null when the checksum fails.
+ * isbn10 is null for 979-prefixed ISBNs.
+ */
+exports.normalizeIsbn = (value) => {
+    if (value === undefined || value === null) return null;
+
+    const isbn = clean(value);
+
+    if (exports.isValidIsbn13(isbn)) {
+        return { isbn13: isbn, isbn10: exports.toIsbn10(isbn) };
+    }
+
+    if (exports.isValidIsbn10(isbn)) {
+        return { isbn13: exports.toIsbn13(isbn), isbn10: isbn };
+    }
+
+    return null;
+};
@@ -1,3 +1,27 @@
+const { slugify } = require("./string.util");
+
+const MAX_LENGTH = 100;
+
+exports.SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
 exports.generateSlug = (title, id) => {
     return `${title.toLowerCase().replace(/ /g, "-")}-${id}`;
-};
\ No newline at end of file
+};
+
+// lowercase ascii words joined by single dashes; accents are folded ("Café" -> "cafe")
+exports.toSlug = (text) => {
+    const folded = String(text || "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[\s_]+/g, " ");
+
+    return slugify(folded)
+        .replace(/-+/g, "-")
+        .slice(0, MAX_LENGTH)
+        .replace(/^-|-$/g, "");
+};
+
+exports.withSuffix = (slug, n) => {
+    const suffix = `-${n}`;
+    return `${slug.slice(0, MAX_LENGTH - suffix.length).replace(/-$/, "")}${suffix}`;
+};
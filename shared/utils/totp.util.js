@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+
+// RFC 6238 defaults, understood by every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 character");
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP for a given counter
+const hotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto
+        .createHmac("sha1", base32Decode(secret))
+        .update(buffer)
+        .digest();
+
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+exports.currentStep = (time = Date.now()) => {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+};
+
+exports.generateSecret = (size = 20) => {
+    return base32Encode(crypto.randomBytes(size));
+};
+
+exports.generateCode = (secret, time = Date.now()) => {
+    return hotp(secret, exports.currentStep(time));
+};
+
+/**
+ * Checks a code against the current step and `window` steps either side
+ * to absorb clock drift. Returns the matching step, or null.
+ */
+exports.verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+    if (!/^\d{6}$/.test(String(code))) return null;
+
+    const step = exports.currentStep(time);
+
+    for (let i = -window; i <= window; i++) {
+        const expected = hotp(secret, step + i);
+
+        if (
+            crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))
+        ) {
+            return step + i;
+        }
+    }
+
+    return null;
+};
+
+exports.buildOtpauthUrl = ({ secret, label, issuer }) => {
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params}`;
+};
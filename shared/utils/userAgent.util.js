@@ -0,0 +1,34 @@
+const BROWSERS = [
+    ["Edge", /Edg(e|A|iOS)?\//],
+    ["Opera", /OPR\//],
+    ["Firefox", /(Firefox|FxiOS)\//],
+    ["Chrome", /(Chrome|CriOS)\//],
+    ["Safari", /Version\/.*Safari\//],
+];
+
+const PLATFORMS = [
+    ["iOS", /(iPhone|iPad|iPod)/],
+    ["Android", /Android/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+];
+
+const match = (list, userAgent) => {
+    const found = list.find(([, pattern]) => pattern.test(userAgent));
+    return found ? found[0] : null;
+};
+
+/**
+ * Turns a User-Agent header into a short label like "Chrome on Windows".
+ */
+exports.describeDevice = (userAgent) => {
+    if (!userAgent) return "Unknown device";
+
+    const browser = match(BROWSERS, userAgent);
+    const platform = match(PLATFORMS, userAgent);
+
+    if (browser && platform) return `${browser} on ${platform}`;
+
+    return browser || platform || "Unknown device";
+};
@@ -0,0 +1,175 @@
+// ZIP record signatures (EPUB files are ZIP archives)
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const WATERMARK_ENTRY = "META-INF/watermark.xml";
+
+// CRC-32 (IEEE) as ZIP needs it; zlib.crc32 only exists on newer Node releases
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const escapeXml = (value) => {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+};
+
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// the end-of-central-directory record sits in the last 64 KiB (its comment is at most that long)
+const findEndOfCentralDir = (buffer) => {
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+
+    for (let i = buffer.length - 22; i >= stop; i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR) return i;
+    }
+
+    throw new Error("Not a ZIP archive");
+};
+
+/**
+ * Appends an uncompressed entry to a ZIP archive and replaces its comment.
+ * Existing entries are copied byte for byte, so an EPUB's leading
+ * "mimetype" entry stays first. ZIP64 archives are not supported.
+ */
+const appendZipEntry = (buffer, name, content, comment) => {
+    const eocd = findEndOfCentralDir(buffer);
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    const centralSize = buffer.readUInt32LE(eocd + 12);
+    const centralOffset = buffer.readUInt32LE(eocd + 16);
+
+    if (entryCount === 0xffff || centralOffset === 0xffffffff) {
+        throw new Error("ZIP64 archives are not supported");
+    }
+
+    const nameBytes = Buffer.from(name, "utf8");
+    const data = Buffer.from(content, "utf8");
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(centralOffset, 42); // the new entry takes the old directory's place
+
+    const commentBytes = Buffer.from(comment, "utf8").subarray(0, 0xffff);
+    const newCentralSize = centralSize + central.length + nameBytes.length;
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+    end.writeUInt16LE(entryCount + 1, 8);
+    end.writeUInt16LE(entryCount + 1, 10);
+    end.writeUInt32LE(newCentralSize, 12);
+    end.writeUInt32LE(centralOffset + local.length + nameBytes.length + data.length, 16);
+    end.writeUInt16LE(commentBytes.length, 20);
+
+    return Buffer.concat([
+        buffer.subarray(0, centralOffset),
+        local,
+        nameBytes,
+        data,
+        buffer.subarray(centralOffset, centralOffset + centralSize),
+        central,
+        nameBytes,
+        end,
+        commentBytes,
+    ]);
+};
+
+/**
+ * Throws unless `buffer` is a file watermark() can mark, so bad uploads
+ * are turned away before anyone buys them.
+ */
+exports.assertWatermarkable = (buffer, extension) => {
+    if (extension === ".epub") {
+        const eocd = findEndOfCentralDir(buffer);
+
+        if (buffer.readUInt16LE(eocd + 10) === 0xffff || buffer.readUInt32LE(eocd + 16) === 0xffffffff) {
+            throw new Error("ZIP64 archives are not supported");
+        }
+
+        return;
+    }
+
+    if (extension === ".pdf") {
+        if (buffer.subarray(0, 5).toString("latin1") !== "%PDF-") throw new Error("Not a PDF file");
+        return;
+    }
+
+    throw new Error(`Can't watermark ${extension} files`);
+};
+
+exports.watermarkText = ({ name, email, orderId, licenseId, purchasedAt }) => {
+    return `Licensed to ${name} <${email}>, order #${orderId}, license ${licenseId}, purchased ${new Date(purchasedAt).toISOString().slice(0, 10)}`;
+};
+
+/**
+ * Marks a copy of an ebook with who bought it. EPUBs get a
+ * META-INF/watermark.xml entry (reading systems ignore unknown META-INF
+ * files) plus an archive comment; PDFs get a trailing comment, which
+ * readers skip. Anything else is rejected.
+ */
+exports.watermark = (buffer, extension, details) => {
+    const text = exports.watermarkText(details);
+
+    if (extension === ".epub") {
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            "<watermark>",
+            `  <licensedTo>${escapeXml(details.name)}</licensedTo>`,
+            `  <email>${escapeXml(details.email)}</email>`,
+            `  <order>${escapeXml(details.orderId)}</order>`,
+            `  <license>${escapeXml(details.licenseId)}</license>`,
+            `  <purchasedAt>${escapeXml(new Date(details.purchasedAt).toISOString())}</purchasedAt>`,
+            "</watermark>",
+            "",
+        ].join("\n");
+
+        return appendZipEntry(buffer, WATERMARK_ENTRY, xml, text);
+    }
+
+    if (extension === ".pdf") {
+        // PDF comments are single-line
+        return Buffer.concat([buffer, Buffer.from(`\n% ${text.replace(/[\r\n]/g, " ")}\n`, "utf8")]);
+    }
+
+    throw new Error(`Can't watermark ${extension} files`);
+};
@@ -0,0 +1,191 @@
+/**
+ * Small non-validating XML parser for trusted-format feeds (ONIX etc.).
+ * Produces { name, attributes, children } nodes where children are nodes
+ * or text strings. Namespace prefixes are dropped, and DOCTYPE/entity
+ * declarations are skipped rather than expanded, so there is no XXE risk.
+ * A character reference to no valid code point (e.g. &#x110000;) is kept
+ * as written and recorded as `error` on its element, so one bad record
+ * doesn't sink the whole document; see findError.
+ */
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+// helper: XML allows any Unicode scalar value except NUL
+const isValidCodePoint = (code) => {
+    return code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+};
+
+// onInvalid(reference) is told about character references that name no character
+const decode = (text, onInvalid) => {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === "#") {
+            const code = entity[1].toLowerCase() === "x" ?
+                parseInt(entity.slice(2), 16) :
+                parseInt(entity.slice(1), 10);
+
+            if (!isValidCodePoint(code)) {
+                onInvalid(match);
+                return match;
+            }
+
+            return String.fromCodePoint(code);
+        }
+
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+};
+
+// helper: keeps the first problem found on a node
+const recordError = (node) => (reference) => {
+    if (!node.error) node.error = `Invalid character reference ${reference}`;
+};
+
+const localName = (name) => name.slice(name.indexOf(":") + 1);
+
+const parseAttributes = (source, onInvalid) => {
+    const attributes = {};
+    const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+    let match;
+    while ((match = pattern.exec(source))) {
+        const value = match[3] !== undefined ? match[3] : match[4];
+        attributes[localName(match[1])] = decode(value, onInvalid);
+    }
+
+    return attributes;
+};
+
+exports.parse = (xml) => {
+    const root = { name: null, attributes: {}, children: [] };
+    const stack = [root];
+
+    let i = 0;
+
+    const fail = (message) => {
+        throw new Error(`Invalid XML at offset ${i}: ${message}`);
+    };
+
+    const skipPast = (terminator) => {
+        const end = xml.indexOf(terminator, i);
+        if (end === -1) fail(`missing ${terminator}`);
+        i = end + terminator.length;
+        return end;
+    };
+
+    // like skipPast(">") but ignores ">" inside quoted attribute values
+    const tagEnd = (from) => {
+        let quote = null;
+
+        for (let j = from; j < xml.length; j++) {
+            const char = xml[j];
+
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === ">") {
+                return j;
+            }
+        }
+
+        return fail("missing >");
+    };
+
+    while (i < xml.length) {
+        const current = stack[stack.length - 1];
+
+        if (xml[i] !== "<") {
+            const end = xml.indexOf("<", i);
+            const text = xml.slice(i, end === -1 ? xml.length : end);
+            if (current !== root) current.children.push(decode(text, recordError(current)));
+            i = end === -1 ? xml.length : end;
+            continue;
+        }
+
+        if (xml.startsWith("<!--", i)) {
+            skipPast("-->");
+        } else if (xml.startsWith("<![CDATA[", i)) {
+            const start = i + 9;
+            const end = skipPast("]]>");
+            current.children.push(xml.slice(start, end));
+        } else if (xml.startsWith("<!DOCTYPE", i)) {
+            // an internal subset ends with "]>", a plain doctype with ">"
+            const bracket = xml.indexOf("[", i);
+            const close = xml.indexOf(">", i);
+            if (bracket !== -1 && bracket < close) skipPast("]>");
+            else skipPast(">");
+        } else if (xml.startsWith("<?", i)) {
+            skipPast("?>");
+        } else if (xml.startsWith("</", i)) {
+            const start = i + 2;
+            const end = skipPast(">");
+            const name = localName(xml.slice(start, end).trim());
+
+            if (current === root || current.name !== name) {
+                fail(`unexpected closing tag </${name}>`);
+            }
+
+            stack.pop();
+        } else {
+            const start = i + 1;
+            const end = tagEnd(start);
+            i = end + 1;
+
+            let source = xml.slice(start, end);
+            const selfClosing = source.endsWith("/");
+            if (selfClosing) source = source.slice(0, -1);
+
+            const nameMatch = source.match(/^[^\s/>]+/);
+            if (!nameMatch) fail("missing tag name");
+
+            const node = { name: localName(nameMatch[0]), children: [] };
+            node.attributes = parseAttributes(source.slice(nameMatch[0].length), recordError(node));
+
+            current.children.push(node);
+            if (!selfClosing) stack.push(node);
+        }
+    }
+
+    if (stack.length > 1) fail(`unclosed tag <${stack[stack.length - 1].name}>`);
+
+    const [documentElement] = root.children.filter((child) => typeof child !== "string");
+    if (!documentElement) fail("no root element");
+
+    return documentElement;
+};
+
+// the first parse error recorded in a node or its descendants, if any
+exports.findError = (node) => {
+    if (!node) return undefined;
+    if (node.error) return node.error;
+
+    for (const child of node.children) {
+        const error = typeof child !== "string" && exports.findError(child);
+        if (error) return error;
+    }
+
+    return undefined;
+};
+
+exports.children = (node, name) => {
+    if (!node) return [];
+
+    return node.children.filter((child) => typeof child !== "string" && child.name === name);
+};
+
+exports.child = (node, name) => {
+    return exports.children(node, name)[0];
+};
+
+// concatenated, trimmed text of a node and its descendants
+exports.text = (node) => {
+    if (!node) return undefined;
+
+    const collect = (n) => n.children.map((c) => (typeof c === "string" ? c : collect(c))).join("");
+
+    return collect(node).trim();
+};
+
+// text of a descendant reached through `path`, e.g. text(product, "DescriptiveDetail", "ProductForm")
+exports.pathText = (node, ...path) => {
+    return exports.text(path.reduce((n, name) => exports.child(n, name), node));
+};
@@ -0,0 +1,173 @@
+jest.mock("../modules/api-keys/apiKey.repository");
+jest.mock("../middlewares/auth.middleware");
+
+const apiKeyRepo = require("../modules/api-keys/apiKey.repository");
+const auth = require("../middlewares/auth.middleware");
+const apiAuth = require("../middlewares/apiAuth.middleware");
+const requirePermission = require("../middlewares/permission.middleware");
+const adminService = require("../modules/admin/admin.service");
+const { createApiKeySchema } = require("../modules/admin/admin.validators");
+const { generateApiKey, parseApiKey } = require("../shared/utils/apiKey.util");
+const { hash } = require("../shared/utils/crypto.util");
+const PERMISSIONS = require("../shared/constants/permissions.constant");
+const API_SCOPES = require("../shared/constants/apiScopes.constant");
+
+const ADMIN_ID = 99;
+
+// in-memory stand-in for the ApiKey table
+let keys;
+
+// runs a middleware; resolves to what it passed to next()
+const run = (middleware, req) =>
+  new Promise((resolve) => middleware(req, {}, (err) => resolve(err)));
+
+// a request carrying `key` in the X-API-Key header
+const keyRequest = (key) => ({ get: (name) => (name === "x-api-key" ? key : undefined) });
+
+const createKey = async (data = {}) => {
+  const { key } = await adminService.createApiKey(ADMIN_ID, {
+    name: "Warehouse",
+    scopes: [API_SCOPES.ORDERS_READ],
+    ...data,
+  });
+
+  return key;
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  keys = [];
+
+  apiKeyRepo.create.mockImplementation(async (data) => {
+    const row = { id: keys.length + 1, lastUsedAt: null, revokedAt: null, ...data };
+    keys.push(row);
+    return row;
+  });
+  apiKeyRepo.findByPrefix.mockImplementation(
+    async (prefix) => keys.find((row) => row.prefix === prefix) || null,
+  );
+});
+
+describe("api key issuing", () => {
+  it("returns the key once and stores its prefix and hash", async () => {
+    const created = await adminService.createApiKey(ADMIN_ID, {
+      name: "Warehouse",
+      scopes: [API_SCOPES.ORDERS_WRITE],
+    });
+
+    expect(created.key).toMatch(/^rk_[a-f0-9]{8}_[\w-]{43}$/);
+    expect(created).toMatchObject({ prefix: parseApiKey(created.key).prefix, scopes: ["orders:write"] });
+    expect(keys[0]).toMatchObject({ keyHash: hash(created.key), createdById: ADMIN_ID, expiresAt: null });
+    expect(JSON.stringify(keys[0])).not.toContain(created.key);
+  });
+
+  it("only grants the partner scopes", () => {
+    const scopes = (list) => createApiKeySchema.validate({ name: "Affiliate", scopes: list }).error;
+
+    expect(scopes(["catalog:read", "orders:write"])).toBeUndefined();
+    expect(scopes(["orders:update"])).toBeDefined();
+    expect(scopes(["users:manage"])).toBeDefined();
+    expect(scopes([])).toBeDefined();
+  });
+
+  it("parses only well-formed keys", () => {
+    expect(parseApiKey(generateApiKey().key)).toEqual({ prefix: expect.stringMatching(/^[a-f0-9]{8}$/) });
+    expect(parseApiKey("rk_short")).toBeNull();
+    expect(parseApiKey(undefined)).toBeNull();
+  });
+});
+
+describe("api key authentication", () => {
+  it("authenticates the key as itself with its scopes", async () => {
+    const key = await createKey({ scopes: ["catalog:read", "orders:write"] });
+    const req = keyRequest(key);
+
+    await expect(run(apiAuth, req)).resolves.toBeUndefined();
+
+    expect(req.user).toEqual({ apiKeyId: 1, name: "Warehouse", scopes: ["catalog:read", "orders:write"] });
+    expect(apiKeyRepo.touch).toHaveBeenCalledWith(1);
+  });
+
+  it("records use at most once a minute", async () => {
+    const key = await createKey();
+    keys[0].lastUsedAt = Date.now() - 1000;
+
+    await run(apiAuth, keyRequest(key));
+
+    expect(apiKeyRepo.touch).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["a malformed key", () => "not-a-key", "Invalid API key"],
+    ["a wrong secret for a real prefix", (key) => `${key.slice(0, -4)}AAAA`, "Invalid API key"],
+    ["an unknown prefix", () => generateApiKey().key, "Invalid API key"],
+  ])("rejects %s", async (_, tamper, message) => {
+    const key = await createKey();
+
+    await expect(run(apiAuth, keyRequest(tamper(key)))).resolves.toMatchObject({
+      statusCode: 401,
+      message,
+    });
+  });
+
+  it("rejects revoked and expired keys", async () => {
+    const revoked = await createKey();
+    keys[0].revokedAt = new Date();
+    const expired = await createKey({ expiresAt: new Date(Date.now() - 1000) });
+
+    await expect(run(apiAuth, keyRequest(revoked))).resolves.toMatchObject({ message: "Invalid API key" });
+    await expect(run(apiAuth, keyRequest(expired))).resolves.toMatchObject({ message: "API key expired" });
+  });
+
+  it("leaves requests without a key to the JWT check", async () => {
+    auth.mockImplementation((req, res, next) => next());
+
+    await run(apiAuth, keyRequest(undefined));
+
+    expect(auth).toHaveBeenCalled();
+    expect(apiKeyRepo.findByPrefix).not.toHaveBeenCalled();
+  });
+});
+
+describe("api key scopes", () => {
+  const asKey = (scopes) => ({ user: { apiKeyId: 1, scopes } });
+
+  it("lets orders:write read and update orders", async () => {
+    const req = asKey(["orders:write"]);
+
+    await expect(run(requirePermission(PERMISSIONS.ORDERS_READ), req)).resolves.toBeUndefined();
+    await expect(run(requirePermission(PERMISSIONS.ORDERS_UPDATE), req)).resolves.toBeUndefined();
+  });
+
+  it("keeps orders:read to reading", async () => {
+    const req = asKey(["orders:read"]);
+
+    await expect(run(requirePermission(PERMISSIONS.ORDERS_READ), req)).resolves.toBeUndefined();
+    await expect(run(requirePermission(PERMISSIONS.ORDERS_UPDATE), req)).resolves.toMatchObject({
+      statusCode: 403,
+      message: "API key lacks the orders:write scope",
+    });
+  });
+
+  it("lets catalog:read through routes that accept it, but not catalog writes", async () => {
+    const canRead = requirePermission(PERMISSIONS.CATALOG_WRITE, {
+      scopes: [API_SCOPES.CATALOG_READ, API_SCOPES.CATALOG_WRITE],
+    });
+    const req = asKey(["catalog:read"]);
+
+    await expect(run(canRead, req)).resolves.toBeUndefined();
+    await expect(run(requirePermission(PERMISSIONS.CATALOG_WRITE), req)).resolves.toMatchObject({
+      statusCode: 403,
+    });
+    await expect(run(canRead, asKey(["catalog:write"]))).resolves.toBeUndefined();
+  });
+
+  it("never lets a key hold staff-only permissions", async () => {
+    const req = asKey(Object.values(API_SCOPES));
+
+    await expect(run(requirePermission(PERMISSIONS.USERS_MANAGE), req)).resolves.toMatchObject({
+      statusCode: 403,
+      message: "API keys can't be used here",
+    });
+  });
+});
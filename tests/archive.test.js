@@ -0,0 +1,224 @@
+jest.mock("../modules/books/book.repository");
+jest.mock("../modules/reviews/review.repository");
+jest.mock("../modules/users/user.repository");
+jest.mock("../modules/sessions/session.repository");
+jest.mock("../modules/auth/auth.repository");
+jest.mock("../modules/cart/cart.repository");
+jest.mock("../modules/orders/order.repository");
+jest.mock("../shared/queues/queue.service");
+jest.mock("../events/event.publisher", () => ({ publish: jest.fn() }));
+
+const { Op } = require("sequelize");
+const { sequelize, Book, Category, Review, User, Order } = require("../models");
+const bookRepo = require("../modules/books/book.repository");
+const reviewRepo = require("../modules/reviews/review.repository");
+const userRepo = require("../modules/users/user.repository");
+const sessionRepo = require("../modules/sessions/session.repository");
+const authRepo = require("../modules/auth/auth.repository");
+const cartRepo = require("../modules/cart/cart.repository");
+const adminService = require("../modules/admin/admin.service");
+const userService = require("../modules/users/user.service");
+const authService = require("../modules/auth/auth.service");
+const cartService = require("../modules/cart/cart.service");
+const orderService = require("../modules/orders/order.service");
+const { orderDTO } = require("../modules/orders/order.dto");
+const { ConflictError, NotFoundError } = require("../shared/errors");
+
+const actualBookRepo = jest.requireActual("../modules/books/book.repository");
+const actualOrderRepo = jest.requireActual("../modules/orders/order.repository");
+const slugRepo = require("../modules/slugs/slug.repository");
+const { BOOK } = require("../shared/constants/slugEntity.constant");
+
+const ARCHIVED_AT = new Date("2026-04-01T00:00:00Z");
+
+const dune = { id: 9, title: "Dune", slug: "dune", Editions: [], deletedAt: ARCHIVED_AT };
+
+// runs `work` with queries answered by `rows`; returns the SQL sent
+const captureSql = async (work, rows = []) => {
+  const query = jest.spyOn(sequelize, "query").mockResolvedValue(rows);
+
+  try {
+    await work();
+    // bound statements arrive as { query, bind }
+    return query.mock.calls.map(([sql]) => sql.query || sql).join("\n");
+  } finally {
+    query.mockRestore();
+  }
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe("soft delete", () => {
+  it("archives books, categories, reviews and users instead of deleting them", () => {
+    for (const model of [Book, Category, Review, User]) {
+      expect(model.options.paranoid).toBe(true);
+    }
+  });
+
+  it("sets deletedAt when a book is deleted", async () => {
+    const sql = await captureSql(() => actualBookRepo.delete(9));
+
+    expect(sql).toMatch(/^UPDATE "Books" SET "deletedAt"=\$1/);
+    expect(sql).not.toContain("DELETE");
+  });
+
+  it("leaves archived books out of the catalog", async () => {
+    const sql = await captureSql(() => actualBookRepo.count({ search: "dune" }), [{ count: 0 }]);
+
+    expect(sql).toContain(`"Book"."deletedAt" IS NULL`);
+  });
+
+  it("lists only archived books, including their archived category", async () => {
+    const findAll = jest.spyOn(Book, "findAll").mockResolvedValue([]);
+
+    try {
+      await actualBookRepo.findArchived({ limit: 10, offset: 0 });
+
+      const [options] = findAll.mock.calls[0];
+      expect(options.paranoid).toBe(false);
+      expect(options.where).toEqual({ deletedAt: { [Op.ne]: null } });
+      expect(options.include[0]).toEqual({ model: Category, paranoid: false });
+    } finally {
+      findAll.mockRestore();
+    }
+  });
+
+  it("keeps an archived book's slug taken", async () => {
+    const sql = await captureSql(() => slugRepo.findEntityBySlug(BOOK, "dune"));
+
+    expect(sql).not.toContain("deletedAt");
+  });
+});
+
+describe("admin archive", () => {
+  it("lists archived books with when they were archived", async () => {
+    bookRepo.findArchived.mockResolvedValue([dune]);
+
+    const [book] = await adminService.getArchivedBooks({ page: 1, limit: 10 });
+
+    expect(bookRepo.findArchived).toHaveBeenCalledWith({ limit: 10, offset: 0 });
+    expect(book).toEqual(expect.objectContaining({ id: 9, title: "Dune", archivedAt: ARCHIVED_AT }));
+  });
+
+  it("restores an archived book", async () => {
+    bookRepo.findArchivedById.mockResolvedValue(dune);
+    bookRepo.findById.mockResolvedValue({ ...dune, deletedAt: null });
+
+    await expect(adminService.restoreBook(9)).resolves.toEqual(
+      expect.objectContaining({ id: 9, slug: "dune" }),
+    );
+    expect(bookRepo.restore).toHaveBeenCalledWith(9);
+  });
+
+  it("only restores what is archived", async () => {
+    bookRepo.findArchivedById.mockResolvedValue(null);
+
+    await expect(adminService.restoreBook(9)).rejects.toThrow("Archived book not found");
+    expect(bookRepo.restore).not.toHaveBeenCalled();
+  });
+
+  it("won't restore a review the user has since replaced", async () => {
+    reviewRepo.findArchivedById.mockResolvedValue({ id: 3, userId: 1, bookId: 9 });
+    reviewRepo.findByUserAndBook.mockResolvedValue({ id: 4, userId: 1, bookId: 9 });
+
+    await expect(adminService.restoreReview(3)).rejects.toThrow(ConflictError);
+    expect(reviewRepo.restore).not.toHaveBeenCalled();
+  });
+
+  it("restores a user", async () => {
+    userRepo.findArchivedById.mockResolvedValue({ id: 1, deletedAt: ARCHIVED_AT });
+    userRepo.findById.mockResolvedValue({ id: 1, email: "ada@example.com" });
+
+    await expect(adminService.restoreUser(1)).resolves.toEqual(expect.objectContaining({ id: 1 }));
+    expect(userRepo.restore).toHaveBeenCalledWith(1);
+
+    userRepo.findArchivedById.mockResolvedValue(null);
+    await expect(adminService.restoreUser(2)).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("deleted accounts", () => {
+  it("lose their sessions", async () => {
+    userRepo.findById.mockResolvedValue({ id: 1 });
+
+    await userService.delete(1);
+
+    expect(userRepo.delete).toHaveBeenCalledWith(1);
+    expect(sessionRepo.revokeAllForUser).toHaveBeenCalledWith(1);
+  });
+
+  it("keep their email from being registered again", async () => {
+    authRepo.findByEmail.mockResolvedValue({ id: 1, email: "ada@example.com", deletedAt: ARCHIVED_AT });
+
+    await expect(
+      authService.register({ email: "ada@example.com", password: "secret123", name: "Ada" }),
+    ).rejects.toThrow("Email already exists");
+    expect(authRepo.findByEmail).toHaveBeenCalledWith("ada@example.com", { withDeleted: true });
+  });
+});
+
+describe("archived books in carts and orders", () => {
+  const edition = { id: 3, bookId: 9, format: "paperback", price: 10, stock: 5 };
+
+  it("won't add an archived book's edition to the cart", async () => {
+    bookRepo.findEditionById.mockResolvedValue({ ...edition, Book: null });
+
+    await expect(cartService.addToCart(1, { editionId: 3, quantity: 1 })).rejects.toThrow(
+      "Edition not found",
+    );
+  });
+
+  it("shows one already in the cart as unavailable", async () => {
+    cartRepo.getOrCreateCart.mockResolvedValue({
+      id: 1,
+      CartItems: [{ id: 1, editionId: 3, quantity: 1, Edition: { ...edition, Book: dune } }],
+    });
+
+    const cart = await cartService.getCart(1);
+
+    expect(cart.items[0]).toEqual(expect.objectContaining({ title: "Dune", available: false }));
+  });
+
+  it("refuses to check out a cart holding an archived book", async () => {
+    const transaction = jest.spyOn(sequelize, "transaction").mockImplementation(async (work) => work("tx"));
+
+    userRepo.findById.mockResolvedValue({ id: 1, emailVerifiedAt: new Date() });
+    cartRepo.getOrCreateCart.mockResolvedValue({
+      id: 1,
+      CartItems: [{ id: 1, editionId: 3, quantity: 1, Edition: { ...edition, Book: dune } }],
+    });
+    bookRepo.findEditionById.mockResolvedValue({ ...edition, Book: null });
+
+    try {
+      await expect(orderService.createOrder(1)).rejects.toThrow(
+        "A book in your cart is no longer available",
+      );
+    } finally {
+      transaction.mockRestore();
+    }
+  });
+
+  it("still resolve in order history, marked archived", async () => {
+    const findByPk = jest.spyOn(Order, "findByPk").mockResolvedValue(null);
+
+    try {
+      await actualOrderRepo.findById(100);
+
+      const [, { include }] = findByPk.mock.calls[0];
+      expect(include[0].include[0]).toEqual(expect.objectContaining({ model: Book, paranoid: false }));
+    } finally {
+      findByPk.mockRestore();
+    }
+
+    const order = orderDTO({
+      id: 100,
+      total: 10,
+      status: "delivered",
+      OrderItems: [{ bookId: 9, editionId: 3, title: "Dune", price: 10, quantity: 1, Book: dune }],
+    });
+
+    expect(order.items[0].book).toEqual({ id: 9, title: "Dune", slug: "dune", archived: true });
+  });
+});
@@ -0,0 +1,674 @@
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+jest.mock("../modules/auth/auth.repository");
+jest.mock("../modules/sessions/session.repository");
+jest.mock("../modules/users/user.repository");
+jest.mock("../shared/queues/queue.service");
+jest.mock("../services/email.service");
+jest.mock("../events/event.publisher", () => ({ publish: jest.fn() }));
+
+const bcrypt = require("bcrypt");
+const express = require("express");
+const request = require("supertest");
+const authRepo = require("../modules/auth/auth.repository");
+const sessionRepo = require("../modules/sessions/session.repository");
+const userRepo = require("../modules/users/user.repository");
+const queueService = require("../shared/queues/queue.service");
+const emailService = require("../services/email.service");
+const eventPublisher = require("../events/event.publisher");
+const userSubscribers = require("../events/event.subscribers/user.subscribers");
+const totp = require("../shared/utils/totp.util");
+const attemptStore = require("../shared/cache/attempt.store");
+const authService = require("../modules/auth/auth.service");
+const adminService = require("../modules/admin/admin.service");
+const { CACHE_KEYS } = require("../shared/cache/cache.keys");
+const { LOGIN_LIMITS, verifyAccessToken } = require("../modules/auth/auth.utils");
+const { TooManyRequestsError } = require("../shared/errors");
+const { USER_REGISTERED } = require("../events/event.types");
+const { PASSWORD_RESET, MAGIC_LINK } = require("../shared/constants/userToken.constant");
+const { magicLinkLimiter } = require("../middlewares/rateLimit.middleware");
+
+const PASSWORD = "correct horse battery staple";
+
+let user;
+let refreshTokens;
+let userTokens;
+
+// the attempt store expires entries against Date.now(); move it instead of waiting
+const realNow = Date.now;
+let clockOffset = 0;
+const advanceClock = (seconds) => {
+  clockOffset += seconds * 1000;
+};
+
+// in-memory stand-in for the RefreshToken table
+const mockRefreshTokenTable = () => {
+  refreshTokens = [];
+
+  authRepo.createRefreshToken.mockImplementation(async (data) => {
+    const row = {
+      id: refreshTokens.length + 1,
+      revokedAt: null,
+      replacedById: null,
+      ...data,
+    };
+    refreshTokens.push(row);
+    return row;
+  });
+
+  authRepo.findRefreshTokenByHash.mockImplementation(
+    async (tokenHash) =>
+      refreshTokens.find((row) => row.tokenHash === tokenHash) || null,
+  );
+
+  authRepo.markRefreshTokenRotated.mockImplementation(
+    async (id, replacedById) => {
+      const row = refreshTokens.find((r) => r.id === id);
+      if (row.revokedAt) return false;
+
+      row.revokedAt = new Date();
+      row.replacedById = replacedById;
+      return true;
+    },
+  );
+};
+
+// in-memory stand-in for the UserToken table (reset, verification and magic links)
+const mockUserTokenTable = () => {
+  userTokens = [];
+
+  authRepo.createUserToken.mockImplementation(async (data) => {
+    const row = { id: userTokens.length + 1, usedAt: null, ...data };
+    userTokens.push(row);
+    return row;
+  });
+
+  authRepo.findUserTokenByHash.mockImplementation(
+    async (type, tokenHash) =>
+      userTokens.find((row) => row.type === type && row.tokenHash === tokenHash) || null,
+  );
+
+  authRepo.consumeUserToken.mockImplementation(async (id) => {
+    const row = userTokens.find((r) => r.id === id);
+    if (row.usedAt) return false;
+
+    row.usedAt = new Date();
+    return true;
+  });
+
+  authRepo.consumeAllUserTokens.mockImplementation(async (userId, type) => {
+    userTokens
+      .filter((row) => row.userId === userId && row.type === type && !row.usedAt)
+      .forEach((row) => {
+        row.usedAt = new Date();
+      });
+  });
+};
+
+// the token in the link of the last queued email
+const emailedToken = () => {
+  const { html } = queueService.addEmailJob.mock.calls.at(-1)[0];
+  return html.match(/token=([a-f0-9]+)/)[1];
+};
+
+beforeAll(async () => {
+  user = {
+    id: 1,
+    email: "reader@example.com",
+    name: "Reader",
+    role: "customer",
+    password: await bcrypt.hash(PASSWORD, 4),
+  };
+});
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  await attemptStore.clear();
+  clockOffset = 0;
+  jest.spyOn(Date, "now").mockImplementation(() => realNow() + clockOffset);
+
+  mockRefreshTokenTable();
+  mockUserTokenTable();
+  authRepo.findByEmail.mockResolvedValue(user);
+  authRepo.findById.mockResolvedValue(user);
+  sessionRepo.create.mockResolvedValue({ id: "session-1" });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("registration", () => {
+  it("publishes user.registered with the verification token", async () => {
+    authRepo.findByEmail.mockResolvedValue(null);
+    authRepo.createUser.mockImplementation(async (data) => ({ id: 5, role: "customer", ...data }));
+
+    await authService.register({ email: "new@example.com", password: PASSWORD, name: "New" });
+
+    expect(eventPublisher.publish).toHaveBeenCalledWith(USER_REGISTERED, {
+      userId: 5,
+      email: "new@example.com",
+      name: "New",
+      verificationToken: expect.stringMatching(/^[a-f0-9]+$/),
+    });
+
+    // only the hash is stored; the raw token travels in the event
+    const { verificationToken } = eventPublisher.publish.mock.calls[0][1];
+    const [stored] = authRepo.createUserToken.mock.calls[0];
+    expect(stored).toMatchObject({ userId: 5 });
+    expect(stored.tokenHash).not.toBe(verificationToken);
+  });
+
+  it("emails the verification link from the user.registered subscriber", async () => {
+    const data = { userId: 5, email: "new@example.com", name: "New", verificationToken: "abc123" };
+
+    await Promise.all(userSubscribers[USER_REGISTERED].map((fn) => fn(data)));
+
+    expect(emailService.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "new@example.com",
+        subject: "Confirm your email address",
+        html: expect.stringContaining("/verify-email?token=abc123"),
+      }),
+    );
+  });
+});
+
+describe("password reset", () => {
+  const NEW_PASSWORD = "another long passphrase";
+
+  it("emails a link and stores only the token's hash", async () => {
+    await authService.forgotPassword(user.email);
+
+    expect(queueService.addEmailJob).toHaveBeenCalledWith(
+      expect.objectContaining({ to: user.email, html: expect.stringContaining("/reset-password?token=") }),
+    );
+    expect(userTokens).toEqual([
+      expect.objectContaining({ userId: user.id, type: PASSWORD_RESET, usedAt: null }),
+    ]);
+    expect(userTokens[0].tokenHash).not.toBe(emailedToken());
+  });
+
+  it("says nothing about unknown emails", async () => {
+    authRepo.findByEmail.mockResolvedValue(null);
+
+    await expect(authService.forgotPassword("nobody@example.com")).resolves.toBeUndefined();
+    expect(queueService.addEmailJob).not.toHaveBeenCalled();
+  });
+
+  it("sets the password and signs out every session", async () => {
+    await authService.forgotPassword(user.email);
+
+    await authService.resetPassword({ token: emailedToken(), password: NEW_PASSWORD });
+
+    const [userId, stored] = authRepo.updatePassword.mock.calls[0];
+    expect(userId).toBe(user.id);
+    await expect(bcrypt.compare(NEW_PASSWORD, stored)).resolves.toBe(true);
+    expect(sessionRepo.revokeAllForUser).toHaveBeenCalledWith(user.id);
+  });
+
+  it("accepts each link once", async () => {
+    await authService.forgotPassword(user.email);
+    const token = emailedToken();
+
+    await authService.resetPassword({ token, password: NEW_PASSWORD });
+
+    await expect(authService.resetPassword({ token, password: "yet another one" })).rejects.toThrow(
+      "Invalid or expired reset token",
+    );
+    expect(authRepo.updatePassword).toHaveBeenCalledTimes(1);
+  });
+
+  it("only honours the most recent link", async () => {
+    await authService.forgotPassword(user.email);
+    const first = emailedToken();
+    await authService.forgotPassword(user.email);
+
+    await expect(authService.resetPassword({ token: first, password: NEW_PASSWORD })).rejects.toThrow(
+      "Invalid or expired reset token",
+    );
+    await expect(
+      authService.resetPassword({ token: emailedToken(), password: NEW_PASSWORD }),
+    ).resolves.toBeUndefined();
+  });
+
+  it("refuses expired and unknown tokens", async () => {
+    await authService.forgotPassword(user.email);
+    userTokens[0].expiresAt = new Date(realNow() - 1000);
+
+    await expect(
+      authService.resetPassword({ token: emailedToken(), password: NEW_PASSWORD }),
+    ).rejects.toThrow("Invalid or expired reset token");
+    await expect(authService.resetPassword({ token: "f00d", password: NEW_PASSWORD })).rejects.toThrow(
+      "Invalid or expired reset token",
+    );
+    expect(authRepo.updatePassword).not.toHaveBeenCalled();
+  });
+});
+
+describe("magic link login", () => {
+  const requestLink = async () => {
+    await authService.requestMagicLink(user.email);
+    return emailedToken();
+  };
+
+  it("emails a single-use link and stores only the token's hash", async () => {
+    const token = await requestLink();
+
+    expect(queueService.addEmailJob).toHaveBeenCalledWith(
+      expect.objectContaining({ to: user.email, html: expect.stringContaining("/magic-link?token=") }),
+    );
+    expect(userTokens).toEqual([expect.objectContaining({ userId: user.id, type: MAGIC_LINK })]);
+    expect(userTokens[0].tokenHash).not.toBe(token);
+  });
+
+  it("returns the same token pair as a password login", async () => {
+    const result = await authService.loginWithMagicLink(await requestLink());
+
+    expect(result).toEqual({
+      user: expect.objectContaining({ id: user.id }),
+      accessToken: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(verifyAccessToken(result.accessToken)).toMatchObject({ id: user.id, sid: "session-1" });
+  });
+
+  it("can't be replayed", async () => {
+    const token = await requestLink();
+    await authService.loginWithMagicLink(token);
+
+    await expect(authService.loginWithMagicLink(token)).rejects.toThrow(
+      "Invalid or expired sign-in link",
+    );
+  });
+
+  it("expires, and is replaced by a newer link", async () => {
+    const first = await requestLink();
+    const second = await requestLink();
+
+    await expect(authService.loginWithMagicLink(first)).rejects.toThrow(
+      "Invalid or expired sign-in link",
+    );
+
+    userTokens[1].expiresAt = new Date(realNow() - 1000);
+    await expect(authService.loginWithMagicLink(second)).rejects.toThrow(
+      "Invalid or expired sign-in link",
+    );
+  });
+
+  it("verifies the email it was sent to", async () => {
+    authRepo.findById.mockResolvedValue({ ...user, emailVerifiedAt: null });
+
+    await authService.loginWithMagicLink(await requestLink());
+
+    expect(authRepo.markEmailVerified).toHaveBeenCalledWith(user.id);
+  });
+
+  it("limits link requests per address", async () => {
+    const app = express();
+    app.use(express.json());
+    app.post("/magic-link", magicLinkLimiter, (req, res) => res.json({ success: true }));
+
+    const send = (email) => request(app).post("/magic-link").send({ email });
+
+    for (let i = 0; i < 5; i++) {
+      await send(i % 2 ? "Reader@Example.com " : user.email).expect(200);
+    }
+
+    await send(user.email).expect(429);
+    await send("someone.else@example.com").expect(200);
+  });
+});
+
+describe("refresh token rotation", () => {
+  it("issues a new pair and retires the presented token", async () => {
+    const login = await authService.login({ email: user.email, password: PASSWORD });
+
+    const rotated = await authService.refreshToken(login.refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(login.refreshToken);
+    expect(refreshTokens).toHaveLength(2);
+    expect(refreshTokens[0].revokedAt).toBeInstanceOf(Date);
+    expect(refreshTokens[0].replacedById).toBe(refreshTokens[1].id);
+    expect(refreshTokens[1].family).toBe("session-1");
+    expect(sessionRepo.touch).toHaveBeenCalledWith("session-1", { ip: undefined });
+  });
+
+  it("keeps the new token usable after rotation", async () => {
+    const login = await authService.login({ email: user.email, password: PASSWORD });
+    const first = await authService.refreshToken(login.refreshToken);
+
+    const second = await authService.refreshToken(first.refreshToken);
+
+    expect(second.accessToken).toEqual(expect.any(String));
+    expect(sessionRepo.revoke).not.toHaveBeenCalled();
+  });
+
+  it("revokes the whole session when a rotated token is replayed", async () => {
+    const login = await authService.login({ email: user.email, password: PASSWORD });
+    await authService.refreshToken(login.refreshToken);
+
+    await expect(authService.refreshToken(login.refreshToken)).rejects.toThrow(
+      "Refresh token reuse detected",
+    );
+    expect(sessionRepo.revoke).toHaveBeenCalledWith("session-1");
+  });
+
+  it("treats losing a concurrent rotation as reuse", async () => {
+    const login = await authService.login({ email: user.email, password: PASSWORD });
+    authRepo.markRefreshTokenRotated.mockResolvedValueOnce(false);
+
+    await expect(authService.refreshToken(login.refreshToken)).rejects.toThrow(
+      "Refresh token reuse detected",
+    );
+    expect(sessionRepo.revoke).toHaveBeenCalledWith("session-1");
+  });
+
+  it("rejects a token revoked without a replacement, without killing the session", async () => {
+    const login = await authService.login({ email: user.email, password: PASSWORD });
+    refreshTokens[0].revokedAt = new Date();
+
+    await expect(authService.refreshToken(login.refreshToken)).rejects.toThrow(
+      "Refresh token revoked",
+    );
+    expect(sessionRepo.revoke).not.toHaveBeenCalled();
+  });
+
+  it("rejects a token that was never issued", async () => {
+    const login = await authService.login({ email: user.email, password: PASSWORD });
+    refreshTokens.length = 0;
+
+    await expect(authService.refreshToken(login.refreshToken)).rejects.toThrow(
+      "Invalid or expired refresh token",
+    );
+  });
+});
+
+describe("login lockout", () => {
+  const login = (password, ip = "203.0.113.7") =>
+    authService.login({ email: user.email, password }, { ip });
+
+  // fails once, waiting out any back-off delay first
+  const failOnce = async () => {
+    const delay = await attemptStore.ttl(CACHE_KEYS.LOGIN_DELAY(user.email));
+    advanceClock(delay);
+
+    await expect(login("wrong password")).rejects.toThrow("Invalid credentials");
+  };
+
+  it("allows the free attempts without delay", async () => {
+    for (let i = 0; i < LOGIN_LIMITS.freeAttempts; i++) {
+      await expect(login("wrong password")).rejects.toThrow("Invalid credentials");
+    }
+
+    await expect(login(PASSWORD)).resolves.toHaveProperty("accessToken");
+  });
+
+  it("backs off exponentially once the free attempts are used", async () => {
+    for (let i = 0; i < LOGIN_LIMITS.freeAttempts + 3; i++) await failOnce();
+
+    // 3 failures over the free allowance: 2 ** 2 seconds
+    const err = await login(PASSWORD).catch((e) => e);
+    expect(err).toBeInstanceOf(TooManyRequestsError);
+    expect(err.retryAfter).toBe(4);
+
+    advanceClock(4);
+    await expect(login(PASSWORD)).resolves.toHaveProperty("accessToken");
+  });
+
+  it("clears the failure count after a successful login", async () => {
+    for (let i = 0; i < LOGIN_LIMITS.freeAttempts + 1; i++) await failOnce();
+    advanceClock(1);
+    await login(PASSWORD);
+
+    await expect(login("wrong password")).rejects.toThrow("Invalid credentials");
+    await expect(login(PASSWORD)).resolves.toHaveProperty("accessToken");
+  });
+
+  it("locks the account at the threshold and emails the owner", async () => {
+    for (let i = 0; i < LOGIN_LIMITS.lockoutThreshold; i++) await failOnce();
+
+    const err = await login(PASSWORD).catch((e) => e);
+    expect(err).toBeInstanceOf(TooManyRequestsError);
+    expect(err.message).toMatch(/Account temporarily locked/);
+    expect(err.retryAfter).toBe(LOGIN_LIMITS.lockoutSeconds);
+
+    expect(queueService.addEmailJob).toHaveBeenCalledTimes(1);
+    expect(queueService.addEmailJob).toHaveBeenCalledWith(
+      expect.objectContaining({ to: user.email }),
+    );
+  });
+
+  it("lifts the lock once it expires", async () => {
+    for (let i = 0; i < LOGIN_LIMITS.lockoutThreshold; i++) await failOnce();
+
+    advanceClock(LOGIN_LIMITS.lockoutSeconds);
+
+    await expect(login(PASSWORD)).resolves.toHaveProperty("accessToken");
+  });
+
+  it("lets an admin unlock the account early", async () => {
+    for (let i = 0; i < LOGIN_LIMITS.lockoutThreshold; i++) await failOnce();
+    userRepo.findById.mockResolvedValue(user);
+
+    await adminService.unlockUser(user.id);
+
+    await expect(login(PASSWORD)).resolves.toHaveProperty("accessToken");
+  });
+
+  it("throttles an IP that fails across many accounts", async () => {
+    authRepo.findByEmail.mockResolvedValue(null);
+
+    for (let i = 0; i < LOGIN_LIMITS.ipThreshold; i++) {
+      await expect(
+        authService.login(
+          { email: `guess${i}@example.com`, password: "x" },
+          { ip: "198.51.100.1" },
+        ),
+      ).rejects.toThrow("Invalid credentials");
+    }
+
+    authRepo.findByEmail.mockResolvedValue(user);
+
+    await expect(login(PASSWORD, "198.51.100.1")).rejects.toThrow(
+      "Too many failed sign-in attempts from this network",
+    );
+    await expect(login(PASSWORD, "192.0.2.50")).resolves.toHaveProperty("accessToken");
+  });
+});
+
+describe("redis attempt store", () => {
+  it("starts the window and counts in one transaction", async () => {
+    const queued = [];
+    const chain = {
+      set: (...args) => (queued.push(["set", ...args]), chain),
+      incr: (...args) => (queued.push(["incr", ...args]), chain),
+      exec: async () => [[null, null], [null, 3]],
+    };
+    const store = attemptStore.createRedisStore({ multi: () => chain });
+
+    await expect(store.increment("login:fail:x", 900)).resolves.toBe(3);
+    // NX: a running window keeps its expiry
+    expect(queued).toEqual([
+      ["set", "login:fail:x", 0, "EX", 900, "NX"],
+      ["incr", "login:fail:x"],
+    ]);
+  });
+});
+
+describe("totp util", () => {
+  // RFC 6238 appendix B, SHA-1 seed "12345678901234567890", last 6 digits
+  const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+  it.each([
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+  ])("matches the RFC test vector at T=%i", (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  it("accepts codes one step either side and returns the matching step", () => {
+    const time = 1234567890 * 1000;
+    const step = totp.currentStep(time);
+    const previous = totp.generateCode(RFC_SECRET, time - 30 * 1000);
+
+    expect(totp.verifyCode(RFC_SECRET, previous, { time })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, previous, { time, window: 0 })).toBeNull();
+  });
+
+  it("rejects codes outside the drift window and malformed input", () => {
+    const time = 1234567890 * 1000;
+    const stale = totp.generateCode(RFC_SECRET, time - 90 * 1000);
+
+    expect(totp.verifyCode(RFC_SECRET, stale, { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, "12345", { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, "abcdef", { time })).toBeNull();
+  });
+
+  it("generates secrets that round-trip through base32", () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.verifyCode(secret, totp.generateCode(secret))).toBe(
+      totp.currentStep(),
+    );
+  });
+});
+
+describe("two-factor login", () => {
+  let twoFactorUser;
+
+  const currentCode = () => totp.generateCode(twoFactorUser.twoFactorSecret, Date.now());
+
+  const challenge = async () => {
+    const result = await authService.login({
+      email: twoFactorUser.email,
+      password: PASSWORD,
+    });
+
+    expect(result).toEqual({
+      twoFactorRequired: true,
+      challengeToken: expect.any(String),
+    });
+    return result.challengeToken;
+  };
+
+  // enrols the user through setup + confirm; returns the recovery codes
+  const enrol = async () => {
+    await authService.setupTwoFactor(twoFactorUser.id);
+    const { recoveryCodes } = await authService.confirmTwoFactor(
+      twoFactorUser.id,
+      currentCode(),
+    );
+
+    // the confirming code is spent; move to the next step
+    advanceClock(30);
+    return recoveryCodes;
+  };
+
+  beforeEach(() => {
+    twoFactorUser = { ...user, id: 2, email: "mfa@example.com" };
+
+    authRepo.findByEmail.mockResolvedValue(twoFactorUser);
+    authRepo.findById.mockResolvedValue(twoFactorUser);
+    authRepo.updateTwoFactor.mockImplementation(async (id, data) => {
+      Object.assign(twoFactorUser, data);
+    });
+  });
+
+  it("asks for a second factor once enrolled, then issues tokens", async () => {
+    await enrol();
+    const challengeToken = await challenge();
+
+    const result = await authService.verifyTwoFactorLogin({
+      challengeToken,
+      code: currentCode(),
+    });
+
+    expect(result.accessToken).toEqual(expect.any(String));
+    expect(result.user).not.toHaveProperty("twoFactorSecret");
+  });
+
+  it("refuses to confirm setup with a wrong code", async () => {
+    await authService.setupTwoFactor(twoFactorUser.id);
+
+    await expect(
+      authService.confirmTwoFactor(twoFactorUser.id, "000000"),
+    ).rejects.toThrow("Invalid two-factor code");
+    expect(twoFactorUser.twoFactorEnabledAt).toBeUndefined();
+  });
+
+  it("rejects a code that was already used in its window", async () => {
+    await enrol();
+    const code = currentCode();
+
+    await authService.verifyTwoFactorLogin({ challengeToken: await challenge(), code });
+
+    await expect(
+      authService.verifyTwoFactorLogin({ challengeToken: await challenge(), code }),
+    ).rejects.toThrow("Invalid two-factor code");
+  });
+
+  it("keeps challenge tokens and access tokens apart", async () => {
+    await enrol();
+    const challengeToken = await challenge();
+    const { accessToken } = await authService.verifyTwoFactorLogin({
+      challengeToken,
+      code: currentCode(),
+    });
+
+    // a challenge must not pass as an access token, nor the other way round
+    expect(() => verifyAccessToken(challengeToken)).toThrow();
+    await expect(
+      authService.verifyTwoFactorLogin({ challengeToken: accessToken, code: currentCode() }),
+    ).rejects.toThrow("Invalid or expired challenge");
+  });
+
+  it("accepts each recovery code exactly once", async () => {
+    const [recoveryCode, otherCode] = await enrol();
+
+    // users may type the code in upper case or without the dash
+    const typed = recoveryCode.toUpperCase().replace("-", " ");
+    await expect(
+      authService.verifyTwoFactorLogin({ challengeToken: await challenge(), recoveryCode: typed }),
+    ).resolves.toHaveProperty("accessToken");
+
+    await expect(
+      authService.verifyTwoFactorLogin({ challengeToken: await challenge(), recoveryCode }),
+    ).rejects.toThrow("Invalid two-factor code");
+
+    await expect(
+      authService.verifyTwoFactorLogin({ challengeToken: await challenge(), recoveryCode: otherCode }),
+    ).resolves.toHaveProperty("accessToken");
+  });
+
+  it("stores only hashes of the recovery codes", async () => {
+    const recoveryCodes = await enrol();
+
+    expect(twoFactorUser.twoFactorRecoveryCodes).toHaveLength(recoveryCodes.length);
+    recoveryCodes.forEach((code) =>
+      expect(twoFactorUser.twoFactorRecoveryCodes).not.toContain(code),
+    );
+  });
+
+  it("invalidates old recovery codes when they are regenerated", async () => {
+    const [oldCode] = await enrol();
+
+    const { recoveryCodes } = await authService.regenerateRecoveryCodes(
+      twoFactorUser.id,
+      currentCode(),
+    );
+
+    await expect(
+      authService.verifyTwoFactorLogin({ challengeToken: await challenge(), recoveryCode: oldCode }),
+    ).rejects.toThrow("Invalid two-factor code");
+    await expect(
+      authService.verifyTwoFactorLogin({
+        challengeToken: await challenge(),
+        recoveryCode: recoveryCodes[0],
+      }),
+    ).resolves.toHaveProperty("accessToken");
+  });
+});
@@ -0,0 +1,169 @@
+jest.mock("../modules/catalog/catalog.repository");
+jest.mock("../modules/books/book.repository");
+jest.mock("../modules/categories/category.repository");
+jest.mock("../shared/queues/queue.service");
+jest.mock("../services/storage.service");
+
+const csv = require("../shared/utils/csv.util");
+const { rowsToRecords } = require("../modules/catalog/catalog.utils");
+const catalogRepo = require("../modules/catalog/catalog.repository");
+const bookRepo = require("../modules/books/book.repository");
+const categoryRepo = require("../modules/categories/category.repository");
+const catalogService = require("../modules/catalog/catalog.service");
+
+describe("csv util", () => {
+  it("splits rows and fields", () => {
+    expect(csv.parse("a,b,c\n1,2,3\n")).toEqual([
+      ["a", "b", "c"],
+      ["1", "2", "3"],
+    ]);
+  });
+
+  it("handles quotes, escaped quotes and newlines inside quotes", () => {
+    const text = 'title,description\r\n"Dune, Part One","He said ""hi""\nand left"\r\n';
+
+    expect(csv.parse(text)).toEqual([
+      ["title", "description"],
+      ["Dune, Part One", 'He said "hi"\nand left'],
+    ]);
+  });
+
+  it("strips a byte order mark and skips blank lines", () => {
+    expect(csv.parse("\uFEFFisbn\n\n9780306406157\r\n\r\n")).toEqual([
+      ["isbn"],
+      ["9780306406157"],
+    ]);
+  });
+
+  it("keeps empty trailing fields", () => {
+    expect(csv.parse("a,b,\n")).toEqual([["a", "b", ""]]);
+  });
+
+  it("rejects an unterminated quoted field", () => {
+    expect(() => csv.parse('title\n"Dune')).toThrow("Unterminated quoted field");
+  });
+
+  it("round-trips values written with toLine", () => {
+    const values = ["plain", 'with "quotes"', "a,b", "two\nlines", "", null];
+    const line = csv.toLine(values);
+
+    expect(csv.parse(line)).toEqual([["plain", 'with "quotes"', "a,b", "two\nlines", "", ""]]);
+  });
+});
+
+describe("rowsToRecords", () => {
+  it("maps cells to columns and numbers rows from the header", () => {
+    const records = rowsToRecords([
+      [" isbn ", "title", "price"],
+      ["9780306406157", "  Dune ", "9.99"],
+      ["9780804429573", "", "12"],
+    ]);
+
+    expect(records).toEqual([
+      { row: 2, data: { isbn: "9780306406157", title: "Dune", price: "9.99" } },
+      { row: 3, data: { isbn: "9780804429573", price: "12" } },
+    ]);
+  });
+
+  it("tolerates short rows", () => {
+    expect(rowsToRecords([["id", "title", "stock"], ["7"]])).toEqual([
+      { row: 2, data: { id: "7" } },
+    ]);
+  });
+
+  it("rejects unknown columns", () => {
+    expect(() => rowsToRecords([["isbn", "colour", "size"]])).toThrow(
+      "Unknown columns: colour, size",
+    );
+  });
+
+  it("needs a column that identifies the book or edition", () => {
+    expect(() => rowsToRecords([["title", "price"]])).toThrow(
+      "The file needs an id, editionId or isbn column",
+    );
+  });
+});
+
+describe("csv import dry run", () => {
+  const runCsv = async (text) => {
+    catalogRepo.findImportById.mockResolvedValue({
+      id: 1,
+      format: "csv",
+      dryRun: true,
+    });
+
+    return catalogService.runImport(1, text);
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    categoryRepo.findAll.mockResolvedValue([{ id: 3, name: "Science Fiction" }]);
+    bookRepo.findEditionByIsbn13.mockResolvedValue(null);
+    bookRepo.findEditionsByIsbn13.mockResolvedValue([]);
+  });
+
+  it("counts new books without writing anything", async () => {
+    const result = await runCsv(
+      "isbn,title,author,category,format,price\n" +
+        "0-306-40615-2,Dune,Frank Herbert,science fiction,paperback,9.99\n",
+    );
+
+    expect(result).toMatchObject({
+      totalRows: 1,
+      createdCount: 1,
+      failedCount: 0,
+      errors: [],
+    });
+    expect(bookRepo.create).not.toHaveBeenCalled();
+    expect(bookRepo.createEdition).not.toHaveBeenCalled();
+    expect(catalogRepo.updateImport).toHaveBeenLastCalledWith(
+      1,
+      expect.objectContaining({ status: "completed" }),
+    );
+  });
+
+  it("reports each bad row with its line number and carries on", async () => {
+    const result = await runCsv(
+      "isbn,title,author,category,format,price\n" +
+        "9780306406157,Dune,Frank Herbert,Science Fiction,paperback,9.99\n" +
+        "0306406152,Dune again,Frank Herbert,Science Fiction,hardcover,20\n" +
+        "9780306406158,Bad checksum,Someone,Science Fiction,paperback,5\n" +
+        "9780804429573,No category,Someone,Poetry,paperback,5\n" +
+        "9791090636071,No price,Someone,Science Fiction,ebook,\n" +
+        "9780000000002,Negative,Someone,Science Fiction,paperback,-1\n",
+    );
+
+    expect(result.createdCount).toBe(1);
+    expect(result.failedCount).toBe(5);
+    expect(result.errors).toEqual([
+      { row: 3, message: "ISBN 9780306406157 also appears on row 2" },
+      { row: 4, message: expect.stringContaining("valid ISBN") },
+      { row: 5, message: 'Unknown category "Poetry"' },
+      { row: 6, message: "New books need price" },
+      { row: 7, message: expect.stringContaining("price") },
+    ]);
+  });
+
+  it("updates an existing edition found by ISBN", async () => {
+    bookRepo.findEditionByIsbn13.mockResolvedValue({
+      id: 11,
+      bookId: 5,
+      Book: { id: 5 },
+    });
+
+    const result = await runCsv("isbn,stock\n9780306406157,40\n");
+
+    expect(result).toMatchObject({ updatedCount: 1, failedCount: 0 });
+  });
+
+  it("marks the import failed when the header is unusable", async () => {
+    await expect(runCsv("title,colour\nDune,red\n")).rejects.toThrow(
+      "Unknown columns: colour",
+    );
+
+    expect(catalogRepo.updateImport).toHaveBeenLastCalledWith(
+      1,
+      expect.objectContaining({ status: "failed", errorMessage: "Unknown columns: colour" }),
+    );
+  });
+});
@@ -0,0 +1,345 @@
+const xml = require("../shared/utils/xml.util");
+const { parseOnixMessage } = require("../modules/catalog/catalog.onix");
+
+// a paperback with every field we map, plus its ebook as a related product
+const PAPERBACK = `
+  <Product>
+    <RecordReference>com.example.9780306406157</RecordReference>
+    <NotificationType>03</NotificationType>
+    <ProductIdentifier>
+      <ProductIDType>03</ProductIDType>
+      <IDValue>9780306406157</IDValue>
+    </ProductIdentifier>
+    <ProductIdentifier>
+      <ProductIDType>15</ProductIDType>
+      <IDValue>978-0-306-40615-7</IDValue>
+    </ProductIdentifier>
+    <DescriptiveDetail>
+      <ProductForm>BC</ProductForm>
+      <Measure>
+        <MeasureType>01</MeasureType>
+        <Measurement>19.8</Measurement>
+        <MeasureUnitCode>cm</MeasureUnitCode>
+      </Measure>
+      <Measure>
+        <MeasureType>08</MeasureType>
+        <Measurement>0.35</Measurement>
+        <MeasureUnitCode>kg</MeasureUnitCode>
+      </Measure>
+      <TitleDetail>
+        <TitleType>01</TitleType>
+        <TitleElement>
+          <TitleElementLevel>01</TitleElementLevel>
+          <TitlePrefix>The</TitlePrefix>
+          <TitleWithoutPrefix>Left Hand of Darkness</TitleWithoutPrefix>
+        </TitleElement>
+      </TitleDetail>
+      <Contributor>
+        <SequenceNumber>2</SequenceNumber>
+        <ContributorRole>A12</ContributorRole>
+        <PersonName>Jane Drawer</PersonName>
+      </Contributor>
+      <Contributor>
+        <SequenceNumber>1</SequenceNumber>
+        <ContributorRole>A01</ContributorRole>
+        <NamesBeforeKey>Ursula K.</NamesBeforeKey>
+        <KeyNames>Le Guin</KeyNames>
+      </Contributor>
+      <Contributor>
+        <SequenceNumber>3</SequenceNumber>
+        <ContributorRole>A23</ContributorRole>
+        <PersonName>Foreword Writer</PersonName>
+      </Contributor>
+      <Language>
+        <LanguageRole>01</LanguageRole>
+        <LanguageCode>eng</LanguageCode>
+      </Language>
+      <Extent>
+        <ExtentType>00</ExtentType>
+        <ExtentValue>304</ExtentValue>
+        <ExtentUnit>03</ExtentUnit>
+      </Extent>
+      <Subject>
+        <SubjectSchemeIdentifier>10</SubjectSchemeIdentifier>
+        <SubjectCode>FIC028000</SubjectCode>
+      </Subject>
+      <Subject>
+        <MainSubject/>
+        <SubjectSchemeIdentifier>20</SubjectSchemeIdentifier>
+        <SubjectHeadingText>Science Fiction &amp; Fantasy</SubjectHeadingText>
+      </Subject>
+    </DescriptiveDetail>
+    <CollateralDetail>
+      <TextContent>
+        <TextType>03</TextType>
+        <ContentAudience>00</ContentAudience>
+        <Text textformat="05"><![CDATA[<p>A <em>classic</em> & more</p>]]></Text>
+      </TextContent>
+      <SupportingResource>
+        <ResourceContentType>01</ResourceContentType>
+        <ResourceVersion>
+          <ResourceLink>https://covers.example.com/9780306406157.jpg</ResourceLink>
+        </ResourceVersion>
+      </SupportingResource>
+    </CollateralDetail>
+    <PublishingDetail>
+      <Publisher>
+        <PublishingRole>01</PublishingRole>
+        <PublisherName>Ace Books</PublisherName>
+      </Publisher>
+      <PublishingDate>
+        <PublishingDateRole>01</PublishingDateRole>
+        <Date>19690301</Date>
+      </PublishingDate>
+    </PublishingDetail>
+    <RelatedMaterial>
+      <RelatedProduct>
+        <ProductRelationCode>06</ProductRelationCode>
+        <ProductIdentifier>
+          <ProductIDType>15</ProductIDType>
+          <IDValue>9780804429573</IDValue>
+        </ProductIdentifier>
+      </RelatedProduct>
+      <RelatedProduct>
+        <ProductRelationCode>23</ProductRelationCode>
+        <ProductIdentifier>
+          <ProductIDType>15</ProductIDType>
+          <IDValue>9791090636071</IDValue>
+        </ProductIdentifier>
+      </RelatedProduct>
+    </RelatedMaterial>
+    <ProductSupply>
+      <SupplyDetail>
+        <ProductAvailability>21</ProductAvailability>
+        <Stock><OnHand>12</OnHand></Stock>
+        <Price>
+          <PriceType>01</PriceType>
+          <PriceAmount>8.50</PriceAmount>
+          <CurrencyCode>GBP</CurrencyCode>
+        </Price>
+        <Price>
+          <PriceType>01</PriceType>
+          <PriceAmount>10.99</PriceAmount>
+        </Price>
+      </SupplyDetail>
+    </ProductSupply>
+  </Product>`;
+
+const message = (products, { release = "3.0", root = "ONIXMessage" } = {}) => `<?xml version="1.0" encoding="UTF-8"?>
+<${root} release="${release}" xmlns="http://ns.editeur.org/onix/3.0/reference">
+  <Header>
+    <Sender><SenderName>Example Publishing</SenderName></Sender>
+    <SentDateTime>20260410T1530+0100</SentDateTime>
+    <DefaultCurrencyCode>USD</DefaultCurrencyCode>
+  </Header>
+  ${products}
+</${root}>`;
+
+describe("xml util", () => {
+  it("builds a tree of named nodes with attributes and text", () => {
+    const doc = xml.parse('<a x="1" y=\'two\'><b>hi</b><c/></a>');
+
+    expect(doc.name).toBe("a");
+    expect(doc.attributes).toEqual({ x: "1", y: "two" });
+    expect(xml.children(doc, "b")).toHaveLength(1);
+    expect(xml.child(doc, "c")).toEqual({ name: "c", attributes: {}, children: [] });
+    expect(xml.pathText(doc, "b")).toBe("hi");
+  });
+
+  it("decodes named and numeric entities in text and attributes", () => {
+    const doc = xml.parse('<a title="&quot;Q&quot; &amp; A">&lt;b&gt; &#233;t&#xE9; &apos;&unknown;</a>');
+
+    expect(doc.attributes.title).toBe('"Q" & A');
+    expect(xml.text(doc)).toBe("<b> été '&unknown;");
+  });
+
+  it("keeps references to no valid character as text and records them", () => {
+    const doc = xml.parse('<a><b x="&#0;">ok</b><c>&#x110000; &#xD800; &#233;</c></a>');
+
+    expect(xml.text(xml.child(doc, "c"))).toBe("&#x110000; &#xD800; é");
+    expect(xml.child(doc, "b").error).toBe("Invalid character reference &#0;");
+    expect(xml.findError(xml.child(doc, "c"))).toBe("Invalid character reference &#x110000;");
+    expect(xml.findError(doc)).toBe("Invalid character reference &#0;");
+  });
+
+  it("keeps CDATA verbatim", () => {
+    const doc = xml.parse("<a><![CDATA[<p>1 &amp; 2 < 3</p>]]></a>");
+
+    expect(xml.text(doc)).toBe("<p>1 &amp; 2 < 3</p>");
+  });
+
+  it("drops namespace prefixes from elements and attributes", () => {
+    const doc = xml.parse(
+      '<o:ONIXMessage xmlns:o="urn:x" o:release="3.0"><o:Header>h</o:Header></o:ONIXMessage>',
+    );
+
+    expect(doc.name).toBe("ONIXMessage");
+    expect(doc.attributes.release).toBe("3.0");
+    expect(xml.pathText(doc, "Header")).toBe("h");
+  });
+
+  it("skips comments, processing instructions and doctypes", () => {
+    const doc = xml.parse(
+      '<?xml version="1.0"?><!DOCTYPE a><!-- note --><a><!-- <b/> -->x</a>',
+    );
+
+    expect(doc.children).toEqual(["x"]);
+  });
+
+  it("does not expand entities declared in an internal subset", () => {
+    const doc = xml.parse(
+      '<!DOCTYPE a [<!ENTITY xxe SYSTEM "file:///etc/passwd">]><a>&xxe;</a>',
+    );
+
+    expect(xml.text(doc)).toBe("&xxe;");
+  });
+
+  it("ignores > inside quoted attribute values", () => {
+    const doc = xml.parse('<a rule="x > y">ok</a>');
+
+    expect(doc.attributes.rule).toBe("x > y");
+  });
+
+  it.each([
+    ["<a><b></a>", "unexpected closing tag </a>"],
+    ["<a>", "unclosed tag <a>"],
+    ["</a>", "unexpected closing tag </a>"],
+    ["just text", "no root element"],
+    ["<a><![CDATA[x</a>", "missing ]]>"],
+    ['<a title="x>', "missing >"],
+  ])("rejects %p", (input, message) => {
+    expect(() => xml.parse(input)).toThrow(message);
+  });
+});
+
+describe("parseOnixMessage", () => {
+  it("reads the feed header", () => {
+    const { feed } = parseOnixMessage(message(PAPERBACK));
+
+    expect(feed).toEqual({
+      feedRelease: "3.0",
+      feedSender: "Example Publishing",
+      feedSentAt: new Date("2026-04-10T14:30:00Z"),
+    });
+  });
+
+  it("maps a product to an import record", () => {
+    const { records } = parseOnixMessage(message(PAPERBACK));
+
+    expect(records).toEqual([
+      {
+        row: 1,
+        reference: "com.example.9780306406157",
+        relatedIsbns: ["9780804429573"],
+        data: {
+          isbn: "978-0-306-40615-7",
+          title: "The Left Hand of Darkness",
+          contributors: [
+            { name: "Ursula K. Le Guin", role: "author" },
+            { name: "Jane Drawer", role: "illustrator" },
+          ],
+          format: "paperback",
+          category: "Science Fiction & Fantasy",
+          language: "eng",
+          pageCount: "304",
+          heightMm: 198,
+          weightGrams: 350,
+          description: "<p>A <em>classic</em> & more</p>",
+          coverImageUrl: "https://covers.example.com/9780306406157.jpg",
+          publisher: "Ace Books",
+          publicationDate: "1969-03-01",
+          price: "10.99",
+          stock: "12",
+        },
+      },
+    ]);
+  });
+
+  it("reads prefixed reference tags", () => {
+    const prefixed = message(PAPERBACK)
+      .replace(/<(\/?)(?=[A-Z])/g, "<$1onix:")
+      .replace('xmlns="', 'xmlns:onix="');
+
+    const { records } = parseOnixMessage(prefixed);
+
+    expect(records[0].data.title).toBe("The Left Hand of Darkness");
+  });
+
+  it("leaves fields the feed doesn't send out of the record", () => {
+    const { records } = parseOnixMessage(message(`
+      <Product>
+        <RecordReference>minimal</RecordReference>
+        <ProductIdentifier><ProductIDType>02</ProductIDType><IDValue>0306406152</IDValue></ProductIdentifier>
+        <ProductSupply><SupplyDetail><ProductAvailability>40</ProductAvailability></SupplyDetail></ProductSupply>
+      </Product>`));
+
+    // unavailable with no stock figure means zero on hand
+    expect(records[0].data).toEqual({ isbn: "0306406152", stock: "0" });
+  });
+
+  it("reports unmappable products per record", () => {
+    const { records } = parseOnixMessage(message(`
+      <Product>
+        <RecordReference>no-isbn</RecordReference>
+        <ProductIdentifier><ProductIDType>01</ProductIDType><IDValue>SKU-1</IDValue></ProductIdentifier>
+      </Product>
+      <Product>
+        <RecordReference>deleted</RecordReference>
+        <NotificationType>05</NotificationType>
+        <ProductIdentifier><ProductIDType>15</ProductIDType><IDValue>9780306406157</IDValue></ProductIdentifier>
+      </Product>
+      ${PAPERBACK}`));
+
+    expect(records.map(({ row, reference, error }) => ({ row, reference, error }))).toEqual([
+      { row: 1, reference: "no-isbn", error: "Product has no ISBN identifier" },
+      { row: 2, reference: "deleted", error: "Deletion notices are not applied" },
+      { row: 3, reference: "com.example.9780306406157", error: undefined },
+    ]);
+  });
+
+  it("fails only the product with an out-of-range character reference", () => {
+    const { records } = parseOnixMessage(message(`
+      <Product>
+        <RecordReference>bad-char</RecordReference>
+        <ProductIdentifier><ProductIDType>15</ProductIDType><IDValue>9780306406157</IDValue></ProductIdentifier>
+        <DescriptiveDetail><TitleDetail><TitleType>01</TitleType><TitleElement>
+          <TitleElementLevel>01</TitleElementLevel><TitleText>Bad &#x110000; title</TitleText>
+        </TitleElement></TitleDetail></DescriptiveDetail>
+      </Product>
+      ${PAPERBACK}`));
+
+    expect(records[0]).toEqual({
+      row: 1,
+      reference: "bad-char",
+      error: "Invalid character reference &#x110000;",
+    });
+    expect(records[1].data).toHaveProperty("isbn");
+  });
+
+  it("rejects a message whose header has an out-of-range character reference", () => {
+    const bad = message(PAPERBACK).replace("Example Publishing", "Example &#99999999; Publishing");
+
+    expect(() => parseOnixMessage(bad)).toThrow(
+      "Invalid ONIX header: Invalid character reference &#99999999;",
+    );
+  });
+
+  it("rejects short-tag messages", () => {
+    expect(() => parseOnixMessage(message("", { root: "ONIXmessage" }))).toThrow(
+      "Short-tag ONIX is not supported; send reference tags",
+    );
+  });
+
+  it("rejects other releases and other documents", () => {
+    expect(() => parseOnixMessage(message("", { release: "2.1" }))).toThrow(
+      "Unsupported ONIX release 2.1; expected 3.0",
+    );
+    expect(() => parseOnixMessage("<rss></rss>")).toThrow("Not an ONIX message");
+  });
+
+  it("turns malformed XML into a bad request", () => {
+    expect(() => parseOnixMessage("<ONIXMessage>")).toThrow(
+      expect.objectContaining({ statusCode: 400 }),
+    );
+  });
+});
@@ -0,0 +1,269 @@
+jest.mock("../modules/collections/collection.repository");
+jest.mock("../modules/books/book.repository");
+jest.mock("../modules/slugs/slug.service");
+
+const { sequelize } = require("../models");
+const collectionRepo = require("../modules/collections/collection.repository");
+const bookRepo = require("../modules/books/book.repository");
+const slugService = require("../modules/slugs/slug.service");
+const collectionService = require("../modules/collections/collection.service");
+const { statusOf, isActive } = require("../modules/collections/collection.utils");
+const { createCollectionSchema } = require("../modules/collections/collection.validators");
+const { MANUAL, RULE } = require("../shared/constants/collectionMembership.constant");
+const { BadRequestError, NotFoundError } = require("../shared/errors");
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY);
+
+const book = (id) => ({ id, title: `Book ${id}`, slug: `book-${id}` });
+
+// in-memory Collection and CollectionBook tables
+let collections;
+let picks;
+
+const collection = (overrides) => ({
+  id: collections.length + 1,
+  name: "Summer reads",
+  slug: "summer-reads",
+  membership: MANUAL,
+  rules: null,
+  startsAt: null,
+  endsAt: null,
+  maxBooks: null,
+  ...overrides,
+});
+
+const addCollection = (overrides) => {
+  const created = collection(overrides);
+  collections.push(created);
+  return created;
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  collections = [];
+  picks = [];
+
+  collectionRepo.findById.mockImplementation(async (id) => collections.find((c) => c.id === Number(id)) || null);
+  collectionRepo.findBySlug.mockImplementation(async (slug) => collections.find((c) => c.slug === slug) || null);
+  collectionRepo.findByIdWithBooks.mockImplementation(async (id) => {
+    const found = collections.find((c) => c.id === Number(id));
+    return found && { ...found, CollectionBooks: picks.filter((p) => p.collectionId === found.id) };
+  });
+  collectionRepo.findBookIds.mockImplementation(async ({ collectionId, limit, offset }) => {
+    const rows = picks.filter((p) => p.collectionId === collectionId);
+    return { rows: rows.slice(offset, offset + limit), count: rows.length };
+  });
+  collectionRepo.create.mockImplementation(async (data) => addCollection(data));
+  collectionRepo.update.mockImplementation(async (id, data) => Object.assign(collections[id - 1], data));
+  collectionRepo.findEntry.mockImplementation(
+    async (collectionId, bookId) => picks.find((p) => p.collectionId === collectionId && p.bookId === bookId) || null,
+  );
+  collectionRepo.maxPosition.mockImplementation(async (collectionId) =>
+    Math.max(0, ...picks.filter((p) => p.collectionId === collectionId).map((p) => p.position)),
+  );
+  collectionRepo.createEntry.mockImplementation(async (data) => picks.push(data));
+  collectionRepo.replaceBooks.mockImplementation(async (collectionId, ids) => {
+    picks = [
+      ...picks.filter((p) => p.collectionId !== collectionId),
+      ...ids.map((bookId, position) => ({ collectionId, bookId, position })),
+    ];
+  });
+
+  jest.spyOn(sequelize, "transaction").mockImplementation(async (work) => work("tx"));
+
+  // book 404 is unknown; archived books don't come back either
+  bookRepo.findByIds.mockImplementation(async (ids) => ids.filter((id) => id !== 404).map(book));
+});
+
+afterEach(() => {
+  sequelize.transaction.mockRestore();
+});
+
+describe("collection schedule", () => {
+  it("is scheduled before startsAt, active until endsAt, then ended", () => {
+    const now = new Date("2026-06-01T00:00:00Z");
+    const summer = { startsAt: "2026-06-01T00:00:00Z", endsAt: "2026-09-01T00:00:00Z" };
+
+    expect(statusOf(summer, new Date("2026-05-31T23:59:59Z"))).toBe("scheduled");
+    expect(statusOf(summer, now)).toBe("active");
+    expect(statusOf(summer, new Date("2026-09-01T00:00:00Z"))).toBe("ended");
+    expect(isActive({ startsAt: null, endsAt: null }, now)).toBe(true);
+  });
+
+  it("hides scheduled and ended collections from shoppers", async () => {
+    addCollection({ slug: "soon", startsAt: daysFromNow(1) });
+    addCollection({ slug: "over", endsAt: daysFromNow(-1) });
+
+    await expect(collectionService.getBySlug("soon", {})).rejects.toThrow(NotFoundError);
+    await expect(collectionService.getBySlug("over", {})).rejects.toThrow("Collection not found");
+  });
+
+  it("shows admins every collection with its status", async () => {
+    collectionRepo.findAll.mockResolvedValue([
+      collection({ id: 1, startsAt: daysFromNow(1) }),
+      collection({ id: 2, endsAt: daysFromNow(1) }),
+    ]);
+
+    const list = await collectionService.getAll();
+
+    expect(list.map((c) => c.status)).toEqual(["scheduled", "active"]);
+  });
+
+  it("needs endsAt after startsAt, also against the stored dates", async () => {
+    await expect(
+      collectionService.create({ name: "Flash sale", startsAt: daysFromNow(2), endsAt: daysFromNow(1) }),
+    ).rejects.toThrow("endsAt must be after startsAt");
+
+    const sale = addCollection({ startsAt: daysFromNow(2) });
+
+    await expect(collectionService.update(sale.id, { endsAt: daysFromNow(1) })).rejects.toThrow(
+      BadRequestError,
+    );
+  });
+});
+
+describe("manual collections", () => {
+  it("shows the picked books in the order they were picked", async () => {
+    const summer = addCollection();
+    await collectionService.setBooks(summer.id, { bookIds: [3, 1, 2, 3] });
+
+    const page = await collectionService.getBySlug("summer-reads", { page: 1, limit: 2 });
+
+    expect(page.data.map((b) => b.id)).toEqual([3, 1]);
+    expect(page.meta).toEqual({ total: 3, page: 1, pages: 2 });
+  });
+
+  it("replaces the books in one transaction", async () => {
+    const summer = addCollection();
+
+    const updated = await collectionService.setBooks(summer.id, { bookIds: [2, 1] });
+
+    expect(collectionRepo.replaceBooks).toHaveBeenCalledWith(summer.id, [2, 1], "tx");
+    expect(updated.bookIds).toEqual([2, 1]);
+  });
+
+  it("refuses unknown books", async () => {
+    const summer = addCollection();
+
+    await expect(collectionService.setBooks(summer.id, { bookIds: [1, 404] })).rejects.toThrow(
+      "Unknown book 404",
+    );
+  });
+
+  it("skips books that were archived after being picked", async () => {
+    const summer = addCollection();
+    picks = [1, 404, 2].map((bookId, position) => ({ collectionId: summer.id, bookId, position }));
+
+    const page = await collectionService.getBySlug("summer-reads", {});
+
+    expect(page.data.map((b) => b.id)).toEqual([1, 2]);
+  });
+
+  it("appends a featured book once", async () => {
+    const featured = addCollection({ slug: "featured" });
+    picks = [{ collectionId: featured.id, bookId: 1, position: 1 }];
+
+    await collectionService.addBook("featured", 5);
+    await collectionService.addBook("featured", 5);
+
+    expect(picks).toEqual([
+      { collectionId: featured.id, bookId: 1, position: 1 },
+      { collectionId: featured.id, bookId: 5, position: 2 },
+    ]);
+  });
+});
+
+describe("rule-based collections", () => {
+  const rules = { tags: ["beach-read"], maxPrice: 10 };
+
+  beforeEach(() => {
+    bookRepo.findAll.mockImplementation(async ({ limit, offset }) => ({
+      rows: Array.from({ length: limit }, (_, i) => book(offset + i + 1)),
+      count: 40,
+    }));
+    bookRepo.count.mockResolvedValue(40);
+  });
+
+  it("lists the books matching its rules", async () => {
+    addCollection({ membership: RULE, rules });
+
+    const page = await collectionService.getBySlug("summer-reads", { page: 2, limit: 10 });
+
+    expect(bookRepo.findAll).toHaveBeenCalledWith({
+      category: undefined,
+      minPrice: undefined,
+      maxPrice: 10,
+      tagSlugs: ["beach-read"],
+      limit: 10,
+      offset: 10,
+    });
+    expect(page.meta).toEqual({ total: 40, page: 2, pages: 4 });
+  });
+
+  it("stops at maxBooks", async () => {
+    addCollection({ membership: RULE, rules, maxBooks: 15 });
+
+    const second = await collectionService.getBySlug("summer-reads", { page: 2, limit: 10 });
+    expect(bookRepo.findAll).toHaveBeenLastCalledWith(expect.objectContaining({ limit: 5, offset: 10 }));
+    expect(second.data).toHaveLength(5);
+    expect(second.meta).toEqual({ total: 15, page: 2, pages: 2 });
+
+    // past the cap there's nothing to fetch, only the total
+    bookRepo.findAll.mockClear();
+    const third = await collectionService.getBySlug("summer-reads", { page: 3, limit: 10 });
+    expect(bookRepo.findAll).not.toHaveBeenCalled();
+    expect(third).toMatchObject({ data: [], meta: { total: 15 } });
+  });
+
+  it("won't take hand-picked books", async () => {
+    const sale = addCollection({ membership: RULE, rules });
+
+    await expect(collectionService.setBooks(sale.id, { bookIds: [1] })).rejects.toThrow(
+      "Books of a rule-based collection follow its rules",
+    );
+  });
+
+  it("drops the picks when a collection switches to rules", async () => {
+    const summer = addCollection();
+
+    await expect(collectionService.update(summer.id, { membership: RULE })).rejects.toThrow(
+      "A rule-based collection needs rules",
+    );
+
+    await collectionService.update(summer.id, { membership: RULE, rules });
+    expect(collectionRepo.deleteBooks).toHaveBeenCalledWith(summer.id);
+
+    await collectionService.update(summer.id, { membership: MANUAL });
+    expect(collectionRepo.update).toHaveBeenLastCalledWith(summer.id, { membership: MANUAL, rules: null });
+  });
+
+  it("only accepts rules on rule-based collections", () => {
+    const base = { name: "Under $10" };
+
+    expect(createCollectionSchema.validate({ ...base, membership: RULE }).error).toBeDefined();
+    expect(createCollectionSchema.validate({ ...base, membership: RULE, rules: {} }).error).toBeDefined();
+    expect(createCollectionSchema.validate({ ...base, membership: RULE, rules }).error).toBeUndefined();
+    expect(createCollectionSchema.validate({ ...base, membership: MANUAL, rules }).error).toBeDefined();
+  });
+});
+
+describe("collection slugs", () => {
+  it("generates a slug from the name", async () => {
+    slugService.generate.mockResolvedValue("back-to-school");
+
+    const created = await collectionService.create({ name: "Back to school", membership: MANUAL });
+
+    expect(created.slug).toBe("back-to-school");
+  });
+
+  it("redirects a former slug to the current one", async () => {
+    const summer = addCollection();
+    slugService.resolveRedirect.mockResolvedValue(summer.id);
+
+    const page = await collectionService.getBySlug("summer-2025", {});
+
+    expect(slugService.resolveRedirect).toHaveBeenCalledWith("collection", "summer-2025");
+    expect(page.redirectTo).toBe("summer-reads");
+  });
+});
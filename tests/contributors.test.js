@@ -0,0 +1,216 @@
+jest.mock("../modules/contributors/contributor.repository");
+jest.mock("../modules/slugs/slug.service");
+
+const { Op } = require("sequelize");
+const contributorRepo = require("../modules/contributors/contributor.repository");
+const slugService = require("../modules/slugs/slug.service");
+const contributorService = require("../modules/contributors/contributor.service");
+const bookRepo = require("../modules/books/book.repository");
+const { bookDTO } = require("../modules/books/book.dto");
+const { toNameKey, splitNames, byline } = require("../modules/contributors/contributor.utils");
+const { AUTHOR, TRANSLATOR, ILLUSTRATOR } = require("../shared/constants/contributorRole.constant");
+const { NotFoundError } = require("../shared/errors");
+
+const { bookIdsByContributorName } = jest.requireActual(
+  "../modules/contributors/contributor.repository",
+);
+
+// in-memory Contributor table
+let people;
+
+const slugOf = (name) => name.toLowerCase().replace(/\W+/g, "-");
+const person = (id, name) => ({ id, name, nameKey: toNameKey(name), slug: slugOf(name) });
+
+const credit = (role, contributor, bookId = 9) => ({ bookId, role, Contributor: contributor });
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  people = [person(1, "Frank Herbert"), person(2, "Brian Herbert")];
+
+  contributorRepo.findById.mockImplementation(async (id) => people.find((p) => p.id === Number(id)) || null);
+  contributorRepo.findBySlug.mockImplementation(async (slug) => people.find((p) => p.slug === slug) || null);
+  contributorRepo.findByIds.mockImplementation(async (ids) => people.filter((p) => ids.includes(p.id)));
+  contributorRepo.findByNameKey.mockImplementation(
+    async (nameKey) => people.find((p) => p.nameKey === nameKey) || null,
+  );
+  contributorRepo.create.mockImplementation(async (data) => {
+    const created = { id: people.length + 1, ...data };
+    people.push(created);
+    return created;
+  });
+  slugService.generate.mockImplementation(async (type, name) => slugOf(name));
+});
+
+describe("contributor utils", () => {
+  it("matches names regardless of accents, case, spacing and punctuation", () => {
+    expect(toNameKey("J. K. Rowling")).toBe("jkrowling");
+    expect(toNameKey("J.K. Rowling")).toBe("jkrowling");
+    expect(toNameKey("Gabriel García Márquez")).toBe(toNameKey("gabriel garcia marquez"));
+  });
+
+  it("splits a semicolon separated cell into names", () => {
+    expect(splitNames(" Terry Pratchett ; Neil Gaiman;; ")).toEqual(["Terry Pratchett", "Neil Gaiman"]);
+  });
+
+  it("builds the byline from the authors only", () => {
+    const [frank, brian] = people;
+
+    const credits = [credit(AUTHOR, frank), credit(TRANSLATOR, { name: "Anne T." }), credit(AUTHOR, brian)];
+
+    expect(byline(credits)).toBe("Frank Herbert, Brian Herbert");
+    expect(byline([credit(ILLUSTRATOR, frank)])).toBeNull();
+    expect(byline()).toBeNull();
+  });
+
+  it("shows the byline and every credit on a book", () => {
+    const [frank] = people;
+    const dto = bookDTO({
+      id: 9,
+      title: "Dune",
+      BookContributors: [credit(AUTHOR, frank), credit(TRANSLATOR, person(3, "Anne Translator"))],
+    });
+
+    expect(dto.author).toBe("Frank Herbert");
+    expect(dto.contributors).toEqual([
+      { id: 1, name: "Frank Herbert", slug: "frank-herbert", role: AUTHOR },
+      { id: 3, name: "Anne Translator", slug: "anne-translator", role: TRANSLATOR },
+    ]);
+  });
+});
+
+describe("book credits", () => {
+  it("links known people by id or normalized name and creates the rest", async () => {
+    await contributorService.setBookCredits(9, [
+      { contributorId: 1, role: AUTHOR },
+      { name: "brian  herbert", role: AUTHOR },
+      { name: "Anne Translator", role: TRANSLATOR },
+    ], { transaction: "tx" });
+
+    expect(contributorRepo.create).toHaveBeenCalledTimes(1);
+    expect(contributorRepo.create).toHaveBeenCalledWith(
+      { name: "Anne Translator", nameKey: "annetranslator", slug: "anne-translator" },
+      "tx",
+    );
+    expect(contributorRepo.replaceCredits).toHaveBeenCalledWith(9, [
+      { contributorId: 1, role: AUTHOR, position: 0 },
+      { contributorId: 2, role: AUTHOR, position: 1 },
+      { contributorId: 3, role: TRANSLATOR, position: 2 },
+    ], { roles: undefined, transaction: "tx" });
+  });
+
+  it("keeps one credit per person and role", async () => {
+    await contributorService.setBookCredits(9, [
+      { contributorId: 1, role: AUTHOR },
+      { name: "Frank Herbert", role: AUTHOR },
+      { name: "frank herbert", role: ILLUSTRATOR },
+    ]);
+
+    expect(contributorRepo.replaceCredits.mock.calls[0][1]).toEqual([
+      { contributorId: 1, role: AUTHOR, position: 0 },
+      { contributorId: 1, role: ILLUSTRATOR, position: 2 },
+    ]);
+  });
+
+  it("only replaces the given roles", async () => {
+    await contributorService.setBookCredits(9, [{ name: "Frank Herbert", role: AUTHOR }], {
+      roles: [AUTHOR],
+    });
+
+    expect(contributorRepo.replaceCredits).toHaveBeenCalledWith(9, expect.any(Array), {
+      roles: [AUTHOR],
+      transaction: undefined,
+    });
+  });
+
+  it("refuses unknown ids and names without letters or digits", async () => {
+    await expect(
+      contributorService.setBookCredits(9, [{ contributorId: 404, role: AUTHOR }]),
+    ).rejects.toThrow("Unknown contributor 404");
+    await expect(
+      contributorService.setBookCredits(9, [{ name: "...", role: AUTHOR }]),
+    ).rejects.toThrow('"..." is not a name');
+    expect(contributorRepo.replaceCredits).not.toHaveBeenCalled();
+  });
+});
+
+describe("author pages", () => {
+  beforeEach(() => {
+    contributorRepo.findCreditsByContributor.mockResolvedValue([
+      { bookId: 9, role: AUTHOR },
+      { bookId: 9, role: ILLUSTRATOR },
+      { bookId: 10, role: AUTHOR },
+    ]);
+    contributorRepo.findBooks.mockResolvedValue({
+      rows: [{ id: 9, title: "Dune" }, { id: 10, title: "Dune Messiah" }],
+      count: 2,
+    });
+  });
+
+  it("lists every credited book with the person's roles on it", async () => {
+    const page = await contributorService.getAuthor("frank-herbert", { page: 1, limit: 10 });
+
+    expect(contributorRepo.findBooks).toHaveBeenCalledWith([9, 10], { limit: 10, offset: 0 });
+    expect(page.author).toEqual(expect.objectContaining({ id: 1, slug: "frank-herbert" }));
+    expect(page.redirectTo).toBeUndefined();
+    expect(page.data.map(({ id, roles }) => ({ id, roles }))).toEqual([
+      { id: 9, roles: [AUTHOR, ILLUSTRATOR] },
+      { id: 10, roles: [AUTHOR] },
+    ]);
+    expect(page.meta).toEqual({ total: 2, page: 1, pages: 1 });
+  });
+
+  it("is reachable by id", async () => {
+    await expect(contributorService.getAuthor("1", {})).resolves.not.toHaveProperty("redirectTo");
+  });
+
+  it("points a former slug at the current one", async () => {
+    slugService.resolveRedirect.mockResolvedValue(1);
+
+    const page = await contributorService.getAuthor("f-herbert", {});
+
+    expect(page.redirectTo).toBe("frank-herbert");
+    expect(page.author.id).toBe(1);
+  });
+
+  it("404s for nobody", async () => {
+    slugService.resolveRedirect.mockResolvedValue(null);
+
+    await expect(contributorService.getAuthor("nobody", {})).rejects.toThrow(NotFoundError);
+    await expect(contributorService.getAuthor("404", {})).rejects.toThrow("Author not found");
+  });
+
+  it("keeps the slug on a rename", async () => {
+    contributorRepo.update.mockImplementation(async (id, data) => ({ ...people[0], ...data }));
+
+    const updated = await contributorService.update(1, { name: "Franklin Herbert" });
+
+    expect(contributorRepo.update).toHaveBeenCalledWith(1, {
+      name: "Franklin Herbert",
+      nameKey: "franklinherbert",
+    });
+    expect(updated.slug).toBe("frank-herbert");
+    expect(slugService.change).not.toHaveBeenCalled();
+  });
+});
+
+describe("search by contributor", () => {
+  it("matches titles or anyone credited on the book", () => {
+    contributorRepo.bookIdsByContributorName.mockReturnValue("credited-books");
+
+    const { where } = bookRepo.buildFilters({ search: "herbert" });
+
+    expect(contributorRepo.bookIdsByContributorName).toHaveBeenCalledWith("herbert");
+    expect(where[Op.or]).toEqual([
+      { title: { [Op.iLike]: "%herbert%" } },
+      { id: { [Op.in]: "credited-books" } },
+    ]);
+  });
+
+  it("looks names up in a subquery with the term escaped", () => {
+    const sql = bookIdsByContributorName("O'Brien").val;
+
+    expect(sql).toMatch(/SELECT bc\."bookId" FROM "BookContributors" bc/);
+    expect(sql).toMatch(/JOIN "Contributors" c ON c\.id = bc\."contributorId"/);
+    expect(sql).toContain("WHERE c.name ILIKE '%O''Brien%'");
+  });
+});
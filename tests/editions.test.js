@@ -0,0 +1,185 @@
+jest.mock("../modules/books/book.repository");
+jest.mock("../modules/cart/cart.repository");
+jest.mock("../modules/orders/order.repository");
+jest.mock("../modules/users/user.repository");
+jest.mock("../modules/settings/setting.repository");
+
+const { sequelize } = require("../models");
+const bookRepo = require("../modules/books/book.repository");
+const cartRepo = require("../modules/cart/cart.repository");
+const orderRepo = require("../modules/orders/order.repository");
+const userRepo = require("../modules/users/user.repository");
+const cartService = require("../modules/cart/cart.service");
+const orderService = require("../modules/orders/order.service");
+const { bookDTO } = require("../modules/books/book.dto");
+const { hasStock, isDigital, lowestPrice } = require("../modules/books/book.utils");
+const { HARDCOVER, PAPERBACK, EBOOK, AUDIOBOOK } = require("../shared/constants/bookFormat.constant");
+const { NotFoundError } = require("../shared/errors");
+
+const USER_ID = 1;
+
+const book = { id: 9, title: "Dune", preorderEnabled: false, releaseDate: null };
+
+// in-memory editions and cart
+let editions;
+let cartItems;
+
+const edition = (id, format, price, stock) => ({ id, bookId: book.id, format, price, stock, Book: book });
+
+beforeEach(() => {
+  jest.resetAllMocks();
+
+  editions = [
+    edition(1, HARDCOVER, 30, 2),
+    edition(2, PAPERBACK, 12, 0),
+    edition(3, EBOOK, 9, 0),
+    edition(4, AUDIOBOOK, 20, 0),
+  ];
+  cartItems = [];
+
+  bookRepo.findEditionById.mockImplementation(async (id) => editions.find((e) => e.id === id) || null);
+  cartRepo.getOrCreateCart.mockImplementation(async () => ({
+    id: 1,
+    CartItems: cartItems.map((item) => ({ ...item, Edition: editions.find((e) => e.id === item.editionId) })),
+  }));
+  cartRepo.addOrUpdateItem.mockImplementation(async (userId, editionId, quantity) => {
+    const item = cartItems.find((i) => i.editionId === editionId);
+    if (item) item.quantity += quantity;
+    else cartItems.push({ id: cartItems.length + 1, editionId, quantity });
+  });
+});
+
+describe("edition utils", () => {
+  it("treat ebooks and audiobooks as digital, without stock", () => {
+    expect(editions.map(isDigital)).toEqual([false, false, true, true]);
+    expect(hasStock(editions[0], 2)).toBe(true);
+    expect(hasStock(editions[0], 3)).toBe(false);
+    expect(hasStock(editions[1])).toBe(false);
+    expect(hasStock(editions[2], 100)).toBe(true);
+  });
+
+  it("price a book from its cheapest edition", () => {
+    expect(lowestPrice(editions)).toBe(9);
+    expect(lowestPrice([])).toBeNull();
+  });
+});
+
+describe("book detail", () => {
+  it("lists every edition with its own price, stock and availability", () => {
+    const dto = bookDTO({ ...book, Editions: editions });
+
+    expect(dto.priceFrom).toBe(9);
+    expect(dto.editions.map(({ id, format, price, available }) => ({ id, format, price, available }))).toEqual([
+      { id: 1, format: HARDCOVER, price: 30, available: true },
+      { id: 2, format: PAPERBACK, price: 12, available: false },
+      { id: 3, format: EBOOK, price: 9, available: true },
+      // listed, but can't be delivered yet
+      { id: 4, format: AUDIOBOOK, price: 20, available: false },
+    ]);
+  });
+});
+
+describe("cart editions", () => {
+  it("adds an edition and prices it at that edition", async () => {
+    const cart = await cartService.addToCart(USER_ID, { editionId: 1, quantity: 2 });
+
+    expect(cart.items).toEqual([
+      expect.objectContaining({ bookId: 9, editionId: 1, format: HARDCOVER, price: 30, subtotal: 60 }),
+    ]);
+    expect(cart.total).toBe(60);
+  });
+
+  it("checks stock per edition, counting what is already in the cart", async () => {
+    await cartService.addToCart(USER_ID, { editionId: 1, quantity: 2 });
+
+    await expect(cartService.addToCart(USER_ID, { editionId: 1, quantity: 1 })).rejects.toThrow(
+      "Not enough stock",
+    );
+    await expect(cartService.addToCart(USER_ID, { editionId: 2, quantity: 1 })).rejects.toThrow(
+      "Not enough stock",
+    );
+  });
+
+  it("ignores stock for ebooks", async () => {
+    await expect(
+      cartService.addToCart(USER_ID, { editionId: 3, quantity: 5 }),
+    ).resolves.toHaveProperty("total", 45);
+  });
+
+  it("refuses audiobooks until they can be delivered", async () => {
+    await expect(cartService.addToCart(USER_ID, { editionId: 4, quantity: 1 })).rejects.toThrow(
+      "audiobook editions can't be bought yet",
+    );
+  });
+
+  it("hides unknown editions and editions of archived books", async () => {
+    editions.push({ ...edition(5, PAPERBACK, 10, 5), Book: null });
+
+    await expect(cartService.addToCart(USER_ID, { editionId: 404, quantity: 1 })).rejects.toThrow(
+      NotFoundError,
+    );
+    await expect(cartService.addToCart(USER_ID, { editionId: 5, quantity: 1 })).rejects.toThrow(
+      "Edition not found",
+    );
+  });
+});
+
+describe("ordering editions", () => {
+  let locked;
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, "transaction").mockImplementation(async (work) => work("tx"));
+
+    locked = [];
+    bookRepo.findEditionForUpdate.mockImplementation(async (id) => {
+      const row = editions.find((e) => e.id === id);
+      locked.push(id);
+      return { ...row, decrement: jest.fn(async (field, { by }) => (row[field] -= by)) };
+    });
+
+    userRepo.findById.mockResolvedValue({ id: USER_ID, emailVerifiedAt: new Date() });
+    orderRepo.create.mockImplementation(async (data) => ({ id: 100, ...data }));
+    orderRepo.findById.mockImplementation(async () => ({
+      id: 100,
+      total: orderRepo.create.mock.calls[0][0].total,
+      status: "pending",
+      OrderItems: orderRepo.bulkCreateItems.mock.calls[0][1],
+    }));
+  });
+
+  afterEach(() => {
+    sequelize.transaction.mockRestore();
+  });
+
+  it("snapshots each edition's price and takes stock from the physical ones only", async () => {
+    cartItems = [
+      { id: 1, editionId: 1, quantity: 2 },
+      { id: 2, editionId: 3, quantity: 1 },
+    ];
+
+    const order = await orderService.createOrder(USER_ID);
+
+    expect(order.total).toBe(69);
+    expect(orderRepo.bulkCreateItems).toHaveBeenCalledWith(
+      100,
+      [
+        { bookId: 9, editionId: 1, title: "Dune", price: 30, quantity: 2 },
+        { bookId: 9, editionId: 3, title: "Dune", price: 9, quantity: 1 },
+      ],
+      "tx",
+    );
+    expect(locked).toEqual([1]);
+    expect(editions[0].stock).toBe(0);
+    expect(cartRepo.clearCart).toHaveBeenCalledWith(USER_ID);
+  });
+
+  it("rechecks stock on the locked row", async () => {
+    cartItems = [{ id: 1, editionId: 1, quantity: 2 }];
+    editions[0].stock = 1;
+
+    await expect(orderService.createOrder(USER_ID)).rejects.toThrow(
+      "Not enough stock for Dune (hardcover)",
+    );
+    expect(orderRepo.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+const http = require("http");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * A local OpenID provider for tests: discovery, JWKS, an authorize
+ * endpoint that consents straight away, and a token endpoint that checks
+ * the PKCE verifier before issuing an RS256 ID token.
+ *
+ * Options:
+ * - multiTenant: publish a "{tenantid}" issuer template like Microsoft's
+ *   /common endpoint and issue tokens for tenant "tenant-1"
+ * - metadataIssuer: advertise a different issuer in the discovery document
+ *
+ * Set `idp.nextIdToken = { claims, algorithm, key }` to change the next
+ * ID token (extra/overridden claims, or a different signature).
+ */
+exports.startMockIdp = async ({ multiTenant = false, metadataIssuer } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  const grants = new Map();
+
+  const idp = {
+    tenant: "tenant-1",
+    user: {
+      sub: "mock-user-1",
+      email: "oidc.reader@example.com",
+      email_verified: true,
+      name: "Oidc Reader",
+    },
+    tokenRequests: [],
+    nextIdToken: null,
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const issueIdToken = (grant) => {
+    const { claims = {}, algorithm = "RS256", key = privateKey } = idp.nextIdToken || {};
+    idp.nextIdToken = null;
+
+    const now = Math.floor(Date.now() / 1000);
+
+    const payload = {
+      iss: multiTenant ? `${idp.origin}/${idp.tenant}/v2.0` : idp.issuer,
+      aud: grant.client_id,
+      iat: now,
+      exp: now + 300,
+      nonce: grant.nonce,
+      ...(multiTenant ? { tid: idp.tenant } : {}),
+      ...idp.user,
+      ...claims,
+    };
+
+    return jwt.sign(payload, key, { algorithm, keyid: kid });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, idp.origin);
+
+    if (url.pathname.endsWith("/.well-known/openid-configuration")) {
+      return send(res, 200, {
+        issuer: metadataIssuer || (multiTenant ? `${idp.origin}/{tenantid}/v2.0` : idp.issuer),
+        authorization_endpoint: `${idp.origin}/authorize`,
+        token_endpoint: `${idp.origin}/token`,
+        jwks_uri: `${idp.origin}/jwks`,
+        code_challenge_methods_supported: ["S256"],
+        id_token_signing_alg_values_supported: ["RS256"],
+      });
+    }
+
+    if (url.pathname === "/jwks") {
+      return send(res, 200, {
+        keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }],
+      });
+    }
+
+    // the user consents at once; redirect back with a one-time code
+    if (url.pathname === "/authorize") {
+      const params = Object.fromEntries(url.searchParams);
+      const code = crypto.randomBytes(16).toString("hex");
+      grants.set(code, params);
+
+      const callback = new URL(params.redirect_uri);
+      callback.searchParams.set("code", code);
+      callback.searchParams.set("state", params.state);
+
+      res.writeHead(302, { Location: callback.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === "/token" && req.method === "POST") {
+      let raw = "";
+      for await (const chunk of req) raw += chunk;
+
+      const form = Object.fromEntries(new URLSearchParams(raw));
+      idp.tokenRequests.push(form);
+
+      const grant = grants.get(form.code);
+      grants.delete(form.code);
+
+      if (!grant || grant.client_id !== form.client_id || grant.redirect_uri !== form.redirect_uri) {
+        return send(res, 400, { error: "invalid_grant" });
+      }
+
+      const challenge = crypto
+        .createHash("sha256")
+        .update(form.code_verifier || "")
+        .digest("base64url");
+
+      if (grant.code_challenge_method !== "S256" || grant.code_challenge !== challenge) {
+        return send(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+      }
+
+      return send(res, 200, {
+        access_token: crypto.randomBytes(16).toString("hex"),
+        token_type: "Bearer",
+        expires_in: 300,
+        id_token: issueIdToken(grant),
+      });
+    }
+
+    return send(res, 404, { error: "not_found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  idp.origin = `http://127.0.0.1:${server.address().port}`;
+  // what a provider is configured with
+  idp.issuer = multiTenant ? `${idp.origin}/common/v2.0` : idp.origin;
+
+  // follows an authorization URL like a browser would; returns the callback's query
+  idp.authorize = async (authorizationUrl) => {
+    const response = await fetch(authorizationUrl, { redirect: "manual" });
+    const callback = new URL(response.headers.get("location"));
+
+    return Object.fromEntries(callback.searchParams);
+  };
+
+  idp.close = () =>
+    new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+
+  return idp;
+};
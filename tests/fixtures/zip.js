@@ -0,0 +1,104 @@
+// Minimal stored (uncompressed) ZIP writer and reader for ebook fixtures.
+
+// bitwise CRC-32, independent of the table-driven one in watermark.util
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// entries: [[name, content]]; the first entry comes first in the archive
+exports.buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of entries) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+/**
+ * Reads a stored ZIP through its central directory, checking each
+ * entry's local header and CRC. Returns { entries: [{ name, content }], comment }.
+ */
+exports.readZip = (buffer) => {
+  let eocd = buffer.length - 22;
+  while (eocd >= 0 && buffer.readUInt32LE(eocd) !== 0x06054b50) eocd--;
+  if (eocd < 0) throw new Error("No end of central directory");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  const commentLength = buffer.readUInt16LE(eocd + 20);
+  let position = buffer.readUInt32LE(eocd + 16);
+
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(position) !== 0x02014b50) throw new Error("Bad central header");
+
+    const crc = buffer.readUInt32LE(position + 16);
+    const size = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const entryCommentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString("utf8", position + 46, position + 46 + nameLength);
+
+    if (buffer.readUInt32LE(localOffset) !== 0x04034b50) throw new Error(`Bad local header for ${name}`);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    const content = buffer.subarray(start, start + size);
+
+    if (crc32(content) !== crc) throw new Error(`CRC mismatch for ${name}`);
+
+    entries.push({ name, content: content.toString("utf8") });
+    position += 46 + nameLength + extraLength + entryCommentLength;
+  }
+
+  return {
+    entries,
+    comment: buffer.toString("utf8", eocd + 22, eocd + 22 + commentLength),
+  };
+};
@@ -0,0 +1,189 @@
+jest.mock("../modules/users/user.repository");
+jest.mock("../modules/roles/role.repository");
+jest.mock("../modules/sessions/session.repository");
+jest.mock("../modules/impersonations/impersonation.repository");
+jest.mock("../shared/logger/logger");
+jest.mock("../shared/queues/queue.service");
+jest.mock("../events/event.publisher", () => ({ publish: jest.fn() }));
+
+const jwt = require("jsonwebtoken");
+const userRepo = require("../modules/users/user.repository");
+const roleRepo = require("../modules/roles/role.repository");
+const sessionRepo = require("../modules/sessions/session.repository");
+const impersonationRepo = require("../modules/impersonations/impersonation.repository");
+const roleService = require("../modules/roles/role.service");
+const adminService = require("../modules/admin/admin.service");
+const authService = require("../modules/auth/auth.service");
+const auth = require("../middlewares/auth.middleware");
+const { denyImpersonation } = require("../middlewares/impersonation.middleware");
+const { IMPERSONATION_TTL_MINUTES } = require("../modules/auth/auth.utils");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../shared/errors");
+
+const ADMIN_ID = 99;
+const customer = { id: 5, name: "Ada Reader", email: "ada@example.com", role: "user" };
+
+// in-memory stand-in for the Impersonation table
+let impersonations;
+
+// runs the auth middleware for a bearer token; `finish` fires the response's finish listeners
+const authenticate = async (token, { method = "GET", path = "/api/v1/cart" } = {}) => {
+  const listeners = [];
+  const req = { headers: { authorization: `Bearer ${token}` }, method, originalUrl: path };
+  const res = {
+    statusCode: 200,
+    set: jest.fn(),
+    on: (event, listener) => listeners.push(listener),
+  };
+
+  const err = await new Promise((resolve) => auth(req, res, resolve));
+  const finish = () => listeners.forEach((listener) => listener());
+
+  return { err, req, res, finish };
+};
+
+// the handlers of a route, in order
+const handlersOf = (router, method, path) => {
+  const layer = router.stack.find((l) => l.route && l.route.path === path && l.route.methods[method]);
+  return layer.route.stack.map((l) => l.handle);
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  roleService.clearCache();
+  impersonations = [];
+
+  userRepo.findById.mockImplementation(async (id) => (id === customer.id ? customer : null));
+  roleRepo.findByName.mockImplementation(async (name) => ({
+    name,
+    Permissions: name === "support_agent" ? [{ name: "orders:read" }] : [],
+  }));
+  impersonationRepo.create.mockImplementation(async (data) => {
+    const row = { id: impersonations.length + 1, endedAt: null, ...data };
+    impersonations.push(row);
+    return row;
+  });
+  impersonationRepo.findById.mockImplementation(
+    async (id) => impersonations.find((row) => row.id === id) || null,
+  );
+  impersonationRepo.end.mockImplementation(async (id) => {
+    impersonations.find((row) => row.id === id).endedAt = new Date();
+  });
+  impersonationRepo.logRequest.mockResolvedValue({});
+});
+
+describe("starting an impersonation", () => {
+  it("issues a short-lived token marked with the impersonator", async () => {
+    const result = await adminService.impersonateUser(
+      ADMIN_ID,
+      customer.id,
+      { reason: "Cart shows the wrong total" },
+      { ip: "198.51.100.4" },
+    );
+
+    const claims = jwt.decode(result.accessToken);
+    expect(claims).toMatchObject({ id: customer.id, impersonatorId: ADMIN_ID, sid: 1, mfa: false });
+    expect(claims.exp - claims.iat).toBe(IMPERSONATION_TTL_MINUTES * 60);
+    expect(result).not.toHaveProperty("refreshToken");
+  });
+
+  it("records who, whom, why and from where", async () => {
+    await adminService.impersonateUser(ADMIN_ID, customer.id, { reason: "Ticket #12" }, { ip: "198.51.100.4" });
+
+    expect(impersonations).toEqual([
+      expect.objectContaining({
+        adminId: ADMIN_ID,
+        userId: customer.id,
+        reason: "Ticket #12",
+        ip: "198.51.100.4",
+        expiresAt: expect.any(Date),
+      }),
+    ]);
+  });
+
+  it("refuses yourself, staff accounts and unknown users", async () => {
+    userRepo.findById.mockImplementation(async (id) => ({ id, role: id === 7 ? "support_agent" : "admin" }));
+
+    await expect(adminService.impersonateUser(ADMIN_ID, ADMIN_ID)).rejects.toThrow(BadRequestError);
+    await expect(adminService.impersonateUser(ADMIN_ID, 7)).rejects.toThrow(
+      "Staff accounts can't be impersonated",
+    );
+
+    userRepo.findById.mockResolvedValue(null);
+    await expect(adminService.impersonateUser(ADMIN_ID, 404)).rejects.toThrow(NotFoundError);
+    expect(impersonationRepo.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("impersonation tokens", () => {
+  const start = async () => {
+    const { accessToken } = await adminService.impersonateUser(ADMIN_ID, customer.id);
+    return accessToken;
+  };
+
+  it("authenticate as the user and flag the response", async () => {
+    const { err, req, res } = await authenticate(await start());
+
+    expect(err).toBeUndefined();
+    expect(req.user).toMatchObject({ id: customer.id, impersonatorId: ADMIN_ID });
+    expect(res.set).toHaveBeenCalledWith("X-Impersonated-By", String(ADMIN_ID));
+    // no Session row behind them
+    expect(sessionRepo.findById).not.toHaveBeenCalled();
+  });
+
+  it("log every request made with them", async () => {
+    const { res, finish } = await authenticate(await start(), { method: "POST", path: "/api/v1/cart/items" });
+    res.statusCode = 201;
+
+    finish();
+
+    expect(impersonationRepo.logRequest).toHaveBeenCalledWith({
+      impersonationId: 1,
+      method: "POST",
+      path: "/api/v1/cart/items",
+      statusCode: 201,
+    });
+  });
+
+  it("stop working once the impersonation ends", async () => {
+    const token = await start();
+    await adminService.endImpersonation(1);
+
+    const { err } = await authenticate(token);
+
+    expect(err).toMatchObject({ statusCode: 401, message: "Impersonation session has ended" });
+  });
+
+  it("end the impersonation on logout", async () => {
+    const token = await start();
+    const { req } = await authenticate(token);
+
+    await authService.logout(req.user);
+
+    expect(impersonations[0].endedAt).toBeInstanceOf(Date);
+    expect(sessionRepo.revoke).not.toHaveBeenCalled();
+  });
+});
+
+describe("actions kept from impersonators", () => {
+  const deny = (user) => new Promise((resolve) => denyImpersonation({ user }, {}, resolve));
+
+  it("are refused with an impersonation token and allowed otherwise", async () => {
+    await expect(deny({ id: customer.id, impersonatorId: ADMIN_ID })).resolves.toBeInstanceOf(
+      ForbiddenError,
+    );
+    await expect(deny({ id: customer.id })).resolves.toBeUndefined();
+  });
+
+  it.each([
+    ["users", "put", "/me"],
+    ["users", "delete", "/me/sessions/:id"],
+    ["auth", "post", "/2fa/disable"],
+    ["payments", "post", "/create-intent"],
+    ["library", "post", "/:id/download-link"],
+  ])("covers %s %s %s", (module, method, path) => {
+    const file = { users: "user", auth: "auth", payments: "payment", library: "library" }[module];
+    const router = require(`../modules/${module}/${file}.routes`);
+
+    expect(handlersOf(router, method, path)).toContain(denyImpersonation);
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn10,
+  toIsbn13,
+  normalizeIsbn,
+} = require("../shared/utils/isbn.util");
+
+describe("isbn util", () => {
+  describe("validation", () => {
+    it.each(["0306406152", "0-306-40615-2", "080442957X", "080442957x"])(
+      "accepts the ISBN-10 %s",
+      (isbn) => expect(isValidIsbn10(isbn)).toBe(true),
+    );
+
+    it.each(["0306406153", "030640615", "03064061522", "X306406152"])(
+      "rejects the ISBN-10 %s",
+      (isbn) => expect(isValidIsbn10(isbn)).toBe(false),
+    );
+
+    it.each(["9780306406157", "978-0-306-40615-7", "979 10 90636 07 1"])(
+      "accepts the ISBN-13 %s",
+      (isbn) => expect(isValidIsbn13(isbn)).toBe(true),
+    );
+
+    it.each(["9780306406158", "1234567890128", "978030640615"])(
+      "rejects the ISBN-13 %s",
+      (isbn) => expect(isValidIsbn13(isbn)).toBe(false),
+    );
+  });
+
+  describe("conversion", () => {
+    it("converts between ISBN-10 and ISBN-13", () => {
+      expect(toIsbn13("0-306-40615-2")).toBe("9780306406157");
+      expect(toIsbn10("9780306406157")).toBe("0306406152");
+    });
+
+    it("recomputes an X check digit", () => {
+      expect(toIsbn10("9780804429573")).toBe("080442957X");
+      expect(toIsbn13("080442957X")).toBe("9780804429573");
+    });
+
+    it("has no ISBN-10 for 979 prefixes", () => {
+      expect(toIsbn10("9791090636071")).toBeNull();
+    });
+  });
+
+  describe("normalizeIsbn", () => {
+    it("returns both canonical forms whichever form it is given", () => {
+      const expected = { isbn13: "9780306406157", isbn10: "0306406152" };
+
+      expect(normalizeIsbn("0-306-40615-2")).toEqual(expected);
+      expect(normalizeIsbn("978-0-306-40615-7")).toEqual(expected);
+      expect(normalizeIsbn(" 978 0 306 40615 7 ")).toEqual(expected);
+    });
+
+    it("upper-cases a lower-case x check digit", () => {
+      expect(normalizeIsbn("080442957x")).toEqual({
+        isbn13: "9780804429573",
+        isbn10: "080442957X",
+      });
+    });
+
+    it("keeps 979 ISBNs without an ISBN-10", () => {
+      expect(normalizeIsbn("979-10-90636-07-1")).toEqual({
+        isbn13: "9791090636071",
+        isbn10: null,
+      });
+    });
+
+    it.each([null, undefined, "", "not an isbn", "0306406153", "9780306406158"])(
+      "returns null for %p",
+      (value) => expect(normalizeIsbn(value)).toBeNull(),
+    );
+  });
+});
@@ -0,0 +1,170 @@
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+jest.mock("../shared/logger/logger");
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const jwtConfig = require("../config/jwt.config");
+const jwtKeys = require("../services/jwtKeys.service");
+const { generateTokens, verifyAccessToken } = require("../modules/auth/auth.utils");
+
+const user = { id: 1, role: "user" };
+const originalConfig = { ...jwtConfig };
+
+let keysDir;
+
+// writes <kid>.pem (or <kid>.pub.pem with publicOnly) and returns the key pair
+const writeKey = (kid, { type = "rsa", publicOnly = false } = {}) => {
+  const pair =
+    type === "ec" ?
+      crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }) :
+      crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+  const pem = publicOnly ?
+    pair.publicKey.export({ type: "spki", format: "pem" }) :
+    pair.privateKey.export({ type: "pkcs8", format: "pem" });
+
+  fs.writeFileSync(path.join(keysDir, `${kid}${publicOnly ? ".pub" : ""}.pem`), pem);
+  return pair;
+};
+
+// points the key ring at the directory as it is now
+const useKeys = ({ activeKid } = {}) => {
+  jwtConfig.keysDir = keysDir;
+  jwtConfig.activeKid = activeKid;
+  jwtKeys.reload();
+};
+
+const headerOf = (token) => jwt.decode(token, { complete: true }).header;
+
+beforeEach(() => {
+  keysDir = fs.mkdtempSync(path.join(os.tmpdir(), "jwt-keys-"));
+});
+
+afterEach(() => {
+  fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  Object.assign(jwtConfig, originalConfig);
+  jwtKeys.reload();
+});
+
+describe("signing keys", () => {
+  it("signs access tokens with the only key and names it in the header", () => {
+    writeKey("2026-04");
+    useKeys();
+
+    const { accessToken } = generateTokens(user);
+
+    expect(headerOf(accessToken)).toMatchObject({ alg: "RS256", kid: "2026-04" });
+    expect(verifyAccessToken(accessToken)).toMatchObject({ id: 1, role: "user" });
+  });
+
+  it("uses ES256 for P-256 keys", () => {
+    writeKey("ec-1", { type: "ec" });
+    useKeys();
+
+    const { accessToken } = generateTokens(user);
+
+    expect(headerOf(accessToken)).toMatchObject({ alg: "ES256", kid: "ec-1" });
+    expect(verifyAccessToken(accessToken)).toMatchObject({ id: 1 });
+  });
+
+  it("needs JWT_ACTIVE_KID to pick between several signing keys", () => {
+    writeKey("old");
+    writeKey("new");
+
+    useKeys();
+    expect(() => jwtKeys.getSigningKey()).toThrow("Several JWT signing keys found; set JWT_ACTIVE_KID");
+
+    useKeys({ activeKid: "new" });
+    expect(jwtKeys.getSigningKey().kid).toBe("new");
+  });
+
+  it("refuses an active kid it can't sign with", () => {
+    writeKey("retired", { publicOnly: true });
+
+    useKeys({ activeKid: "retired" });
+
+    expect(() => jwtKeys.getSigningKey()).toThrow("JWT_ACTIVE_KID retired has no private key");
+  });
+
+  it("falls back to an ephemeral key outside production only", () => {
+    const env = process.env.NODE_ENV;
+
+    try {
+      useKeys();
+      expect(jwtKeys.getSigningKey().kid).toBe("ephemeral");
+
+      process.env.NODE_ENV = "production";
+      useKeys();
+      expect(() => jwtKeys.getSigningKey()).toThrow("No JWT signing key");
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
+
+describe("key rotation", () => {
+  it("keeps tokens from the retired key valid while signing with the new one", () => {
+    const { publicKey: oldPublic } = writeKey("old");
+    useKeys();
+    const { accessToken: oldToken } = generateTokens(user);
+
+    // publish the new key, keep only the public half of the old one
+    fs.rmSync(path.join(keysDir, "old.pem"));
+    fs.writeFileSync(path.join(keysDir, "old.pub.pem"), oldPublic.export({ type: "spki", format: "pem" }));
+    writeKey("new");
+    useKeys({ activeKid: "new" });
+
+    const { accessToken: newToken } = generateTokens(user);
+
+    expect(headerOf(newToken).kid).toBe("new");
+    expect(verifyAccessToken(oldToken)).toMatchObject({ id: 1 });
+    expect(verifyAccessToken(newToken)).toMatchObject({ id: 1 });
+  });
+
+  it("rejects tokens from unknown keys and forged algorithms", () => {
+    writeKey("current");
+    useKeys();
+
+    const stranger = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+    const unknown = jwt.sign({ id: 1 }, stranger, { algorithm: "RS256", keyid: "elsewhere" });
+    const misnamed = jwt.sign({ id: 1 }, stranger, { algorithm: "RS256", keyid: "current" });
+    const hmac = jwt.sign(
+      { id: 1 },
+      jwtKeys.getVerificationKey("current").publicKey.export({ type: "spki", format: "pem" }),
+      { algorithm: "HS256", keyid: "current" },
+    );
+
+    expect(() => verifyAccessToken(unknown)).toThrow("Unknown signing key");
+    expect(() => verifyAccessToken(misnamed)).toThrow("invalid signature");
+    expect(() => verifyAccessToken(hmac)).toThrow("invalid algorithm");
+  });
+});
+
+describe("jwks", () => {
+  it("publishes every key's public half, enough for another service to verify", () => {
+    writeKey("old", { publicOnly: true });
+    writeKey("new");
+    useKeys({ activeKid: "new" });
+
+    const { keys } = jwtKeys.getJwks();
+
+    expect(keys.map(({ kid, alg, use }) => ({ kid, alg, use }))).toEqual([
+      { kid: "new", alg: "RS256", use: "sig" },
+      { kid: "old", alg: "RS256", use: "sig" },
+    ]);
+    keys.forEach((key) => expect(key).not.toHaveProperty("d"));
+
+    const { accessToken } = generateTokens(user);
+    const jwk = keys.find((key) => key.kid === headerOf(accessToken).kid);
+    const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" });
+
+    expect(jwt.verify(accessToken, publicKey, { algorithms: [jwk.alg] })).toMatchObject({ id: 1 });
+  });
+});
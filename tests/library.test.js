@@ -0,0 +1,232 @@
+process.env.DOWNLOAD_URL_SECRET = "test-download-secret";
+
+jest.mock("../modules/library/library.repository");
+jest.mock("../services/storage.service");
+
+const libraryRepo = require("../modules/library/library.repository");
+const storage = require("../services/storage.service");
+const libraryService = require("../modules/library/library.service");
+const {
+  DOWNLOADS_PER_PURCHASE,
+  DOWNLOAD_LINK_TTL_MINUTES,
+  buildDownloadLink,
+  isValidSignature,
+  isExpired,
+} = require("../modules/library/library.utils");
+const { watermark, assertWatermarkable } = require("../shared/utils/watermark.util");
+const { ForbiddenError, NotFoundError } = require("../shared/errors");
+const { buildZip, readZip } = require("./fixtures/zip");
+
+const EPUB = buildZip([
+  ["mimetype", "application/epub+zip"],
+  ["META-INF/container.xml", "<container/>"],
+  ["OEBPS/chapter1.xhtml", "<html>Once upon a time</html>"],
+]);
+
+const BUYER = {
+  name: "Ada Reader",
+  email: "ada@example.com",
+  orderId: 42,
+  licenseId: 7,
+  purchasedAt: "2026-03-01T10:00:00Z",
+};
+
+const entitlement = (overrides = {}) => ({
+  id: 7,
+  userId: 1,
+  downloadLimit: DOWNLOADS_PER_PURCHASE,
+  downloadCount: 0,
+  Edition: { id: 3, bookId: 9, fileKey: "ebooks/3.epub", fileName: "dune.epub" },
+  Order: { id: 42, paidAt: new Date("2026-03-01T10:00:00Z") },
+  User: { id: 1, name: "Ada Reader", email: "ada@example.com" },
+  ...overrides,
+});
+
+// the query string of a link built for `id`, as the route receives it
+const linkParams = (id, now) => {
+  const { url } = buildDownloadLink(id, now);
+  return Object.fromEntries(new URL(url, "http://localhost").searchParams);
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  storage.get.mockResolvedValue(EPUB);
+  libraryRepo.consumeDownload.mockResolvedValue(true);
+});
+
+describe("signed download links", () => {
+  it("expires after the link TTL", () => {
+    const now = Date.UTC(2026, 3, 1, 12, 0, 0);
+    const { url, expiresAt } = buildDownloadLink(7, now);
+
+    expect(url).toMatch(/^\/api\/v1\/users\/me\/library\/7\/download\?expires=\d+&signature=[a-f0-9]{64}$/);
+    expect(expiresAt).toEqual(new Date(now + DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000));
+
+    const { expires } = linkParams(7, now);
+    expect(isExpired(expires, now + DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000)).toBe(false);
+    expect(isExpired(expires, now + DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000 + 1)).toBe(true);
+  });
+
+  it("only accepts the signature for the same entry and expiry", () => {
+    const { expires, signature } = linkParams(7);
+
+    expect(isValidSignature(7, expires, signature)).toBe(true);
+    expect(isValidSignature(8, expires, signature)).toBe(false);
+    expect(isValidSignature(7, Number(expires) + 60, signature)).toBe(false);
+    expect(isValidSignature(7, expires, signature.replace(/^./, (c) => (c === "a" ? "b" : "a")))).toBe(false);
+  });
+
+  it("rejects malformed parameters without throwing", () => {
+    expect(isValidSignature(7, "soon", "a".repeat(64))).toBe(false);
+    expect(isValidSignature(7, "1", "short")).toBe(false);
+    expect(isValidSignature(7, undefined, undefined)).toBe(false);
+  });
+});
+
+describe("library downloads", () => {
+  it("hands out a link with the downloads left", async () => {
+    libraryRepo.findById.mockResolvedValue(entitlement({ downloadCount: 2 }));
+
+    const link = await libraryService.createDownloadLink(1, 7);
+
+    expect(link).toEqual({
+      url: expect.stringContaining("/library/7/download?"),
+      expiresAt: expect.any(Date),
+      downloadsLeft: DOWNLOADS_PER_PURCHASE - 2,
+    });
+  });
+
+  it("hides other users' library entries", async () => {
+    libraryRepo.findById.mockResolvedValue(entitlement({ userId: 2 }));
+
+    await expect(libraryService.createDownloadLink(1, 7)).rejects.toThrow(NotFoundError);
+  });
+
+  it("has no link before the file is uploaded", async () => {
+    libraryRepo.findById.mockResolvedValue(
+      entitlement({ Edition: { id: 3, bookId: 9, fileKey: null } }),
+    );
+
+    await expect(libraryService.createDownloadLink(1, 7)).rejects.toThrow(
+      "This ebook isn't available for download yet",
+    );
+  });
+
+  it("serves a watermarked copy and counts the download", async () => {
+    libraryRepo.findById.mockResolvedValue(entitlement());
+
+    const { fileName, body } = await libraryService.download(7, linkParams(7));
+
+    expect(fileName).toBe("dune.epub");
+    expect(storage.get).toHaveBeenCalledWith("ebooks/3.epub");
+    expect(libraryRepo.consumeDownload).toHaveBeenCalledWith(7);
+    expect(readZip(body).comment).toContain("Licensed to Ada Reader <ada@example.com>, order #42");
+  });
+
+  it("refuses an expired link", async () => {
+    const issuedAt = Date.now() - (DOWNLOAD_LINK_TTL_MINUTES + 1) * 60 * 1000;
+
+    await expect(libraryService.download(7, linkParams(7, issuedAt))).rejects.toThrow(
+      "Download link has expired",
+    );
+    expect(libraryRepo.consumeDownload).not.toHaveBeenCalled();
+  });
+
+  it("refuses a link signed for another entry", async () => {
+    await expect(libraryService.download(8, linkParams(7))).rejects.toThrow(
+      "Invalid download link",
+    );
+    expect(libraryRepo.findById).not.toHaveBeenCalled();
+  });
+
+  it("stops at the download cap", async () => {
+    libraryRepo.findById.mockResolvedValue(
+      entitlement({ downloadCount: DOWNLOADS_PER_PURCHASE }),
+    );
+
+    await expect(libraryService.createDownloadLink(1, 7)).rejects.toThrow(ForbiddenError);
+    await expect(libraryService.download(7, linkParams(7))).rejects.toThrow(
+      "Download limit reached for this purchase",
+    );
+    expect(libraryRepo.consumeDownload).not.toHaveBeenCalled();
+  });
+
+  it("stops when a concurrent download takes the last one", async () => {
+    libraryRepo.findById.mockResolvedValue(
+      entitlement({ downloadCount: DOWNLOADS_PER_PURCHASE - 1 }),
+    );
+    libraryRepo.consumeDownload.mockResolvedValue(false);
+
+    await expect(libraryService.download(7, linkParams(7))).rejects.toThrow(
+      "Download limit reached for this purchase",
+    );
+  });
+
+  it("drops the library of a deleted account", async () => {
+    libraryRepo.findById.mockResolvedValue(entitlement({ User: null }));
+
+    await expect(libraryService.download(7, linkParams(7))).rejects.toThrow(
+      "Library item not found",
+    );
+  });
+
+  it("grants each ebook line its downloads, scaled by quantity", async () => {
+    libraryRepo.findOrderItems.mockResolvedValue([
+      { id: 1, quantity: 2, Edition: { id: 3, bookId: 9, format: "ebook" } },
+      { id: 2, quantity: 1, Edition: { id: 4, bookId: 9, format: "paperback" } },
+    ]);
+
+    await expect(libraryService.grantForOrder({ id: 42, userId: 1 })).resolves.toBe(1);
+    expect(libraryRepo.createMany).toHaveBeenCalledWith([
+      {
+        userId: 1,
+        orderId: 42,
+        orderItemId: 1,
+        editionId: 3,
+        bookId: 9,
+        downloadLimit: DOWNLOADS_PER_PURCHASE * 2,
+      },
+    ]);
+  });
+});
+
+describe("watermark util", () => {
+  it("appends a watermark entry and keeps the EPUB readable", () => {
+    const { entries, comment } = readZip(watermark(EPUB, ".epub", BUYER));
+
+    expect(entries.map((e) => e.name)).toEqual([
+      "mimetype",
+      "META-INF/container.xml",
+      "OEBPS/chapter1.xhtml",
+      "META-INF/watermark.xml",
+    ]);
+    expect(entries[0].content).toBe("application/epub+zip");
+    expect(entries[3].content).toContain("<email>ada@example.com</email>");
+    expect(comment).toBe(
+      "Licensed to Ada Reader <ada@example.com>, order #42, license 7, purchased 2026-03-01",
+    );
+  });
+
+  it("escapes buyer details in the watermark entry", () => {
+    const { entries } = readZip(watermark(EPUB, ".epub", { ...BUYER, name: 'A <b> & "c"' }));
+
+    expect(entries[3].content).toContain("<licensedTo>A &lt;b&gt; &amp; &quot;c&quot;</licensedTo>");
+  });
+
+  it("appends a single-line comment to PDFs", () => {
+    const pdf = Buffer.from("%PDF-1.7\n...\n%%EOF\n");
+    const marked = watermark(pdf, ".pdf", { ...BUYER, name: "Ada\nReader" });
+
+    expect(marked.subarray(0, pdf.length)).toEqual(pdf);
+    expect(marked.toString().slice(pdf.length)).toBe(
+      "\n% Licensed to Ada Reader <ada@example.com>, order #42, license 7, purchased 2026-03-01\n",
+    );
+  });
+
+  it("turns away files it can't mark", () => {
+    expect(() => assertWatermarkable(EPUB, ".epub")).not.toThrow();
+    expect(() => assertWatermarkable(Buffer.from("not a zip"), ".epub")).toThrow("Not a ZIP archive");
+    expect(() => assertWatermarkable(Buffer.from("hello"), ".pdf")).toThrow("Not a PDF file");
+    expect(() => assertWatermarkable(EPUB, ".mobi")).toThrow("Can't watermark .mobi files");
+  });
+});
@@ -0,0 +1,266 @@
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+jest.mock("../modules/auth/auth.repository");
+jest.mock("../modules/sessions/session.repository");
+jest.mock("../shared/queues/queue.service");
+jest.mock("../events/event.publisher", () => ({ publish: jest.fn() }));
+jest.mock("../shared/logger/logger");
+
+const crypto = require("crypto");
+const { startMockIdp } = require("./fixtures/mockIdp");
+const authRepo = require("../modules/auth/auth.repository");
+const sessionRepo = require("../modules/sessions/session.repository");
+const logger = require("../shared/logger/logger");
+const attemptStore = require("../shared/cache/attempt.store");
+const { CACHE_KEYS } = require("../shared/cache/cache.keys");
+const { BadRequestError, ForbiddenError, UnauthorizedError } = require("../shared/errors");
+
+const CLIENT_ID = "readify-web";
+const REDIRECT_URI = "http://localhost:3000/auth/callback";
+
+let idp;
+let tenantIdp;
+let authService;
+let oidcService;
+
+// the config reads the providers at load, so they're set once the IdPs listen
+const configureProvider = (name, issuer) => {
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+
+  process.env[`${prefix}ISSUER`] = issuer;
+  process.env[`${prefix}CLIENT_ID`] = CLIENT_ID;
+  process.env[`${prefix}REDIRECT_URI`] = REDIRECT_URI;
+};
+
+// the whole redirect round trip; returns what the callback resolves to
+const signIn = async (provider = "mock", server = idp) => {
+  const { authorizationUrl } = await authService.getOidcAuthorizationUrl(provider);
+  const { code, state } = await server.authorize(authorizationUrl);
+
+  return authService.handleOidcCallback(provider, { code, state });
+};
+
+// asserts the callback failed generically and logged why
+const expectRejected = async (promise, reason) => {
+  await expect(promise).rejects.toThrow(UnauthorizedError);
+  expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(reason));
+};
+
+beforeAll(async () => {
+  idp = await startMockIdp();
+  tenantIdp = await startMockIdp({ multiTenant: true });
+
+  process.env.OIDC_PROVIDERS = "mock,tenant";
+  configureProvider("mock", idp.issuer);
+  configureProvider("tenant", tenantIdp.issuer);
+
+  authService = require("../modules/auth/auth.service");
+  oidcService = require("../services/oidc.service");
+});
+
+afterAll(async () => {
+  await Promise.all([idp.close(), tenantIdp.close()]);
+});
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  await attemptStore.clear();
+
+  authRepo.findIdentity.mockResolvedValue(null);
+  authRepo.findByEmail.mockResolvedValue(null);
+  authRepo.createUser.mockImplementation(async (data) => ({ id: 10, role: "customer", ...data }));
+  authRepo.createRefreshToken.mockImplementation(async (data) => ({ id: 1, ...data }));
+  sessionRepo.create.mockResolvedValue({ id: "session-1" });
+});
+
+describe("oidc discovery and authorization", () => {
+  it("sends the user to the discovered endpoint with state, nonce and a PKCE challenge", async () => {
+    const { authorizationUrl } = await authService.getOidcAuthorizationUrl("mock");
+    const url = new URL(authorizationUrl);
+    const params = Object.fromEntries(url.searchParams);
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${idp.origin}/authorize`);
+    expect(params).toEqual({
+      response_type: "code",
+      client_id: CLIENT_ID,
+      redirect_uri: REDIRECT_URI,
+      scope: "openid email profile",
+      state: expect.any(String),
+      nonce: expect.any(String),
+      code_challenge: expect.stringMatching(/^[\w-]{43}$/),
+      code_challenge_method: "S256",
+    });
+
+    // the verifier stays server-side, keyed by state
+    const pending = await attemptStore.take(CACHE_KEYS.OIDC_STATE(params.state));
+    expect(pending).toEqual({
+      provider: "mock",
+      nonce: params.nonce,
+      codeVerifier: expect.any(String),
+    });
+    expect(authorizationUrl).not.toContain(pending.codeVerifier);
+  });
+
+  it("refuses unknown providers", async () => {
+    await expect(authService.getOidcAuthorizationUrl("github")).rejects.toThrow(
+      "Unknown login provider",
+    );
+  });
+
+  it("rejects a discovery document for another issuer", async () => {
+    const impostor = await startMockIdp({ metadataIssuer: "https://accounts.example.com" });
+
+    try {
+      await expect(oidcService.discover(impostor.issuer)).rejects.toThrow(
+        "OIDC issuer mismatch",
+      );
+    } finally {
+      await impostor.close();
+    }
+  });
+
+  it("accepts a tenant-templated issuer for a multi-tenant provider", async () => {
+    const metadata = await oidcService.discover(tenantIdp.issuer);
+
+    expect(metadata.issuer).toBe(`${tenantIdp.origin}/{tenantid}/v2.0`);
+  });
+});
+
+describe("oidc callback", () => {
+  it("creates an account from verified claims and signs it in", async () => {
+    const result = await signIn();
+
+    expect(result).toEqual({
+      user: expect.objectContaining({ id: 10, email: "oidc.reader@example.com" }),
+      accessToken: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(authRepo.createUser).toHaveBeenCalledWith(
+      expect.objectContaining({ email: "oidc.reader@example.com", password: null }),
+    );
+    expect(authRepo.createIdentity).toHaveBeenCalledWith({
+      userId: 10,
+      provider: "mock",
+      subject: "mock-user-1",
+      email: "oidc.reader@example.com",
+    });
+  });
+
+  it("sends the PKCE verifier with the code exchange", async () => {
+    const { authorizationUrl } = await authService.getOidcAuthorizationUrl("mock");
+    const { code, state } = await idp.authorize(authorizationUrl);
+    const { codeVerifier } = JSON.parse(await attemptStore.get(CACHE_KEYS.OIDC_STATE(state)));
+
+    await authService.handleOidcCallback("mock", { code, state });
+
+    expect(idp.tokenRequests.at(-1)).toMatchObject({
+      grant_type: "authorization_code",
+      code,
+      code_verifier: codeVerifier,
+      redirect_uri: REDIRECT_URI,
+    });
+  });
+
+  it("fails when the provider rejects the PKCE verifier", async () => {
+    const { authorizationUrl } = await authService.getOidcAuthorizationUrl("mock");
+    const { code, state } = await idp.authorize(authorizationUrl);
+
+    const pending = await attemptStore.take(CACHE_KEYS.OIDC_STATE(state));
+    await attemptStore.setJSON(
+      CACHE_KEYS.OIDC_STATE(state),
+      { ...pending, codeVerifier: crypto.randomBytes(32).toString("base64url") },
+      60,
+    );
+
+    await expectRejected(
+      authService.handleOidcCallback("mock", { code, state }),
+      /PKCE verification failed/,
+    );
+  });
+
+  it("accepts each state once", async () => {
+    const { authorizationUrl } = await authService.getOidcAuthorizationUrl("mock");
+    const { code, state } = await idp.authorize(authorizationUrl);
+
+    await authService.handleOidcCallback("mock", { code, state });
+
+    await expect(authService.handleOidcCallback("mock", { code, state })).rejects.toThrow(
+      "Invalid or expired login state",
+    );
+  });
+
+  it("rejects an unknown state, or one issued for another provider", async () => {
+    await expect(
+      authService.handleOidcCallback("mock", { code: "x", state: "forged" }),
+    ).rejects.toThrow(BadRequestError);
+
+    const { authorizationUrl } = await authService.getOidcAuthorizationUrl("tenant");
+    const { code, state } = await tenantIdp.authorize(authorizationUrl);
+
+    await expect(authService.handleOidcCallback("mock", { code, state })).rejects.toThrow(
+      "Invalid or expired login state",
+    );
+  });
+
+  it.each([
+    ["a nonce from another login", { claims: { nonce: "replayed" } }, /nonce mismatch/],
+    ["another audience", { claims: { aud: "someone-else" } }, /audience invalid/],
+    ["another issuer", { claims: { iss: "https://accounts.example.com" } }, /issuer invalid/],
+    ["an expired token", { claims: { iat: 1000, exp: 2000 } }, /jwt expired/],
+    [
+      "a foreign signing key",
+      { key: crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey },
+      /invalid signature/,
+    ],
+    ["an HMAC signature", { algorithm: "HS256", key: "client-secret" }, /invalid algorithm/],
+    [
+      "several audiences without us as authorized party",
+      { claims: { aud: [CLIENT_ID, "other-app"] } },
+      /authorized party mismatch/,
+    ],
+  ])("rejects an ID token with %s", async (_, nextIdToken, reason) => {
+    idp.nextIdToken = nextIdToken;
+
+    await expectRejected(signIn(), reason);
+    expect(authRepo.createUser).not.toHaveBeenCalled();
+  });
+
+  it("signs a linked identity into its account", async () => {
+    authRepo.findIdentity.mockResolvedValue({ userId: 3 });
+    authRepo.findById.mockResolvedValue({ id: 3, email: "linked@example.com", role: "customer" });
+
+    const result = await signIn();
+
+    expect(result.user).toEqual(expect.objectContaining({ id: 3 }));
+    expect(authRepo.createIdentity).not.toHaveBeenCalled();
+  });
+
+  it("refuses an identity whose account was deleted", async () => {
+    authRepo.findIdentity.mockResolvedValue({ userId: 3 });
+    authRepo.findById.mockResolvedValue(null);
+
+    await expect(signIn()).rejects.toThrow(ForbiddenError);
+  });
+
+  it("won't link an unverified email", async () => {
+    idp.nextIdToken = { claims: { email_verified: false } };
+
+    await expect(signIn()).rejects.toThrow(
+      "Your provider account has no verified email address",
+    );
+  });
+});
+
+describe("multi-tenant oidc", () => {
+  it("accepts a token from the tenant it names", async () => {
+    await expect(signIn("tenant", tenantIdp)).resolves.toHaveProperty("accessToken");
+  });
+
+  it("rejects a token whose issuer names a different tenant", async () => {
+    tenantIdp.nextIdToken = {
+      claims: { iss: `${tenantIdp.origin}/other-tenant/v2.0` },
+    };
+
+    await expectRejected(signIn("tenant", tenantIdp), /issuer invalid/);
+  });
+});
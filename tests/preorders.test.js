@@ -0,0 +1,388 @@
+jest.mock("../modules/books/book.repository");
+jest.mock("../modules/cart/cart.repository");
+jest.mock("../modules/orders/order.repository");
+jest.mock("../modules/users/user.repository");
+jest.mock("../modules/settings/setting.repository");
+jest.mock("../modules/library/library.service");
+jest.mock("../services/payment.service");
+jest.mock("../shared/queues/queue.service");
+jest.mock("../shared/logger/logger");
+
+const { sequelize, Order } = require("../models");
+const bookRepo = require("../modules/books/book.repository");
+const cartRepo = require("../modules/cart/cart.repository");
+const orderRepo = require("../modules/orders/order.repository");
+const userRepo = require("../modules/users/user.repository");
+const settingRepo = require("../modules/settings/setting.repository");
+const libraryService = require("../modules/library/library.service");
+const paymentService = require("../services/payment.service");
+const queueService = require("../shared/queues/queue.service");
+const logger = require("../shared/logger/logger");
+const orderService = require("../modules/orders/order.service");
+const cartService = require("../modules/cart/cart.service");
+const { isPreorderable } = require("../modules/books/book.utils");
+const { AT_ORDER, AT_RELEASE } = require("../shared/constants/preorderCharge.constant");
+const { PENDING, PAID, PREORDERED } = require("../shared/constants/orderStatus.constant");
+const { HARDCOVER, EBOOK } = require("../shared/constants/bookFormat.constant");
+
+const { findReleasablePreorders } = jest.requireActual("../modules/orders/order.repository");
+
+const TODAY = "2026-10-19";
+
+// an announced book with a pre-order cap of 3
+let book;
+let editions;
+let orders;
+
+// row locks held until the transaction ends, like SELECT ... FOR UPDATE
+let lockTails;
+
+const lockRow = async (key, t) => {
+  const previous = lockTails.get(key) || Promise.resolve();
+
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  lockTails.set(key, previous.then(() => held));
+  t.releases.push(release);
+
+  await previous;
+};
+
+// yields to other pending work, as a round trip to the database would
+const roundTrip = () => new Promise((resolve) => setImmediate(resolve));
+
+const preorderOrder = (id, items, overrides = {}) => {
+  const order = {
+    id,
+    userId: 1,
+    total: 30,
+    status: PREORDERED,
+    chargeAt: AT_ORDER,
+    paidAt: new Date("2026-09-01T00:00:00Z"),
+    OrderItems: items.map(([editionId, quantity]) => ({
+      editionId,
+      quantity,
+      Edition: editions.get(editionId),
+    })),
+    ...overrides,
+  };
+
+  order.update = jest.fn(async (values) => Object.assign(order, values));
+  return order;
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+
+  book = { id: 9, title: "Dune", preorderEnabled: true, releaseDate: "2026-12-01", preorderCap: 3 };
+  editions = new Map([
+    [1, { id: 1, bookId: 9, format: HARDCOVER, price: 30, stock: 3, Book: book }],
+    [2, { id: 2, bookId: 9, format: HARDCOVER, price: 25, stock: 3, Book: book }],
+    [3, { id: 3, bookId: 9, format: EBOOK, price: 9, stock: 0, Book: book }],
+  ]);
+  orders = [];
+  lockTails = new Map();
+
+  jest.spyOn(sequelize, "transaction").mockImplementation(async (work) => {
+    const t = { LOCK: { UPDATE: "UPDATE" }, releases: [] };
+
+    try {
+      return await work(t);
+    } finally {
+      t.releases.forEach((release) => release());
+    }
+  });
+
+  bookRepo.findEditionById.mockImplementation(async (id) => editions.get(id) || null);
+  bookRepo.lockBook.mockImplementation((id, t) => lockRow(`book:${id}`, t));
+  bookRepo.findEditionForUpdate.mockImplementation(async (id, t) => {
+    await lockRow(`edition:${id}`, t);
+
+    const row = editions.get(id);
+    return {
+      ...row,
+      decrement: async (field, { by }) => {
+        await roundTrip();
+        row[field] -= by;
+      },
+    };
+  });
+
+  // counts what is committed now; the answer arrives a round trip later
+  orderRepo.countPreordered.mockImplementation(async (bookId) => {
+    const taken = orders
+      .filter((order) => order.status === PREORDERED)
+      .flatMap((order) => order.items)
+      .filter((item) => item.bookId === bookId)
+      .reduce((sum, item) => sum + item.quantity, 0);
+
+    await roundTrip();
+    return taken;
+  });
+  orderRepo.create.mockImplementation(async (data) => {
+    const order = { id: orders.length + 1, ...data, items: [] };
+    orders.push(order);
+    return order;
+  });
+  orderRepo.bulkCreateItems.mockImplementation(async (orderId, items) => {
+    orders.find((o) => o.id === orderId).items = items;
+  });
+  orderRepo.findById.mockImplementation(async (id) => {
+    const order = orders.find((o) => o.id === id);
+    return { ...order, OrderItems: order.items };
+  });
+
+  userRepo.findById.mockResolvedValue({
+    id: 1,
+    name: "Ada",
+    email: "ada@example.com",
+    emailVerifiedAt: new Date(),
+  });
+  settingRepo.get.mockImplementation(async (key, fallback) => fallback);
+});
+
+afterEach(() => {
+  sequelize.transaction.mockRestore();
+});
+
+describe("pre-order checkout", () => {
+  const checkout = (quantity, editionId = 1) => {
+    cartRepo.getOrCreateCart.mockResolvedValue({
+      id: 1,
+      CartItems: [{ id: 1, editionId, quantity, Edition: editions.get(editionId) }],
+    });
+
+    return orderService.createOrder(1);
+  };
+
+  it("is open until the release date", () => {
+    expect(isPreorderable(book, TODAY)).toBe(true);
+    expect(isPreorderable(book, "2026-12-01")).toBe(false);
+    expect(isPreorderable({ ...book, preorderEnabled: false }, TODAY)).toBe(false);
+  });
+
+  it("creates a pre-order without touching stock", async () => {
+    const order = await checkout(2);
+
+    expect(order.status).toBe(PREORDERED);
+    expect(orderRepo.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: PREORDERED, chargeAt: AT_ORDER, total: 60 }),
+      expect.anything(),
+    );
+    expect(bookRepo.findEditionForUpdate).not.toHaveBeenCalled();
+    expect(editions.get(1).stock).toBe(3);
+  });
+
+  it("takes the charge timing from the admin setting", async () => {
+    settingRepo.get.mockResolvedValue(AT_RELEASE);
+
+    const order = await checkout(1);
+
+    expect(order.preorder).toEqual({ chargeAt: AT_RELEASE, releasedAt: undefined });
+  });
+
+  it("stops at the cap across orders and formats", async () => {
+    await checkout(2, 1);
+
+    await expect(checkout(2, 3)).rejects.toThrow("Only 1 pre-orders left for Dune");
+    await expect(checkout(1, 3)).resolves.toHaveProperty("status", PREORDERED);
+    await expect(checkout(1, 2)).rejects.toThrow("Only 0 pre-orders left for Dune");
+  });
+
+  it("lets only one of two concurrent checkouts take the last places", async () => {
+    await checkout(1);
+
+    const cart = (quantity) => ({
+      id: 1,
+      CartItems: [{ id: 1, editionId: 1, quantity, Edition: editions.get(1) }],
+    });
+    cartRepo.getOrCreateCart.mockResolvedValueOnce(cart(2)).mockResolvedValueOnce(cart(2));
+
+    const results = await Promise.allSettled([orderService.createOrder(1), orderService.createOrder(1)]);
+
+    expect(results.map((r) => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(results.find((r) => r.status === "rejected").reason.message).toBe(
+      "Only 0 pre-orders left for Dune",
+    );
+    expect(await orderRepo.countPreordered(9)).toBe(3);
+  });
+
+  it("checks the cap without locking when adding to the cart", async () => {
+    cartRepo.getOrCreateCart.mockResolvedValue({ id: 1, CartItems: [] });
+    await checkout(3);
+
+    await expect(cartService.addToCart(1, { editionId: 1, quantity: 1 })).rejects.toThrow(
+      "Only 0 pre-orders left for Dune",
+    );
+    expect(bookRepo.lockBook).toHaveBeenCalledTimes(1);
+  });
+
+  it("has no cap unless one is set", async () => {
+    book.preorderCap = null;
+
+    await expect(checkout(50)).resolves.toHaveProperty("status", PREORDERED);
+    expect(orderRepo.countPreordered).not.toHaveBeenCalled();
+  });
+
+  it("refuses a book that came out while it sat in the cart", async () => {
+    const released = { id: 10, title: "Old", preorderEnabled: true, releaseDate: "2026-10-01" };
+    editions.set(4, { id: 4, bookId: 10, format: HARDCOVER, price: 20, stock: 5, Book: released });
+
+    cartRepo.getOrCreateCart.mockResolvedValue({
+      id: 1,
+      CartItems: [
+        { id: 1, editionId: 1, quantity: 1, Edition: editions.get(1) },
+        { id: 2, editionId: 4, quantity: 1, Edition: editions.get(4) },
+      ],
+    });
+
+    await expect(orderService.createOrder(1)).rejects.toThrow(
+      "Old is out now; check it out separately from your pre-orders",
+    );
+  });
+});
+
+describe("pre-order release", () => {
+  const release = (...preorders) => {
+    orderRepo.findReleasablePreorders.mockResolvedValueOnce(preorders);
+    return orderService.releasePreorders(TODAY);
+  };
+
+  it("takes stock and fulfils a paid pre-order", async () => {
+    const order = preorderOrder(1, [[1, 2], [3, 1]]);
+
+    await expect(release(order)).resolves.toEqual({ released: 1, held: 0, failed: 0 });
+
+    expect(order.status).toBe(PAID);
+    expect(order.releasedAt).toEqual(expect.any(Date));
+    expect(editions.get(1).stock).toBe(1);
+    // the ebook line needs no stock
+    expect(bookRepo.findEditionForUpdate).toHaveBeenCalledTimes(1);
+    expect(libraryService.grantForOrder).toHaveBeenCalledWith(order);
+  });
+
+  it("holds a pre-order until there is stock for every line", async () => {
+    const order = preorderOrder(1, [[1, 1], [2, 4]]);
+
+    await expect(release(order)).resolves.toEqual({ released: 0, held: 1, failed: 0 });
+
+    expect(order.status).toBe(PREORDERED);
+    expect(order.update).not.toHaveBeenCalled();
+    expect([editions.get(1).stock, editions.get(2).stock]).toEqual([3, 3]);
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Holding pre-order 1: edition 2 has 3 in stock, needs 4",
+    );
+  });
+
+  it("adds up lines for the same edition before checking stock", async () => {
+    const order = preorderOrder(1, [[1, 2], [1, 2]]);
+
+    await expect(release(order)).resolves.toMatchObject({ held: 1 });
+    expect(editions.get(1).stock).toBe(3);
+  });
+
+  it("releases concurrent pre-orders without overselling", async () => {
+    const first = preorderOrder(1, [[1, 2]]);
+    const second = preorderOrder(2, [[1, 2]]);
+
+    const results = await Promise.all([release(first), release(second)]);
+
+    expect(results.map((r) => r.released).sort()).toEqual([0, 1]);
+    expect(editions.get(1).stock).toBe(1);
+    expect([first.status, second.status].sort()).toEqual([PAID, PREORDERED]);
+  });
+
+  it("locks editions in id order so crossing releases don't deadlock", async () => {
+    const first = preorderOrder(1, [[2, 1], [1, 1]]);
+    const second = preorderOrder(2, [[1, 1], [2, 1]]);
+
+    await expect(Promise.all([release(first), release(second)])).resolves.toEqual([
+      { released: 1, held: 0, failed: 0 },
+      { released: 1, held: 0, failed: 0 },
+    ]);
+
+    const locked = bookRepo.findEditionForUpdate.mock.calls.map(([id]) => id);
+    expect(locked).toEqual([1, 1, 2, 2]);
+    expect([editions.get(1).stock, editions.get(2).stock]).toEqual([1, 1]);
+  });
+
+  it("charges the saved card when payment was deferred to release", async () => {
+    paymentService.chargeSavedCard.mockResolvedValue({ status: "succeeded" });
+    const order = preorderOrder(1, [[1, 1]], {
+      paidAt: null,
+      chargeAt: AT_RELEASE,
+      stripeCustomerId: "cus_1",
+      stripePaymentMethodId: "pm_1",
+    });
+
+    await release(order);
+
+    expect(paymentService.chargeSavedCard).toHaveBeenCalledWith({
+      amount: 30,
+      customer: "cus_1",
+      paymentMethod: "pm_1",
+      metadata: { orderId: 1, userId: 1 },
+    });
+    expect(order.status).toBe(PAID);
+    expect(libraryService.grantForOrder).toHaveBeenCalledWith(order);
+  });
+
+  it("asks the customer to pay when the card can't be charged", async () => {
+    paymentService.chargeSavedCard.mockRejectedValue(new Error("authentication_required"));
+    const order = preorderOrder(1, [[1, 1]], {
+      paidAt: null,
+      chargeAt: AT_RELEASE,
+      stripePaymentMethodId: "pm_1",
+    });
+
+    await expect(release(order)).resolves.toMatchObject({ released: 1 });
+
+    expect(order.status).toBe(PENDING);
+    expect(libraryService.grantForOrder).not.toHaveBeenCalled();
+    expect(queueService.addEmailJob).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "ada@example.com", subject: "Your pre-order is out now" }),
+    );
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Release charge for order 1 failed: authentication_required",
+    );
+  });
+
+  it("sends an unpaid pre-order to payment", async () => {
+    const order = preorderOrder(1, [[1, 1]], { paidAt: null });
+
+    await release(order);
+
+    expect(order.status).toBe(PENDING);
+    expect(paymentService.chargeSavedCard).not.toHaveBeenCalled();
+    expect(queueService.addEmailJob).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps going when one pre-order fails", async () => {
+    const broken = preorderOrder(1, [[1, 1]]);
+    broken.update.mockRejectedValue(new Error("connection reset"));
+    const fine = preorderOrder(2, [[2, 1]]);
+
+    await expect(release(broken, fine)).resolves.toEqual({ released: 1, held: 0, failed: 1 });
+    expect(logger.error).toHaveBeenCalledWith("Releasing pre-order 1 failed: connection reset");
+    expect(fine.status).toBe(PAID);
+  });
+
+  it("only releases orders whose books are all out", async () => {
+    const item = (releaseDate) => ({ Book: releaseDate === undefined ? null : { releaseDate } });
+    const findAll = jest.spyOn(Order, "findAll").mockResolvedValue([
+      { id: 1, OrderItems: [item("2026-10-19"), item("2026-10-01")] },
+      { id: 2, OrderItems: [item("2026-10-19"), item("2026-10-20")] },
+      // archived books and ones without a date don't hold an order back
+      { id: 3, OrderItems: [item(undefined), item(null)] },
+    ]);
+
+    try {
+      const releasable = await findReleasablePreorders(TODAY);
+
+      expect(releasable.map((order) => order.id)).toEqual([1, 3]);
+      expect(findAll.mock.calls[0][0].where).toEqual({ status: PREORDERED });
+    } finally {
+      findAll.mockRestore();
+    }
+  });
+});
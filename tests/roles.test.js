@@ -0,0 +1,185 @@
+jest.mock("../modules/roles/role.repository");
+jest.mock("../modules/users/user.repository");
+jest.mock("../modules/sessions/session.repository");
+jest.mock("../modules/settings/setting.repository");
+
+const roleRepo = require("../modules/roles/role.repository");
+const userRepo = require("../modules/users/user.repository");
+const sessionRepo = require("../modules/sessions/session.repository");
+const settingRepo = require("../modules/settings/setting.repository");
+const roleService = require("../modules/roles/role.service");
+const adminService = require("../modules/admin/admin.service");
+const requirePermission = require("../middlewares/permission.middleware");
+const PERMISSIONS = require("../shared/constants/permissions.constant");
+const ROLES = require("../shared/constants/roles.constant");
+const { REQUIRE_ADMIN_2FA } = require("../shared/constants/settings.constant");
+const { BadRequestError, ConflictError } = require("../shared/errors");
+
+const ADMIN_ID = 99;
+
+// in-memory stand-ins for the Role and Permission tables, seeded like the migration
+let roles;
+let settings;
+
+const grants = (...names) => names.map((name, i) => ({ id: i + 1, name }));
+
+const seedRoles = () => {
+  roles = [
+    { id: 1, name: ROLES.ADMIN, isSystem: true, Permissions: grants(...Object.values(PERMISSIONS)) },
+    { id: 2, name: ROLES.USER, isSystem: true, Permissions: [] },
+    {
+      id: 3,
+      name: ROLES.SUPPORT_AGENT,
+      isSystem: false,
+      Permissions: grants("users:read", "orders:read", "orders:update", "reviews:moderate"),
+    },
+    {
+      id: 4,
+      name: ROLES.CONTENT_EDITOR,
+      isSystem: false,
+      Permissions: grants("catalog:write", "reviews:moderate"),
+    },
+  ];
+};
+
+// runs a middleware for a signed-in user; resolves to what it passed to next()
+const check = (permission, user) =>
+  new Promise((resolve) => requirePermission(permission)({ user }, {}, (err) => resolve(err)));
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  roleService.clearCache();
+  seedRoles();
+  settings = {};
+
+  roleRepo.findByName.mockImplementation(async (name) => roles.find((r) => r.name === name) || null);
+  roleRepo.findById.mockImplementation(async (id) => roles.find((r) => r.id === id) || null);
+  roleRepo.findPermissionsByNames.mockImplementation(async (names) =>
+    grants(...Object.values(PERMISSIONS)).filter((p) => names.includes(p.name)),
+  );
+  roleRepo.create.mockImplementation(async (data) => {
+    const role = { id: roles.length + 1, isSystem: false, Permissions: [], ...data };
+    roles.push(role);
+    return role;
+  });
+  roleRepo.setPermissions.mockImplementation(async (role, permissions) => {
+    role.Permissions = permissions;
+  });
+  settingRepo.get.mockImplementation(async (key, fallback) => (key in settings ? settings[key] : fallback));
+});
+
+describe("requirePermission", () => {
+  it("lets each role do what it was granted", async () => {
+    const agent = { id: 1, role: ROLES.SUPPORT_AGENT };
+    const editor = { id: 2, role: ROLES.CONTENT_EDITOR };
+
+    await expect(check(PERMISSIONS.ORDERS_UPDATE, agent)).resolves.toBeUndefined();
+    await expect(check(PERMISSIONS.CATALOG_WRITE, editor)).resolves.toBeUndefined();
+    await expect(check(PERMISSIONS.REVIEWS_MODERATE, editor)).resolves.toBeUndefined();
+  });
+
+  it("refuses what the role wasn't granted", async () => {
+    await expect(
+      check(PERMISSIONS.CATALOG_WRITE, { id: 1, role: ROLES.SUPPORT_AGENT }),
+    ).resolves.toMatchObject({ statusCode: 403, message: "Access denied" });
+    await expect(
+      check(PERMISSIONS.ORDERS_READ, { id: 3, role: ROLES.USER }),
+    ).resolves.toMatchObject({ statusCode: 403 });
+    await expect(
+      check(PERMISSIONS.ORDERS_READ, { id: 3, role: "retired_role" }),
+    ).resolves.toMatchObject({ statusCode: 403 });
+  });
+
+  it("keeps admins able to do everything they could before", async () => {
+    const admin = { id: ADMIN_ID, role: ROLES.ADMIN };
+
+    for (const permission of Object.values(PERMISSIONS)) {
+      await expect(check(permission, admin)).resolves.toBeUndefined();
+    }
+  });
+
+  it("holds back admins without a second factor when the setting requires one", async () => {
+    settings[REQUIRE_ADMIN_2FA] = true;
+
+    await expect(
+      check(PERMISSIONS.USERS_READ, { id: ADMIN_ID, role: ROLES.ADMIN, mfa: false }),
+    ).resolves.toMatchObject({
+      statusCode: 403,
+      message: "Two-factor authentication is required for admin accounts",
+    });
+    await expect(
+      check(PERMISSIONS.USERS_READ, { id: ADMIN_ID, role: ROLES.ADMIN, mfa: true }),
+    ).resolves.toBeUndefined();
+  });
+
+  it("caches grants until the cache is cleared", async () => {
+    await roleService.getPermissions(ROLES.CONTENT_EDITOR);
+    await roleService.getPermissions(ROLES.CONTENT_EDITOR);
+    expect(roleRepo.findByName).toHaveBeenCalledTimes(1);
+
+    roleService.clearCache();
+    await roleService.getPermissions(ROLES.CONTENT_EDITOR);
+    expect(roleRepo.findByName).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("role management", () => {
+  it("creates a role with its permissions and drops cached grants", async () => {
+    await roleService.getPermissions("auditor");
+
+    const role = await adminService.createRole({
+      name: "auditor",
+      description: "Read-only staff",
+      permissions: ["orders:read", "users:read"],
+    });
+
+    expect(role.name).toBe("auditor");
+    expect(role.permissions.sort()).toEqual(["orders:read", "users:read"]);
+    await expect(roleService.hasPermission("auditor", "orders:read")).resolves.toBe(true);
+  });
+
+  it("rejects duplicate names and unknown permissions", async () => {
+    await expect(
+      adminService.createRole({ name: ROLES.SUPPORT_AGENT, permissions: [] }),
+    ).rejects.toThrow(ConflictError);
+    await expect(
+      adminService.createRole({ name: "auditor", permissions: ["orders:read", "orders:delete"] }),
+    ).rejects.toThrow("Unknown permission");
+    expect(roleRepo.create).not.toHaveBeenCalled();
+  });
+
+  it("leaves the built-in roles as seeded", async () => {
+    await expect(adminService.updateRole(1, { permissions: [] })).rejects.toThrow(
+      "Built-in roles can't be changed",
+    );
+    await expect(adminService.deleteRole(2)).rejects.toThrow("Built-in roles can't be deleted");
+  });
+
+  it("won't delete a role that is still assigned", async () => {
+    userRepo.countByRole.mockResolvedValue(2);
+
+    await expect(adminService.deleteRole(3)).rejects.toThrow("Role is still assigned to users");
+    expect(roleRepo.delete).not.toHaveBeenCalled();
+  });
+
+  it("assigns a role and signs the user out so tokens pick it up", async () => {
+    const user = { id: 5, role: ROLES.USER };
+    userRepo.findById.mockResolvedValue(user);
+    userRepo.update.mockImplementation(async (id, data) => ({ ...user, ...data }));
+
+    const updated = await adminService.assignRole(ADMIN_ID, 5, ROLES.SUPPORT_AGENT);
+
+    expect(updated.role).toBe(ROLES.SUPPORT_AGENT);
+    expect(sessionRepo.revokeAllForUser).toHaveBeenCalledWith(5);
+  });
+
+  it("refuses unknown roles and changing your own", async () => {
+    userRepo.findById.mockImplementation(async (id) => ({ id, role: ROLES.ADMIN }));
+
+    await expect(adminService.assignRole(ADMIN_ID, 5, "overlord")).rejects.toThrow("Unknown role");
+    await expect(adminService.assignRole(ADMIN_ID, ADMIN_ID, ROLES.USER)).rejects.toThrow(
+      BadRequestError,
+    );
+    expect(userRepo.update).not.toHaveBeenCalled();
+  });
+});
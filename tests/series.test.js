@@ -0,0 +1,187 @@
+jest.mock("../modules/series/series.repository");
+jest.mock("../modules/books/book.repository");
+
+const { Op, UniqueConstraintError } = require("sequelize");
+const { SeriesEntry } = require("../models");
+const seriesRepo = require("../modules/series/series.repository");
+const bookRepo = require("../modules/books/book.repository");
+const seriesService = require("../modules/series/series.service");
+const { seriesEntrySchema } = require("../modules/series/series.validators");
+const { ConflictError, NotFoundError } = require("../shared/errors");
+
+const { findAdjacentEntry } = jest.requireActual("../modules/series/series.repository");
+const { buildFilters } = jest.requireActual("../modules/books/book.repository");
+
+const DUNE = { id: 1, name: "Dune Chronicles", description: null };
+
+const books = {
+  9: { id: 9, title: "Dune", slug: "dune" },
+  10: { id: 10, title: "Dune Messiah", slug: "dune-messiah" },
+  11: { id: 11, title: "Children of Dune", slug: "children-of-dune" },
+  12: { id: 12, title: "A Dune novella", slug: "a-dune-novella" },
+};
+
+// in-memory SeriesEntry table; positions come back as DECIMAL strings
+let entries;
+
+const reading = () =>
+  [...entries].sort((a, b) => a.position - b.position).map((e) => ({ ...e, Book: books[e.bookId] }));
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  entries = [
+    { id: 1, seriesId: 1, bookId: 9, position: "1.00" },
+    { id: 2, seriesId: 1, bookId: 10, position: "2.00" },
+    { id: 3, seriesId: 1, bookId: 11, position: "3.00" },
+  ];
+
+  seriesRepo.findById.mockImplementation(async (id) => (Number(id) === DUNE.id ? DUNE : null));
+  seriesRepo.findWithEntries.mockImplementation(async (id) =>
+    Number(id) === DUNE.id ? { ...DUNE, SeriesEntries: reading() } : null,
+  );
+  seriesRepo.findEntry.mockImplementation(
+    async (seriesId, bookId) => entries.find((e) => e.bookId === Number(bookId)) || null,
+  );
+  seriesRepo.findEntryAt.mockImplementation(
+    async (seriesId, position) => entries.find((e) => Number(e.position) === position) || null,
+  );
+  seriesRepo.createEntry.mockImplementation(async (data) => {
+    entries.push({ id: entries.length + 1, ...data, position: data.position.toFixed(2) });
+  });
+  seriesRepo.updateEntry.mockImplementation(async (id, { position }) => {
+    entries.find((e) => e.id === id).position = position.toFixed(2);
+  });
+  seriesRepo.findEntriesByBook.mockImplementation(async (bookId) =>
+    entries.filter((e) => e.bookId === bookId).map((e) => ({ ...e, Series: DUNE })),
+  );
+  seriesRepo.findAdjacentEntry.mockImplementation(async (seriesId, position, direction) => {
+    const before = reading().filter((e) => Number(e.position) < Number(position));
+    const after = reading().filter((e) => Number(e.position) > Number(position));
+
+    return (direction === "previous" ? before.at(-1) : after[0]) || null;
+  });
+  bookRepo.findById.mockImplementation(async (id) => books[id] || null);
+});
+
+const readingOrder = async () =>
+  (await seriesService.getById(1)).books.map((entry) => [entry.position, entry.book.title]);
+
+describe("series reading order", () => {
+  it("lists the books by position, as numbers", async () => {
+    await expect(readingOrder()).resolves.toEqual([
+      [1, "Dune"],
+      [2, "Dune Messiah"],
+      [3, "Children of Dune"],
+    ]);
+  });
+
+  it("slots a novella in between volumes at a fractional position", async () => {
+    await seriesService.setBook(1, 12, { position: 2.5 });
+
+    await expect(readingOrder()).resolves.toEqual([
+      [1, "Dune"],
+      [2, "Dune Messiah"],
+      [2.5, "A Dune novella"],
+      [3, "Children of Dune"],
+    ]);
+  });
+
+  it("moves a book that is already in the series", async () => {
+    await seriesService.setBook(1, 9, { position: 4 });
+
+    expect(seriesRepo.createEntry).not.toHaveBeenCalled();
+    expect((await readingOrder()).at(-1)).toEqual([4, "Dune"]);
+  });
+
+  it("refuses a position held by another book", async () => {
+    await expect(seriesService.setBook(1, 12, { position: 2 })).rejects.toThrow(
+      "Position 2 is already taken by book 10",
+    );
+    // a book may be set to its own position again
+    await expect(seriesService.setBook(1, 10, { position: 2 })).resolves.toHaveProperty("id", 1);
+  });
+
+  it("reports a position taken by a concurrent request as a conflict", async () => {
+    seriesRepo.createEntry.mockRejectedValue(
+      new UniqueConstraintError({ fields: { seriesId: 1, position: 2.5 } }),
+    );
+
+    await expect(seriesService.setBook(1, 12, { position: 2.5 })).rejects.toThrow(
+      "Position 2.5 is already taken",
+    );
+  });
+
+  it("404s for unknown series, books and entries", async () => {
+    await expect(seriesService.setBook(2, 9, { position: 1 })).rejects.toThrow("Series not found");
+    await expect(seriesService.setBook(1, 404, { position: 5 })).rejects.toThrow("Book not found");
+    await expect(seriesService.removeBook(1, 12)).rejects.toThrow(NotFoundError);
+  });
+
+  it("accepts positions like 2.5 but not negative ones", () => {
+    expect(seriesEntrySchema.validate({ position: 2.5 }).error).toBeUndefined();
+    expect(seriesEntrySchema.validate({ position: -1 }).error).toBeDefined();
+    expect(seriesEntrySchema.validate({}).error).toBeDefined();
+  });
+});
+
+describe("previous and next in a series", () => {
+  it("shows the titles either side of the book", async () => {
+    const [series] = await seriesService.getBookSeries(10);
+
+    expect(series).toEqual({
+      id: 1,
+      name: "Dune Chronicles",
+      position: 2,
+      previous: { position: 1, book: expect.objectContaining({ id: 9, title: "Dune" }) },
+      next: { position: 3, book: expect.objectContaining({ id: 11, title: "Children of Dune" }) },
+    });
+  });
+
+  it("has no previous for the first book and no next for the last", async () => {
+    const [first] = await seriesService.getBookSeries(9);
+    const [last] = await seriesService.getBookSeries(11);
+
+    expect(first.previous).toBeNull();
+    expect(last.next).toBeNull();
+  });
+
+  it("steps over the gap to a fractional neighbour", async () => {
+    await seriesService.setBook(1, 12, { position: 2.5 });
+
+    const [novella] = await seriesService.getBookSeries(12);
+
+    expect(novella.position).toBe(2.5);
+    expect(novella.previous.book.id).toBe(10);
+    expect(novella.next.book.id).toBe(11);
+    expect((await seriesService.getBookSeries(11))[0].previous.book.id).toBe(12);
+  });
+
+  it("asks for the closest live entry on each side", async () => {
+    const findOne = jest.spyOn(SeriesEntry, "findOne").mockResolvedValue(null);
+
+    try {
+      await findAdjacentEntry(1, "2.50", "previous");
+      await findAdjacentEntry(1, "2.50", "next");
+
+      const [previous, next] = findOne.mock.calls.map(([options]) => options);
+
+      expect(previous.where).toEqual({ seriesId: 1, position: { [Op.lt]: "2.50" } });
+      expect(previous.order).toEqual([["position", "DESC"]]);
+      expect(next.where).toEqual({ seriesId: 1, position: { [Op.gt]: "2.50" } });
+      expect(next.order).toEqual([["position", "ASC"]]);
+      // archived books are skipped
+      expect(previous.include[0].required).toBe(true);
+    } finally {
+      findOne.mockRestore();
+    }
+  });
+});
+
+describe("series search filter", () => {
+  it("only keeps books in the requested series", () => {
+    const { include } = buildFilters({ series: 1 });
+
+    expect(include).toContainEqual({ model: SeriesEntry, where: { seriesId: 1 } });
+    expect(buildFilters({}).include.some((i) => i.model === SeriesEntry)).toBe(false);
+  });
+});
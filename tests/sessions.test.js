@@ -0,0 +1,189 @@
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+jest.mock("../modules/auth/auth.repository");
+jest.mock("../modules/sessions/session.repository");
+jest.mock("../modules/users/user.repository");
+jest.mock("../shared/queues/queue.service");
+jest.mock("../events/event.publisher", () => ({ publish: jest.fn() }));
+
+const bcrypt = require("bcrypt");
+const authRepo = require("../modules/auth/auth.repository");
+const sessionRepo = require("../modules/sessions/session.repository");
+const attemptStore = require("../shared/cache/attempt.store");
+const authService = require("../modules/auth/auth.service");
+const userService = require("../modules/users/user.service");
+const auth = require("../middlewares/auth.middleware");
+const validate = require("../middlewares/validate.middleware");
+const { sessionParamsSchema } = require("../modules/users/user.validators");
+const { generateTokens } = require("../modules/auth/auth.utils");
+const { describeDevice } = require("../shared/utils/userAgent.util");
+const { NotFoundError } = require("../shared/errors");
+
+const PASSWORD = "correct horse battery staple";
+const SESSION_ID = "6f1c1a9e-3b9b-4d7e-9a57-0c5a2f4e8d11";
+const CHROME_ON_WINDOWS =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36";
+
+const user = { id: 1, email: "reader@example.com", name: "Reader", role: "customer" };
+
+// in-memory stand-in for the Session table
+let sessions;
+
+const session = (overrides = {}) => ({
+  id: SESSION_ID,
+  userId: user.id,
+  revokedAt: null,
+  lastSeenAt: new Date(),
+  ...overrides,
+});
+
+// runs the auth middleware for a bearer token; resolves to what it passed to next()
+const authenticate = (token) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, ip: "198.51.100.4" };
+  const res = { set: jest.fn(), on: jest.fn() };
+
+  return new Promise((resolve) => auth(req, res, (err) => resolve({ err, req })));
+};
+
+beforeAll(async () => {
+  user.password = await bcrypt.hash(PASSWORD, 4);
+});
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  await attemptStore.clear();
+  sessions = [];
+
+  authRepo.findByEmail.mockResolvedValue(user);
+  authRepo.createRefreshToken.mockImplementation(async (data) => ({ id: 1, ...data }));
+  sessionRepo.create.mockImplementation(async (data) => {
+    const row = { id: `session-${sessions.length + 1}`, revokedAt: null, ...data };
+    sessions.push(row);
+    return row;
+  });
+  sessionRepo.findById.mockImplementation(
+    async (id) => sessions.find((row) => row.id === id) || null,
+  );
+});
+
+describe("session tracking", () => {
+  it("opens a session with the device, user agent and IP on login", async () => {
+    await authService.login(
+      { email: user.email, password: PASSWORD },
+      { ip: "198.51.100.4", userAgent: CHROME_ON_WINDOWS },
+    );
+
+    expect(sessions).toEqual([
+      expect.objectContaining({
+        userId: user.id,
+        device: "Chrome on Windows",
+        userAgent: CHROME_ON_WINDOWS,
+        ip: "198.51.100.4",
+        lastSeenAt: expect.any(Date),
+      }),
+    ]);
+  });
+
+  it("labels unknown clients", () => {
+    expect(describeDevice(undefined)).toBe("Unknown device");
+  });
+
+  it("accepts access tokens of an active session", async () => {
+    sessions.push(session());
+    const { accessToken } = generateTokens(user, { family: SESSION_ID });
+
+    const { err, req } = await authenticate(accessToken);
+
+    expect(err).toBeUndefined();
+    expect(req.user).toMatchObject({ id: user.id, sid: SESSION_ID });
+    // seen recently, so no write
+    expect(sessionRepo.touch).not.toHaveBeenCalled();
+  });
+
+  it("bumps lastSeenAt once it is stale", async () => {
+    sessions.push(session({ lastSeenAt: new Date(Date.now() - 60 * 60 * 1000) }));
+    const { accessToken } = generateTokens(user, { family: SESSION_ID });
+
+    await authenticate(accessToken);
+
+    expect(sessionRepo.touch).toHaveBeenCalledWith(SESSION_ID, { ip: "198.51.100.4" });
+  });
+
+  it("rejects access tokens of a revoked session", async () => {
+    sessions.push(session({ revokedAt: new Date() }));
+    const { accessToken } = generateTokens(user, { family: SESSION_ID });
+
+    const { err } = await authenticate(accessToken);
+
+    expect(err).toMatchObject({ statusCode: 401, message: "Session has been revoked" });
+  });
+
+  it("rejects a token naming another user's session", async () => {
+    sessions.push(session({ userId: 2 }));
+    const { accessToken } = generateTokens(user, { family: SESSION_ID });
+
+    const { err } = await authenticate(accessToken);
+
+    expect(err).toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe("session management", () => {
+  it("lists active sessions and marks the current one", async () => {
+    sessionRepo.findActiveByUser.mockResolvedValue([
+      session(),
+      session({ id: "other", device: "Safari on iOS" }),
+    ]);
+
+    const listed = await userService.getSessions(user.id, SESSION_ID);
+
+    expect(listed.map(({ id, current }) => ({ id, current }))).toEqual([
+      { id: SESSION_ID, current: true },
+      { id: "other", current: false },
+    ]);
+  });
+
+  it("revokes one of the user's own sessions", async () => {
+    sessions.push(session());
+
+    await userService.revokeSession(user.id, SESSION_ID);
+
+    expect(sessionRepo.revoke).toHaveBeenCalledWith(SESSION_ID);
+  });
+
+  it("hides other users' and already revoked sessions", async () => {
+    sessions.push(session({ userId: 2 }));
+    sessions.push(session({ id: "revoked", revokedAt: new Date() }));
+
+    await expect(userService.revokeSession(user.id, SESSION_ID)).rejects.toThrow(NotFoundError);
+    await expect(userService.revokeSession(user.id, "revoked")).rejects.toThrow(
+      "Session not found",
+    );
+    expect(sessionRepo.revoke).not.toHaveBeenCalled();
+  });
+
+  it("revokes every session but the current one", async () => {
+    sessionRepo.revokeAllForUser.mockResolvedValue(3);
+
+    await expect(userService.revokeOtherSessions(user.id, SESSION_ID)).resolves.toEqual({
+      revoked: 3,
+    });
+    expect(sessionRepo.revokeAllForUser).toHaveBeenCalledWith(user.id, { exceptId: SESSION_ID });
+  });
+
+  it("turns away session ids that aren't UUIDs in the route", () => {
+    const check = (id) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      validate(sessionParamsSchema, "params")({ params: { id } }, res, next);
+      return { res, next };
+    };
+
+    expect(check(SESSION_ID).next).toHaveBeenCalled();
+
+    const { res, next } = check("1 OR 1=1");
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
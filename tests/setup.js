@@ -1,12 +1,15 @@
-const { connectDB, disconnectDB } = require("../config/db");
 const { sequelize } = require("../models");
 
+// unit tests mock their repositories and run without a database
+let dbReady = false;
+
 beforeAll(async () => {
   try {
-    await connectDB();
+    await sequelize.authenticate();
 
     // Sync all models in test schema
     await sequelize.sync({ force: true });
+    dbReady = true;
 
     console.log("Test database ready");
   } catch (error) {
@@ -18,12 +21,12 @@ beforeAll(async () => {
 afterAll(async () => {
   try {
     // Optional: Drop test schema after tests
-    if (process.env.NODE_ENV === "test") {
+    if (dbReady && process.env.NODE_ENV === "test") {
       await sequelize.dropSchema("test", { ifExists: true });
       console.log("Test schema cleaned up");
     }
 
-    await disconnectDB();
+    await sequelize.close();
   } catch (error) {
     console.error("Cleanup failed:", error.message);
   }
@@ -31,7 +34,7 @@ afterAll(async () => {
 
 // Clean data between tests (optional)
 beforeEach(async () => {
-  if (process.env.NODE_ENV === "test" && sequelize) {
+  if (dbReady && process.env.NODE_ENV === "test") {
     const models = sequelize.models;
     for (const modelName in models) {
       try {
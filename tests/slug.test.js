@@ -0,0 +1,130 @@
+jest.mock("../modules/slugs/slug.repository");
+
+const slugRepo = require("../modules/slugs/slug.repository");
+const slugService = require("../modules/slugs/slug.service");
+const { toSlug, withSuffix } = require("../shared/utils/slug.util");
+const { BOOK, TAG } = require("../shared/constants/slugEntity.constant");
+const { ConflictError } = require("../shared/errors");
+
+// in-memory stand-ins for the entity tables and SlugRedirect
+let entities;
+let redirects;
+
+const addEntity = (entityType, id, slug) => entities.push({ entityType, id, slug });
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  entities = [];
+  redirects = [];
+
+  slugRepo.findEntityBySlug.mockImplementation(
+    async (entityType, slug) =>
+      entities.find((e) => e.entityType === entityType && e.slug === slug) || null,
+  );
+  slugRepo.findRedirect.mockImplementation(
+    async (entityType, slug) =>
+      redirects.find((r) => r.entityType === entityType && r.slug === slug) || null,
+  );
+  slugRepo.createRedirect.mockImplementation(async (data) => {
+    redirects.push(data);
+    return data;
+  });
+  slugRepo.deleteRedirect.mockImplementation(async (entityType, slug) => {
+    redirects = redirects.filter((r) => !(r.entityType === entityType && r.slug === slug));
+  });
+});
+
+describe("slug util", () => {
+  it("folds accents and collapses separators", () => {
+    expect(toSlug("  Café  au_lait -- Déjà vu! ")).toBe("cafe-au-lait-deja-vu");
+  });
+
+  it("keeps suffixed slugs within the length limit", () => {
+    const base = toSlug("a".repeat(150));
+
+    expect(base).toHaveLength(100);
+    expect(withSuffix(base, 12)).toHaveLength(100);
+    expect(withSuffix(base, 12)).toMatch(/-12$/);
+  });
+});
+
+describe("slug collisions", () => {
+  it("uses the plain slug when it is free", async () => {
+    await expect(slugService.generate(BOOK, "The Hobbit")).resolves.toBe("the-hobbit");
+  });
+
+  it("numbers clashing slugs from 2", async () => {
+    addEntity(BOOK, 1, "the-hobbit");
+    addEntity(BOOK, 2, "the-hobbit-2");
+
+    await expect(slugService.generate(BOOK, "The Hobbit")).resolves.toBe("the-hobbit-3");
+  });
+
+  it("treats retired slugs as taken", async () => {
+    addEntity(BOOK, 1, "there-and-back-again");
+    redirects.push({ entityType: BOOK, entityId: 1, slug: "the-hobbit" });
+
+    await expect(slugService.generate(BOOK, "The Hobbit")).resolves.toBe("the-hobbit-2");
+  });
+
+  it("only clashes within the same entity type", async () => {
+    addEntity(TAG, 1, "fantasy");
+
+    await expect(slugService.generate(BOOK, "Fantasy")).resolves.toBe("fantasy");
+  });
+
+  it("falls back to the entity type for titles without slug characters", async () => {
+    addEntity(BOOK, 1, "book");
+
+    await expect(slugService.generate(BOOK, "!!!")).resolves.toBe("book-2");
+  });
+
+  it("rejects a slug owned by another entity, current or retired", async () => {
+    addEntity(BOOK, 1, "the-hobbit");
+    redirects.push({ entityType: BOOK, entityId: 1, slug: "hobbit" });
+
+    await expect(slugService.assertAvailable(BOOK, "the-hobbit", 2)).rejects.toThrow(
+      ConflictError,
+    );
+    await expect(slugService.assertAvailable(BOOK, "hobbit", "2")).rejects.toThrow(
+      "This slug is already in use",
+    );
+    await expect(slugService.assertAvailable(BOOK, "hobbit", "1")).resolves.toBeUndefined();
+  });
+});
+
+describe("slug changes", () => {
+  const book = { id: 1, slug: "the-hobbit" };
+
+  beforeEach(() => addEntity(BOOK, book.id, book.slug));
+
+  it("leaves a redirect behind on the old slug", async () => {
+    await slugService.change(BOOK, book, "there-and-back-again");
+
+    expect(redirects).toEqual([{ entityType: BOOK, entityId: 1, slug: "the-hobbit" }]);
+    await expect(slugService.resolveRedirect(BOOK, "the-hobbit")).resolves.toBe(1);
+  });
+
+  it("drops the redirect when an entity takes a former slug back", async () => {
+    redirects.push({ entityType: BOOK, entityId: 1, slug: "hobbit" });
+
+    await slugService.change(BOOK, book, "hobbit");
+
+    expect(redirects).toEqual([{ entityType: BOOK, entityId: 1, slug: "the-hobbit" }]);
+  });
+
+  it("refuses another entity's slug without recording anything", async () => {
+    addEntity(BOOK, 2, "the-silmarillion");
+
+    await expect(slugService.change(BOOK, book, "the-silmarillion")).rejects.toThrow(
+      ConflictError,
+    );
+    expect(redirects).toEqual([]);
+  });
+
+  it("does nothing when the slug is unchanged", async () => {
+    await slugService.change(BOOK, book, "the-hobbit");
+
+    expect(slugRepo.createRedirect).not.toHaveBeenCalled();
+  });
+});
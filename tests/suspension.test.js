@@ -0,0 +1,156 @@
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+jest.mock("../modules/auth/auth.repository");
+jest.mock("../modules/sessions/session.repository");
+jest.mock("../modules/users/user.repository");
+jest.mock("../modules/orders/order.repository");
+jest.mock("../modules/reviews/review.repository");
+jest.mock("../modules/impersonations/impersonation.repository");
+jest.mock("../shared/queues/queue.service");
+jest.mock("../events/event.publisher", () => ({ publish: jest.fn() }));
+
+const bcrypt = require("bcrypt");
+const authRepo = require("../modules/auth/auth.repository");
+const sessionRepo = require("../modules/sessions/session.repository");
+const userRepo = require("../modules/users/user.repository");
+const orderRepo = require("../modules/orders/order.repository");
+const reviewRepo = require("../modules/reviews/review.repository");
+const impersonationRepo = require("../modules/impersonations/impersonation.repository");
+const attemptStore = require("../shared/cache/attempt.store");
+const authService = require("../modules/auth/auth.service");
+const adminService = require("../modules/admin/admin.service");
+const orderService = require("../modules/orders/order.service");
+const { isSuspended } = require("../modules/users/user.utils");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../shared/errors");
+
+const PASSWORD = "correct horse battery staple";
+const ADMIN_ID = 99;
+const HOUR = 60 * 60 * 1000;
+
+let user;
+
+const suspend = (until = null) => {
+  Object.assign(user, {
+    suspendedAt: new Date(),
+    suspendedUntil: until,
+    suspensionReason: "chargebacks",
+  });
+};
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  await attemptStore.clear();
+
+  user = {
+    id: 1,
+    email: "reader@example.com",
+    name: "Reader",
+    role: "customer",
+    emailVerifiedAt: new Date(),
+    password: await bcrypt.hash(PASSWORD, 4),
+    suspendedAt: null,
+    suspendedUntil: null,
+  };
+
+  authRepo.findByEmail.mockImplementation(async () => user);
+  authRepo.findById.mockImplementation(async () => user);
+  userRepo.findById.mockImplementation(async () => user);
+  userRepo.update.mockImplementation(async (id, data) => Object.assign(user, data));
+  authRepo.createRefreshToken.mockImplementation(async (data) => ({ id: 1, revokedAt: null, ...data }));
+  sessionRepo.create.mockResolvedValue({ id: "session-1" });
+});
+
+describe("isSuspended", () => {
+  it("holds until lifted, or until its end date", () => {
+    expect(isSuspended({ suspendedAt: null })).toBe(false);
+    expect(isSuspended({ suspendedAt: new Date(), suspendedUntil: null })).toBe(true);
+    expect(
+      isSuspended({ suspendedAt: new Date(), suspendedUntil: new Date(Date.now() + HOUR) }),
+    ).toBe(true);
+    expect(
+      isSuspended({ suspendedAt: new Date(), suspendedUntil: new Date(Date.now() - HOUR) }),
+    ).toBe(false);
+  });
+});
+
+describe("banning a user", () => {
+  it("records the suspension and shuts every way back in", async () => {
+    const until = new Date(Date.now() + 24 * HOUR);
+
+    const banned = await adminService.banUser(ADMIN_ID, user.id, { reason: "chargebacks", until });
+
+    expect(banned).toMatchObject({ id: user.id, suspended: true, suspendedUntil: until });
+    expect(userRepo.update).toHaveBeenCalledWith(user.id, {
+      suspendedAt: expect.any(Date),
+      suspendedUntil: until,
+      suspensionReason: "chargebacks",
+    });
+    expect(sessionRepo.revokeAllForUser).toHaveBeenCalledWith(user.id);
+    expect(impersonationRepo.endAllForUser).toHaveBeenCalledWith(user.id);
+  });
+
+  it("flags pending orders and reviews for a look", async () => {
+    await adminService.banUser(ADMIN_ID, user.id, { reason: "chargebacks" });
+
+    expect(orderRepo.flagPendingByUser).toHaveBeenCalledWith(user.id, "User suspended: chargebacks");
+    expect(reviewRepo.flagByUser).toHaveBeenCalledWith(user.id, "User suspended: chargebacks");
+  });
+
+  it("won't let admins suspend themselves or unknown users", async () => {
+    await expect(adminService.banUser(user.id, user.id, { reason: "oops" })).rejects.toThrow(
+      BadRequestError,
+    );
+
+    userRepo.findById.mockResolvedValue(null);
+    await expect(adminService.banUser(ADMIN_ID, 404, { reason: "x" })).rejects.toThrow(
+      NotFoundError,
+    );
+    expect(userRepo.update).not.toHaveBeenCalled();
+  });
+
+  it("lifts the suspension on unban", async () => {
+    suspend();
+
+    const unbanned = await adminService.unbanUser(user.id);
+
+    expect(unbanned.suspended).toBe(false);
+    expect(user).toMatchObject({ suspendedAt: null, suspendedUntil: null, suspensionReason: null });
+  });
+});
+
+describe("suspended accounts", () => {
+  it("are refused at login, with the end date when there is one", async () => {
+    suspend(new Date("2099-01-01T00:00:00Z"));
+
+    const err = await authService.login({ email: user.email, password: PASSWORD }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(ForbiddenError);
+    expect(err.message).toBe("Account suspended until 2099-01-01T00:00:00.000Z");
+    expect(sessionRepo.create).not.toHaveBeenCalled();
+  });
+
+  it("sign in again once a temporary suspension ends", async () => {
+    suspend(new Date(Date.now() - HOUR));
+
+    await expect(
+      authService.login({ email: user.email, password: PASSWORD }),
+    ).resolves.toHaveProperty("accessToken");
+  });
+
+  it("can't refresh, and lose the session they refreshed from", async () => {
+    const { refreshToken } = await authService.login({ email: user.email, password: PASSWORD });
+    const stored = authRepo.createRefreshToken.mock.results[0].value;
+    authRepo.findRefreshTokenByHash.mockReturnValue(stored);
+
+    suspend();
+
+    await expect(authService.refreshToken(refreshToken)).rejects.toThrow("Account suspended");
+    expect(sessionRepo.revoke).toHaveBeenCalledWith("session-1");
+  });
+
+  it("can't check out", async () => {
+    suspend();
+
+    await expect(orderService.createOrder(user.id)).rejects.toThrow("Account suspended");
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock("../modules/slugs/slug.service");
+
+const { Op } = require("sequelize");
+const { sequelize, Tag } = require("../models");
+const tagRepo = require("../modules/tags/tag.repository");
+const bookRepo = require("../modules/books/book.repository");
+const searchRepo = require("../modules/search/search.repository");
+const slugService = require("../modules/slugs/slug.service");
+const tagService = require("../modules/tags/tag.service");
+const searchService = require("../modules/search/search.service");
+const { parseTagFilter } = require("../modules/tags/tag.utils");
+const { GENRE, AWARD } = require("../shared/constants/tagGroup.constant");
+const { BadRequestError, ConflictError } = require("../shared/errors");
+
+const tags = [
+  { id: 1, name: "Fantasy", slug: "fantasy", group: GENRE },
+  { id: 2, name: "Space opera", slug: "space-opera", group: GENRE },
+  { id: 3, name: "Hugo", slug: "hugo", group: AWARD },
+];
+
+// the SQL sent for each query, answered with `rows`
+const captureSql = (rows = []) => jest.spyOn(sequelize, "query").mockResolvedValue(rows);
+
+const normalize = (sql) => sql.replace(/\s+/g, " ");
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.resetAllMocks();
+
+  jest.spyOn(tagRepo, "findByIds").mockImplementation(async (ids) => tags.filter((t) => ids.includes(t.id)));
+});
+
+describe("tag filter", () => {
+  it("parses ?tags= into unique lowercase slugs", () => {
+    expect(parseTagFilter("Fantasy, space-opera,,fantasy")).toEqual(["fantasy", "space-opera"]);
+    expect(parseTagFilter(["hugo", " HUGO "])).toEqual(["hugo"]);
+    expect(parseTagFilter(undefined)).toEqual([]);
+  });
+
+  it("only keeps books carrying every requested tag", () => {
+    const { where } = bookRepo.buildFilters({ tagSlugs: ["fantasy", "hugo"] });
+    const subquery = normalize(where[Op.and][0].id[Op.in].val);
+
+    expect(subquery).toContain(`FROM "BookTags" bt JOIN "Tags" t ON t.id = bt."tagId"`);
+    expect(subquery).toContain("WHERE t.slug IN ('fantasy', 'hugo')");
+    expect(subquery).toContain('GROUP BY bt."bookId" HAVING COUNT(DISTINCT t.id) = 2');
+  });
+
+  it("escapes slugs in the subquery", () => {
+    const sql = tagRepo.bookIdsWithAllTags(["o'neil"]).val;
+
+    expect(sql).toContain("WHERE t.slug IN ('o''neil')");
+  });
+
+  it("adds no tag clause without tags", () => {
+    expect(bookRepo.buildFilters({}).where).toEqual({});
+  });
+});
+
+describe("tag facets", () => {
+  it("counts distinct matching books per tag in one grouped query", async () => {
+    const query = captureSql([{ tagId: 1, count: "4" }]);
+
+    await expect(
+      bookRepo.countTags({ search: "dune", category: "SF", minPrice: 5, tagSlugs: ["hugo"] }),
+    ).resolves.toEqual([{ tagId: 1, count: "4" }]);
+
+    expect(query).toHaveBeenCalledTimes(1);
+    const sql = normalize(query.mock.calls[0][0]);
+
+    expect(sql).toMatch(
+      /^SELECT "Tag"\."id" AS "tagId", COUNT\(DISTINCT\("Books"\."id"\)\) AS "count" FROM "Tags"/,
+    );
+    expect(sql).toMatch(/GROUP BY "Tag"\."id";$/);
+    // the listing's filters apply to the counted books
+    expect(sql).toContain(`"Books"."title" ILIKE '%dune%'`);
+    expect(sql).toContain(`"Books"."deletedAt" IS NULL`);
+    expect(sql).toContain(`"Books->Category"."name" = 'SF'`);
+    expect(sql).toContain(`"Books->Editions"."price" >= '5'`);
+    expect(sql).toContain("HAVING COUNT(DISTINCT t.id) = 1");
+    // joins that don't filter are left out
+    expect(sql).not.toContain("LEFT OUTER JOIN");
+  });
+
+  it("turns counts into facets, most common first then by name", async () => {
+    const facets = await tagService.toFacets([
+      { tagId: 3, count: "2" },
+      { tagId: 2, count: "5" },
+      { tagId: 1, count: "2" },
+    ]);
+
+    expect(facets).toEqual([
+      { id: 2, name: "Space opera", slug: "space-opera", group: GENRE, count: 5 },
+      { id: 1, name: "Fantasy", slug: "fantasy", group: GENRE, count: 2 },
+      { id: 3, name: "Hugo", slug: "hugo", group: AWARD, count: 2 },
+    ]);
+  });
+
+  it("skips the tag lookup when nothing matched", async () => {
+    await expect(tagService.toFacets([])).resolves.toEqual([]);
+    expect(tagRepo.findByIds).not.toHaveBeenCalled();
+  });
+
+  it("counts facets over every search result, not just the page", async () => {
+    jest.spyOn(searchRepo, "searchBooks").mockResolvedValue({ rows: [], count: 30 });
+    const query = captureSql([{ tagId: 1, count: "30" }]);
+
+    const result = await searchService.search({ q: "dune", tags: "Fantasy", page: 3, limit: 10 });
+
+    expect(searchRepo.searchBooks).toHaveBeenCalledWith(
+      expect.objectContaining({ q: "dune", tagSlugs: ["fantasy"], limit: 10, offset: 20 }),
+    );
+    // search also matches descriptions
+    expect(normalize(query.mock.calls[0][0])).toContain(`"Books"."description" ILIKE '%dune%'`);
+    expect(result.facets.tags).toEqual([expect.objectContaining({ slug: "fantasy", count: 30 })]);
+    expect(result.meta).toEqual({ total: 30, page: 3, pages: 3 });
+  });
+});
+
+describe("tag management", () => {
+  beforeEach(() => {
+    jest.spyOn(tagRepo, "findByGroupAndName").mockImplementation(
+      async (group, name) => tags.find((t) => t.group === group && t.name === name) || null,
+    );
+    jest.spyOn(tagRepo, "findById").mockImplementation(async (id) => tags.find((t) => t.id === Number(id)) || null);
+    jest.spyOn(tagRepo, "create").mockImplementation(async (data) => ({ id: 4, ...data }));
+    jest.spyOn(tagRepo, "update").mockImplementation(async (id, data) => ({ ...tags[id - 1], ...data }));
+    jest.spyOn(tagRepo, "replaceBookTags").mockResolvedValue();
+    slugService.generate.mockResolvedValue("fantasy-2");
+  });
+
+  it("allows the same name in another group, with its own slug", async () => {
+    const tag = await tagService.create({ name: "Fantasy", group: AWARD });
+
+    expect(tag).toEqual({ id: 4, name: "Fantasy", slug: "fantasy-2", group: AWARD });
+  });
+
+  it("refuses a name already used in the group", async () => {
+    await expect(tagService.create({ name: "Fantasy", group: GENRE })).rejects.toThrow(ConflictError);
+    await expect(tagService.update(2, { name: "Fantasy" })).rejects.toThrow(
+      'There is already a genre tag called "Fantasy"',
+    );
+    await expect(tagService.update(1, { name: "Fantasy" })).resolves.toHaveProperty("id", 1);
+  });
+
+  it("replaces a book's tags, refusing unknown ones", async () => {
+    await tagService.setBookTags(9, [1, 3, 1], { transaction: "tx" });
+    expect(tagRepo.replaceBookTags).toHaveBeenCalledWith(9, [1, 3], "tx");
+
+    await expect(tagService.setBookTags(9, [1, 404])).rejects.toThrow(BadRequestError);
+    await expect(tagService.setBookTags(9, [404])).rejects.toThrow("Unknown tag 404");
+  });
+
+  it("lists tags by group", async () => {
+    const findAll = jest.spyOn(Tag, "findAll").mockResolvedValue([tags[2]]);
+
+    await expect(tagService.getAll({ group: AWARD })).resolves.toEqual([tags[2]]);
+    expect(findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { group: AWARD } }));
+  });
+});